@@ -0,0 +1,350 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+// The framing of CARv1 archives (https://ipld.io/specs/transport/car/carv1/): a varint length prefixed DAG-CBOR
+// header, `{ roots: [CID], version: 1 }`, followed by varint length prefixed sections of a CID and the bytes of
+// its block. CIDs are handled as their bytes; only as much CBOR as a header needs is read and written.
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder('utf-8', { fatal: true })
+
+/**
+ * @param {Uint8Array} rootCid
+ * @returns {Uint8Array}
+ */
+export function encodeHeader (rootCid) {
+  /** @type {number[]} */
+  const bytes = [0xa2] // a map of 2
+  encodeText('roots', bytes)
+  bytes.push(0x81, 0xd8, 0x2a) // an array of 1, tag 42 for a CID
+  encodeHead(2, rootCid.length + 1, bytes)
+  bytes.push(0x00, ...rootCid) // the multibase prefix for binary CIDs
+  encodeText('version', bytes)
+  bytes.push(0x01)
+  return section([Uint8Array.from(bytes)])
+}
+
+/**
+ * @param {Uint8Array} cid
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function encodeBlock (cid, bytes) {
+  return section([cid, bytes])
+}
+
+/**
+ * Reads a CARv1 archive from a sequence of chunks of bytes, of any size.
+ */
+export class CarReader {
+  /**
+   * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} source
+   */
+  constructor (source) {
+    this.iterator = (async function * () {
+      yield * source
+    })()
+    /** @type {Uint8Array[]} */
+    this.chunks = [] // unread bytes, from `this.chunks[this.head]` on
+    this.head = 0
+    this.available = 0
+  }
+
+  /**
+   * @returns {Promise<Uint8Array[]>} The CIDs of the roots of the archive.
+   */
+  async readHeader () {
+    const length = await this.readVarint()
+    if (length === null) {
+      throw new Error('Invalid CAR, no header')
+    }
+    const { value: header, end } = decodeCbor(await this.read(length), 0)
+    if (end !== length || typeof header !== 'object' || header === null || Array.isArray(header)) {
+      throw new Error('Invalid CAR header')
+    }
+    if (header.version !== 1) {
+      throw new Error(`Unsupported CAR version: ${header.version}`)
+    }
+    if (!Array.isArray(header.roots) || !header.roots.every((/** @type {any} */ r) => r instanceof Cid)) {
+      throw new Error('Invalid CAR header')
+    }
+    return header.roots.map((/** @type {Cid} */ r) => r.bytes)
+  }
+
+  /**
+   * @returns {Promise<{ cid: Uint8Array, bytes: Uint8Array }|null>} The next block, or `null` at the end of the
+   * archive.
+   */
+  async readBlock () {
+    const length = await this.readVarint()
+    if (length === null) {
+      return null
+    }
+    const bytes = await this.read(length)
+    const cidEnd = cidLength(bytes)
+    return { cid: bytes.subarray(0, cidEnd), bytes: bytes.subarray(cidEnd) }
+  }
+
+  /**
+   * @ignore
+   * @returns {Promise<number|null>} `null` where there are no more bytes
+   */
+  async readVarint () {
+    let value = 0
+    let shift = 1
+    while (true) {
+      if (!await this.fill(1)) {
+        if (shift === 1) {
+          return null // the end of the data falls between sections
+        }
+        throw new Error('Invalid CAR, unexpected end of data')
+      }
+      const b = this.take(1)[0]
+      value += (b & 0x7f) * shift
+      if (!(b & 0x80)) {
+        return value
+      }
+      if (shift > 2 ** 42) {
+        throw new Error('Invalid CAR, length is too large')
+      }
+      shift *= 0x80
+    }
+  }
+
+  /**
+   * @ignore
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  async read (length) {
+    if (!await this.fill(length)) {
+      throw new Error('Invalid CAR, unexpected end of data')
+    }
+    return this.take(length)
+  }
+
+  /**
+   * bytes that were returned are never written over, so they may be kept; a read within a single chunk is a view of
+   * it, a read across chunks is copied once
+   * @ignore
+   * @param {number} length - no more than `this.available`
+   * @returns {Uint8Array}
+   */
+  take (length) {
+    this.available -= length
+    const first = this.chunks[this.head]
+    let bytes
+    if (length > 0 && first.length >= length) {
+      bytes = first.subarray(0, length)
+      this.consume(first, length)
+    } else {
+      bytes = new Uint8Array(length)
+      for (let at = 0; at < length;) {
+        const chunk = this.chunks[this.head]
+        const size = Math.min(chunk.length, length - at)
+        bytes.set(chunk.subarray(0, size), at)
+        this.consume(chunk, size)
+        at += size
+      }
+    }
+    return bytes
+  }
+
+  /**
+   * @ignore
+   * @param {Uint8Array} chunk - the chunk at `this.head`
+   * @param {number} size
+   */
+  consume (chunk, size) {
+    if (size < chunk.length) {
+      this.chunks[this.head] = chunk.subarray(size)
+    } else if (++this.head === this.chunks.length) {
+      this.chunks = []
+      this.head = 0
+    }
+  }
+
+  /**
+   * @ignore
+   * @param {number} length
+   * @returns {Promise<boolean>} whether `length` bytes are available
+   */
+  async fill (length) {
+    while (this.available < length) {
+      const { done, value } = await this.iterator.next()
+      if (done) {
+        return false
+      }
+      if (!(value instanceof Uint8Array)) {
+        throw new TypeError('Invalid CAR data, must be a sequence of Uint8Arrays')
+      }
+      if (value.length > 0) {
+        this.chunks.push(value)
+        this.available += value.length
+      }
+    }
+    return true
+  }
+}
+
+// a CID decoded from a header, distinguishable from a byte string
+class Cid {
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor (bytes) {
+    this.bytes = bytes
+  }
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function section (parts) {
+  const length = parts.reduce((p, c) => p + c.length, 0)
+  /** @type {number[]} */
+  const prefix = []
+  let remaining = length
+  while (remaining >= 0x80) {
+    prefix.push((remaining % 0x80) | 0x80)
+    remaining = Math.floor(remaining / 0x80)
+  }
+  prefix.push(remaining)
+  const bytes = new Uint8Array(prefix.length + length)
+  bytes.set(prefix)
+  let at = prefix.length
+  for (const part of parts) {
+    bytes.set(part, at)
+    at += part.length
+  }
+  return bytes
+}
+
+/**
+ * @param {string} text
+ * @param {number[]} bytes
+ */
+function encodeText (text, bytes) {
+  const encoded = textEncoder.encode(text)
+  encodeHead(3, encoded.length, bytes)
+  bytes.push(...encoded)
+}
+
+/**
+ * @param {number} major
+ * @param {number} length
+ * @param {number[]} bytes
+ */
+function encodeHead (major, length, bytes) {
+  if (length < 24) {
+    bytes.push((major << 5) | length)
+  } else if (length < 0x100) {
+    bytes.push((major << 5) | 24, length)
+  } else {
+    bytes.push((major << 5) | 25, length >> 8, length & 0xff)
+  }
+}
+
+/**
+ * the subset of CBOR found in CAR headers: unsigned integers, byte and text strings, arrays, maps and CIDs
+ * @param {Uint8Array} bytes
+ * @param {number} at
+ * @returns {{ value: any, end: number }}
+ */
+function decodeCbor (bytes, at) {
+  if (at >= bytes.length) {
+    throw new Error('Invalid CAR header')
+  }
+  const major = bytes[at] >> 5
+  const info = bytes[at++] & 0x1f
+  let arg = info
+  if (info >= 24) {
+    const size = info === 24 ? 1 : info === 25 ? 2 : info === 26 ? 4 : 0
+    if (size === 0 || at + size > bytes.length) {
+      throw new Error('Invalid CAR header')
+    }
+    arg = 0
+    for (let i = 0; i < size; i++) {
+      arg = arg * 0x100 + bytes[at++]
+    }
+  }
+  if (major === 0) {
+    return { value: arg, end: at }
+  }
+  if (major === 2 || major === 3) {
+    if (at + arg > bytes.length) {
+      throw new Error('Invalid CAR header')
+    }
+    const value = bytes.subarray(at, at + arg)
+    return { value: major === 3 ? textDecoder.decode(value) : value, end: at + arg }
+  }
+  if (major === 4) {
+    const value = []
+    for (let i = 0; i < arg; i++) {
+      const element = decodeCbor(bytes, at)
+      value.push(element.value)
+      at = element.end
+    }
+    return { value, end: at }
+  }
+  if (major === 5) {
+    /** @type {Record<string, any>} */
+    const value = {}
+    for (let i = 0; i < arg; i++) {
+      const key = decodeCbor(bytes, at)
+      const entry = decodeCbor(bytes, key.end)
+      value[key.value] = entry.value
+      at = entry.end
+    }
+    return { value, end: at }
+  }
+  if (major === 6 && arg === 42) {
+    const { value, end } = decodeCbor(bytes, at)
+    if (!(value instanceof Uint8Array) || value[0] !== 0x00) {
+      throw new Error('Invalid CAR header')
+    }
+    return { value: new Cid(value.subarray(1)), end }
+  }
+  throw new Error('Invalid CAR header')
+}
+
+/**
+ * the length of the CID at the start of a section, a CIDv0 is a bare sha2-256 multihash, a CIDv1 is a version, a
+ * codec and a multihash
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function cidLength (bytes) {
+  if (bytes[0] === 0x12 && bytes[1] === 0x20) {
+    return 34
+  }
+  let at = 0
+  /**
+   * @returns {number}
+   */
+  const varint = () => {
+    let value = 0
+    let shift = 1
+    while (true) {
+      if (at >= bytes.length || shift > 2 ** 42) {
+        throw new Error('Invalid CAR, badly formed CID')
+      }
+      const b = bytes[at++]
+      value += (b & 0x7f) * shift
+      if (!(b & 0x80)) {
+        return value
+      }
+      shift *= 0x80
+    }
+  }
+  if (varint() !== 1) {
+    throw new Error('Invalid CAR, unsupported CID version')
+  }
+  varint() // codec
+  varint() // multihash code
+  const end = varint() + at
+  if (end > bytes.length) {
+    throw new Error('Invalid CAR, badly formed CID')
+  }
+  return end
+}
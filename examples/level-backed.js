@@ -36,8 +36,8 @@ form and therefore need to be preserved. The rest could be discarded.
 Our basic map structure comprises a set of key/value pairs, where the key is a module name (string) and
 the value _represents_ a list of all files that use that module. As that list of files can be quite
 large (and therefore result in large CBOR encoded blocks if encoded directly), we instead store a CID
-identifying secondary IAMap that is used like a Set, where its `keys()` yield a list of files. So we are
-storing IAMap's within an IAMap and using the root as a Map and the values are Sets.
+identifying a secondary IASet, whose keys are the list of files. So we are storing IASets within an IAMap,
+using the root as a Map and the values as Sets.
 
 */
 
@@ -159,6 +159,17 @@ async function createMap (id) {
   return iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */ })
 }
 
+// The same as createMap() but for an IASet, used for our lists of files
+async function createSet (id) {
+  if (id) { // existing
+    if (typeof id === 'string') {
+      id = CID.parse(id)
+    }
+    return iamap.loadSet(store, id)
+  }
+  return iamap.createSet(store, { hashAlg: 0x23 /* 'murmur3-32' */ })
+}
+
 // --index <dir>
 async function buildIndex (dir) {
   console.log(`Using database at ${dbLocation}`)
@@ -175,13 +186,13 @@ async function buildIndex (dir) {
     const [file, mod] = req // findRequires() emits pairs in an array
     const listId = await map.get(mod)
     let list
-    if (!listId) { // new module, make a new Set out of a new IAMap
-      list = await createMap()
+    if (!listId) { // new module, make a new Set
+      list = await createSet()
     } else { // module we've seen before, load it
-      list = await createMap(listId)
+      list = await createSet(listId)
     }
-    // update the Set with `file`, note the `list =` because of the mutation
-    list = await list.set(file, true) // `true` because we don't care about the value here, we're using it as a Set
+    // add `file` to the Set, note the `list =` because of the mutation
+    list = await list.add(file)
     // put the new Set's ID as the value of `mod` in our main IAMap, note the `map =` because of the mutation
     map = await map.set(mod, list.id)
   }
@@ -196,11 +207,11 @@ async function search (mapId, mod) {
   const map = await createMap(mapId)
   const listId = await map.get(mod)
   if (listId) {
-    // if `mod` was found, we should now have an ID of a separate IAMap that is used as a Set
-    const list = await createMap(listId)
+    // if `mod` was found, we should now have an ID of a separate IASet
+    const list = await createSet(listId)
     console.log(`'${mod}' is found in:`)
     const textDecoder = new TextDecoder()
-    for await (const f of list.keys()) { // we stored files as keys, so only list the keys
+    for await (const f of list) { // an IASet is an async iterable of its keys, the files
       console.log(`  ${textDecoder.decode(f)}`)
     }
   } else {
@@ -212,26 +223,15 @@ async function search (mapId, mod) {
 async function stats (mapId) {
   console.log(`Using database at ${dbLocation}`)
   const map = await createMap(mapId)
-  let size = 0 // could use map.size() for this
-  let nodes = 0
-  let maxDepth = 0
   let maxUsedCount = 0
   let maxUsed
   let files = 0
-  // map.ids() gives us IDs of the root node and all of its children
-  for await (const id of map.ids()) {
-    // instantiate a detached node, we wouldn't normally do this and we certainly wouldn't mutate this
-    const node = await createMap(id)
-    nodes++
-    if (node.depth > maxDepth) {
-      maxDepth = node.depth
-    }
-    size += node.directEntryCount() // direct entries within buckets of this node (only)
-  }
+  // map.stats() walks the root node and all of its children to measure the shape of the map
+  const { nodes, maxDepth, entries: size, fill } = await map.stats()
 
   for await (const entry of map.entries()) { // map.entries() gives us every { key, value } pair in this map
-    const list = await createMap(entry.value) // every value in our map is a CID of a new IAMap used as a Set
-    const listSize = await list.size() // list.size() is the number of entries in this IAMap (Set)
+    const list = await createSet(entry.value) // every value in our map is a CID of an IASet
+    const listSize = await list.size() // list.size() is the number of keys in this IASet
     files += listSize
     if (listSize > maxUsedCount) {
       maxUsedCount = listSize
@@ -240,6 +240,7 @@ async function stats (mapId) {
   }
 
   console.log(`Map comprises ${nodes} nodes, with a maximum depth of ${maxDepth + 1}, holding ${size} entries referencing ${files} files`)
+  console.log(`Average bitmap fill at each depth: ${fill.map((f) => `${Math.round(f * 100)}%`).join(', ')}`)
   console.log(`Most used module is '${new TextDecoder().decode(maxUsed)}' with ${maxUsedCount} files`)
 }
 
@@ -2,8 +2,17 @@
 
 import { mask, setBit, bitmapHas, index } from './bit-utils.js'
 
+import * as keyCodecs from './key-codecs.js'
+import { encodeHeader, encodeBlock, CarReader } from './car.js'
+
+export { lruCache } from './lru-cache.js'
+
 const defaultBitWidth = 8 // 2^8 = 256 buckets or children per node
 const defaultBucketSize = 5 // array size for a bucket of values
+const defaultWindowSize = 1000 // entries held in memory for key ordered iteration
+const defaultBatchSize = 1000 // entries copied at a time by reconfigure()
+const keyedHashAlg = 0x12 // sha2-256, keyed as HMAC-SHA-256 for maps with a `hashKey`
+const minSecretBytes = 16
 
 /**
  * @template T
@@ -12,10 +21,31 @@ const defaultBucketSize = 5 // array size for a bucket of values
 /**
  * @typedef {import('./interface').Config} Config
  * @typedef {import('./interface').Options} Options
+ * @typedef {import('./interface').RuntimeOptions} RuntimeOptions
+ * @typedef {import('./interface').CacheStats} CacheStats
+ * @typedef {import('./interface').KeyCodec} KeyCodec
+ * @typedef {import('./interface').ValidateSchema} ValidateSchema
+ * @typedef {import('./interface').IterateOptions} IterateOptions
+ * @typedef {import('./interface').TraverseOptions} TraverseOptions
+ * @typedef {import('./interface').StatsOptions} StatsOptions
+ * @typedef {import('./interface').MapStats} MapStats
+ * @typedef {import('./interface').ReconfigureCheckpoint} ReconfigureCheckpoint
  * @typedef {import('./interface').SerializedKV} SerializedKV
  * @typedef {import('./interface').SerializedElement} SerializedElement
  * @typedef {import('./interface').SerializedNode} SerializedNode
  * @typedef {import('./interface').SerializedRoot} SerializedRoot
+ * @typedef {import('./interface').SerializedSetRoot} SerializedSetRoot
+ * @typedef {import('./interface').KeyedElement} KeyedElement
+ * @typedef {import('./interface').KeyedNode} KeyedNode
+ * @typedef {import('./interface').KeyedRoot} KeyedRoot
+ * @typedef {import('./interface').Format} Format
+ * @typedef {import('./interface').Writable} Writable
+ * @typedef {import('./interface').MultihashHasher} MultihashHasher
+ * @typedef {import('./interface').HashKey} HashKey
+ * @typedef {import('./interface').BatchOperation} BatchOperation
+ * @typedef {import('./interface').Entry} Entry
+ * @typedef {{ key: Uint8Array, value: any, hash: Uint8Array }} HashedEntry
+ * @typedef {{ key: Uint8Array, value: any, element?: undefined } | { path: number[], element: Element }} MergeChange
  * @typedef {(inp:Uint8Array)=>(Uint8Array|Promise<Uint8Array>)} Hasher
  * @typedef {{ hasher: Hasher, hashBytes: number }[]} Registry
  * @typedef {(link:any)=>boolean} IsLink
@@ -29,6 +59,49 @@ const defaultBucketSize = 5 // array size for a bucket of values
  */
 const hasherRegistry = []
 
+/**
+ * the names of hash functions in the [multicodec](https://github.com/multiformats/multicodec/blob/master/table.csv)
+ * table, the `ipld` format records the `hashAlg` of a map by name
+ * @ignore
+ */
+const hashAlgNames = new Map([
+  [0x00, 'identity'],
+  [0x11, 'sha1'],
+  [0x12, 'sha2-256'],
+  [0x13, 'sha2-512'],
+  [0x14, 'sha3-512'],
+  [0x15, 'sha3-384'],
+  [0x16, 'sha3-256'],
+  [0x17, 'sha3-224'],
+  [0x1b, 'keccak-256'],
+  [0x1e, 'blake3'],
+  [0x20, 'sha2-384'],
+  [0x22, 'murmur3-x64-64'],
+  [0x23, 'murmur3-32'],
+  [0x56, 'dbl-sha2-256'],
+  [0x1013, 'sha2-224'],
+  [0x1022, 'murmur3-x64-128'],
+  [0xb220, 'blake2b-256'],
+  [0xb240, 'blake2b-512'],
+  [0xb260, 'blake2s-256'],
+  [0xb3e1, 'xxh-32'],
+  [0xb3e2, 'xxh-64'],
+  [0xb3e3, 'xxh3-64'],
+  [0xb3e4, 'xxh3-128']
+])
+const hashAlgCodes = new Map([...hashAlgNames].map(([code, name]) => [name, code]))
+
+/**
+ * @type {Record<string, KeyCodec>}
+ * @ignore
+ */
+const keyCodecRegistry = {
+  number: keyCodecs.number,
+  bigint: keyCodecs.bigint,
+  tuple: keyCodecs.tuple,
+  uuid: keyCodecs.uuid
+}
+
 const textEncoder = new TextEncoder()
 
 /**
@@ -62,29 +135,97 @@ function assert (condition, message) {
  * `store.isEqual(id1, id2)` is required to check the equality of the two content addresses / IDs
  * (which may be custom for that data type). `store.isLink(obj)` is used to determine if an object is a link type
  * that can be used for `load()` operations on the store. It is important that link types be different to standard
- * JavaScript arrays and don't share properties used by the serialized form of an IAMap (e.g. such that a
- * `typeof obj === 'object' && Array.isArray(obj.data)`) .This is because a node data element may either be a link to
- * a child node, or an inlined child node, so `isLink()` should be able to determine if an object is a link, and if not,
- * `Array.isArray(obj)` will determine if that data element is a bucket of elements, or the above object check be able
- * to determine that an inline child node exists at the data element.
+ * JavaScript arrays. This is because a node data element may either be a link to a child node, a bucket of entries,
+ * or an inlined child node, so `isLink()` should be able to determine if an object is a link, and if not,
+ * `Array.isArray(obj)` will determine that the data element is either a bucket (an array of `[key, value]` arrays)
+ * or an inlined child node (a `[map, data]` array whose first element is a `Uint8Array`).
  * The `store` object should take the following form:
  * `{ async save(node):id, async load(id):node, isEqual(id,id):boolean, isLink(obj):boolean }`
+ * A `store` may also provide a `sizeOf(node):number` method returning the size, in bytes, of the serialized form of
+ * a node as it would be saved. This is required to use the `inlineThreshold` option.
  * A `store` should throw an appropriately informative error when a node that is requested does not exist in the backing
  * store.
  *
  * Options:
  *   - hashAlg (number) - A [multicodec](https://github.com/multiformats/multicodec/blob/master/table.csv)
- *     hash function identifier, e.g. `0x23` for `murmur3-32`. Hash functions must be registered with {@link iamap.registerHasher}.
+ *     hash function identifier, e.g. `0x23` for `murmur3-32`. Hash functions must be registered with {@link iamap.registerHasher},
+ *     unless a `hasher` is provided.
+ *   - hasher (object, optional) - The hash function for this map, in place of the one registered for `hashAlg`, so
+ *     that maps in the same process may use different functions without any global registration. An object of the
+ *     form `{ code, bytes, digest(bytes) }`: `code` is the multicodec identifier that is recorded as the `hashAlg` of
+ *     the map (where `hashAlg` is also provided it must be the same), `bytes` is the number of bytes of hash that
+ *     `digest()` produces (see {@link iamap.registerHasher}) and `digest()` returns, or resolves to, the hash as a
+ *     `Uint8Array` or an object with a `digest` property holding it. `bytes` is optional, without it the number of
+ *     bytes is taken from the first hash `digest()` produces, so a
+ *     [multiformats](https://github.com/multiformats/js-multiformats) hasher, such as `sha256` from
+ *     `multiformats/hashes/sha2`, may be used as it is. The `hasher` is used by the child nodes of
+ *     the map and the maps derived from it by mutation, but is not recorded in the root node and must be provided
+ *     again when loading with {@link iamap.load}.
+ *   - hashKey (object, optional) - A secret for keyed hashing, `{ id, secret }`, for maps whose keys are chosen by
+ *     untrusted parties. Without one, anyone who knows the hash function can craft keys whose hashes share long
+ *     prefixes, forcing long chains of child nodes and large buckets at the maximum depth. With one, the hash of each
+ *     key is its HMAC-SHA-256 with `secret` (a `Uint8Array` of at least 16 bytes, which should be random), so hashes
+ *     can't be predicted without it. The `hashAlg` of a keyed map is `0x12` (`sha2-256`) and no `hasher` may be
+ *     given, nor need one be registered. `id` is a string identifying the secret; it is recorded in the root node,
+ *     the secret is not, so {@link iamap.load} requires the `hashKey` to be provided again, with the same `id`.
+ *     Keyed hashing uses the global Web Crypto API, `crypto.subtle`, found in browsers and Node.js 20 and later.
  *   - bitWidth (number, default 8) - The number of bits to extract from the hash to form a data element index at
  *     each level of the Map, e.g. a bitWidth of 5 will extract 5 bits to be used as the data element index, since 2^5=32,
  *     each node will store up to 32 data elements (child nodes and/or entry buckets). The maximum depth of the Map is
- *     determined by `floor((hashBytes * 8) / bitWidth)` where `hashBytes` is the number of bytes the hash function
+ *     determined by `ceil((hashBytes * 8) / bitWidth) - 1` where `hashBytes` is the number of bytes the hash function
  *     produces, e.g. `hashBytes=32` and `bitWidth=5` yields a maximum depth of 51 nodes. The maximum `bitWidth`
  *     currently allowed is `8` which will store 256 data elements in each node.
  *   - bucketSize (number, default  5) - The maximum number of collisions acceptable at each level of the Map. A
  *     collision in the `bitWidth` index at a given depth will result in entries stored in a bucket (array). Once the
  *     bucket exceeds `bucketSize`, a new child node is created for that index and all entries in the bucket are
- *     pushed
+ *     pushed. At the maximum depth of the Map (see `bitWidth`) the hash has no more bits to distinguish entries by,
+ *     so keys whose hashes fully collide are kept in buckets that may grow beyond `bucketSize` rather than being
+ *     pushed to a new child node.
+ *   - inlineThreshold (number, default 0) - The maximum size, in bytes as measured by `store.sizeOf()`, of a child
+ *     node that will be embedded in the data array of its parent rather than saved to the store as a separate node
+ *     and linked to. Inlined child nodes reduce the number of nodes saved and loaded where small, sparse subtrees
+ *     exist. A child node's size includes any of its own children that are inlined within it. `0` disables inlining.
+ *     The root node is always saved, and the `inlineThreshold` is recorded in it so that maps loaded from the store
+ *     continue to inline with the same threshold.
+ *   - cache (object, optional) - A cache of decoded child nodes, keyed by link, so that nodes visited repeatedly,
+ *     such as the upper levels of a large map, aren't loaded from the store and decoded for each operation. Use
+ *     {@link iamap.lruCache} for a size-bounded cache, or provide any object with `get(link)` and `set(link, node)`
+ *     methods. The cache is not recorded in the root node; it is used by this map, its child nodes and the maps
+ *     derived from it by mutation, but must be provided again when loading with {@link iamap.load}. A cache may be
+ *     shared between maps using the same backing store. See {@link IAMap#cacheStats} for hit and miss counts.
+ *   - counted (boolean, default false) - Record the number of entries within each linked child node alongside the
+ *     link, so that {@link IAMap#size} can be answered from the root node alone rather than loading every node in the
+ *     map. Links are serialized as `[link, count]` rather than as a bare link. The counts are maintained by each
+ *     mutation, at the cost of a slightly larger serialized form. `counted` is recorded in the root node.
+ *   - keyCodec (string, optional) - The name of a codec for keys that are neither strings nor `Uint8Array`s. Every
+ *     key given to the map is encoded to bytes with the codec, and {@link IAMap#keys}, {@link IAMap#entries} and
+ *     {@link IAMap#page} return keys decoded with it. Without a `keyCodec`, `Uint8Array` keys are used as they are and
+ *     any other key is encoded as a UTF-8 string, so the number `1` and the string `'1'` are the same key, and keys
+ *     are always returned as `Uint8Array`s. The built-in codecs are `'number'`, `'bigint'`, `'tuple'` (arrays of
+ *     strings, numbers, bigints, `Uint8Array`s and nested arrays) and `'uuid'` (UUID strings); each encodes keys
+ *     such that `{ order: 'key' }` iteration returns keys in their natural order. Others may be added with
+ *     {@link iamap.registerKeyCodec}. The `keyCodec` is recorded in the root node.
+ *   - format (string, default `'iamap'`) - The layout of serialized nodes, see {@link IAMap#toSerializable}.
+ *     `'ipld'` uses the block layout of the
+ *     [IPLD HashMap specification](https://github.com/ipld/specs/blob/master/data-structures/hashmap.md) so that a
+ *     map's blocks can be read by other implementations of it; with it, elements are differentiated by the block
+ *     itself, so `store.isLink()` is not used to read them. The specification has no place for the
+ *     `inlineThreshold`, `counted` or `keyCodec` options so they can't be used with `'ipld'`, and it records the
+ *     `hashAlg` by its multicodec name, e.g. `'murmur3-32'`, so the code must be one of the hash functions in the
+ *     multicodec table. The `format` is apparent from the root node so maps loaded from the store continue to use it.
+ *   - validate (function or object, optional) - Check each key/value pair before it is written by `set()`, a
+ *     batch, a transaction or {@link iamap.fromEntries}; a pair that fails is rejected with a {@link ValidationError}
+ *     before any node is created, and where a batch contains one, none of the batch is applied. Either a function,
+ *     `validate(key, value)`, which returns `false`, or a string describing the problem, to reject a pair, and may
+ *     return a `Promise`; or a schema object with any of the properties:
+ *     - `type` (string or array of strings) - The allowed types of values: `'null'`, `'boolean'`, `'number'`,
+ *       `'bigint'`, `'string'`, `'bytes'` (a `Uint8Array`), `'link'` (as identified by `store.isLink()`),
+ *       `'array'` and `'object'`.
+ *     - `maxKeyLength` (number) - The maximum length of a key in bytes, after encoding.
+ *     - `maxValueSize` (number) - The maximum size of a value in bytes, as measured by `store.sizeOf()`.
+ *     A schema also rejects values that can't be stored: `undefined`, functions and symbols, at any depth within the
+ *     value, and values containing cycles. `validate` is not recorded in the root node and must be provided again
+ *     when loading with {@link iamap.load}.
  *
  * @param {Options} options - Options for this IAMap
  * @param {Uint8Array} [map] - for internal use
@@ -94,6 +235,7 @@ function assert (condition, message) {
 export async function create (store, options, map, depth, data) {
   // map, depth and data are intended for internal use
   const newNode = new IAMap(store, options, map, depth, data)
+  await learnDigestLength(newNode.config)
   return save(store, newNode)
 }
 
@@ -104,22 +246,124 @@ export async function create (store, options, map, depth, data) {
  *
  * Create a IAMap instance loaded from a serialised form in a backing store. See {@link iamap.create}.
  *
+ * Options that are recorded in the root node, `hashAlg`, `bitWidth`, `bucketSize`, `inlineThreshold`, `counted`,
+ * `keyCodec` and `format`, are taken
+ * from the loaded root. Options that only apply at runtime, `cache`, `validate`, `hasher` and `hashKey`, may be
+ * supplied; a `hashKey` is required to load a keyed map:
+ *
+ * ```js
+ * let map = await iamap.load(store, id, { cache: iamap.lruCache(1000) })
+ * ```
+ *
  * @name iamap.load
  * @function
  * @async
  * @template T
  * @param {Store<T>} store - A backing store for this Map. See {@link iamap.create}.
  * @param {any} id - An content address / ID understood by the backing `store`.
- * @param {number} [depth=0]
- * @param {Options} [options]
+ * @param {number|RuntimeOptions} [depth=0] - Runtime options for this map, `depth` is for internal use
+ * @param {Options} [options] - for internal use
  */
 export async function load (store, id, depth = 0, options) {
+  if (typeof depth === 'object') {
+    options = /** @type {Options} */ (depth)
+    depth = 0
+  }
   // depth and options are internal arguments that the user doesn't need to interact with
   if (depth !== 0 && typeof options !== 'object') {
     throw new Error('Cannot load() without options at depth > 0')
   }
   const serialized = await store.load(id)
-  return fromSerializable(store, id, serialized, options, depth)
+  const map = fromSerializable(store, id, serialized, options, depth)
+  await learnDigestLength(map.config)
+  return map
+}
+
+/**
+ * ```js
+ * let map = await iamap.fromEntries(store, options, entries)
+ * ```
+ *
+ * Create a new IAMap instance containing all of the key/value pairs provided by `entries`. This is the same as
+ * calling {@link iamap.create} and then `set()` for each entry, and results in an identical root, but rather than
+ * inserting entries one at a time, the structure is built from the leaves up and each node is saved only once.
+ * All entries are collected and hashed before building so memory use is proportional to the number of entries.
+ * Where a key appears more than once, the last value provided for it is used.
+ *
+ * @name iamap.fromEntries
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store for this Map. See {@link iamap.create}.
+ * @param {Options} options - Options for this IAMap. See {@link iamap.create}.
+ * @param {Iterable<Entry>|AsyncIterable<Entry>} entries - An iterable or async iterable yielding either
+ * `[key, value]` arrays or `{ key, value }` objects such as those yielded by {@link IAMap#entries}. See
+ * {@link IAMap#set} for details about acceptable `key` types.
+ * @returns {Promise<IAMap<T>>}
+ */
+export async function fromEntries (store, options, entries) {
+  const root = new IAMap(store, options)
+  /** @type {HashedEntry[]} */
+  const hashed = []
+  for await (const entry of entries) {
+    const { key: k, value } = Array.isArray(entry) ? { key: entry[0], value: entry[1] } : entry
+    const key = encodeKey(root.config.keyCodec, k)
+    await validateEntry(root, k, key, value)
+    hashed.push({ key, value, hash: await hasher(root)(key) })
+  }
+  // with entries ordered by hash, those sharing a prefix at any depth are adjacent; the sort is stable so where a
+  // key is repeated, the last one provided is last in its run
+  hashed.sort((a, b) => byteCompare(a.hash, b.hash) || byteCompare(a.key, b.key))
+  const unique = hashed.filter((e, i) => i === hashed.length - 1 || byteCompare(e.key, hashed[i + 1].key) !== 0)
+  return saveTree(store, buildNode(root, unique, 0))
+}
+
+/**
+ * ```js
+ * let set = await iamap.createSet(store, options)
+ * ```
+ *
+ * Create a new, empty, {@link IASet} instance with a backing store. The backing store and the `options` are the same
+ * as those of {@link iamap.create}, other than the `format` and `validate` options, which aren't supported by sets.
+ *
+ * @name iamap.createSet
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store for this Set. See {@link iamap.create}.
+ * @param {Options} options - Options for this Set. See {@link iamap.create}.
+ * @returns {Promise<IASet<T>>}
+ */
+export async function createSet (store, options) {
+  return new IASet(await create(store, /** @type {Options} */ (Object.assign({}, options, { keysOnly: true }))))
+}
+
+/**
+ * ```js
+ * let set = await iamap.loadSet(store, id)
+ * ```
+ *
+ * Create an {@link IASet} instance loaded from a serialised form in a backing store. Options are taken from the
+ * loaded root, other than those that only apply at runtime, as for {@link iamap.load}. The root of an `IAMap` is not
+ * an `IASet` and can't be loaded as one.
+ *
+ * @name iamap.loadSet
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store for this Set. See {@link iamap.create}.
+ * @param {any} id - An content address / ID understood by the backing `store`.
+ * @param {RuntimeOptions} [options] - Runtime options for this set, see {@link iamap.load}.
+ * @returns {Promise<IASet<T>>}
+ */
+export async function loadSet (store, id, options) {
+  const serialized = await store.load(id)
+  if (!isSetRootSerializable(serialized)) {
+    throw new Error('Loaded object does not appear to be an IASet root')
+  }
+  const trie = instantiate(store, id, serialized, rootOptions(serialized, options), 0)
+  await learnDigestLength(trie.config)
+  return new IASet(trie)
 }
 
 /**
@@ -128,7 +372,10 @@ export async function load (store, id, depth = 0, options) {
  * ```
  *
  * Register a new hash function. IAMap has no hash functions by default, at least one is required to create a new
- * IAMap.
+ * IAMap, unless a `hasher` is provided for it (see {@link iamap.create}).
+ *
+ * The registry is global, a function registered for a `hashAlg` replaces any that was registered for it before,
+ * including by other users of IAMap in the same process. Maps that are given their own `hasher` don't use it.
  *
  * @name iamap.registerHasher
  * @function
@@ -152,6 +399,31 @@ export function registerHasher (hashAlg, hashBytes, hasher) {
   hasherRegistry[hashAlg] = { hashBytes, hasher }
 }
 
+/**
+ * ```js
+ * iamap.registerKeyCodec(name, { encode, decode })
+ * ```
+ *
+ * Register a new key codec for use with the `keyCodec` option (see {@link iamap.create}). The `name` is recorded in
+ * the root node of maps using the codec, so it must be registered, with the same encoding, wherever those maps are
+ * loaded. The built-in codecs, `'number'`, `'bigint'`, `'tuple'` and `'uuid'`, are always registered.
+ *
+ * @name iamap.registerKeyCodec
+ * @function
+ * @param {string} name - A name for the codec.
+ * @param {KeyCodec} codec - An object with an `encode(key):Uint8Array` method, that must throw for keys it can't
+ * encode, and a `decode(bytes):key` method that is the inverse of `encode()`.
+ */
+export function registerKeyCodec (name, codec) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('Invalid `name`, must be a non-empty string')
+  }
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new TypeError('Invalid `codec`, must be of type: { encode(key):Uint8Array, decode(bytes):key }')
+  }
+  keyCodecRegistry[name] = codec
+}
+
 // simple stable key/value representation
 /**
  * @ignore
@@ -187,32 +459,58 @@ KV.fromSerializable = function (obj) {
   return new KV(obj[0], obj[1])
 }
 
+/**
+ * an entry of an IASet, which is serialized as its key alone
+ * @ignore
+ * @param {Uint8Array} key
+ * @returns {KV}
+ */
+KV.fromKey = function (key) {
+  assert(key instanceof Uint8Array)
+  return new KV(key, true)
+}
+
 // a element in the data array that each node holds, each element could be either a container of
-// an array (bucket) of KVs or a link to a child node
+// an array (bucket) of KVs, a link to a child node or a child node inlined in its parent
 class Element {
   /**
    * @ignore
    * @param {KV[]} [bucket]
    * @param {any} [link]
+   * @param {boolean} [inline] - `link` is a child IAMap that is serialized as part of its parent
+   * @param {number|null} [count] - the number of entries within the linked child, for `counted` maps, taken from
+   * `link` where it is an IAMap
    */
-  constructor (bucket, link) {
+  constructor (bucket, link, inline, count) {
     this.bucket = bucket || null
     this.link = link !== undefined ? link : null
+    this.inline = !!inline
+    /** @type {number|null} */
+    this.count = count !== undefined ? count : IAMap.isIAMap(link) ? link.count : null
     assert((this.bucket === null) === (this.link !== null))
+    assert(!this.inline || IAMap.isIAMap(this.link))
   }
 
   /**
    * @ignore
-   * @returns {SerializedElement}
+   * @param {Format} format
+   * @param {boolean} [keysOnly] - a bucket of an IASet, holding keys without values
+   * @returns {SerializedElement|KeyedElement}
    */
-  toSerializable () {
+  toSerializable (format, keysOnly) {
     if (this.bucket) {
-      return this.bucket.map((c) => {
-        return c.toSerializable()
+      const bucket = this.bucket.map((c) => {
+        return keysOnly ? c.key : c.toSerializable()
       })
+      return format === 'ipld' ? { 1: bucket } : bucket
+    } else if (this.inline) {
+      return /** @type {IAMap<any>} */ (this.link).toSerializable()
     } else {
-      assert(!IAMap.isIAMap(this.link)) // TODO: inline here
-      return this.link
+      assert(!IAMap.isIAMap(this.link)) // unsaved child nodes must be stored with saveTree() first
+      if (format === 'ipld') {
+        return { 0: this.link }
+      }
+      return this.count !== null ? [this.link, this.count] : this.link
     }
   }
 }
@@ -221,17 +519,89 @@ class Element {
  * @ignore
  * @param {IsLink} isLink
  * @param {any} obj
+ * @param {(serializable:SerializedNode)=>IAMap<any>} inlineChild - instantiate an inlined child node
+ * @param {Format} format
+ * @param {boolean} [keysOnly] - a node of an IASet, its buckets hold keys without values
  * @returns {Element}
  */
-Element.fromSerializable = function (isLink, obj) {
-  if (isLink(obj)) {
+Element.fromSerializable = function (isLink, obj, inlineChild, format, keysOnly) {
+  if (format === 'ipld') {
+    // the kind of element is explicit, no need to ask the store
+    const keyed = keyedElement(obj)
+    if (keyed !== null) {
+      return keyed.bucket ? new Element(keyed.bucket.map(KV.fromSerializable)) : new Element(undefined, keyed.link)
+    }
+  } else if (isLink(obj)) {
     return new Element(undefined, obj)
+  } else if (isCountedLink(isLink, obj)) {
+    return new Element(undefined, obj[0], false, obj[1])
+  } else if (isSerializable(obj)) {
+    // a bucket is an array of arrays, or of keys for an IASet, a child node is an array of its `map` bytes and
+    // its data array
+    return new Element(undefined, inlineChild(obj), true)
   } else if (Array.isArray(obj)) {
-    return new Element(obj.map(KV.fromSerializable))
+    return new Element(obj.map(keysOnly ? KV.fromKey : KV.fromSerializable))
   }
   throw new Error('Unexpected error: badly formed data element')
 }
 
+/**
+ * an element of the `ipld` format, a keyed union of `{ "0": link }` or `{ "1": bucket }`
+ * @ignore
+ * @param {any} obj
+ * @returns {{ bucket?: SerializedKV[], link?: any }|null}
+ */
+function keyedElement (obj) {
+  const kinds = typeof obj === 'object' && obj !== null && !Array.isArray(obj) ? Object.keys(obj) : []
+  if (kinds.length === 1 && kinds[0] === '0') {
+    return { link: obj[0] }
+  }
+  if (kinds.length === 1 && kinds[0] === '1' && Array.isArray(obj[1])) {
+    return { bucket: obj[1] }
+  }
+  return null
+}
+
+/**
+ * a link to a child node in a `counted` map, `[link, count]`
+ * @ignore
+ * @param {IsLink} isLink
+ * @param {any} obj
+ * @returns {boolean}
+ */
+function isCountedLink (isLink, obj) {
+  return Array.isArray(obj) && obj.length === 2 && isLink(obj[0]) && Number.isInteger(obj[1])
+}
+
+/**
+ * ```js
+ * try {
+ *   map = await map.set(key, value)
+ * } catch (err) {
+ *   if (err instanceof iamap.ValidationError) {
+ *     console.log(`rejected ${err.key}: ${err.message}`)
+ *   }
+ * }
+ * ```
+ *
+ * The error thrown when a key/value pair is rejected by the `validate` option (see {@link iamap.create}).
+ *
+ * @class
+ * @property {any} key - The key of the rejected pair, as it was provided.
+ */
+export class ValidationError extends Error {
+  /**
+   * @ignore
+   * @param {string} message
+   * @param {any} key
+   */
+  constructor (message, key) {
+    super(message)
+    this.name = 'ValidationError'
+    this.key = key
+  }
+}
+
 /**
  * Immutable Asynchronous Map
  *
@@ -279,8 +649,13 @@ export class IAMap {
      */
     this.id = null
     this.config = buildConfig(options)
-
-    const hashBytes = hasherRegistry[this.config.hashAlg].hashBytes
+    if (this.config.inlineThreshold && typeof store.sizeOf !== 'function') {
+      throw new TypeError('Invalid `store` option, must have a sizeOf(node):number method to use `inlineThreshold`')
+    }
+    const validate = this.config.validate
+    if (validate && typeof validate === 'object' && validate.maxValueSize !== undefined && typeof store.sizeOf !== 'function') {
+      throw new TypeError('Invalid `store` option, must have a sizeOf(node):number method to use `validate.maxValueSize`')
+    }
 
     if (map !== undefined && !(map instanceof Uint8Array)) {
       throw new TypeError('`map` must be a Uint8Array')
@@ -295,9 +670,8 @@ export class IAMap {
       throw new TypeError('`depth` must be an integer >= 0')
     }
     this.depth = depth || 0
-    if (this.depth > Math.floor((hashBytes * 8) / this.config.bitWidth)) {
-      // our hasher only has `hashBytes` to work with and we take off `bitWidth` bits with each level
-      // e.g. 32-byte hash gives us a maximum depth of 51 levels
+    if (this.depth > maxDepth(this.config)) {
+      // nothing should build a node deeper than this, buckets at the maximum depth are unbounded instead
       throw new Error('Overflow: maximum tree depth reached')
     }
 
@@ -306,77 +680,54 @@ export class IAMap {
      * @type {ReadonlyElement}
      */
     this.data = Object.freeze(data || [])
+    // every path that builds a new node (updateNode(), replaceBucketWithNode(), collapseNodeInline() etc.) does so
+    // from elements whose counts are known, so the count is always derived here rather than adjusted
+    let count = 0
     for (const e of this.data) {
       if (!(e instanceof Element)) {
         throw new TypeError('`data` array must contain only `Element` types')
       }
+      if (e.bucket) {
+        count += e.bucket.length
+      } else if (e.count !== null) {
+        count += e.count
+      } else if (this.config.counted) {
+        throw new Error('Link to child node is missing its entry count in a `counted` map')
+      }
     }
+
+    /**
+     * @ignore
+     * @type {number|null}
+     */
+    this.count = this.config.counted ? count : null
   }
 
   /**
    * Asynchronously create a new `IAMap` instance identical to this one but with `key` set to `value`.
    *
-   * @param {(string|Uint8Array)} key - A key for the `value` being set whereby that same `value` may
+   * @param {any} key - A key for the `value` being set whereby that same `value` may
    * be retrieved with a `get()` operation with the same `key`. The type of the `key` object should either be a
-   * `Uint8Array` or be convertable to a `Uint8Array` via `TextEncoder.
+   * `Uint8Array` or be convertable to a `Uint8Array` via `TextEncoder`, or, where the map has a `keyCodec` (see
+   * {@link iamap.create}), any key that the codec can encode.
    * @param {any} value - Any value that can be stored in the backing store. A value could be a serialisable object
    * or an address or content address or other kind of link to the actual value.
-   * @param {Uint8Array} [_cachedHash] - for internal use
    * @returns {Promise<IAMap<T>>} A `Promise` containing a new `IAMap` that contains the new key/value pair.
+   * Rejects with a {@link ValidationError} where the map has a `validate` option (see {@link iamap.create}) that
+   * rejects the key/value pair.
    * @async
    */
-  async set (key, value, _cachedHash) {
-    if (!(key instanceof Uint8Array)) {
-      key = textEncoder.encode(key)
-    }
-    const hash = _cachedHash instanceof Uint8Array ? _cachedHash : await hasher(this)(key)
-    const bitpos = mask(hash, this.depth, this.config.bitWidth)
-
-    if (bitmapHas(this.map, bitpos)) { // should be in a bucket in this node
-      const { data, link } = findElement(this, bitpos, key)
-      if (data) {
-        if (data.found) {
-          /* c8 ignore next 3 */
-          if (data.bucketIndex === undefined || data.bucketEntry === undefined) {
-            throw new Error('Unexpected error')
-          }
-          if (data.bucketEntry.value === value) {
-            return this // no change, identical value
-          }
-          // replace entry for this key with a new value
-          // note that === will fail for two complex objects representing the same data so we may end up
-          // with a node of the same ID anyway
-          return updateBucket(this, data.elementAt, data.bucketIndex, key, value)
-        } else {
-          /* c8 ignore next 3 */
-          if (!data.element.bucket) {
-            throw new Error('Unexpected error')
-          }
-          if (data.element.bucket.length >= this.config.bucketSize) {
-            // too many collisions at this level, replace a bucket with a child node
-            return (await replaceBucketWithNode(this, data.elementAt)).set(key, value, hash)
-          }
-          // insert into the bucket and sort it
-          return updateBucket(this, data.elementAt, -1, key, value)
-        }
-      } else if (link) {
-        const child = await load(this.store, link.element.link, this.depth + 1, this.config)
-        assert(!!child)
-        const newChild = await child.set(key, value, hash)
-        return updateNode(this, link.elementAt, newChild)
-      /* c8 ignore next 3 */
-      } else {
-        throw new Error('Unexpected error')
-      }
-    } else { // we don't have an element for this hash portion, make one
-      return addNewElement(this, bitpos, key, value)
-    }
+  async set (key, value) {
+    const bytes = encodeKey(this.config.keyCodec, key)
+    await validateEntry(this, key, bytes, value)
+    const hash = await hasher(this)(bytes)
+    return saveTree(this.store, await setEntry(this, bytes, value, hash))
   }
 
   /**
    * Asynchronously find and return a value for the given `key` if it exists within this `IAMap`.
    *
-   * @param {string|Uint8Array} key - A key for the value being sought. See {@link IAMap#set} for
+   * @param {any} key - A key for the value being sought. See {@link IAMap#set} for
    * details about acceptable `key` types.
    * @param {Uint8Array} [_cachedHash] - for internal use
    * @returns {Promise<any>} A `Promise` that resolves to the value being sought if that value exists within this `IAMap`. If the
@@ -384,10 +735,11 @@ export class IAMap {
    * @async
    */
   async get (key, _cachedHash) {
-    if (!(key instanceof Uint8Array)) {
-      key = textEncoder.encode(key)
+    let hash = _cachedHash
+    if (!(hash instanceof Uint8Array)) { // a child node is given the key already encoded, along with its hash
+      key = encodeKey(this.config.keyCodec, key)
+      hash = await hasher(this)(key)
     }
-    const hash = _cachedHash instanceof Uint8Array ? _cachedHash : await hasher(this)(key)
     const bitpos = mask(hash, this.depth, this.config.bitWidth)
     if (bitmapHas(this.map, bitpos)) { // should be in a bucket in this node
       const { data, link } = findElement(this, bitpos, key)
@@ -401,8 +753,7 @@ export class IAMap {
         }
         return undefined // not found
       } else if (link) {
-        const child = await load(this.store, link.element.link, this.depth + 1, this.config)
-        assert(!!child)
+        const child = await loadChild(this, link.element)
         return await child.get(key, hash)
         /* c8 ignore next 3 */
       } else {
@@ -411,25 +762,12 @@ export class IAMap {
     } else { // we don't have an element for this hash portion, not found
       return undefined
     }
-
-    /*
-    const traversal = traverseGet(this, key, this.store.isEqual, this.store.isLink, this.depth)
-    while (true) {
-      const nextId = traversal.traverse()
-      if (!nextId) {
-        return traversal.value()
-      }
-      const child = await this.store.load(nextId)
-      assert(!!child)
-      traversal.next(child)
-    }
-    */
   }
 
   /**
    * Asynchronously find and return a boolean indicating whether the given `key` exists within this `IAMap`
    *
-   * @param {string|Uint8Array} key - A key to check for existence within this `IAMap`. See
+   * @param {any} key - A key to check for existence within this `IAMap`. See
    * {@link IAMap#set} for details about acceptable `key` types.
    * @returns {Promise<boolean>} A `Promise` that resolves to either `true` or `false` depending on whether the `key` exists
    * within this `IAMap`.
@@ -439,102 +777,235 @@ export class IAMap {
     return (await this.get(key)) !== undefined
   }
 
+  /**
+   * Asynchronously collect the nodes needed to prove that `key` is, or is not, present within this `IAMap`, so that
+   * it can be checked against the ID of this `IAMap` by a party that does not have access to the backing store. See
+   * {@link iamap.verifyProof}.
+   *
+   * The proof is an array of the serialized forms of the nodes on the path from this node to the bucket that holds
+   * the `key`, or to the empty slot or bucket that shows it is absent. The first node is this node and each node
+   * after it is the child linked from the node before. Inlined child nodes are part of their parents so are not
+   * listed separately.
+   *
+   * @param {any} key - A key to prove the presence or absence of. See {@link IAMap#set} for details
+   * about acceptable `key` types.
+   * @returns {Promise<(SerializedNode|SerializedRoot|KeyedNode|KeyedRoot)[]>} A `Promise` that resolves to an array of serialized nodes.
+   * @async
+   */
+  async prove (key) {
+    if (this.id === null) {
+      throw new Error('Cannot prove() an IAMap that has not been saved')
+    }
+    key = encodeKey(this.config.keyCodec, key)
+    const hash = await hasher(this)(key)
+    // the trie of an IASet can't be proven, so this is never a SerializedSetRoot
+    const root = /** @type {SerializedNode|SerializedRoot|KeyedNode|KeyedRoot} */ (this.toSerializable())
+    /** @type {(SerializedNode|SerializedRoot|KeyedNode|KeyedRoot)[]} */
+    const proof = [root]
+    /** @type {IAMap<T>} */
+    let node = this
+    while (true) {
+      const bitpos = mask(hash, node.depth, node.config.bitWidth)
+      if (!bitmapHas(node.map, bitpos)) {
+        return proof
+      }
+      const { link } = findElement(node, bitpos, key)
+      if (!link) {
+        return proof
+      }
+      node = await loadChild(node, link.element)
+      if (!link.element.inline) {
+        proof.push(/** @type {SerializedNode|KeyedNode} */ (node.toSerializable()))
+      }
+    }
+  }
+
   /**
    * Asynchronously create a new `IAMap` instance identical to this one but with `key` and its associated
    * value removed. If the `key` does not exist within this `IAMap`, this instance of `IAMap` is returned.
    *
-   * @param {string|Uint8Array} key - A key to remove. See {@link IAMap#set} for details about
+   * @param {any} key - A key to remove. See {@link IAMap#set} for details about
    * acceptable `key` types.
-   * @param {Uint8Array} [_cachedHash] - for internal use
    * @returns {Promise<IAMap<T>>} A `Promise` that resolves to a new `IAMap` instance without the given `key` or the same `IAMap`
    * instance if `key` does not exist within it.
    * @async
    */
-  async delete (key, _cachedHash) {
-    if (!(key instanceof Uint8Array)) {
-      key = textEncoder.encode(key)
-    }
-    const hash = _cachedHash instanceof Uint8Array ? _cachedHash : await hasher(this)(key)
+  async delete (key) {
+    key = encodeKey(this.config.keyCodec, key)
+    const hash = await hasher(this)(key)
     assert(hash instanceof Uint8Array)
-    const bitpos = mask(hash, this.depth, this.config.bitWidth)
+    return saveTree(this.store, await deleteEntry(this, key, hash))
+  }
 
-    if (bitmapHas(this.map, bitpos)) { // should be in a bucket in this node
-      const { data, link } = findElement(this, bitpos, key)
-      if (data) {
-        if (data.found) {
-          /* c8 ignore next 3 */
-          if (data.bucketIndex === undefined) {
-            throw new Error('Unexpected error')
-          }
-          if (this.depth !== 0 && this.directNodeCount() === 0 && this.directEntryCount() === this.config.bucketSize + 1) {
-            // current node will only have this.config.bucketSize entries spread across its buckets
-            // and no child nodes, so wrap up the remaining nodes in a fresh IAMap at depth 0, it will
-            // bubble up to either become the new root node or be unpacked by a higher level
-            return collapseIntoSingleBucket(this, hash, data.elementAt, data.bucketIndex)
-          } else {
-            // we'll either have more entries left than this.config.bucketSize or we're at the root node
-            // so this is a simple bucket removal, no collapsing needed (root nodes can't be collapsed)
-            const lastInBucket = this.data.length === 1
-            // we have at least one child node or too many entries in buckets to be collapsed
-            const newData = removeFromBucket(this.data, data.elementAt, lastInBucket, data.bucketIndex)
-            let newMap = this.map
-            if (lastInBucket) {
-              newMap = setBit(newMap, bitpos, false)
-            }
-            return create(this.store, this.config, newMap, this.depth, newData)
-          }
-        } else {
-          // key would be located here according to hash, but we don't have it
-          return this
-        }
-      } else if (link) {
-        const child = await load(this.store, link.element.link, this.depth + 1, this.config)
-        assert(!!child)
-        const newChild = await child.delete(key, hash)
-        if (this.store.isEqual(newChild.id, link.element.link)) { // no modification
-          return this
-        }
+  /**
+   * @ignore
+   * @overload
+   * @param {BatchOperation[]} operations
+   * @returns {Promise<IAMap<T>>}
+   */
+  /**
+   * @ignore
+   * @overload
+   * @returns {Batch<T>}
+   */
+  /**
+   * Apply many `set()` and `delete()` operations to this `IAMap` in a single pass, creating a new `IAMap` containing
+   * the result of all of them.
+   *
+   * ```js
+   * map = await map.batch([
+   *   { type: 'put', key: 'foo', value: 'bar' },
+   *   { type: 'del', key: 'baz' }
+   * ])
+   * // or the chained form
+   * map = await map.batch().put('foo', 'bar').del('baz').write()
+   * ```
+   *
+   * Operations are grouped by the hash of their keys and applied to nodes held in memory, so only the nodes that form
+   * the final `IAMap` are saved to the backing store, each of them exactly once. Applying the operations one at a
+   * time with `set()` and `delete()` will produce the same nodes, but will also save every intermediate node along
+   * the way. Where more than one operation addresses the same key, the last one takes effect.
+   *
+   * When called without an `operations` array, a chained batch is returned with `put(key, value)`, `del(key)` and
+   * `write()` methods; `write()` applies the collected operations and resolves to the new `IAMap`.
+   *
+   * @param {BatchOperation[]} [operations] - An array of `{ type: 'put', key, value }` and `{ type: 'del', key }`
+   * operations. See {@link IAMap#set} for details about acceptable `key` types.
+   * @returns {Promise<IAMap<T>>|Batch<T>} A `Promise` that resolves to a new `IAMap` instance with all operations
+   * applied (or the same `IAMap` instance if nothing changed), or a chained batch if `operations` is not provided.
+   */
+  batch (operations) {
+    if (operations === undefined) {
+      return new Batch(this)
+    }
+    return applyBatch(this, operations)
+  }
 
-        assert(newChild.data.length > 0) // something probably went wrong in the map block above
-
-        if (newChild.directNodeCount() === 0 && newChild.directEntryCount() === this.config.bucketSize) {
-          // child got collapsed
-          if (this.directNodeCount() === 1 && this.directEntryCount() === 0) {
-            // we only had one node to collapse and the child was collapsible so end up acting the same
-            // as the child, bubble it up and it either becomes the new root or finds a parent to collapse
-            // in to (next section)
-            return newChild
-          } else {
-            // extract data elements from this returned node and merge them into ours
-            return collapseNodeInline(this, bitpos, newChild)
-          }
-        } else {
-          // simple node replacement with edited child
-          return updateNode(this, link.elementAt, newChild)
+  /**
+   * Begin a transaction: a mutable working copy of this `IAMap` for making many changes where only the final result
+   * matters.
+   *
+   * ```js
+   * const tx = map.transaction()
+   * await tx.set('foo', 'bar')
+   * await tx.delete('baz')
+   * await tx.get('foo') // 'bar'
+   * map = await tx.commit()
+   * ```
+   *
+   * The transaction has asynchronous `set(key, value)`, `delete(key)`, `get(key)` and `has(key)` methods that
+   * behave as they do on an `IAMap` except that changes are made to nodes held in memory and are not saved to the
+   * backing store. Reads within the transaction see the changes made so far. Only nodes that have been changed are
+   * held in memory, the rest are loaded from the store as needed. Operations are applied in the order they are
+   * called, even if they are not awaited.
+   *
+   * `commit()` saves the changed nodes, from the bottom up, each one exactly once, and resolves to a new `IAMap`
+   * (or this `IAMap` if nothing changed). `abort()` discards the changes. Once committed or aborted, the
+   * transaction can no longer be used.
+   *
+   * This `IAMap` is not modified by the transaction.
+   *
+   * @returns {Transaction<T>} A new transaction
+   */
+  transaction () {
+    return new Transaction(this)
+  }
+
+  /**
+   * ```js
+   * const wider = await map.reconfigure({ bitWidth: 8 }, {
+   *   async onProgress ({ copied, checkpoint }) {
+   *     await saveCheckpoint(checkpoint) // to pass back as `checkpoint` if interrupted
+   *   }
+   * })
+   * ```
+   *
+   * Asynchronously copy the entries of this `IAMap` into a new map, in the same backing store, with different
+   * options, such as a new `bitWidth`, `bucketSize`, `hashAlg` or `hasher`. The options of a map are recorded in its
+   * nodes and can't be changed in place. Options that aren't given are carried over from this map; its hash function
+   * (`hashAlg`, `hasher` or `hashKey`) is carried over only where none of them are given. The `keyCodec` can't be
+   * changed: keys are copied as they are stored, encoded by this map's `keyCodec`.
+   *
+   * Entries are copied in batches of `batchSize`, read with {@link IAMap#page} and written with {@link IAMap#batch},
+   * so only a batch of entries is held in memory at a time. After each batch `onProgress()` is called with the number
+   * of entries copied so far and a `checkpoint`; where it returns a `Promise` it is awaited before the next batch.
+   * A copy that is interrupted can be resumed by passing the last `checkpoint` received, along with the same
+   * `newOptions`, to `reconfigure()` on this map. A checkpoint with a `null` `cursor` is complete.
+   *
+   * Nodes of the new map from earlier batches are left in the backing store, see {@link iamap.reachable} for finding
+   * the nodes that are no longer needed.
+   *
+   * @param {Options} newOptions - Options for the new map, as given to {@link iamap.create}.
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=1000] - The number of entries to copy at a time.
+   * @param {function({ copied: number, checkpoint: ReconfigureCheckpoint }):any} [options.onProgress] - Called after
+   * each batch is copied.
+   * @param {ReconfigureCheckpoint} [options.checkpoint] - A checkpoint given to `onProgress()`, to resume a copy from.
+   * @returns {Promise<IAMap<T>>} A `Promise` resolving to the new `IAMap`.
+   * @async
+   */
+  async reconfigure (newOptions, options = {}) {
+    const batchSize = options.batchSize !== undefined ? options.batchSize : defaultBatchSize
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new TypeError('Invalid `batchSize` option, must be an integer greater than 0')
+    }
+    if (options.onProgress !== undefined && typeof options.onProgress !== 'function') {
+      throw new TypeError('Invalid `onProgress` option, must be a function')
+    }
+    const targetOptions = reconfiguredOptions(this.config, newOptions)
+    const checkpoint = options.checkpoint
+    let target
+    if (checkpoint !== undefined) {
+      if (!checkpoint || checkpoint.id == null || (checkpoint.cursor !== null && typeof checkpoint.cursor !== 'string') ||
+          !Number.isInteger(checkpoint.copied) || checkpoint.copied < 0) {
+        throw new TypeError('Invalid `checkpoint` option, must be of type: { id, cursor:string|null, copied:number }')
+      }
+      target = await load(this.store, checkpoint.id, runtimeOptions(targetOptions))
+      const expected = buildConfig(targetOptions)
+      for (const option of /** @type {(keyof Config)[]} */ (['hashAlg', 'bitWidth', 'bucketSize', 'inlineThreshold', 'counted', 'keyCodec', 'format'])) {
+        if (target.config[option] !== expected[option]) {
+          throw new Error(`The \`checkpoint\` is for a map with a different \`${option}\``)
         }
-        /* c8 ignore next 3 */
-      } else {
-        throw new Error('Unexpected error')
       }
-    } else { // we don't have an element for this hash portion
-      return this
+    } else {
+      target = await create(this.store, targetOptions)
+    }
+
+    let cursor = checkpoint ? checkpoint.cursor : null
+    let copied = checkpoint ? checkpoint.copied : 0
+    let complete = checkpoint !== undefined && cursor === null
+    while (!complete) {
+      const page = await this.page({ limit: batchSize, cursor })
+      target = await applyBatch(target, page.entries.map(({ key, value }) => ({ type: 'put', key, value })))
+      copied += page.entries.length
+      cursor = page.next
+      complete = cursor === null
+      if (options.onProgress) {
+        await options.onProgress({ copied, checkpoint: { id: target.id, cursor, copied } })
+      }
     }
+    return target
   }
 
   /**
    * Asynchronously count the number of key/value pairs contained within this `IAMap`, including its children.
+   * Where the map is `counted` (see {@link iamap.create}) this is read from this node and no child nodes are loaded.
    *
+   * @param {TraverseOptions} [options] - `{ concurrency }`, the number of sibling child nodes to load in parallel
+   * (default `1`). See {@link IAMap#entries}.
    * @returns {Promise<number>} A `Promise` with a `number` indicating the number of key/value pairs within this `IAMap` instance.
    * @async
    */
-  async size () {
+  async size (options) {
+    if (this.count !== null) {
+      return this.count
+    }
     let c = 0
-    for (const e of this.data) {
-      if (e.bucket) {
-        c += e.bucket.length
+    for await (const { element, child } of elements(this, options)) {
+      if (element.bucket) {
+        c += element.bucket.length
       } else {
-        const child = await load(this.store, e.link, this.depth + 1, this.config)
-        c += await child.size()
+        c += await /** @type {IAMap<T>} */ (child).size(options)
       }
     }
     return c
@@ -544,19 +1015,26 @@ export class IAMap {
    * Asynchronously emit all keys that exist within this `IAMap`, including its children. This will cause a full
    * traversal of all nodes.
    *
-   * @returns {AsyncGenerator<Uint8Array>} An async iterator that yields keys. All keys will be in `Uint8Array` format regardless of which
-   * format they were inserted via `set()`.
+   * @param {IterateOptions} [options] - See {@link IAMap#entries} for ordering and concurrency options.
+   * @returns {AsyncGenerator<any>} An async iterator that yields keys. All keys will be in `Uint8Array` format regardless of which
+   * format they were inserted via `set()`, unless the map has a `keyCodec` (see {@link iamap.create}), in which case they
+   * are decoded with it.
    * @async
    */
-  async * keys () {
-    for (const e of this.data) {
-      if (e.bucket) {
-        for (const kv of e.bucket) {
-          yield kv.key
+  async * keys (options) {
+    if (iterationOrder(options) === 'key') {
+      for await (const { key } of keyOrderEntries(this, options)) {
+        yield decodeKey(this.config.keyCodec, key)
+      }
+      return
+    }
+    for await (const { element, child } of elements(this, options)) {
+      if (element.bucket) {
+        for (const kv of element.bucket) {
+          yield decodeKey(this.config.keyCodec, kv.key)
         }
       } else {
-        const child = await load(this.store, e.link, this.depth + 1, this.config)
-        yield * child.keys()
+        yield * /** @type {IAMap<T>} */ (child).keys(options)
       }
     }
 
@@ -567,18 +1045,24 @@ export class IAMap {
    * Asynchronously emit all values that exist within this `IAMap`, including its children. This will cause a full
    * traversal of all nodes.
    *
+   * @param {IterateOptions} [options] - See {@link IAMap#entries} for ordering and concurrency options.
    * @returns {AsyncGenerator<any>} An async iterator that yields values.
    * @async
    */
-  async * values () {
-    for (const e of this.data) {
-      if (e.bucket) {
-        for (const kv of e.bucket) {
+  async * values (options) {
+    if (iterationOrder(options) === 'key') {
+      for await (const { value } of keyOrderEntries(this, options)) {
+        yield value
+      }
+      return
+    }
+    for await (const { element, child } of elements(this, options)) {
+      if (element.bucket) {
+        for (const kv of element.bucket) {
           yield kv.value
         }
       } else {
-        const child = await load(this.store, e.link, this.depth + 1, this.config)
-        yield * child.values()
+        yield * /** @type {IAMap<T>} */ (child).values(options)
       }
     }
 
@@ -589,43 +1073,103 @@ export class IAMap {
    * Asynchronously emit all { key, value } pairs that exist within this `IAMap`, including its children. This will
    * cause a full traversal of all nodes.
    *
-   * @returns {AsyncGenerator<{ key: Uint8Array, value: any}>} An async iterator that yields objects with the properties `key` and `value`.
+   * By default, entries are emitted in the order they are stored, which is determined by the hashes of their keys.
+   * This order is stable for a given set of keys but is otherwise meaningless. With `{ order: 'key' }`, entries are
+   * emitted sorted by the bytes of their keys instead:
+   *
+   * ```js
+   * for await (const { key, value } of map.entries({ order: 'key' })) {
+   *   // ...
+   * }
+   * ```
+   *
+   * Because keys sorted by their bytes are scattered throughout the map, key order is more costly. Up to
+   * `windowSize` entries are held in memory at a time: a full traversal of the map finds the smallest `windowSize`
+   * keys, which are then emitted, and then another full traversal finds the next `windowSize` keys after the last one
+   * emitted, and so on. A map of `n` entries therefore takes `ceil(n / windowSize)` full traversals, and nothing is
+   * emitted until the first traversal is complete. A `windowSize` at least as large as the map will sort it in a
+   * single traversal, holding every entry in memory, which is the same cost as collecting all entries and sorting
+   * them; a smaller `windowSize` bounds memory use at the cost of loading every node once per window. Using a `cache`
+   * (see {@link iamap.create}) can reduce the cost of repeated traversals.
+   *
+   * Child nodes are loaded one at a time by default. Where the backing store has latency, such as a disk or network,
+   * a `concurrency` greater than `1` will load up to that many sibling child nodes in parallel, ahead of the
+   * traversal. Entries are emitted in the same order regardless. Loading ahead only continues as entries are consumed,
+   * so memory use remains bounded when the consumer is slow: at most `concurrency` nodes are held, loaded but not yet
+   * visited, at each level of the map.
+   *
+   * @param {IterateOptions} [options] - `{ order, windowSize, concurrency }` where `order` is `'hash'` (the default)
+   * for storage order or `'key'` for key byte order, `windowSize` (default `1000`) is the maximum number of entries
+   * held in memory for `'key'` order and `concurrency` (default `1`) is the number of sibling child nodes to load in
+   * parallel.
+   * @returns {AsyncGenerator<{ key: any, value: any}>} An async iterator that yields objects with the properties `key` and `value`.
    * @async
    */
-  async * entries () {
-    for (const e of this.data) {
-      if (e.bucket) {
-        for (const kv of e.bucket) {
-          yield { key: kv.key, value: kv.value }
-        }
-      } else {
-        const child = await load(this.store, e.link, this.depth + 1, this.config)
-        yield * child.entries()
-      }
+  async * entries (options) {
+    const source = iterationOrder(options) === 'key' ? keyOrderEntries(this, options) : storedEntries(this, options)
+    for await (const { key, value } of source) {
+      yield { key: decodeKey(this.config.keyCodec, key), value }
     }
-
-    // yield * traverseKV(this, 'entries', this.store.isLink)
   }
 
   /**
-   * Asynchronously emit the IDs of this `IAMap` and all of its children.
+   * Asynchronously fetch a page of entries from this `IAMap`, in the same order as {@link IAMap#entries}, along with a
+   * cursor that can be used to fetch the next page.
    *
-   * @returns {AsyncGenerator<any>} An async iterator that yields the ID of this `IAMap` and all of its children. The type of ID is
-   * determined by the backing store which is responsible for generating IDs upon `save()` operations.
+   * ```js
+   * let { entries, next } = await map.page({ limit: 100 })
+   * // ... later, perhaps in another process with a map loaded from the same root ID
+   * ({ entries, next } = await map.page({ limit: 100, cursor: next }))
+   * ```
+   *
+   * The cursor is an opaque string recording the position in the map of the first entry that wasn't returned, by
+   * the slot it occupies at each level of the map and its index within its bucket. Fetching the next page loads only
+   * the nodes on the path to that position and those that follow it, earlier parts of the map are not walked again.
+   *
+   * A cursor is only meaningful for the map it was created from (i.e. the same root ID). Using it with another
+   * version of the map, after entries have been added or removed, may skip or repeat entries, and is rejected where
+   * the cursor's position doesn't match the structure of the map, such as where a bucket has become a child node.
+   *
+   * @param {Object} options
+   * @param {number} options.limit - The maximum number of entries to return.
+   * @param {string|null} [options.cursor] - The `next` cursor from a previous page, or `null` or absent for the first
+   * page.
+   * @returns {Promise<{ entries: { key: any, value: any }[], next: string|null }>} A `Promise` resolving to up to
+   * `limit` entries and the cursor for the next page, which is `null` when there are no more entries.
+   * @async
    */
-  async * ids () {
-    yield this.id
-    for (const e of this.data) {
-      if (e.link) {
-        const child = await load(this.store, e.link, this.depth + 1, this.config)
-        yield * child.ids()
+  async page (options) {
+    if (!options || !Number.isInteger(options.limit) || options.limit < 1) {
+      throw new TypeError('Invalid `limit` option, must be an integer greater than 0')
+    }
+    const position = options.cursor == null ? null : decodeCursor(options.cursor)
+    const entries = []
+    for await (const { path, key, value } of entriesFrom(this, position)) {
+      if (entries.length === options.limit) {
+        return { entries, next: encodeCursor(path) }
       }
+      entries.push({ key: decodeKey(this.config.keyCodec, key), value })
     }
+    return { entries, next: null }
   }
 
   /**
-   * Returns a serialisable form of this `IAMap` node. The internal representation of this local node is copied into a plain
-   * JavaScript `Object` including a representation of its data array that the key/value pairs it contains as well as
+   * Asynchronously emit the IDs of this `IAMap` and all of its children. Child nodes that are inlined within their
+   * parent (see the `inlineThreshold` option of {@link iamap.create}) don't have IDs of their own so are not included.
+   *
+   * @param {TraverseOptions} [options] - `{ concurrency }`, the number of sibling child nodes to load in parallel
+   * (default `1`). See {@link IAMap#entries}.
+   * @returns {AsyncGenerator<any>} An async iterator that yields the ID of this `IAMap` and all of its children. The type of ID is
+   * determined by the backing store which is responsible for generating IDs upon `save()` operations.
+   */
+  async * ids (options) {
+    yield this.id
+    yield * childIds(this, options)
+  }
+
+  /**
+   * Returns a serialisable form of this `IAMap` node. The internal representation of this local node is copied into a plain
+   * JavaScript `Object` including a representation of its data array that the key/value pairs it contains as well as
    * the identifiers of child nodes.
    * Root nodes (depth==0) contain the full map configuration information, while intermediate and leaf nodes contain only
    * data that cannot be inferred by traversal from a root node that already has this data (hashAlg and bucketSize -- bitWidth
@@ -642,6 +1186,10 @@ export class IAMap {
    * {
    *   hashAlg: number
    *   bucketSize: number
+   *   inlineThreshold: number // only present where inlining is enabled
+   *   counted: true // only present where link counts are enabled
+   *   keyCodec: string // only present where a key codec is used
+   *   hashKey: string // only present for keyed maps, the id of their secret
    *   hamt: [Uint8Array, Array]
    * }
    * ```
@@ -653,24 +1201,50 @@ export class IAMap {
    *
    * The `Uint8Array` in both forms is the 'map' used to identify the presence of an element in this node.
    *
-   * The second element in the tuple in both forms, `Array`, is an elements array a mix of either buckets or links:
+   * The second element in the tuple in both forms, `Array`, is an elements array a mix of buckets, links and inlined
+   * child nodes:
    *
-   * * A bucket is an array of two elements, the first being a `key` of type `Uint8Array` and the second a `value`
-   *   or whatever type has been provided in `set()` operations for this `IAMap`.
+   * * A bucket is an array of entries, each of which is an array of two elements, the first being a `key` of type
+   *   `Uint8Array` and the second a `value` or whatever type has been provided in `set()` operations for this `IAMap`.
    * * A link is an object of the type that the backing store provides upon `save()` operations and can be identified
-   *   with `isLink()` calls.
+   *   with `isLink()` calls. In a `counted` map (see {@link iamap.create}) a link is an array of two elements, the
+   *   link and the number of entries within the child node it links to.
+   * * An inlined child node is the intermediate node form, `[Uint8Array, Array]`, of a child node small enough to fit
+   *   within the `inlineThreshold` (see {@link iamap.create}).
    *
    * Buckets and links are differentiated by their "kind": a bucket is an array while a link is a "link" kind as dictated
-   * by the backing store. We use `Array.isArray()` and `store.isLink()` to perform this differentiation.
+   * by the backing store. We use `Array.isArray()` and `store.isLink()` to perform this differentiation. An inlined
+   * child node is an array whose first element is a `Uint8Array`, where a bucket's first element is an array.
+   *
+   * Maps created with the `ipld` format (see {@link iamap.create}) instead use the block layout of the
+   * [IPLD HashMap specification](https://github.com/ipld/specs/blob/master/data-structures/hashmap.md), with named
+   * fields in place of the tuple and a keyed union for elements so they can be differentiated without `isLink()`:
+   *
+   * ```
+   * {
+   *   hashAlg: string // the multicodec name of the hash function, e.g. 'murmur3-32'
+   *   bucketSize: number
+   *   map: Uint8Array
+   *   data: Array
+   * }
+   * ```
+   *
+   * Intermediate and leaf nodes are `{ map: Uint8Array, data: Array }` and each element of `data` is either
+   * `{ "0": link }` or `{ "1": bucket }`.
    *
-   * @returns {SerializedNode|SerializedRoot} An object representing the internal state of this local `IAMap` node, including its links to child nodes
+   * @returns {SerializedNode|SerializedRoot|SerializedSetRoot|KeyedNode|KeyedRoot} An object representing the internal state of this local `IAMap` node, including its links to child nodes
    * if any.
    */
   toSerializable () {
     const map = this.map
     const data = this.data.map((/** @type {Element} */ e) => {
-      return e.toSerializable()
+      return e.toSerializable(this.config.format, this.config.keysOnly)
     })
+    if (this.config.format === 'ipld') {
+      return this.depth !== 0
+        ? { map, data }
+        : { hashAlg: /** @type {string} */ (hashAlgNames.get(this.config.hashAlg)), bucketSize: this.config.bucketSize, map, data }
+    }
     /**
      * @ignore
      * @type {SerializedNode}
@@ -681,13 +1255,25 @@ export class IAMap {
     }
     /**
      * @ignore
-     * @type {SerializedElement}
+     * @type {SerializedRoot|SerializedSetRoot}
      */
-    return {
-      hashAlg: this.config.hashAlg,
-      bucketSize: this.config.bucketSize,
-      hamt
+    const root = this.config.keysOnly
+      ? { hashAlg: this.config.hashAlg, bucketSize: this.config.bucketSize, hamtSet: hamt }
+      : { hashAlg: this.config.hashAlg, bucketSize: this.config.bucketSize, hamt }
+    if (this.config.inlineThreshold) {
+      // only present where inlining is enabled so roots of maps without it are unchanged
+      root.inlineThreshold = this.config.inlineThreshold
+    }
+    if (this.config.counted) {
+      root.counted = true
     }
+    if (this.config.keyCodec !== undefined) {
+      root.keyCodec = this.config.keyCodec
+    }
+    if (this.config.hashKey !== undefined) {
+      root.hashKey = this.config.hashKey.id // never the secret
+    }
+    return root
   }
 
   /**
@@ -742,6 +1328,61 @@ export class IAMap {
     return inv1 && inv2 && inv3 && inv4 && inv5
   }
 
+  /**
+   * Get the number of child node loads made by this `IAMap`, its children and the maps derived from it that were
+   * served by the `cache` (see {@link iamap.create}), and the number that had to be loaded from the backing store.
+   * Both are `0` where no `cache` is in use.
+   *
+   * @returns {CacheStats} An object of the form `{ hits, misses }`.
+   */
+  cacheStats () {
+    const stats = this.config.cacheStats
+    return stats ? { hits: stats.hits, misses: stats.misses } : { hits: 0, misses: 0 }
+  }
+
+  /**
+   * ```js
+   * const { nodes, depths, buckets, fill, size } = await map.stats({ sizeOf: (node) => dagCbor.encode(node).length })
+   * ```
+   *
+   * Asynchronously measure the shape of this `IAMap` and its children, to help choose a `bitWidth` and `bucketSize`
+   * (see {@link iamap.create}) that suit its keys. This performs a full traversal of the map. Depths are counted from
+   * this node, which is usually the root. See {@link iamap.simulate} to compare the shapes that different options
+   * would give the same keys.
+   *
+   * @param {StatsOptions} [options] - `{ sizeOf, concurrency }`, where `sizeOf(node)` returns the size of the
+   * serialized form of a node (see {@link IAMap#toSerializable}), such as the length of its encoded bytes, the
+   * backing store's `sizeOf()` is used where it isn't provided. `concurrency` is the number of sibling child nodes to
+   * load in parallel (default `1`), see {@link IAMap#entries}.
+   * @returns {Promise<MapStats>} A `Promise` resolving to an object with the properties:
+   * * `nodes`: the number of nodes, including inlined children
+   * * `entries`: the number of key/value pairs
+   * * `maxDepth`: the depth of the deepest node, `0` where there are no child nodes
+   * * `depths`: the number of nodes at each depth, `depths[0]` is `1`
+   * * `buckets`: the number of buckets holding each number of entries, `buckets[2]` is the number holding 2 entries
+   * * `fill`: for each depth, the average proportion of the slots in the bitmaps of the nodes at that depth that are
+   *   in use, between `0` and `1`
+   * * `size`: `{ total, average }`, the total and average size of the nodes that are stored, inlined children are
+   *   included in the size of their parent; `null` where there is no `sizeOf()`
+   * @async
+   */
+  async stats (options) {
+    const sizeOf = options && options.sizeOf !== undefined ? options.sizeOf : this.store.sizeOf
+    if (sizeOf !== undefined && typeof sizeOf !== 'function') {
+      throw new TypeError('Invalid `sizeOf` option, must be a function')
+    }
+    /** @type {MapStats} */
+    const stats = { nodes: 0, entries: 0, maxDepth: 0, depths: [], buckets: [], fill: [], size: null }
+    const tally = { stats, slots: [0], stored: 0, total: 0 }
+    await collectStats(this, this, false, tally, sizeOf, options)
+    const slotCount = 2 ** this.config.bitWidth
+    stats.fill = tally.slots.map((used, depth) => used / (stats.depths[depth] * slotCount))
+    if (sizeOf) {
+      stats.size = { total: tally.total, average: tally.total / tally.stored }
+    }
+    return stats
+  }
+
   /**
    * A convenience shortcut to {@link iamap.fromSerializable} that uses this IAMap node instance's backing `store` and
    * configuration `options`. Intended to be used to instantiate child IAMap nodes from a root IAMap node.
@@ -756,416 +1397,3296 @@ export class IAMap {
 }
 
 /**
- * store a new node and assign it an ID
- * @ignore
+ * ```js
+ * let set = await iamap.createSet(store, { hashAlg: 0x23 })
+ * set = await set.add('foo')
+ * await set.has('foo') // true
+ * for await (const key of set) {
+ *   // ...
+ * }
+ * ```
+ *
+ * An immutable, asynchronous set of keys. An `IASet` is the trie of an {@link IAMap} without the values: its buckets
+ * hold keys alone, and its root node is marked by a `hamtSet` property in place of `hamt` so that it can't be loaded
+ * as an `IAMap`, nor an `IAMap` as an `IASet`. Its child nodes have the same form as those of an `IAMap`, see
+ * {@link IAMap#toSerializable}.
+ *
+ * Create a new `IASet` with {@link iamap.createSet} or load an existing one with {@link iamap.loadSet}. Each
+ * mutation returns a new `IASet`, leaving this one unchanged.
+ *
+ * @class
  * @template T
- * @param {Store<T>} store
- * @param {IAMap<T>} newNode
- * @returns {Promise<IAMap<T>>}
+ * @property {any} id - The ID of the root node of this `IASet`, as provided by the backing store.
+ * @property {Config} config - The configuration of this `IASet`, see {@link iamap.createSet}.
  */
-async function save (store, newNode) {
-  const id = await store.save(newNode.toSerializable())
-  newNode.id = id
-  return newNode
+export class IASet {
+  /**
+   * @ignore
+   * @param {IAMap<T>} trie - the nodes holding the keys, the value of each is `true`
+   */
+  constructor (trie) {
+    /**
+     * @ignore
+     * @type {IAMap<T>}
+     */
+    this.trie = trie
+    this.id = trie.id
+    this.config = trie.config
+  }
+
+  /**
+   * Asynchronously create a new `IASet` instance identical to this one but with `key` added.
+   *
+   * @param {any} key - A key to add, see {@link IAMap#set} for details about acceptable `key` types.
+   * @returns {Promise<IASet<T>>} A `Promise` containing a new `IASet` that contains `key`, or this `IASet` if it
+   * already did.
+   * @async
+   */
+  async add (key) {
+    return this.derive(await this.trie.set(key, true))
+  }
+
+  /**
+   * Asynchronously create a new `IASet` instance identical to this one but with `key` removed.
+   *
+   * @param {any} key - A key to remove, see {@link IAMap#set} for details about acceptable `key` types.
+   * @returns {Promise<IASet<T>>} A `Promise` containing a new `IASet` that doesn't contain `key`, or this `IASet` if
+   * it didn't.
+   * @async
+   */
+  async delete (key) {
+    return this.derive(await this.trie.delete(key))
+  }
+
+  /**
+   * Asynchronously find whether `key` is a member of this `IASet`.
+   *
+   * @param {any} key - A key to check for, see {@link IAMap#set} for details about acceptable `key` types.
+   * @returns {Promise<boolean>} A `Promise` that resolves to `true` where `key` is in this `IASet`.
+   * @async
+   */
+  async has (key) {
+    return this.trie.has(key)
+  }
+
+  /**
+   * Asynchronously count the number of keys in this `IASet`. See {@link IAMap#size}.
+   *
+   * @param {TraverseOptions} [options] - `{ concurrency }`, see {@link IAMap#entries}.
+   * @returns {Promise<number>} A `Promise` with the number of keys.
+   * @async
+   */
+  async size (options) {
+    return this.trie.size(options)
+  }
+
+  /**
+   * Asynchronously emit all keys in this `IASet`. An `IASet` is also an async iterable of its keys.
+   *
+   * @param {IterateOptions} [options] - See {@link IAMap#entries} for ordering and concurrency options.
+   * @returns {AsyncGenerator<any>} An async iterator that yields keys, as `Uint8Array`s unless the set has a
+   * `keyCodec`, as {@link IAMap#keys} does.
+   * @async
+   */
+  async * keys (options) {
+    yield * this.trie.keys(options)
+  }
+
+  /**
+   * @returns {AsyncGenerator<any>}
+   */
+  [Symbol.asyncIterator] () {
+    return this.keys()
+  }
+
+  /**
+   * Asynchronously emit the IDs of the root node of this `IASet` and all of its children. See {@link IAMap#ids}.
+   *
+   * @param {TraverseOptions} [options] - `{ concurrency }`, see {@link IAMap#entries}.
+   * @returns {AsyncGenerator<any>} An async iterator that yields IDs.
+   */
+  async * ids (options) {
+    yield * this.trie.ids(options)
+  }
+
+  /**
+   * Returns the serializable form of the root node of this `IASet`:
+   *
+   * ```
+   * {
+   *   hashAlg: number
+   *   bucketSize: number
+   *   inlineThreshold: number // only present where inlining is enabled
+   *   counted: true // only present where link counts are enabled
+   *   keyCodec: string // only present where a key codec is used
+   *   hashKey: string // only present for keyed sets, the id of their secret
+   *   hamtSet: [Uint8Array, Array]
+   * }
+   * ```
+   *
+   * Child nodes are of the form `[Uint8Array, Array]`, as described for {@link IAMap#toSerializable}, other than
+   * their buckets, which are arrays of keys rather than of `[key, value]` pairs.
+   *
+   * @returns {SerializedSetRoot}
+   */
+  toSerializable () {
+    return /** @type {SerializedSetRoot} */ (this.trie.toSerializable())
+  }
+
+  /**
+   * @ignore
+   * @param {IAMap<T>} trie
+   * @returns {IASet<T>}
+   */
+  derive (trie) {
+    return trie === this.trie ? this : new IASet(trie)
+  }
 }
 
 /**
- * // utility function to avoid duplication since it's used across get(), set() and delete()
- * { bucket: { found: true, elementAt, element, bucketIndex, bucketEntry } }
- * { bucket: { found: false, elementAt, element } }
- * { link: { elementAt, element } }
+ * add the shape of `node` and its children to the `tally` for IAMap#stats()
  * @ignore
  * @template T
+ * @param {IAMap<T>} root - where depths are counted from
  * @param {IAMap<T>} node
- * @param {number} bitpos
- * @param {Uint8Array} key
- * @returns {FoundElement}
+ * @param {boolean} inline - whether `node` is inlined in its parent, and so isn't stored by itself
+ * @param {{ stats: MapStats, slots: number[], stored: number, total: number }} tally
+ * @param {((node:any)=>number)|undefined} sizeOf
+ * @param {TraverseOptions} [options]
  */
-function findElement (node, bitpos, key) {
-  const elementAt = index(node.map, bitpos)
-  const element = node.data[elementAt]
-  assert(!!element)
-  if (element.bucket) { // data element
-    for (let bucketIndex = 0; bucketIndex < element.bucket.length; bucketIndex++) {
-      const bucketEntry = element.bucket[bucketIndex]
-      if (byteCompare(bucketEntry.key, key) === 0) {
-        return { data: { found: true, elementAt, element, bucketIndex, bucketEntry } }
-      }
+async function collectStats (root, node, inline, tally, sizeOf, options) {
+  const stats = tally.stats
+  const depth = node.depth - root.depth
+  stats.nodes++
+  stats.maxDepth = Math.max(stats.maxDepth, depth)
+  increment(stats.depths, depth, 1)
+  increment(tally.slots, depth, node.data.length)
+  if (sizeOf && !inline) {
+    tally.total += sizeOf(node.toSerializable())
+    tally.stored++
+  }
+  for await (const { element, child } of elements(node, options)) {
+    if (element.bucket) {
+      stats.entries += element.bucket.length
+      increment(stats.buckets, element.bucket.length, 1)
+    } else {
+      await collectStats(root, /** @type {IAMap<T>} */ (child), element.inline, tally, sizeOf, options)
     }
-    return { data: { found: false, elementAt, element } }
   }
-  assert(!!element.link)
-  return { link: { elementAt, element } }
 }
 
 /**
- * new element for this node, i.e. first time this hash portion has been seen here
+ * add to a histogram, growing it with zeros as needed
  * @ignore
- * @template T
- * @param {IAMap<T>} node
- * @param {number} bitpos
- * @param {Uint8Array} key
- * @param {any} value
- * @returns {Promise<IAMap<T>>}
+ * @param {number[]} histogram
+ * @param {number} at
+ * @param {number} by
  */
-async function addNewElement (node, bitpos, key, value) {
-  const insertAt = index(node.map, bitpos)
-  const newData = node.data.slice()
-  newData.splice(insertAt, 0, new Element([new KV(key, value)]))
-  const newMap = setBit(node.map, bitpos, true)
-  return create(node.store, node.config, newMap, node.depth, newData)
+function increment (histogram, at, by) {
+  while (histogram.length <= at) {
+    histogram.push(0)
+  }
+  histogram[at] += by
 }
 
 /**
- * update an existing bucket with a new k/v pair
+ * emit entries in storage order, with their keys as they are stored
  * @ignore
  * @template T
  * @param {IAMap<T>} node
- * @param {number} elementAt
- * @param {number} bucketAt
- * @param {Uint8Array} key
- * @param {any} value
- * @returns {Promise<IAMap<T>>}
+ * @param {TraverseOptions} [options]
+ * @returns {AsyncGenerator<{ key: Uint8Array, value: any }>}
  */
-async function updateBucket (node, elementAt, bucketAt, key, value) {
-  const oldElement = node.data[elementAt]
-  /* c8 ignore next 3 */
-  if (!oldElement.bucket) {
-    throw new Error('Unexpected error')
-  }
-  const newElement = new Element(oldElement.bucket.slice())
-  const newKv = new KV(key, value)
-  /* c8 ignore next 3 */
-  if (!newElement.bucket) {
-    throw new Error('Unexpected error')
-  }
-  if (bucketAt === -1) {
-    newElement.bucket.push(newKv)
-    // in-bucket sort is required to maintain a canonical state
-    newElement.bucket.sort((/** @type {KV} */ a, /** @type {KV} */ b) => byteCompare(a.key, b.key))
-  } else {
-    newElement.bucket[bucketAt] = newKv
+async function * storedEntries (node, options) {
+  for await (const { element, child } of elements(node, options)) {
+    if (element.bucket) {
+      for (const kv of element.bucket) {
+        yield { key: kv.key, value: kv.value }
+      }
+    } else {
+      yield * storedEntries(/** @type {IAMap<T>} */ (child), options)
+    }
   }
-  const newData = node.data.slice()
-  newData[elementAt] = newElement
-  return create(node.store, node.config, node.map, node.depth, newData)
 }
 
 /**
- * overflow of a bucket means it has to be replaced with a child node, tricky surgery
+ * emit entries in storage order starting from `position`, along with the position of each; a position is the bitpos
+ * of the slot at each level down to the entry followed by its index within its bucket
  * @ignore
  * @template T
  * @param {IAMap<T>} node
- * @param {number} elementAt
- * @returns {Promise<IAMap<T>>}
+ * @param {number[]|null} position
+ * @returns {AsyncGenerator<{ path: number[], key: Uint8Array, value: any }>}
  */
-async function replaceBucketWithNode (node, elementAt) {
-  let newNode = new IAMap(node.store, node.config, undefined, node.depth + 1)
-  const element = node.data[elementAt]
-  assert(!!element)
-  /* c8 ignore next 3 */
-  if (!element.bucket) {
-    throw new Error('Unexpected error')
+async function * entriesFrom (node, position) {
+  const start = position ? position[0] : 0
+  const slots = Math.pow(2, node.config.bitWidth)
+  let elementAt = index(node.map, Math.min(start, slots - 1))
+  for (let bitpos = start; bitpos < slots; bitpos++) {
+    if (!bitmapHas(node.map, bitpos)) {
+      continue
+    }
+    const element = node.data[elementAt++]
+    // the remainder of the position applies only to the slot we're resuming in
+    const rest = position !== null && bitpos === start ? position.slice(1) : null
+    // a position ends with the index in a bucket, a child node needs at least a slot within it and an index
+    if (rest !== null && (element.bucket ? rest.length !== 1 : rest.length < 2)) {
+      throw new TypeError('Invalid `cursor` option, it does not match the structure of the map')
+    }
+    if (element.bucket) {
+      for (let i = rest ? rest[0] : 0; i < element.bucket.length; i++) {
+        yield { path: [bitpos, i], key: element.bucket[i].key, value: element.bucket[i].value }
+      }
+    } else {
+      const child = await loadChild(node, element)
+      for await (const entry of entriesFrom(child, rest)) {
+        entry.path.unshift(bitpos)
+        yield entry
+      }
+    }
   }
-  for (const c of element.bucket) {
-    newNode = await newNode.set(c.key, c.value)
+}
+
+/**
+ * @ignore
+ * @param {number[]} path
+ * @returns {string}
+ */
+function encodeCursor (path) {
+  return path.join('.')
+}
+
+/**
+ * @ignore
+ * @param {string} cursor
+ * @returns {number[]}
+ */
+function decodeCursor (cursor) {
+  if (typeof cursor !== 'string' || !/^\d+(\.\d+)+$/.test(cursor)) {
+    throw new TypeError('Invalid `cursor` option')
   }
-  newNode = await save(node.store, newNode)
-  const newData = node.data.slice()
-  newData[elementAt] = new Element(undefined, newNode.id)
-  return create(node.store, node.config, node.map, node.depth, newData)
+  return cursor.split('.').map(Number)
 }
 
 /**
- * similar to addNewElement() but for new child nodes
  * @ignore
- * @template T
- * @param {IAMap<T>} node
- * @param {number} elementAt
- * @param {IAMap<T>} newChild
- * @returns {Promise<IAMap<T>>}
+ * @param {IterateOptions} [options]
+ * @returns {'hash'|'key'}
  */
-async function updateNode (node, elementAt, newChild) {
-  assert(!!newChild.id)
-  const newElement = new Element(undefined, newChild.id)
-  const newData = node.data.slice()
-  newData[elementAt] = newElement
-  return create(node.store, node.config, node.map, node.depth, newData)
+function iterationOrder (options) {
+  const order = options && options.order !== undefined ? options.order : 'hash'
+  if (order !== 'hash' && order !== 'key') {
+    throw new TypeError('Invalid `order` option, must be \'hash\' or \'key\'')
+  }
+  return order
 }
 
-// take a node, extract all of its local entries and put them into a new node with a single
-// bucket; used for collapsing a node and sending it upward
 /**
+ * emit all entries in key byte order, holding at most `windowSize` in memory at a time by making a full traversal for
+ * each window's worth of entries
  * @ignore
  * @template T
- * @param {IAMap<T>} node
- * @param {Uint8Array} hash
- * @param {number} elementAt
- * @param {number} bucketIndex
- * @returns {Promise<IAMap<T>>}
+ * @param {IAMap<T>} map
+ * @param {IterateOptions} [options]
+ * @returns {AsyncGenerator<{ key: Uint8Array, value: any }>}
  */
-function collapseIntoSingleBucket (node, hash, elementAt, bucketIndex) {
-  // pretend it's depth=0 (it may end up being) and only 1 bucket
-  const newMap = setBit(new Uint8Array(node.map.length), mask(hash, 0, node.config.bitWidth), true)
-  /**
-   * @ignore
-   * @type {KV[]}
-   */
-  const newBucket = node.data.reduce((/** @type {KV[]} */ p, /** @type {Element} */ c, /** @type {number} */ i) => {
-    if (i === elementAt) {
-      /* c8 ignore next 3 */
-      if (!c.bucket) {
-        throw new Error('Unexpected error')
+async function * keyOrderEntries (map, options) {
+  const windowSize = options && options.windowSize !== undefined ? options.windowSize : defaultWindowSize
+  if (!Number.isInteger(windowSize) || windowSize < 1) {
+    throw new TypeError('Invalid `windowSize` option, must be an integer greater than 0')
+  }
+  /** @type {Uint8Array|null} */
+  let after = null
+  while (true) {
+    // the smallest `windowSize` keys greater than `after`, kept sorted
+    /** @type {{ key: Uint8Array, value: any }[]} */
+    const window = []
+    for await (const entry of storedEntries(map, options)) {
+      if (after !== null && byteCompare(entry.key, after) <= 0) {
+        continue
       }
-      if (c.bucket.length === 1) { // only element in bucket, skip it
-        return p
-      } else {
-        // there's more in this bucket, make a temporary one, remove it and concat it
-        const tmpBucket = c.bucket.slice()
-        tmpBucket.splice(bucketIndex, 1)
-        return p.concat(tmpBucket)
+      if (window.length === windowSize && byteCompare(entry.key, window[windowSize - 1].key) >= 0) {
+        continue
       }
-    } else {
-      /* c8 ignore next 3 */
-      if (!c.bucket) {
-        throw new Error('Unexpected error')
+      let lo = 0
+      let hi = window.length
+      while (lo < hi) {
+        const mid = (lo + hi) >>> 1
+        if (byteCompare(window[mid].key, entry.key) < 0) {
+          lo = mid + 1
+        } else {
+          hi = mid
+        }
+      }
+      window.splice(lo, 0, entry)
+      if (window.length > windowSize) {
+        window.pop()
       }
-      return p.concat(c.bucket)
     }
-  }, /** @type {KV[]} */ [])
-  newBucket.sort((a, b) => byteCompare(a.key, b.key))
-  const newElement = new Element(newBucket)
-  return create(node.store, node.config, newMap, 0, [newElement])
+    yield * window
+    if (window.length < windowSize) {
+      return // that was everything
+    }
+    after = window[windowSize - 1].key
+  }
 }
 
-// simple delete from an existing bucket in this node
 /**
+ * A chained batch, as returned by {@link IAMap#batch} when called without arguments.
+ *
  * @ignore
- * @param {ReadonlyElement} data
- * @param {number} elementAt
- * @param {boolean} lastInBucket
- * @param {number} bucketIndex
- * @returns {Element[]}
+ * @template T
  */
-function removeFromBucket (data, elementAt, lastInBucket, bucketIndex) {
-  const newData = data.slice()
-  if (!lastInBucket) {
-    // bucket will not be empty, remove only the element from it
-    const oldElement = data[elementAt]
+class Batch {
+  /**
+   * @ignore
+   * @param {IAMap<T>} map
+   */
+  constructor (map) {
+    this.map = map
+    /**
+     * @ignore
+     * @type {BatchOperation[]}
+     */
+    this.operations = []
+  }
+
+  /**
+   * @ignore
+   * @param {any} key
+   * @param {any} value
+   * @returns {Batch<T>}
+   */
+  put (key, value) {
+    this.operations.push({ type: 'put', key, value })
+    return this
+  }
+
+  /**
+   * @ignore
+   * @param {any} key
+   * @returns {Batch<T>}
+   */
+  del (key) {
+    this.operations.push({ type: 'del', key })
+    return this
+  }
+
+  /**
+   * @ignore
+   * @returns {number}
+   */
+  get length () {
+    return this.operations.length
+  }
+
+  /**
+   * @ignore
+   * @returns {Promise<IAMap<T>>}
+   */
+  write () {
+    return applyBatch(this.map, this.operations)
+  }
+}
+
+/**
+ * A mutable working copy of an `IAMap`, as returned by {@link IAMap#transaction}.
+ *
+ * @ignore
+ * @template T
+ */
+class Transaction {
+  /**
+   * @ignore
+   * @param {IAMap<T>} map
+   */
+  constructor (map) {
+    /**
+     * @ignore
+     * @type {IAMap<T>|null}
+     */
+    this.node = map
+    // operations are chained so each one sees the result of the last, even when they're not awaited in turn
+    /**
+     * @ignore
+     * @type {Promise<any>}
+     */
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * @ignore
+   * @template R
+   * @param {(node:IAMap<T>)=>Promise<R>} fn
+   * @returns {Promise<R>}
+   */
+  run (fn) {
+    const result = this.queue.then(() => {
+      if (this.node === null) {
+        throw new Error('Transaction has already been committed or aborted')
+      }
+      return fn(this.node)
+    })
+    this.queue = result.catch(() => {}) // a failed operation shouldn't prevent later ones
+    return result
+  }
+
+  /**
+   * @ignore
+   * @param {any} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  set (key, value) {
+    return this.run(async (node) => {
+      const bytes = encodeKey(node.config.keyCodec, key)
+      await validateEntry(node, key, bytes, value)
+      this.node = await setEntry(node, bytes, value, await hasher(node)(bytes))
+    })
+  }
+
+  /**
+   * @ignore
+   * @param {any} key
+   * @returns {Promise<void>}
+   */
+  delete (key) {
+    return this.run(async (node) => {
+      const bytes = encodeKey(node.config.keyCodec, key)
+      this.node = await deleteEntry(node, bytes, await hasher(node)(bytes))
+    })
+  }
+
+  /**
+   * @ignore
+   * @param {any} key
+   * @returns {Promise<any>}
+   */
+  get (key) {
+    // get() is able to traverse unsaved child nodes held in memory
+    return this.run((node) => node.get(key))
+  }
+
+  /**
+   * @ignore
+   * @param {any} key
+   * @returns {Promise<boolean>}
+   */
+  has (key) {
+    return this.run((node) => node.has(key))
+  }
+
+  /**
+   * @ignore
+   * @returns {Promise<IAMap<T>>}
+   */
+  commit () {
+    return this.run(async (node) => {
+      const map = await saveTree(node.store, node)
+      this.node = null
+      return map
+    })
+  }
+
+  /**
+   * @ignore
+   * @returns {Promise<void>}
+   */
+  abort () {
+    return this.run(async () => {
+      this.node = null
+    })
+  }
+}
+
+/**
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} map
+ * @param {BatchOperation[]} operations
+ * @param {boolean} [encoded] - the keys are already bytes as they are stored in the map, such as those found by
+ * merge(), and must not be passed through the `keyCodec` again
+ * @returns {Promise<IAMap<T>>}
+ */
+async function applyBatch (map, operations, encoded = false) {
+  if (!Array.isArray(operations)) {
+    throw new TypeError('Invalid `operations`, must be an array')
+  }
+  const hashed = []
+  for (const op of operations) {
+    if (!op || (op.type !== 'put' && op.type !== 'del')) {
+      throw new TypeError('Invalid batch operation, `type` must be \'put\' or \'del\'')
+    }
+    const key = encoded ? op.key : encodeKey(map.config.keyCodec, op.key)
+    if (op.type === 'put') {
+      await validateEntry(map, encoded ? decodeKey(map.config.keyCodec, key) : op.key, key, op.value)
+    }
+    const hash = await hasher(map)(key)
+    hashed.push({ op, key, hash })
+  }
+  // group operations by hash so that those landing in the same part of the trie are applied together and the nodes
+  // we touch stay in memory; the sort is stable so repeated operations on a key are applied in the order given
+  hashed.sort((a, b) => byteCompare(a.hash, b.hash))
+  let node = map
+  for (const { op, key, hash } of hashed) {
+    if (op.type === 'put') {
+      node = await setEntry(node, key, op.value, hash)
+    } else {
+      node = await deleteEntry(node, key, hash)
+    }
+  }
+  return saveTree(map.store, node)
+}
+
+/**
+ * build a node, and any child nodes it needs, from entries sorted by hash that all share the same prefix down to
+ * `depth`; a slot gets a child node only where more than `bucketSize` entries share its prefix, which is where
+ * set() would have split a bucket
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} template
+ * @param {HashedEntry[]} entries
+ * @param {number} depth
+ * @returns {IAMap<T>}
+ */
+function buildNode (template, entries, depth) {
+  const { bitWidth, bucketSize } = template.config
+  /** @type {Uint8Array} */
+  let map = new Uint8Array(template.map.length)
+  const data = []
+  let start = 0
+  while (start < entries.length) {
+    const bitpos = mask(entries[start].hash, depth, bitWidth)
+    let end = start + 1
+    while (end < entries.length && mask(entries[end].hash, depth, bitWidth) === bitpos) {
+      end++
+    }
+    const group = entries.slice(start, end)
+    map = setBit(map, bitpos, true)
+    if (group.length > bucketSize && depth < maxDepth(template.config)) {
+      data.push(new Element(undefined, buildNode(template, group, depth + 1)))
+    } else {
+      const bucket = group.map((e) => new KV(e.key, e.value))
+      bucket.sort((a, b) => byteCompare(a.key, b.key))
+      data.push(new Element(bucket))
+    }
+    start = end
+  }
+  return new IAMap(template.store, template.config, map, depth, data)
+}
+
+/**
+ * store a new node and assign it an ID
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {IAMap<T>} newNode
+ * @returns {Promise<IAMap<T>>}
+ */
+async function save (store, newNode) {
+  const id = await store.save(newNode.toSerializable())
+  newNode.id = id
+  return newNode
+}
+
+/**
+ * store a node that may have been built in memory, along with any unsaved child nodes it holds in place of links.
+ * Works from the bottom up so each new node is saved exactly once; nodes that already have an ID are untouched.
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {IAMap<T>} node
+ * @returns {Promise<IAMap<T>>}
+ */
+async function saveTree (store, node) {
+  if (node.id !== null) {
+    return node
+  }
+  await saveChildren(store, node)
+  return save(store, node)
+}
+
+/**
+ * store the unsaved child nodes of an unsaved node, or inline them where they are small enough
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {IAMap<T>} node
+ * @returns {Promise<void>}
+ */
+async function saveChildren (store, node) {
+  const newData = []
+  for (const e of node.data) {
+    if (IAMap.isIAMap(e.link) && !e.inline) {
+      const child = e.link
+      await saveChildren(store, child)
+      if (isInlinable(store, child)) {
+        newData.push(new Element(undefined, child, true))
+      } else {
+        await save(store, child)
+        if (child.config.cache) {
+          // a node we've just made is likely to be visited again soon
+          child.config.cache.set(child.id, child)
+        }
+        newData.push(new Element(undefined, child.id, false, child.count))
+      }
+    } else {
+      newData.push(e)
+    }
+  }
+  // `node` has not been saved so nothing else can have observed it yet, it's safe to replace its data
+  node.data = Object.freeze(newData)
+}
+
+/**
+ * should a child node, with its own children already saved or inlined, be embedded in its parent
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {IAMap<T>} child
+ * @returns {boolean}
+ */
+function isInlinable (store, child) {
+  const threshold = child.config.inlineThreshold
+  if (!threshold) {
+    return false
+  }
+  // a store must have a sizeOf() for a map to have an `inlineThreshold`, see the IAMap constructor
+  return /** @type {Required<Store<T>>} */ (store).sizeOf(child.toSerializable()) <= threshold
+}
+
+/**
+ * the IDs of the stored descendants of a node, inlined children have no ID of their own but may have stored children
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {TraverseOptions} [options]
+ * @returns {AsyncGenerator<any>}
+ */
+async function * childIds (node, options) {
+  for await (const { element, child } of elements(node, options)) {
+    if (child) {
+      if (!element.inline) {
+        yield child.id
+      }
+      yield * childIds(child, options)
+    }
+  }
+}
+
+/**
+ * emit the elements of a node in order, along with the child node for each link, loading up to `concurrency` child
+ * nodes ahead of the one being emitted; as this is a generator nothing more is loaded until the consumer asks for
+ * more, so the number of nodes held in memory is bounded
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {TraverseOptions} [options]
+ * @returns {AsyncGenerator<{ element: Element, child?: IAMap<T> }>}
+ */
+async function * elements (node, options) {
+  const concurrency = options && options.concurrency !== undefined ? options.concurrency : 1
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError('Invalid `concurrency` option, must be an integer greater than 0')
+  }
+  /** @type {Map<number, Promise<IAMap<T>>>} */
+  const loading = new Map()
+  let ahead = 0
+  for (let i = 0; i < node.data.length; i++) {
+    while (ahead < node.data.length && loading.size < concurrency) {
+      const element = node.data[ahead]
+      if (element.link !== null) {
+        const load = loadChild(node, element)
+        load.catch(() => {}) // we may never get to it if the consumer stops early, don't leave it unhandled
+        loading.set(ahead, load)
+      }
+      ahead++
+    }
+    const element = node.data[i]
+    const load = loading.get(i)
+    if (load) {
+      loading.delete(i)
+      yield { element, child: await load }
+    } else {
+      yield { element }
+    }
+  }
+}
+
+/**
+ * load the child node referenced by a link element, which may be an inlined child or an unsaved node held in memory
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {Element} element
+ * @returns {Promise<IAMap<T>>}
+ */
+async function loadChild (node, element) {
+  if (IAMap.isIAMap(element.link)) {
+    return element.link
+  }
+  const cache = node.config.cache
+  if (cache) {
+    const cacheStats = /** @type {CacheStats} */ (node.config.cacheStats)
+    const cached = cache.get(element.link)
+    if (cached) {
+      cacheStats.hits++
+      if (cached.config.cacheStats === cacheStats && cached.depth === node.depth + 1) {
+        return cached
+      }
+      // cached by another map sharing the cache, adopt it so further loads below it are counted for this map; the
+      // cache is keyed by link alone so the depth is that of the slot it's loaded for, not where it was first met
+      return adoptNode(node, cached, node.depth + 1)
+    }
+    cacheStats.misses++
+  }
+  const child = await load(node.store, element.link, node.depth + 1, node.config)
+  assert(!!child)
+  if (cache) {
+    cache.set(element.link, child)
+  }
+  return child
+}
+
+/**
+ * a copy of a node from a shared cache with the config of `parent` and the given depth, along with the children
+ * inlined within it, which came from the same block and would otherwise keep the depth and config of the map that
+ * first loaded it
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} parent
+ * @param {IAMap<T>} cached
+ * @param {number} depth
+ * @returns {IAMap<T>}
+ */
+function adoptNode (parent, cached, depth) {
+  const data = cached.data.map((element) => {
+    return element.inline ? new Element(undefined, adoptNode(parent, element.link, depth + 1), true) : element
+  })
+  const node = new IAMap(parent.store, parent.config, cached.map, depth, data)
+  node.id = cached.id
+  return node
+}
+
+/**
+ * the in-memory form of IAMap#set(), returns `node` if nothing changed, otherwise a new unsaved node that may hold
+ * unsaved child nodes, to be stored with saveTree()
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {Uint8Array} key
+ * @param {any} value
+ * @param {Uint8Array} hash
+ * @returns {Promise<IAMap<T>>}
+ */
+async function setEntry (node, key, value, hash) {
+  const bitpos = mask(hash, node.depth, node.config.bitWidth)
+
+  if (bitmapHas(node.map, bitpos)) { // should be in a bucket in this node
+    const { data, link } = findElement(node, bitpos, key)
+    if (data) {
+      if (data.found) {
+        /* c8 ignore next 3 */
+        if (data.bucketIndex === undefined || data.bucketEntry === undefined) {
+          throw new Error('Unexpected error')
+        }
+        if (data.bucketEntry.value === value) {
+          return node // no change, identical value
+        }
+        // replace entry for this key with a new value
+        // note that === will fail for two complex objects representing the same data so we may end up
+        // with a node of the same ID anyway
+        return updateBucket(node, data.elementAt, data.bucketIndex, key, value)
+      } else {
+        /* c8 ignore next 3 */
+        if (!data.element.bucket) {
+          throw new Error('Unexpected error')
+        }
+        if (data.element.bucket.length >= node.config.bucketSize && node.depth < maxDepth(node.config)) {
+          // too many collisions at this level, replace a bucket with a child node; at the maximum depth there are
+          // no more hash bits to split a bucket by so it grows instead
+          return setEntry(await replaceBucketWithNode(node, data.elementAt), key, value, hash)
+        }
+        // insert into the bucket and sort it
+        return updateBucket(node, data.elementAt, -1, key, value)
+      }
+    } else if (link) {
+      const child = await loadChild(node, link.element)
+      const newChild = await setEntry(child, key, value, hash)
+      if (newChild === child) {
+        return node // no change below us
+      }
+      return updateNode(node, link.elementAt, newChild)
     /* c8 ignore next 3 */
-    if (!oldElement.bucket) {
+    } else {
       throw new Error('Unexpected error')
     }
-    const newElement = new Element(oldElement.bucket.slice())
-    /* c8 ignore next 3 */
-    if (!newElement.bucket) {
-      throw new Error('Unexpected error')
+  } else { // we don't have an element for this hash portion, make one
+    return addNewElement(node, bitpos, key, value)
+  }
+}
+
+/**
+ * the in-memory form of IAMap#delete(), returns `node` if nothing changed, otherwise a new unsaved node that may
+ * hold unsaved child nodes, to be stored with saveTree()
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {Uint8Array} key
+ * @param {Uint8Array} hash
+ * @returns {Promise<IAMap<T>>}
+ */
+async function deleteEntry (node, key, hash) {
+  const bitpos = mask(hash, node.depth, node.config.bitWidth)
+
+  if (bitmapHas(node.map, bitpos)) { // should be in a bucket in this node
+    const { data, link } = findElement(node, bitpos, key)
+    if (data) {
+      if (data.found) {
+        /* c8 ignore next 3 */
+        if (data.bucketIndex === undefined) {
+          throw new Error('Unexpected error')
+        }
+        if (node.depth !== 0 && node.directNodeCount() === 0 && node.directEntryCount() === node.config.bucketSize + 1) {
+          // current node will only have node.config.bucketSize entries spread across its buckets
+          // and no child nodes, so wrap up the remaining nodes in a fresh IAMap at depth 0, it will
+          // bubble up to either become the new root node or be unpacked by a higher level
+          return collapseIntoSingleBucket(node, hash, data.elementAt, data.bucketIndex)
+        } else {
+          // we'll either have more entries left than node.config.bucketSize or we're at the root node
+          // so this is a simple bucket removal, no collapsing needed (root nodes can't be collapsed)
+          const lastInBucket = /** @type {KV[]} */ (data.element.bucket).length === 1
+          // we have at least one child node or too many entries in buckets to be collapsed
+          const newData = removeFromBucket(node.data, data.elementAt, lastInBucket, data.bucketIndex)
+          let newMap = node.map
+          if (lastInBucket) {
+            newMap = setBit(newMap, bitpos, false)
+          }
+          return new IAMap(node.store, node.config, newMap, node.depth, newData)
+        }
+      } else {
+        // key would be located here according to hash, but we don't have it
+        return node
+      }
+    } else if (link) {
+      const child = await loadChild(node, link.element)
+      const newChild = await deleteEntry(child, key, hash)
+      if (newChild === child) { // no modification
+        return node
+      }
+
+      assert(newChild.data.length > 0) // something probably went wrong in the map block above
+
+      if (newChild.directNodeCount() === 0 && newChild.directEntryCount() === node.config.bucketSize) {
+        // child got collapsed
+        if (node.directNodeCount() === 1 && node.directEntryCount() === 0) {
+          // we only had one node to collapse and the child was collapsible so end up acting the same
+          // as the child, bubble it up and it either becomes the new root or finds a parent to collapse
+          // in to (next section)
+          return newChild
+        } else {
+          // extract data elements from this returned node and merge them into ours
+          return collapseNodeInline(node, bitpos, newChild)
+        }
+      } else {
+        // simple node replacement with edited child
+        return updateNode(node, link.elementAt, newChild)
+      }
+      /* c8 ignore next 3 */
+    } else {
+      throw new Error('Unexpected error')
+    }
+  } else { // we don't have an element for this hash portion
+    return node
+  }
+}
+
+/**
+ * // utility function to avoid duplication since it's used across get(), set() and delete()
+ * { bucket: { found: true, elementAt, element, bucketIndex, bucketEntry } }
+ * { bucket: { found: false, elementAt, element } }
+ * { link: { elementAt, element } }
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {number} bitpos
+ * @param {Uint8Array} key
+ * @returns {FoundElement}
+ */
+function findElement (node, bitpos, key) {
+  const elementAt = index(node.map, bitpos)
+  const element = node.data[elementAt]
+  assert(!!element)
+  if (element.bucket) { // data element
+    for (let bucketIndex = 0; bucketIndex < element.bucket.length; bucketIndex++) {
+      const bucketEntry = element.bucket[bucketIndex]
+      if (byteCompare(bucketEntry.key, key) === 0) {
+        return { data: { found: true, elementAt, element, bucketIndex, bucketEntry } }
+      }
+    }
+    return { data: { found: false, elementAt, element } }
+  }
+  assert(!!element.link)
+  return { link: { elementAt, element } }
+}
+
+/**
+ * new element for this node, i.e. first time this hash portion has been seen here
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {number} bitpos
+ * @param {Uint8Array} key
+ * @param {any} value
+ * @returns {IAMap<T>}
+ */
+function addNewElement (node, bitpos, key, value) {
+  const insertAt = index(node.map, bitpos)
+  const newData = node.data.slice()
+  newData.splice(insertAt, 0, new Element([new KV(key, value)]))
+  const newMap = setBit(node.map, bitpos, true)
+  return new IAMap(node.store, node.config, newMap, node.depth, newData)
+}
+
+/**
+ * update an existing bucket with a new k/v pair
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {number} elementAt
+ * @param {number} bucketAt
+ * @param {Uint8Array} key
+ * @param {any} value
+ * @returns {IAMap<T>}
+ */
+function updateBucket (node, elementAt, bucketAt, key, value) {
+  const oldElement = node.data[elementAt]
+  /* c8 ignore next 3 */
+  if (!oldElement.bucket) {
+    throw new Error('Unexpected error')
+  }
+  const newElement = new Element(oldElement.bucket.slice())
+  const newKv = new KV(key, value)
+  /* c8 ignore next 3 */
+  if (!newElement.bucket) {
+    throw new Error('Unexpected error')
+  }
+  if (bucketAt === -1) {
+    newElement.bucket.push(newKv)
+    // in-bucket sort is required to maintain a canonical state
+    newElement.bucket.sort((/** @type {KV} */ a, /** @type {KV} */ b) => byteCompare(a.key, b.key))
+  } else {
+    newElement.bucket[bucketAt] = newKv
+  }
+  const newData = node.data.slice()
+  newData[elementAt] = newElement
+  return new IAMap(node.store, node.config, node.map, node.depth, newData)
+}
+
+/**
+ * overflow of a bucket means it has to be replaced with a child node, tricky surgery
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {number} elementAt
+ * @returns {Promise<IAMap<T>>}
+ */
+async function replaceBucketWithNode (node, elementAt) {
+  let newNode = new IAMap(node.store, node.config, undefined, node.depth + 1)
+  const element = node.data[elementAt]
+  assert(!!element)
+  /* c8 ignore next 3 */
+  if (!element.bucket) {
+    throw new Error('Unexpected error')
+  }
+  for (const c of element.bucket) {
+    newNode = await setEntry(newNode, c.key, c.value, await hasher(node)(c.key))
+  }
+  const newData = node.data.slice()
+  newData[elementAt] = new Element(undefined, newNode)
+  return new IAMap(node.store, node.config, node.map, node.depth, newData)
+}
+
+/**
+ * similar to addNewElement() but for new child nodes
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {number} elementAt
+ * @param {IAMap<T>} newChild
+ * @returns {IAMap<T>}
+ */
+function updateNode (node, elementAt, newChild) {
+  // the child is held in memory in place of a link until saveTree() stores it
+  const newElement = new Element(undefined, newChild)
+  const newData = node.data.slice()
+  newData[elementAt] = newElement
+  return new IAMap(node.store, node.config, node.map, node.depth, newData)
+}
+
+// take a node, extract all of its local entries and put them into a new node with a single
+// bucket; used for collapsing a node and sending it upward
+/**
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {Uint8Array} hash
+ * @param {number} elementAt
+ * @param {number} bucketIndex
+ * @returns {IAMap<T>}
+ */
+function collapseIntoSingleBucket (node, hash, elementAt, bucketIndex) {
+  // pretend it's depth=0 (it may end up being) and only 1 bucket
+  const newMap = setBit(new Uint8Array(node.map.length), mask(hash, 0, node.config.bitWidth), true)
+  /**
+   * @ignore
+   * @type {KV[]}
+   */
+  const newBucket = node.data.reduce((/** @type {KV[]} */ p, /** @type {Element} */ c, /** @type {number} */ i) => {
+    if (i === elementAt) {
+      /* c8 ignore next 3 */
+      if (!c.bucket) {
+        throw new Error('Unexpected error')
+      }
+      if (c.bucket.length === 1) { // only element in bucket, skip it
+        return p
+      } else {
+        // there's more in this bucket, make a temporary one, remove it and concat it
+        const tmpBucket = c.bucket.slice()
+        tmpBucket.splice(bucketIndex, 1)
+        return p.concat(tmpBucket)
+      }
+    } else {
+      /* c8 ignore next 3 */
+      if (!c.bucket) {
+        throw new Error('Unexpected error')
+      }
+      return p.concat(c.bucket)
+    }
+  }, /** @type {KV[]} */ [])
+  newBucket.sort((a, b) => byteCompare(a.key, b.key))
+  const newElement = new Element(newBucket)
+  return new IAMap(node.store, node.config, newMap, 0, [newElement])
+}
+
+// simple delete from an existing bucket in this node
+/**
+ * @ignore
+ * @param {ReadonlyElement} data
+ * @param {number} elementAt
+ * @param {boolean} lastInBucket
+ * @param {number} bucketIndex
+ * @returns {Element[]}
+ */
+function removeFromBucket (data, elementAt, lastInBucket, bucketIndex) {
+  const newData = data.slice()
+  if (!lastInBucket) {
+    // bucket will not be empty, remove only the element from it
+    const oldElement = data[elementAt]
+    /* c8 ignore next 3 */
+    if (!oldElement.bucket) {
+      throw new Error('Unexpected error')
+    }
+    const newElement = new Element(oldElement.bucket.slice())
+    /* c8 ignore next 3 */
+    if (!newElement.bucket) {
+      throw new Error('Unexpected error')
+    }
+    newElement.bucket.splice(bucketIndex, 1)
+    newData.splice(elementAt, 1, newElement) // replace old bucket
+  } else {
+    // empty bucket, just remove it
+    newData.splice(elementAt, 1)
+  }
+  return newData
+}
+
+/**
+ * a node has bubbled up from a recursive delete() and we need to extract its
+ * contents and insert it into ours
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {number} bitpos
+ * @param {IAMap<T>} newNode
+ * @returns {IAMap<T>}
+ */
+function collapseNodeInline (node, bitpos, newNode) {
+  // assume the newNode has a single bucket and it's sorted and ready to replace the place
+  // it had in node's element array
+  assert(newNode.data.length === 1)
+  /* c8 ignore next 3 */
+  if (!newNode.data[0].bucket) {
+    throw new Error('Unexpected error')
+  }
+  const newBucket = newNode.data[0].bucket.slice()
+  const newElement = new Element(newBucket)
+  const elementIndex = index(node.map, bitpos)
+  const newData = node.data.slice()
+  newData[elementIndex] = newElement
+
+  return new IAMap(node.store, node.config, node.map, node.depth, newData)
+}
+
+/**
+ * @ignore
+ * @param {Options} [options]
+ * @returns {Config}
+ */
+function buildConfig (options) {
+  /**
+   * @ignore
+   * @type {Config}
+   */
+  const config = {}
+
+  if (!options) {
+    throw new TypeError('Invalid `options` object')
+  }
+
+  if (options.hashKey !== undefined) {
+    const hashKey = options.hashKey
+    if (!hashKey || typeof hashKey.id !== 'string' || !hashKey.id || !(hashKey.secret instanceof Uint8Array) ||
+        hashKey.secret.length < minSecretBytes) {
+      throw new TypeError(`Invalid \`hashKey\` option, must be of type: { id:string, secret:Uint8Array } with a secret of at least ${minSecretBytes} bytes`)
+    }
+    if (options.hasher !== undefined) {
+      throw new TypeError('The `hasher` and `hashKey` options can\'t be used together')
+    }
+    if (options.hashAlg !== undefined && options.hashAlg !== keyedHashAlg) {
+      throw new TypeError(`Invalid \`hashAlg\` option, maps with a \`hashKey\` use HMAC-SHA-256 and must have a hashAlg of '${keyedHashAlg}'`)
+    }
+    config.hashAlg = keyedHashAlg
+    config.hashKey = hashKey
+  } else if (options.hasher !== undefined) {
+    const hasher = options.hasher
+    if (!hasher || !Number.isInteger(hasher.code) || typeof hasher.digest !== 'function' ||
+        (hasher.bytes !== undefined && (!Number.isInteger(hasher.bytes) || hasher.bytes < 1))) {
+      throw new TypeError('Invalid `hasher` option, must be of type: { code, bytes?, digest(bytes):hash }')
+    }
+    if (options.hashAlg !== undefined && options.hashAlg !== hasher.code) {
+      throw new TypeError(`The \`hasher\` code, '${hasher.code}', does not match hashAlg: '${options.hashAlg}'`)
+    }
+    config.hashAlg = hasher.code
+    config.hasher = hasher
+  } else {
+    if (!Number.isInteger(options.hashAlg)) {
+      throw new TypeError('Invalid `hashAlg` option')
+    }
+    if (!hasherRegistry[/** @type {number} */ (options.hashAlg)]) {
+      throw new TypeError(`Unknown hashAlg: '${options.hashAlg}'`)
+    }
+    config.hashAlg = /** @type {number} */ (options.hashAlg)
+  }
+
+  if (options.bitWidth !== undefined) {
+    if (Number.isInteger(options.bitWidth)) {
+      if (options.bitWidth < 3 || options.bitWidth > 16) {
+        throw new TypeError('Invalid `bitWidth` option, must be between 3 and 16')
+      }
+      config.bitWidth = options.bitWidth
+    } else {
+      throw new TypeError('Invalid `bitWidth` option')
+    }
+  } else {
+    config.bitWidth = defaultBitWidth
+  }
+
+  if (options.bucketSize !== undefined) {
+    if (Number.isInteger(options.bucketSize)) {
+      if (options.bucketSize < 2) {
+        throw new TypeError('Invalid `bucketSize` option')
+      }
+      config.bucketSize = options.bucketSize
+    } else {
+      throw new TypeError('Invalid `bucketSize` option')
+    }
+  } else {
+    config.bucketSize = defaultBucketSize
+  }
+
+  if (options.inlineThreshold !== undefined) {
+    if (!Number.isInteger(options.inlineThreshold) || options.inlineThreshold < 0) {
+      throw new TypeError('Invalid `inlineThreshold` option')
+    }
+    config.inlineThreshold = options.inlineThreshold
+  } else {
+    config.inlineThreshold = 0
+  }
+
+  if (options.counted !== undefined) {
+    if (typeof options.counted !== 'boolean') {
+      throw new TypeError('Invalid `counted` option, must be a boolean')
+    }
+    config.counted = options.counted
+  } else {
+    config.counted = false
+  }
+
+  if (options.keyCodec !== undefined) {
+    if (typeof options.keyCodec !== 'string') {
+      throw new TypeError('Invalid `keyCodec` option, must be the name of a registered key codec')
+    }
+    keyCodecFor(options.keyCodec)
+    config.keyCodec = options.keyCodec
+  }
+
+  if (options.format !== undefined) {
+    if (options.format !== 'iamap' && options.format !== 'ipld') {
+      throw new TypeError('Invalid `format` option, must be one of: \'iamap\', \'ipld\'')
+    }
+    config.format = options.format
+  } else {
+    config.format = 'iamap'
+  }
+  if (config.format === 'ipld' &&
+      (config.inlineThreshold || config.counted || config.keyCodec !== undefined || config.hashKey !== undefined)) {
+    // the IPLD HashMap specification has no place for these in its blocks
+    throw new TypeError('The `inlineThreshold`, `counted`, `keyCodec` and `hashKey` options are not supported by the `ipld` format')
+  }
+  if (config.format === 'ipld' && !hashAlgNames.has(config.hashAlg)) {
+    throw new TypeError(`The \`ipld\` format records the name of the hashAlg and '${config.hashAlg}' has no known multicodec name`)
+  }
+
+  if (options.validate !== undefined) {
+    if (typeof options.validate !== 'function') {
+      validateSchema(options.validate)
+    }
+    config.validate = options.validate
+  }
+
+  if (/** @type {Config} */ (options).keysOnly) {
+    // an IASet, the IPLD HashMap specification has no place for keys without values and there are no values to
+    // validate
+    if (config.format === 'ipld' || config.validate !== undefined) {
+      throw new TypeError('The `ipld` format and the `validate` option are not supported by sets')
+    }
+    config.keysOnly = true
+  }
+
+  if (options.cache !== undefined) {
+    if (!options.cache || typeof options.cache.get !== 'function' || typeof options.cache.set !== 'function') {
+      throw new TypeError('Invalid `cache` option, must be of type: { get(link):node, set(link,node) }')
+    }
+    config.cache = options.cache
+    config.cacheStats = /** @type {Config} */ (options).cacheStats || { hits: 0, misses: 0 }
+  }
+
+  return config
+}
+
+/**
+ * Determine if a serializable object is an IAMap root type, can be used to assert whether a data block is
+ * an IAMap before trying to instantiate it.
+ *
+ * @name iamap.isRootSerializable
+ * @function
+ * @param {any} serializable An object that may be a serialisable form of an IAMap root node
+ * @returns {boolean} An indication that the serialisable form is or is not an IAMap root node
+ */
+export function isRootSerializable (serializable) {
+  return typeof serializable === 'object' &&
+    Number.isInteger(serializable.bucketSize) &&
+    (Array.isArray(serializable.hamt)
+      ? Number.isInteger(serializable.hashAlg) && isSerializable(serializable.hamt)
+      : typeof serializable.hashAlg === 'string' && isKeyedNode(serializable))
+}
+
+/**
+ * Determine if a serializable object is an IASet root type, can be used to assert whether a data block is an IASet
+ * before trying to load it with {@link iamap.loadSet}. The child nodes of an IASet satisfy
+ * {@link iamap.isSerializable}.
+ *
+ * @name iamap.isSetRootSerializable
+ * @function
+ * @param {any} serializable An object that may be a serialisable form of an IASet root node
+ * @returns {boolean} An indication that the serialisable form is or is not an IASet root node
+ */
+export function isSetRootSerializable (serializable) {
+  return typeof serializable === 'object' && serializable !== null &&
+    Number.isInteger(serializable.hashAlg) &&
+    Number.isInteger(serializable.bucketSize) &&
+    isSerializable(serializable.hamtSet)
+}
+
+/**
+ * Determine if a serializable object is an IAMap node type, can be used to assert whether a data block is
+ * an IAMap node before trying to instantiate it.
+ * This should pass for both root nodes as well as child nodes
+ *
+ * @name iamap.isSerializable
+ * @function
+ * @param {any} serializable An object that may be a serialisable form of an IAMap node
+ * @returns {boolean} An indication that the serialisable form is or is not an IAMap node
+ */
+export function isSerializable (serializable) {
+  if (Array.isArray(serializable)) {
+    return serializable.length === 2 && serializable[0] instanceof Uint8Array && Array.isArray(serializable[1])
+  }
+  return isKeyedNode(serializable) || isRootSerializable(serializable)
+}
+
+/**
+ * a node in the `ipld` format, `{ map, data }`, roots have the same fields
+ * @ignore
+ * @param {any} serializable
+ * @returns {boolean}
+ */
+function isKeyedNode (serializable) {
+  return typeof serializable === 'object' && serializable !== null &&
+    serializable.map instanceof Uint8Array &&
+    Array.isArray(serializable.data)
+}
+
+/**
+ * @ignore
+ * @param {SerializedRoot|SerializedSetRoot|KeyedRoot} root
+ * @returns {Format}
+ */
+function formatOf (root) {
+  return 'hamt' in root || 'hamtSet' in root ? 'iamap' : 'ipld'
+}
+
+/**
+ * a serialized child node of the given `format`, roots aren't children
+ * @ignore
+ * @param {any} serializable
+ * @param {Format} format
+ * @returns {boolean}
+ */
+function isChildSerializable (serializable, format) {
+  if (format === 'ipld') {
+    return isKeyedNode(serializable) && !isRootSerializable(serializable)
+  }
+  return Array.isArray(serializable) && isSerializable(serializable)
+}
+
+/**
+ * the `[map, data]` of a serialized node of either format, the data elements are left as they are
+ * @ignore
+ * @param {SerializedNode|SerializedRoot|SerializedSetRoot|KeyedNode|KeyedRoot} serializable
+ * @returns {[Uint8Array, any[]]}
+ */
+function nodeParts (serializable) {
+  if (Array.isArray(serializable)) {
+    return serializable
+  }
+  if ('hamt' in serializable) {
+    return serializable.hamt
+  }
+  if ('hamtSet' in serializable) {
+    return serializable.hamtSet
+  }
+  return [serializable.map, serializable.data]
+}
+
+/**
+ * Instantiate an IAMap from a valid serialisable form of an IAMap node. The serializable should be the same as
+ * produced by {@link IAMap#toSerializable}.
+ * Serialised forms of root nodes must satisfy both {@link iamap.isRootSerializable} and {@link iamap.isSerializable}. For
+ * root nodes, the `options` parameter will be ignored and the `depth` parameter must be the default value of `0`.
+ * Serialised forms of non-root nodes must satisfy {@link iamap.isSerializable} and have a valid `options` parameter and
+ * a non-`0` `depth` parameter.
+ *
+ * @name iamap.fromSerializable
+ * @function
+ * @template T
+ * @param {Store<T>} store A backing store for this Map. See {@link iamap.create}.
+ * @param {any} id An optional ID for the instantiated IAMap node. Unlike {@link iamap.create},
+ * `fromSerializable()` does not `save()` a newly created IAMap node so an ID is not generated for it. If one is
+ * required for downstream purposes it should be provided, if the value is `null` or `undefined`, `node.id` will
+ * be `null` but will remain writable.
+ * @param {any} serializable The serializable form of an IAMap node to be instantiated
+ * @param {Options} [options=null] An options object for IAMap child node instantiation. For root node instantiation
+ * (where `depth` = `0`) only runtime options, such as `cache`, are used. See {@link iamap.create}.
+ * @param {number} [depth=0] The depth of the IAMap node. Where `0` is the root node and any `>0` number is a child
+ * node.
+ * @returns {IAMap<T>}
+ */
+export function fromSerializable (store, id, serializable, options, depth = 0) {
+  if (depth === 0) { // even if options were supplied, ignore them and use what's in the serializable
+    if (!isRootSerializable(serializable)) {
+      throw new Error('Loaded object does not appear to be an IAMap root (depth==0)')
+    }
+    options = rootOptions(serializable, options)
+  } else {
+    if (!isChildSerializable(serializable, (options && options.format) || 'iamap')) {
+      throw new Error('Loaded object does not appear to be an IAMap node (depth>0)')
+    }
+  }
+  return instantiate(store, id, serializable, /** @type {Options} */ (options), depth)
+}
+
+/**
+ * the options of a map, or set, recorded in its root node, along with those in `options` that only apply at runtime
+ * @ignore
+ * @param {any} serializable
+ * @param {Options|RuntimeOptions} [options]
+ * @returns {Options}
+ */
+function rootOptions (serializable, options) {
+  checkHashKey(serializable.hashKey, options && options.hashKey)
+  // don't use passed-in options, other than those that only apply at runtime
+  return Object.assign(serializableToOptions(serializable), runtimeOptions(options))
+}
+
+/**
+ * an IAMap node from a serialized node that has been checked to be one
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {any} id
+ * @param {any} serializable
+ * @param {Options} options
+ * @param {number} depth
+ * @returns {IAMap<T>}
+ */
+function instantiate (store, id, serializable, options, depth) {
+  const format = options.format || 'iamap'
+  const [map, elements] = nodeParts(serializable)
+  /**
+   * @ignore
+   * @param {SerializedNode} child
+   * @returns {IAMap<T>}
+   */
+  const inlineChild = (child) => fromSerializable(store, null, child, options, depth + 1)
+  const keysOnly = /** @type {Config} */ (options).keysOnly
+  const data = elements.map((e) => Element.fromSerializable(store.isLink, e, inlineChild, format, keysOnly))
+  const node = new IAMap(store, options, map, depth, data)
+  if (id != null) {
+    node.id = id
+  }
+  return node
+}
+
+/**
+ * the options for a map reconfigured from one with `config`, settings that aren't given are carried over, its hash
+ * function is carried over as a whole unless a new one is given
+ * @ignore
+ * @param {Config} config
+ * @param {Options} options
+ * @returns {Options}
+ */
+function reconfiguredOptions (config, options) {
+  if (!options || typeof options !== 'object') {
+    throw new TypeError('Invalid `newOptions` object')
+  }
+  if (Object.prototype.hasOwnProperty.call(options, 'keyCodec') && options.keyCodec !== config.keyCodec) {
+    throw new TypeError('The `keyCodec` of a map can\'t be changed by `reconfigure()`')
+  }
+  /** @type {Options} */
+  const carried = {
+    bitWidth: config.bitWidth,
+    bucketSize: config.bucketSize,
+    inlineThreshold: config.inlineThreshold,
+    counted: config.counted,
+    keyCodec: config.keyCodec,
+    format: config.format
+  }
+  if (options.hashAlg === undefined && options.hasher === undefined && options.hashKey === undefined) {
+    carried.hashAlg = config.hashAlg
+    carried.hasher = config.hasher
+    carried.hashKey = config.hashKey
+  }
+  return Object.assign(carried, options)
+}
+
+/**
+ * the subset of `options` that isn't recorded in a root node and so must be carried through from the caller
+ * @ignore
+ * @param {Options|RuntimeOptions} [options]
+ * @returns {Partial<Config>}
+ */
+function runtimeOptions (options) {
+  /**
+   * @ignore
+   * @type {Partial<Config>}
+   */
+  const runtime = {}
+  if (options && options.cache !== undefined) {
+    runtime.cache = options.cache
+    // carry the counters through with the cache so a map's children and derived maps share them
+    runtime.cacheStats = /** @type {Config} */ (options).cacheStats
+  }
+  if (options && options.validate !== undefined) {
+    runtime.validate = options.validate
+  }
+  if (options && options.hasher !== undefined) {
+    runtime.hasher = options.hasher
+  }
+  if (options && options.hashKey !== undefined) {
+    runtime.hashKey = options.hashKey
+  }
+  return runtime
+}
+
+/**
+ * a keyed map can only be used with the secret for the `hashKey` recorded in its root, and only a keyed map can be
+ * given one
+ * @ignore
+ * @param {string|undefined} id - as recorded in the root
+ * @param {HashKey|undefined} hashKey - as provided
+ */
+function checkHashKey (id, hashKey) {
+  if (id !== undefined && hashKey === undefined) {
+    throw new Error(`The map is keyed with hashKey '${id}', its \`hashKey\` secret must be provided`)
+  }
+  if (hashKey !== undefined && hashKey.id !== id) {
+    throw new Error(id === undefined
+      ? 'A `hashKey` was provided but the map is not keyed'
+      : `The \`hashKey\` provided, '${hashKey.id}', does not match the map's hashKey: '${id}'`)
+  }
+}
+
+/**
+ * the multicodec code of the hash function of a serialized root, the `ipld` format records it by name
+ * @ignore
+ * @param {SerializedRoot|SerializedSetRoot|KeyedRoot} root
+ * @returns {number}
+ */
+function rootHashAlg (root) {
+  if (typeof root.hashAlg === 'number') {
+    return root.hashAlg
+  }
+  const code = hashAlgCodes.get(root.hashAlg)
+  if (code === undefined) {
+    throw new Error(`Unknown hashAlg: '${root.hashAlg}'`)
+  }
+  return code
+}
+
+/**
+ * @ignore
+ * @param {any} serializable
+ * @returns {Config}
+ */
+function serializableToOptions (serializable) {
+  return {
+    hashAlg: rootHashAlg(serializable),
+    bitWidth: Math.log2(nodeParts(serializable)[0].length * 8), // inverse of (2**bitWidth) / 8
+    bucketSize: serializable.bucketSize,
+    inlineThreshold: serializable.inlineThreshold || 0,
+    counted: serializable.counted === true,
+    keyCodec: serializable.keyCodec,
+    format: formatOf(serializable),
+    keysOnly: 'hamtSet' in serializable
+  }
+}
+
+/**
+ * ```js
+ * const proof = await map.prove('foo')
+ * // elsewhere, with only `proof` and the root ID
+ * const { found, value } = await iamap.verifyProof(proof, rootId, 'foo', { idOf })
+ * ```
+ *
+ * Check a proof created by {@link IAMap#prove} against the ID of the root node of an `IAMap`, without access to the
+ * backing store. The ID of each node in the proof is recomputed with `idOf()` and must match the link to it from its
+ * parent, the first node must match `rootId`. The path through the nodes to `key` is found the same way as
+ * {@link IAMap#get} finds it, so a valid proof either contains the `key` and its value or shows where the `key` would
+ * be and that it is not there.
+ *
+ * IDs are compared by their string form, as {@link iamap.reachable} does, so IDs must have a unique string form, as
+ * CIDs do.
+ *
+ * An `Error` is thrown if the proof is not valid for `rootId` and `key`.
+ *
+ * @name iamap.verifyProof
+ * @function
+ * @async
+ * @param {(SerializedNode|SerializedRoot|KeyedNode|KeyedRoot)[]} proof - The nodes returned by {@link IAMap#prove}.
+ * @param {any} rootId - The ID of the root node that the proof is for.
+ * @param {any} key - The key that the proof is for.
+ * @param {Object} options
+ * @param {function(any):any} options.idOf - Calculate the ID of a serialized node, as the backing store would when
+ * saving it. May return a `Promise`.
+ * @param {Hasher|MultihashHasher} [options.hasher] - The hash function of the `IAMap`, either a function or a hasher
+ * object as given to {@link iamap.create}. If not provided, the hash function registered with
+ * {@link iamap.registerHasher} for the `hashAlg` recorded in the root node is used.
+ * @param {HashKey} [options.hashKey] - The secret of a keyed `IAMap`, required where the root node records a
+ * `hashKey` and no `hasher` is provided. See {@link iamap.create}.
+ * @returns {Promise<{ found: boolean, value?: any }>} A `Promise` resolving to an object with a `found` property
+ * indicating whether `key` is present in the `IAMap` and, if it is, its `value`.
+ */
+export async function verifyProof (proof, rootId, key, options) {
+  if (!Array.isArray(proof) || !proof.length) {
+    throw new TypeError('Invalid `proof`, must be a non-empty array of nodes')
+  }
+  if (!options || typeof options.idOf !== 'function') {
+    throw new TypeError('Invalid `options`, must be of type: { idOf(node):id, hasher?(key):hash }')
+  }
+  const root = proof[0]
+  if (!isRootSerializable(root)) {
+    throw new Error('Proof does not begin with an IAMap root')
+  }
+  const rootSerializable = /** @type {SerializedRoot} */ (root)
+  const hashAlg = rootHashAlg(rootSerializable)
+  const registered = hasherRegistry[hashAlg]
+  const provided = options.hasher
+  /** @type {Hasher|undefined} */
+  let keyHasher = typeof provided === 'function' ? provided : (registered && registered.hasher)
+  if (typeof provided === 'object' && provided !== null) {
+    if (provided.code !== hashAlg) {
+      throw new TypeError(`The \`hasher\` code, '${provided.code}', does not match hashAlg: '${rootSerializable.hashAlg}'`)
+    }
+    keyHasher = (bytes) => digestOf(provided, bytes)
+  } else if (provided === undefined && (rootSerializable.hashKey !== undefined || options.hashKey !== undefined)) {
+    checkHashKey(rootSerializable.hashKey, options.hashKey)
+    const { secret } = /** @type {HashKey} */ (options.hashKey)
+    keyHasher = (bytes) => keyedHash(secret, bytes)
+  }
+  if (typeof keyHasher !== 'function') {
+    throw new TypeError(`No \`hasher\` provided and unknown hashAlg: '${rootSerializable.hashAlg}'`)
+  }
+  const bytes = encodeKey(rootSerializable.keyCodec, key)
+  const traversal = traverseGet(rootSerializable, key, { hash: await keyHasher(bytes) })
+
+  /**
+   * @ignore
+   * @param {any} node
+   * @param {any} id
+   */
+  const checkId = async (node, id) => {
+    if (String(await options.idOf(node)) !== String(id)) {
+      throw new Error('Proof node does not match the ID linking to it')
+    }
+  }
+
+  await checkId(root, rootId)
+  let next = 1
+  let link
+  while ((link = traversal.traverse()) !== null) {
+    if (next === proof.length) {
+      throw new Error('Proof is incomplete, a linked node is missing')
+    }
+    const child = proof[next++]
+    traversal.next(child)
+    await checkId(child, link)
+  }
+  if (next !== proof.length) {
+    throw new Error('Proof contains nodes that are not on the path to the key')
+  }
+  const found = traversal.found()
+  return found ? { found, value: traversal.value() } : { found }
+}
+
+/**
+ * ```js
+ * const traversal = iamap.traverseGet(rootBlock, 'foo')
+ * let link
+ * while ((link = traversal.traverse()) !== null) {
+ *   traversal.next(await fetchBlock(link))
+ * }
+ * const value = traversal.value()
+ * ```
+ *
+ * Look up a `key` by walking the serialized forms of the nodes of an `IAMap` as a synchronous state machine, rather
+ * than through a backing `store`. This allows lookups to be driven by any means of fetching nodes, such as a batching
+ * scheduler or a synchronous cache, without implementing the `Store` interface.
+ *
+ * Call `traverse()` to advance; it returns the link to the next node that is needed, or `null` when the traversal is
+ * complete. Provide each needed node, in its serialized form as it was saved, with `next(block)` before calling
+ * `traverse()` again. Once complete, `value()` returns the value for `key`, or `undefined` where it is not present,
+ * as {@link IAMap#get} does, and `found()` returns whether `key` is present, as {@link IAMap#has} does.
+ *
+ * Links are not interpreted, they are returned as they appear in the nodes, so no `isLink()` is needed. Inlined child
+ * nodes and `counted` links are handled.
+ *
+ * @name iamap.traverseGet
+ * @function
+ * @param {SerializedRoot} rootBlock - The serialized root node of the `IAMap`.
+ * @param {any} key - The key to look up. See {@link IAMap#set} for details about acceptable `key` types.
+ * @param {Object} [options]
+ * @param {Uint8Array} [options.hash] - The hash of `key`. If not provided, the hash function registered with
+ * {@link iamap.registerHasher} for the `hashAlg` recorded in the root node is used, it must return synchronously.
+ * It must be provided for keyed maps, those with a `hashKey`, as the HMAC-SHA-256 of the encoded `key`.
+ * @returns {GetTraversal}
+ */
+export function traverseGet (rootBlock, key, options = {}) {
+  if (!isRootSerializable(rootBlock)) {
+    throw new Error('Block does not appear to be an IAMap root')
+  }
+  key = encodeKey(rootBlock.keyCodec, key)
+  let hash = options.hash
+  if (hash === undefined && rootBlock.hashKey !== undefined) {
+    throw new TypeError('No `hash` provided, it is required for a map with a `hashKey`')
+  }
+  if (hash === undefined) {
+    const registered = hasherRegistry[rootHashAlg(rootBlock)]
+    if (!registered) {
+      throw new TypeError(`No \`hash\` provided and unknown hashAlg: '${rootBlock.hashAlg}'`)
+    }
+    hash = /** @type {Uint8Array} */ (registered.hasher(key))
+  }
+  if (!(hash instanceof Uint8Array)) {
+    throw new TypeError('Invalid `hash`, must be a Uint8Array, provide one where the registered hasher is asynchronous')
+  }
+  return new GetTraversal(rootBlock, key, hash)
+}
+
+/**
+ * ```js
+ * const traversal = iamap.traverseEntries(rootBlock)
+ * let link
+ * do {
+ *   for (const { key, value } of traversal.entries()) {
+ *     console.log(key, value)
+ *   }
+ *   link = traversal.traverse()
+ *   if (link !== null) {
+ *     traversal.next(await fetchBlock(link))
+ *   }
+ * } while (link !== null)
+ * ```
+ *
+ * Walk the entries of an `IAMap` through the serialized forms of its nodes as a synchronous state machine. See
+ * {@link iamap.traverseGet}.
+ *
+ * Call `traverse()` to advance; it collects the entries it passes and returns the link to the next node that is
+ * needed, or `null` when the traversal is complete. Provide each needed node with `next(block)` before calling
+ * `traverse()` again. `entries()`, `keys()` and `values()` yield the entries collected since the last call to any of
+ * them, so they may be drained as the traversal proceeds, or once it is complete. Entries are in the same order as
+ * {@link IAMap#entries} yields them by default.
+ *
+ * @name iamap.traverseEntries
+ * @function
+ * @param {SerializedRoot} rootBlock - The serialized root node of the `IAMap`.
+ * @returns {EntriesTraversal}
+ */
+export function traverseEntries (rootBlock) {
+  if (!isRootSerializable(rootBlock)) {
+    throw new Error('Block does not appear to be an IAMap root')
+  }
+  return new EntriesTraversal(rootBlock)
+}
+
+/**
+ * what a data element in a serialized node is, without knowing what a link looks like: a bucket is an array of
+ * arrays, an inlined child node is an array starting with a `Uint8Array` and anything else is a link, or a
+ * `[link, count]` pair; the `ipld` format says which it is
+ * @ignore
+ * @param {any} element
+ * @param {Format} format
+ * @returns {{ bucket?: SerializedKV[], inline?: SerializedNode, link?: any }}
+ */
+function serializedElement (element, format) {
+  if (format === 'ipld') {
+    const keyed = keyedElement(element)
+    if (keyed === null) {
+      throw new Error('Block is a badly formed IAMap node')
+    }
+    return keyed
+  }
+  if (isSerializable(element)) {
+    return { inline: element }
+  }
+  if (Array.isArray(element) && Array.isArray(element[0])) {
+    return { bucket: element }
+  }
+  return { link: Array.isArray(element) ? element[0] : element }
+}
+
+/**
+ * @ignore
+ * @param {any} block
+ * @param {Format} format
+ * @returns {[Uint8Array, any[]]}
+ */
+function serializedChild (block, format) {
+  if (!isChildSerializable(block, format)) {
+    throw new Error('Block is a badly formed IAMap node')
+  }
+  return nodeParts(block)
+}
+
+/**
+ * The state of a lookup created by {@link iamap.traverseGet}.
+ *
+ * @class
+ */
+class GetTraversal {
+  /**
+   * @ignore
+   * @param {SerializedRoot|KeyedRoot} root
+   * @param {Uint8Array} key
+   * @param {Uint8Array} hash
+   */
+  constructor (root, key, hash) {
+    this.format = formatOf(root)
+    const node = nodeParts(root)
+    this.node = node
+    this.key = key
+    this.hash = hash
+    this.bitWidth = Math.log2(node[0].length * 8)
+    this.depth = 0
+    /** @type {{ found: boolean, value?: any }|null} */
+    this.result = null
+    this.waiting = false
+  }
+
+  /**
+   * Advance the lookup.
+   *
+   * @returns {any} The link to the node that must be provided to `next()`, or `null` when the lookup is complete.
+   */
+  traverse () {
+    if (this.waiting) {
+      throw new Error('Traversal is waiting for a block, provide it with next()')
+    }
+    while (this.result === null) {
+      const [map, data] = this.node
+      const bitpos = mask(this.hash, this.depth, this.bitWidth)
+      if (!bitmapHas(map, bitpos)) {
+        this.result = { found: false }
+        break
+      }
+      const element = data[index(map, bitpos)]
+      if (element === undefined) {
+        throw new Error('IAMap node is badly formed, missing data element')
+      }
+      const { bucket, inline, link } = serializedElement(element, this.format)
+      if (inline) {
+        this.node = inline
+        this.depth++
+      } else if (bucket) {
+        const kv = bucket.find((kv) => kv[0] instanceof Uint8Array && byteCompare(kv[0], this.key) === 0)
+        this.result = kv ? { found: true, value: kv[1] } : { found: false }
+      } else {
+        this.waiting = true
+        return link
+      }
+    }
+    return null
+  }
+
+  /**
+   * Provide the node whose link was last returned by `traverse()`.
+   *
+   * @param {any} block - The serialized form of the node.
+   */
+  next (block) {
+    if (!this.waiting) {
+      throw new Error('Traversal is not waiting for a block')
+    }
+    this.node = serializedChild(block, this.format)
+    this.depth++
+    this.waiting = false
+  }
+
+  /**
+   * @returns {boolean} Whether the key is present, once `traverse()` has returned `null`.
+   */
+  found () {
+    return /** @type {{ found: boolean }} */ (this.completed()).found
+  }
+
+  /**
+   * @returns {any} The value of the key, or `undefined` where it is not present, once `traverse()` has returned
+   * `null`.
+   */
+  value () {
+    return this.completed().value
+  }
+
+  /**
+   * @ignore
+   * @returns {{ found: boolean, value?: any }}
+   */
+  completed () {
+    if (this.result === null) {
+      throw new Error('Traversal is not complete')
+    }
+    return this.result
+  }
+}
+
+/**
+ * The state of a walk of entries created by {@link iamap.traverseEntries}.
+ *
+ * @class
+ */
+class EntriesTraversal {
+  /**
+   * @ignore
+   * @param {SerializedRoot|KeyedRoot} root
+   */
+  constructor (root) {
+    this.format = formatOf(root)
+    /** @type {{ data: SerializedElement[], at: number }[]} */
+    this.stack = [{ data: nodeParts(root)[1], at: 0 }]
+    this.keyCodec = /** @type {SerializedRoot} */ (root).keyCodec // not in the `ipld` format
+    /** @type {{ key: any, value: any }[]} */
+    this.collected = []
+    this.waiting = false
+  }
+
+  /**
+   * Advance the walk, collecting entries until a node is needed.
+   *
+   * @returns {any} The link to the node that must be provided to `next()`, or `null` when the walk is complete.
+   */
+  traverse () {
+    if (this.waiting) {
+      throw new Error('Traversal is waiting for a block, provide it with next()')
+    }
+    while (this.stack.length) {
+      const frame = this.stack[this.stack.length - 1]
+      if (frame.at === frame.data.length) {
+        this.stack.pop()
+        continue
+      }
+      const { bucket, inline, link } = serializedElement(frame.data[frame.at++], this.format)
+      if (inline) {
+        this.stack.push({ data: inline[1], at: 0 })
+      } else if (bucket) {
+        for (const [key, value] of bucket) {
+          this.collected.push({ key: decodeKey(this.keyCodec, key), value })
+        }
+      } else {
+        this.waiting = true
+        return link
+      }
+    }
+    return null
+  }
+
+  /**
+   * Provide the node whose link was last returned by `traverse()`.
+   *
+   * @param {any} block - The serialized form of the node.
+   */
+  next (block) {
+    if (!this.waiting) {
+      throw new Error('Traversal is not waiting for a block')
+    }
+    this.stack.push({ data: serializedChild(block, this.format)[1], at: 0 })
+    this.waiting = false
+  }
+
+  /**
+   * @returns {Generator<{ key: any, value: any }>} The entries collected since the last call to `entries()`,
+   * `keys()` or `values()`. Keys are decoded with the `keyCodec`, where there is one.
+   */
+  * entries () {
+    const collected = this.collected
+    this.collected = []
+    yield * collected
+  }
+
+  /**
+   * @returns {Generator<any>} The keys of the entries collected since the last call to `entries()`, `keys()`
+   * or `values()`.
+   */
+  * keys () {
+    for (const { key } of this.entries()) {
+      yield key
+    }
+  }
+
+  /**
+   * @returns {Generator<any>} The values of the entries collected since the last call to `entries()`, `keys()` or
+   * `values()`.
+   */
+  * values () {
+    for (const { value } of this.entries()) {
+      yield value
+    }
+  }
+}
+
+/**
+ * ```js
+ * const live = await iamap.reachable(store, [root1, root2], { followValues: true })
+ * ```
+ *
+ * Find the IDs of all of the nodes that are reachable from a set of root IDs. Each mutation of an `IAMap` creates new
+ * nodes and leaves the nodes it replaced in the backing store; when only some roots are to be retained, the nodes
+ * reachable from those roots are the ones that must be kept and anything else may be removed.
+ *
+ * The roots are traversed together and each node is visited only once, so roots that share subtrees, such as
+ * successive versions of the same map, cost little more to traverse than a single root. Nodes are walked in their
+ * serialized form, so hash functions need not be registered. The roots of an {@link IASet} may be included.
+ *
+ * Nodes are identified by the string form of their IDs, so IDs must have a unique string form, as CIDs do. The
+ * returned `Set` contains one instance of each distinct ID.
+ *
+ * @name iamap.reachable
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store holding the roots. See {@link iamap.create}.
+ * @param {Iterable<any>} rootIds - The IDs of the root nodes of the maps to be retained.
+ * @param {Object} [options]
+ * @param {boolean} [options.followValues=false] - Also treat values stored in the maps that satisfy
+ * `store.isLink()`, including those nested within object and array values, as reachable. These are included in the
+ * result but are not loaded or traversed, include their IDs in `rootIds` where they are the roots of other maps.
+ * @param {Iterable<any>|AsyncIterable<any>} [options.sweep] - The IDs of blocks that are candidates for removal,
+ * such as every ID in the backing store. Once the reachable set is known, `store.delete(id)` is called for each
+ * candidate that isn't reachable. The `store` must have a `delete()` method to use this option.
+ * @returns {Promise<Set<any>>} A `Promise` resolving to the set of reachable IDs.
+ */
+export async function reachable (store, rootIds, options = {}) {
+  if (!store || typeof store.load !== 'function' || typeof store.isLink !== 'function') {
+    throw new TypeError('Invalid `store`, must be of type: { load(id):node, isLink(obj):boolean }')
+  }
+  if (!rootIds || typeof rootIds[Symbol.iterator] !== 'function') {
+    throw new TypeError('Invalid `rootIds`, must be an iterable')
+  }
+  if (options.sweep !== undefined && typeof store.delete !== 'function') {
+    throw new TypeError('Invalid `store`, must have a delete(id) method to use `sweep`')
+  }
+
+  const seen = await walk(store, rootIds, !!options.followValues, (id, traverse) => traverse ? store.load(id) : undefined)
+
+  if (options.sweep !== undefined) {
+    const remove = /** @type {(id:any)=>any} */ (store.delete)
+    for await (const id of options.sweep) {
+      if (!seen.has(String(id))) {
+        await remove.call(store, id)
+      }
+    }
+  }
+
+  return new Set(seen.values())
+}
+
+/**
+ * visit each node reachable from `rootIds` once, in the order that `reachable()` returns them, calling `load(id,
+ * true)` for the decoded form of each node to be traversed and `load(id, false)` for links found in values, which
+ * are not traversed
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {Iterable<any>} rootIds
+ * @param {boolean} followValues
+ * @param {(id:any, traverse:boolean)=>any} load
+ * @returns {Promise<Map<string, any>>} the visited IDs, keyed by their string form
+ */
+async function walk (store, rootIds, followValues, load) {
+  /** @type {Map<string, any>} */
+  const seen = new Map()
+  /**
+   * @ignore
+   * @param {any} id
+   * @returns {boolean}
+   */
+  const visit = (id) => {
+    const key = String(id)
+    if (seen.has(key)) {
+      return false
+    }
+    seen.set(key, id)
+    return true
+  }
+
+  const pending = []
+  for (const id of rootIds) {
+    if (visit(id)) {
+      const root = await load(id, true)
+      const keysOnly = isSetRootSerializable(root)
+      if (!keysOnly && !isRootSerializable(root)) {
+        throw new Error('Loaded object does not appear to be an IAMap root')
+      }
+      pending.push({ format: formatOf(root), keysOnly, node: nodeParts(root) })
+    }
+  }
+  while (pending.length) {
+    const { format, keysOnly, node: [, data] } = /** @type {{ format: Format, keysOnly: boolean, node: [Uint8Array, any[]] }} */ (pending.pop())
+    for (let element of data) {
+      if (format === 'ipld') {
+        // unwrap the keyed union, leaving the link or bucket as the `iamap` format would have it
+        const keyed = keyedElement(element)
+        if (keyed === null) {
+          throw new Error('Loaded object does not appear to be an IAMap node')
+        }
+        element = keyed.bucket || keyed.link
+      } else if (isCountedLink(store.isLink, element)) {
+        element = element[0]
+      }
+      if (store.isLink(element)) {
+        if (visit(element)) {
+          const child = await load(element, true)
+          if (!isChildSerializable(child, format)) {
+            throw new Error('Loaded object does not appear to be an IAMap node')
+          }
+          pending.push({ format, keysOnly, node: nodeParts(child) })
+        }
+      } else if (isSerializable(element)) {
+        pending.push({ format, keysOnly, node: element }) // an inlined child, no ID of its own
+      } else if (followValues && !keysOnly) { // the buckets of an IASet have no values
+        for (const [, value] of element) {
+          for (const link of valueLinks(store, value)) {
+            if (visit(link)) {
+              await load(link, false)
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return seen
+}
+
+/**
+ * find the links within a value, at any depth
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {any} value
+ * @returns {Generator<any>}
+ */
+function * valueLinks (store, value) {
+  if (store.isLink(value)) {
+    yield value
+    return
+  }
+  if (typeof value !== 'object' || value === null || value instanceof Uint8Array) {
+    return
+  }
+  for (const v of Object.values(value)) {
+    yield * valueLinks(store, v)
+  }
+}
+
+/**
+ * ```js
+ * const { valid, problems } = await iamap.verify(store, rootId)
+ * for (const { path, message } of problems) {
+ *   console.log(`${path.join('.') || 'root'}: ${message}`)
+ * }
+ * ```
+ *
+ * Check every node of a stored `IAMap`, or {@link IASet}, for structural problems, such as after restoring it from a
+ * backup or migrating it to a new backing store. Where {@link IAMap#isInvariant} checks the arity of a single node, `verify()` loads every
+ * node reachable from the root and reports each problem it finds, rather than stopping at the first:
+ *
+ * * the number of bits set in a node's bitmap must match the number of elements in its data
+ * * buckets must not be empty, must be sorted by key without duplicates and must not hold more than `bucketSize`
+ *   entries, other than at the maximum depth where there are no hash bits left to split them by
+ * * each key must hash to the slot it is stored in, at every level from the root
+ * * a child node with no children of its own and no more than `bucketSize` entries should have been collapsed into
+ *   its parent, as `delete()` does
+ * * the counts of a `counted` map must match the number of entries below them
+ * * linked nodes must be present in the backing store and be nodes of the map's format
+ * * no node may be deeper than the hash function allows
+ *
+ * Nodes are walked in their serialized form. The map's hash function is needed to check where keys are stored, so it
+ * must be registered or provided as a `hasher`, and the secret of a keyed map must be provided, as for
+ * {@link iamap.load}. An `Error` is thrown where the root node can't be loaded as an `IAMap`, as `load()` would.
+ *
+ * @name iamap.verify
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store holding the map. See {@link iamap.create}.
+ * @param {any} rootId - The ID of the root node of the map, or of the set.
+ * @param {RuntimeOptions} [options] - The `hasher` or `hashKey` of the map, where it has one. See
+ * {@link iamap.create}.
+ * @returns {Promise<{ valid: boolean, problems: { path: number[], message: string }[] }>} A `Promise` resolving to
+ * an object with a `valid` property that is `true` where no problems were found, and the `problems` found. The
+ * `path` of a problem lists the slots, the bit positions in each node's bitmap, leading from the root to the node or
+ * bucket with the problem, the root node's path is empty.
+ */
+export async function verify (store, rootId, options = {}) {
+  if (!store || typeof store.load !== 'function' || typeof store.isLink !== 'function') {
+    throw new TypeError('Invalid `store`, must be of type: { load(id):node, isLink(obj):boolean }')
+  }
+  const root = await store.load(rootId)
+  const keysOnly = isSetRootSerializable(root)
+  if (!keysOnly && !isRootSerializable(root)) {
+    throw new Error('Loaded object does not appear to be an IAMap root')
+  }
+  checkHashKey(root.hashKey, options.hashKey)
+  const config = buildConfig(Object.assign(serializableToOptions(root), runtimeOptions(options)))
+  const keyHasher = configHasher(config)
+  await learnDigestLength(config)
+  const depthLimit = maxDepth(config)
+  const slotCount = 2 ** config.bitWidth
+
+  /** @type {{ path: number[], message: string }[]} */
+  const problems = []
+  /**
+   * @ignore
+   * @param {number[]} path
+   * @param {string} message
+   */
+  const report = (path, message) => {
+    problems.push({ path, message })
+  }
+
+  /**
+   * @ignore
+   * @param {[Uint8Array, any[]]} node
+   * @param {number} depth
+   * @param {number[]} path
+   * @returns {Promise<number>} the number of entries in the node and below it
+   */
+  const check = async ([map, data], depth, path) => {
+    if (map.length !== slotCount / 8) {
+      report(path, `bitmap is ${map.length} bytes, expected ${slotCount / 8}`)
+      return 0
+    }
+    const slots = []
+    for (let bitpos = 0; bitpos < slotCount; bitpos++) {
+      if (bitmapHas(map, bitpos)) {
+        slots.push(bitpos)
+      }
+    }
+    if (slots.length !== data.length) {
+      report(path, `bitmap has ${slots.length} bits set but there are ${data.length} data elements`)
+    }
+
+    let entries = 0
+    let directEntries = 0
+    let children = 0
+    for (let i = 0; i < data.length; i++) {
+      // where the bitmap and data disagree, the slots of the extra elements aren't known
+      const slot = slots[i]
+      const elementPath = slot === undefined ? path : [...path, slot]
+      const element = verifiableElement(store.isLink, data[i], config.format)
+      if (element === null) {
+        report(elementPath, 'badly formed data element')
+        continue
+      }
+
+      if (element.bucket) {
+        const bucket = element.bucket
+        directEntries += bucket.length
+        if (!bucket.length) {
+          report(elementPath, 'bucket is empty')
+        } else if (bucket.length > config.bucketSize && depth < depthLimit) {
+          report(elementPath, `bucket has ${bucket.length} entries, more than the bucketSize of ${config.bucketSize}`)
+        }
+        /** @type {Uint8Array|null} */
+        let previous = null
+        for (const entry of bucket) {
+          // the buckets of an IASet hold keys alone
+          const key = keysOnly ? entry : Array.isArray(entry) && entry.length === 2 ? entry[0] : null
+          if (!(key instanceof Uint8Array)) {
+            report(elementPath, 'badly formed bucket entry')
+            continue
+          }
+          entries++
+          const order = previous === null ? -1 : byteCompare(previous, key)
+          if (order >= 0) {
+            report(elementPath, `key ${describeKey(key)} is ${order === 0 ? 'duplicated' : 'out of order'} in its bucket`)
+          }
+          previous = key
+          if (slot !== undefined) {
+            const hash = await keyHasher(key)
+            if (!elementPath.every((bitpos, d) => mask(hash, d, config.bitWidth) === bitpos)) {
+              report(elementPath, `key ${describeKey(key)} does not hash to the slot it is stored in`)
+            }
+          }
+        }
+        continue
+      }
+
+      children++
+      if (depth >= depthLimit) {
+        report(elementPath, `child node is deeper than the maximum depth of ${depthLimit}`)
+        continue
+      }
+      let below = 0
+      if (element.inline) {
+        below = await check(element.inline, depth + 1, elementPath)
+      } else {
+        const child = await loadVerifiable(store, element.link)
+        if (typeof child === 'string') {
+          report(elementPath, child)
+        } else if (!isChildSerializable(child.block, config.format)) {
+          report(elementPath, `block ${element.link} does not appear to be an IAMap node`)
+        } else {
+          below = await check(nodeParts(child.block), depth + 1, elementPath)
+        }
+        if (element.count !== undefined && element.count !== below) {
+          report(elementPath, `link has a count of ${element.count} but there are ${below} entries below it`)
+        } else if (element.count === undefined && config.counted) {
+          report(elementPath, 'link has no count in a counted map')
+        }
+      }
+      entries += below
+    }
+
+    if (depth > 0 && children === 0 && directEntries <= config.bucketSize) {
+      report(path, `node has ${directEntries} entries and no child nodes, it should have been collapsed into its parent`)
+    }
+    return entries
+  }
+
+  await check(nodeParts(root), 0, [])
+  return { valid: problems.length === 0, problems }
+}
+
+/**
+ * the kind of a serialized data element, or `null` where it isn't one
+ * @ignore
+ * @param {IsLink} isLink
+ * @param {any} element
+ * @param {Format} format
+ * @returns {{ bucket?: any[], link?: any, count?: number, inline?: [Uint8Array, any[]] }|null}
+ */
+function verifiableElement (isLink, element, format) {
+  if (format === 'ipld') {
+    const keyed = keyedElement(element)
+    return keyed !== null && (keyed.bucket || isLink(keyed.link)) ? keyed : null
+  }
+  if (isLink(element)) {
+    return { link: element }
+  }
+  if (isCountedLink(isLink, element)) {
+    return { link: element[0], count: element[1] }
+  }
+  if (isSerializable(element)) {
+    return { inline: element }
+  }
+  return Array.isArray(element) ? { bucket: element } : null
+}
+
+/**
+ * load a block for verify(), describing why where it can't be
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {any} link
+ * @returns {Promise<{ block: any }|string>}
+ */
+async function loadVerifiable (store, link) {
+  let block
+  try {
+    block = await store.load(link)
+  } catch (err) {
+    return `block ${link} could not be loaded: ${/** @type {Error} */ (err).message}`
+  }
+  return block == null ? `block ${link} is missing` : { block }
+}
+
+/**
+ * ```js
+ * const results = await iamap.simulate(keys, [
+ *   { hashAlg: 0x23, bitWidth: 4, bucketSize: 3 },
+ *   { hashAlg: 0x23, bitWidth: 8, bucketSize: 5 }
+ * ], { sizeOf: (node) => dagCbor.encode(node).length })
+ * for (const { options, stats } of results) {
+ *   console.log(options.bitWidth, options.bucketSize, stats.maxDepth, stats.size.average)
+ * }
+ * ```
+ *
+ * Compare the shapes of the maps that different options would give a set of keys, to choose parameters such as
+ * `bitWidth` and `bucketSize` from real keys rather than by guesswork. A throwaway map is built in memory for each
+ * of the candidate options and measured with {@link IAMap#stats}; nothing is written to a backing store.
+ *
+ * Each key is given the value `true`, so node sizes reflect the keys and the structure of the map but not the
+ * values that it will hold.
+ *
+ * @name iamap.simulate
+ * @function
+ * @async
+ * @param {Iterable<any>|AsyncIterable<any>} keys - The keys, of any type accepted by {@link IAMap#set}, or by the
+ * `keyCodec` of the candidates. Repeated keys are only counted once.
+ * @param {Options[]} candidateOptions - The options to compare, each as given to {@link iamap.create}.
+ * @param {Object} [options]
+ * @param {function(any):number} [options.sizeOf] - Measure the size of a serialized node, as the `sizeOf()` of a
+ * backing store does. Required for candidates with an `inlineThreshold`, and for the `size` of each map's stats.
+ * @returns {Promise<{ options: Options, stats: MapStats }[]>} A `Promise` resolving to the stats of each candidate, in
+ * the order they were given.
+ */
+export async function simulate (keys, candidateOptions, options = {}) {
+  if (!Array.isArray(candidateOptions)) {
+    throw new TypeError('Invalid `candidateOptions`, must be an array of options')
+  }
+  if (options.sizeOf !== undefined && typeof options.sizeOf !== 'function') {
+    throw new TypeError('Invalid `sizeOf` option, must be a function')
+  }
+  const collected = []
+  for await (const key of keys) {
+    collected.push(key)
+  }
+  const results = []
+  for (const candidate of candidateOptions) {
+    const map = await fromEntries(simulationStore(options.sizeOf), candidate, collected.map((key) => [key, true]))
+    results.push({ options: candidate, stats: await map.stats() })
+  }
+  return results
+}
+
+/**
+ * an in-memory backing store for simulate(), its links are objects that only it issues so they can't be mistaken
+ * for values
+ * @ignore
+ * @param {((node:any)=>number)|undefined} sizeOf
+ * @returns {Store<object>}
+ */
+function simulationStore (sizeOf) {
+  /** @type {WeakMap<object, any>} */
+  const blocks = new WeakMap()
+  return {
+    async save (node) {
+      const link = {}
+      blocks.set(link, node)
+      return link
+    },
+    async load (link) {
+      return blocks.get(link)
+    },
+    isLink (obj) {
+      return blocks.has(obj)
+    },
+    isEqual: Object.is, // links are plain objects, equal only to themselves
+    sizeOf
+  }
+}
+
+/**
+ * ```js
+ * const file = await fs.promises.open('map.car', 'w')
+ * await iamap.exportCAR(map, file)
+ * await file.close()
+ * ```
+ *
+ * Write an `IAMap` as a [CARv1](https://ipld.io/specs/transport/car/carv1/) archive: a header naming the root node of
+ * the map as the root of the archive, followed by each node that is reachable from it, as found by
+ * {@link iamap.reachable}, starting with the root. A map can then be moved between backing stores, or machines, as a
+ * single stream of bytes and restored with {@link iamap.importCAR}.
+ *
+ * CAR archives hold blocks in their encoded form, identified by CID, so the map's backing store must be able to
+ * provide them: `store.loadBlock(id)` must return, or resolve to, `{ cid, bytes }`, the bytes of the CID of the node
+ * with the given ID and the bytes of its encoded form. Nodes are written as they are found, in a single walk of the
+ * map; where the block also has a `node` property, the decoded form of the node, it is used to find the node's
+ * children, otherwise the node is loaded with `store.load(id)`.
+ *
+ * The archive is written with `writable.write(bytes)`, once for the header and once for each block; where `write()`
+ * returns a `Promise` it is awaited before the next write. This suits a `FileHandle` from `fs.promises` or the writer
+ * of a `WritableStream`.
+ *
+ * @name iamap.exportCAR
+ * @function
+ * @async
+ * @template T
+ * @param {IAMap<T>} map - The map to export.
+ * @param {Writable} writable - Where the bytes of the archive are written, an object with a `write(bytes)` method.
+ * @param {Object} [options]
+ * @param {boolean} [options.followValues=false] - Also include the blocks linked to by values stored in the map, see
+ * {@link iamap.reachable}. These blocks are included but are not traversed.
+ * @returns {Promise<void>}
+ */
+export async function exportCAR (map, writable, options = {}) {
+  if (!IAMap.isIAMap(map)) {
+    throw new TypeError('Invalid `map`, must be an IAMap')
+  }
+  const loadBlock = map.store.loadBlock
+  if (typeof loadBlock !== 'function') {
+    throw new TypeError('Invalid `store`, must have a loadBlock(id) method to export a CAR')
+  }
+  if (!writable || typeof writable.write !== 'function') {
+    throw new TypeError('Invalid `writable`, must be of type: { write(bytes) }')
+  }
+  const store = map.store
+  let header = true
+  // each block is written as it is visited, the root first, and supplies the node to traverse where it can
+  await walk(store, [map.id], !!options.followValues, async (id, traverse) => {
+    const block = await loadBlock.call(store, id)
+    if (header) {
+      await writable.write(encodeHeader(block.cid))
+      header = false
+    }
+    await writable.write(encodeBlock(block.cid, block.bytes))
+    if (traverse) {
+      return block.node !== undefined ? block.node : store.load(id)
+    }
+  })
+}
+
+/**
+ * ```js
+ * const map = await iamap.importCAR(store, fs.createReadStream('map.car'))
+ * ```
+ *
+ * Read a [CARv1](https://ipld.io/specs/transport/car/carv1/) archive written by {@link iamap.exportCAR}, or any
+ * archive whose single root is the root node of an `IAMap`, saving each of its blocks to a backing store, then load
+ * the map from it, as {@link iamap.load} does.
+ *
+ * The backing store must be able to save blocks in their encoded form: `store.saveBlock(cid, bytes)` is given the
+ * bytes of the CID and encoded form of each block and must return, or resolve to, the ID that the store will use for
+ * it. The store is responsible for checking that the bytes of each block match its CID where the archive is not
+ * trusted.
+ *
+ * @name iamap.importCAR
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store to save the blocks to. See {@link iamap.create}.
+ * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} readable - The bytes of the archive, in chunks of any size,
+ * such as a Node.js `Readable` stream, a `ReadableStream` or an array holding a single `Uint8Array`.
+ * @param {RuntimeOptions} [options] - Runtime options for the loaded map, see {@link iamap.load}.
+ * @returns {Promise<IAMap<T>>}
+ */
+export async function importCAR (store, readable, options) {
+  if (!store || typeof store.saveBlock !== 'function') {
+    throw new TypeError('Invalid `store`, must have a saveBlock(cid, bytes) method to import a CAR')
+  }
+  const iterable = /** @type {any} */ (readable)
+  if (!iterable || (typeof iterable[Symbol.asyncIterator] !== 'function' && typeof iterable[Symbol.iterator] !== 'function')) {
+    throw new TypeError('Invalid `readable`, must be an iterable or async iterable of Uint8Arrays')
+  }
+  const reader = new CarReader(readable)
+  const roots = await reader.readHeader()
+  if (roots.length !== 1) {
+    throw new Error(`CAR must have a single root, found ${roots.length}`)
+  }
+  let rootId
+  let block
+  while ((block = await reader.readBlock()) !== null) {
+    const id = await store.saveBlock(block.cid, block.bytes)
+    if (byteCompare(block.cid, roots[0]) === 0) {
+      rootId = id
+    }
+  }
+  if (rootId === undefined) {
+    throw new Error('CAR does not contain its root block')
+  }
+  return load(store, rootId, options || {})
+}
+
+/**
+ * ```js
+ * for await (const { key, oldValue, newValue } of iamap.diff(mapA, mapB)) {
+ *   // ...
+ * }
+ * ```
+ *
+ * Asynchronously emit the differences between two `IAMap`s, such as two versions of the same map, as
+ * `{ key, oldValue, newValue }` objects. A key that only exists in `mapB` has been added and will have an
+ * `oldValue` of `undefined`; a key that only exists in `mapA` has been removed and will have a `newValue` of
+ * `undefined`; a key that exists in both but with different values has been changed. Keys are decoded with the
+ * `keyCodec`, where there is one, as {@link IAMap#keys} yields them.
+ *
+ * The two maps are walked together and any pair of child nodes whose links are equal according to
+ * `store.isEqual()` are skipped entirely, so the number of nodes loaded is proportional to the extent of the
+ * changes rather than the size of the maps. Values are compared by content: links are compared with
+ * `store.isEqual()`, `Uint8Array`s by their bytes, and arrays and plain objects by their properties.
+ *
+ * Both maps must use the same `hashAlg`, `bitWidth` and `keyCodec` (`bucketSize` may differ) and are expected to
+ * share a backing store, or at least link types that `mapA`'s store understands.
+ *
+ * @name iamap.diff
+ * @function
+ * @async
+ * @template T
+ * @param {IAMap<T>} mapA - The "old" map
+ * @param {IAMap<T>} mapB - The "new" map
+ * @returns {AsyncGenerator<{ key: any, oldValue: any, newValue: any }>} An async iterator that yields an
+ * object for each key that is different between the two maps, in no particular order.
+ */
+export async function * diff (mapA, mapB) {
+  if (!IAMap.isIAMap(mapA) || !IAMap.isIAMap(mapB)) {
+    throw new TypeError('diff() requires two IAMap instances')
+  }
+  if (!sameLayout(mapA, mapB)) {
+    throw new Error('Cannot diff maps with different `hashAlg`, `bitWidth` or `keyCodec` options')
+  }
+  for await (const change of diffNodes(mapA, mapB)) {
+    yield { ...change, key: decodeKey(mapA.config.keyCodec, change.key) }
+  }
+}
+
+/**
+ * can the entries of two maps be compared slot by slot and key by key
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} a
+ * @param {IAMap<T>} b
+ * @returns {boolean}
+ */
+function sameLayout (a, b) {
+  return a.config.hashAlg === b.config.hashAlg && a.config.bitWidth === b.config.bitWidth &&
+    a.config.keyCodec === b.config.keyCodec
+}
+
+/**
+ * are two maps with the same layout built the same way, so that a child node of one is what the other would hold for
+ * the same entries
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} a
+ * @param {IAMap<T>} b
+ * @returns {boolean}
+ */
+function sameShape (a, b) {
+  return a.config.bucketSize === b.config.bucketSize && a.config.inlineThreshold === b.config.inlineThreshold &&
+    a.config.counted === b.config.counted && a.config.format === b.config.format
+}
+
+/**
+ * walk the occupied slots of two nodes at the same depth in step
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} a
+ * @param {IAMap<T>} b
+ * @returns {AsyncGenerator<{ key: Uint8Array, oldValue: any, newValue: any }>}
+ */
+async function * diffNodes (a, b) {
+  let ia = 0
+  let ib = 0
+  for (let bitpos = 0; bitpos < Math.pow(2, a.config.bitWidth); bitpos++) {
+    const ea = bitmapHas(a.map, bitpos) ? a.data[ia++] : null
+    const eb = bitmapHas(b.map, bitpos) ? b.data[ib++] : null
+    yield * diffElements(a, ea, b, eb)
+  }
+}
+
+/**
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} a
+ * @param {Element|null} ea - `null` where `a` has nothing in this slot
+ * @param {IAMap<T>} b
+ * @param {Element|null} eb - `null` where `b` has nothing in this slot
+ * @returns {AsyncGenerator<{ key: Uint8Array, oldValue: any, newValue: any }>}
+ */
+async function * diffElements (a, ea, b, eb) {
+  if (!ea || !eb) {
+    for await (const { key, value } of elementEntries(a, ea)) {
+      yield { key, oldValue: value, newValue: undefined }
+    }
+    for await (const { key, value } of elementEntries(b, eb)) {
+      yield { key, oldValue: undefined, newValue: value }
+    }
+    return
+  }
+  if (ea.link !== null && eb.link !== null) {
+    if (sameElement(a.store, ea, eb)) {
+      return // identical subtrees
+    }
+    yield * diffNodes(await loadChild(a, ea), await loadChild(b, eb))
+    return
+  }
+
+  // at least one side is a bucket, so one side is small, but a child node on the other side may hold many entries
+  const entriesA = await sortedEntries(a, ea)
+  const entriesB = await sortedEntries(b, eb)
+  let i = 0
+  let j = 0
+  while (i < entriesA.length || j < entriesB.length) {
+    const cmp = i === entriesA.length ? 1 : j === entriesB.length ? -1 : byteCompare(entriesA[i].key, entriesB[j].key)
+    if (cmp < 0) {
+      yield { key: entriesA[i].key, oldValue: entriesA[i++].value, newValue: undefined }
+    } else if (cmp > 0) {
+      yield { key: entriesB[j].key, oldValue: undefined, newValue: entriesB[j++].value }
+    } else {
+      if (!valueEqual(a.store, entriesA[i].value, entriesB[j].value)) {
+        yield { key: entriesA[i].key, oldValue: entriesA[i].value, newValue: entriesB[j].value }
+      }
+      i++
+      j++
+    }
+  }
+}
+
+/**
+ * all of the entries held within an element, either its bucket or the whole subtree it links to
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {Element|null} element
+ * @returns {AsyncGenerator<{ key: Uint8Array, value: any }>}
+ */
+async function * elementEntries (node, element) {
+  if (!element) {
+    return
+  }
+  if (element.bucket) {
+    for (const kv of element.bucket) {
+      yield { key: kv.key, value: kv.value }
+    }
+  } else {
+    yield * (await loadChild(node, element)).entries()
+  }
+}
+
+/**
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {Element|null} element
+ * @returns {Promise<{ key: Uint8Array, value: any }[]>}
+ */
+async function sortedEntries (node, element) {
+  const entries = []
+  for await (const entry of elementEntries(node, element)) {
+    entries.push(entry)
+  }
+  return entries.sort((e1, e2) => byteCompare(e1.key, e2.key))
+}
+
+/**
+ * ```js
+ * let merged = await iamap.merge(base, ours, theirs, { resolve (key, baseValue, ourValue, theirValue) { ... } })
+ * ```
+ *
+ * Perform a three-way merge of two maps, `ours` and `theirs`, that have both diverged from a common ancestor,
+ * `base`, and return a new `IAMap` containing the changes made on both sides.
+ *
+ * The three maps are walked together. Wherever `theirs` still holds the same subtree or bucket as `base`, or the same
+ * as `ours`, there is nothing to merge and the slot is skipped without loading anything further. Wherever only `theirs`
+ * has changed, its changes are taken as they are, and where `theirs` holds a child node there, the node itself is
+ * taken, link and all, so the subtree is neither loaded nor saved again. Only where both sides have changed the same
+ * part of the map are the entries compared key by key. A key changed on only one side takes that side's value, a key
+ * changed identically on both sides is left as it is, and a key changed differently on both sides is a conflict that is
+ * passed to `options.resolve()`.
+ *
+ * The result is built from `ours` as a single batch so only the new nodes are saved, and it will be the same,
+ * canonical, map that would be produced by applying the merged changes to `base` one at a time.
+ *
+ * All three maps must use the same `hashAlg`, `bitWidth` and `keyCodec` and are expected to share a backing store.
+ *
+ * @name iamap.merge
+ * @function
+ * @async
+ * @template T
+ * @param {IAMap<T>} base - The common ancestor of `ours` and `theirs`
+ * @param {IAMap<T>} ours - One side of the divergence, the returned map is built from this one
+ * @param {IAMap<T>} theirs - The other side of the divergence
+ * @param {Object} options - Options for the merge
+ * @param {function(any, any, any, any):any} options.resolve - Called with the `key`, decoded with the `keyCodec`
+ * where there is one, and the base, our and their values (any of which may be `undefined` if the key doesn't exist in that map) for each key that was changed
+ * differently on both sides. Return the value the merged map should hold for the key, or `undefined` to remove it.
+ * May return a `Promise`.
+ * @returns {Promise<IAMap<T>>} A `Promise` containing a new `IAMap` holding the merged contents.
+ */
+export async function merge (base, ours, theirs, options) {
+  if (!IAMap.isIAMap(base) || !IAMap.isIAMap(ours) || !IAMap.isIAMap(theirs)) {
+    throw new TypeError('merge() requires three IAMap instances')
+  }
+  if (!options || typeof options.resolve !== 'function') {
+    throw new TypeError('Invalid `options`, `resolve` must be a function')
+  }
+  for (const map of [ours, theirs]) {
+    if (!sameLayout(map, base)) {
+      throw new Error('Cannot merge maps with different `hashAlg`, `bitWidth` or `keyCodec` options')
+    }
+  }
+  /** @type {BatchOperation[]} */
+  const operations = []
+  let merged = ours
+  for await (const change of mergeNodes(base, ours, theirs, options.resolve, [])) {
+    if (change.element) {
+      merged = await graftElement(merged, change.path, change.element)
+    } else {
+      const { key, value } = change
+      operations.push(value === undefined ? { type: 'del', key } : { type: 'put', key, value })
+    }
+  }
+  // the changes taken key by key are in different slots to the child nodes taken from theirs
+  return applyBatch(merged, operations, true)
+}
+
+/**
+ * walk the occupied slots of three nodes at the same depth in step, yielding the changes that need to be applied to
+ * `ours`, either an entry to set, where a `value` of `undefined` is a delete, or a child node of theirs to put in the
+ * slot at `path`
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} base
+ * @param {IAMap<T>} ours
+ * @param {IAMap<T>} theirs
+ * @param {function(any, any, any, any):any} resolve
+ * @param {number[]} path - the slot indexes leading to these nodes from the root
+ * @returns {AsyncGenerator<MergeChange>}
+ */
+async function * mergeNodes (base, ours, theirs, resolve, path) {
+  let ib = 0
+  let io = 0
+  let it = 0
+  for (let bitpos = 0; bitpos < Math.pow(2, base.config.bitWidth); bitpos++) {
+    const eb = bitmapHas(base.map, bitpos) ? base.data[ib++] : null
+    const eo = bitmapHas(ours.map, bitpos) ? ours.data[io++] : null
+    const et = bitmapHas(theirs.map, bitpos) ? theirs.data[it++] : null
+    yield * mergeElements(base, eb, ours, eo, theirs, et, resolve, path.concat(bitpos))
+  }
+}
+
+/**
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} base
+ * @param {Element|null} eb
+ * @param {IAMap<T>} ours
+ * @param {Element|null} eo
+ * @param {IAMap<T>} theirs
+ * @param {Element|null} et
+ * @param {function(any, any, any, any):any} resolve
+ * @param {number[]} path - the slot indexes leading to these elements from the root
+ * @returns {AsyncGenerator<MergeChange>}
+ */
+async function * mergeElements (base, eb, ours, eo, theirs, et, resolve, path) {
+  const store = ours.store
+  if (sameElement(store, et, eb) || sameElement(store, et, eo)) {
+    return // nothing from theirs that we don't already have
+  }
+  if (sameElement(store, eo, eb)) {
+    // only theirs has changed, take it as it is
+    if (et && et.link !== null && sameShape(ours, theirs)) {
+      // a child node holds more than a bucket's worth of entries, so it's what this slot would hold in ours too
+      yield { path, element: et }
+      return
+    }
+    for await (const { key, newValue } of diffElements(base, eb, theirs, et)) {
+      yield { key, value: newValue }
+    }
+    return
+  }
+  if (eb && eo && et && eb.link !== null && eo.link !== null && et.link !== null) {
+    const [childBase, childOurs, childTheirs] = await Promise.all([
+      loadChild(base, eb),
+      loadChild(ours, eo),
+      loadChild(theirs, et)
+    ])
+    yield * mergeNodes(childBase, childOurs, childTheirs, resolve, path)
+    return
+  }
+
+  // both sides have changed and at least one is a bucket, so this part of the map is small enough to merge by key
+  /** @type {Map<string, { key: Uint8Array, values: any[] }>} */
+  const byKey = new Map()
+  const sides = [[base, eb], [ours, eo], [theirs, et]]
+  for (let i = 0; i < sides.length; i++) {
+    const [node, element] = /** @type {[IAMap<T>, Element|null]} */ (sides[i])
+    for (const { key, value } of await sortedEntries(node, element)) {
+      const id = key.join(',')
+      let entry = byKey.get(id)
+      if (!entry) {
+        entry = { key, values: [undefined, undefined, undefined] }
+        byKey.set(id, entry)
+      }
+      entry.values[i] = value
+    }
+  }
+  for (const { key, values: [baseValue, ourValue, theirValue] } of byKey.values()) {
+    if (valueEqual(store, theirValue, baseValue) || valueEqual(store, theirValue, ourValue)) {
+      continue
+    }
+    if (valueEqual(store, ourValue, baseValue)) {
+      yield { key, value: theirValue }
+      continue
+    }
+    const value = await resolve(decodeKey(ours.config.keyCodec, key), baseValue, ourValue, theirValue)
+    if (!valueEqual(store, value, ourValue)) {
+      yield { key, value }
     }
-    newElement.bucket.splice(bucketIndex, 1)
-    newData.splice(elementAt, 1, newElement) // replace old bucket
-  } else {
-    // empty bucket, just remove it
-    newData.splice(elementAt, 1)
   }
-  return newData
 }
 
 /**
- * a node has bubbled up from a recursive delete() and we need to extract its
- * contents and insert it into ours
+ * replace the element in the slot at `path` in `node`, or in the child node the slots before it lead to, with a
+ * child node element from another map that shares its layout
  * @ignore
  * @template T
  * @param {IAMap<T>} node
- * @param {number} bitpos
- * @param {IAMap<T>} newNode
+ * @param {number[]} path
+ * @param {Element} element
  * @returns {Promise<IAMap<T>>}
  */
-async function collapseNodeInline (node, bitpos, newNode) {
-  // assume the newNode has a single bucket and it's sorted and ready to replace the place
-  // it had in node's element array
-  assert(newNode.data.length === 1)
-  /* c8 ignore next 3 */
-  if (!newNode.data[0].bucket) {
-    throw new Error('Unexpected error')
+async function graftElement (node, path, element) {
+  const bitpos = path[0]
+  const elementAt = index(node.map, bitpos)
+  if (path.length > 1) {
+    const child = await loadChild(node, node.data[elementAt])
+    return updateNode(node, elementAt, await graftElement(child, path.slice(1), element))
+  }
+  if (element.inline) {
+    // part of the other map's node rather than a block of its own, so take it with our depth and config
+    element = new Element(undefined, adoptNode(node, element.link, node.depth + 1), true)
   }
-  const newBucket = newNode.data[0].bucket.slice()
-  const newElement = new Element(newBucket)
-  const elementIndex = index(node.map, bitpos)
   const newData = node.data.slice()
-  newData[elementIndex] = newElement
+  newData.splice(elementAt, bitmapHas(node.map, bitpos) ? 1 : 0, element)
+  const newMap = setBit(node.map, bitpos, true)
+  return new IAMap(node.store, node.config, newMap, node.depth, newData)
+}
 
-  return create(node.store, node.config, node.map, node.depth, newData)
+/**
+ * do two elements in the same slot hold the same contents, without loading anything
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {Element|null} e1
+ * @param {Element|null} e2
+ * @returns {boolean}
+ */
+function sameElement (store, e1, e2) {
+  if (!e1 || !e2) {
+    return e1 === e2
+  }
+  if (e1.inline || e2.inline) {
+    // inlined children are small, compare them by content
+    return e1.inline && e2.inline && valueEqual(store, e1.link.toSerializable(), e2.link.toSerializable())
+  }
+  if (e1.link !== null && e2.link !== null) {
+    return store.isEqual(e1.link, e2.link)
+  }
+  if (!e1.bucket || !e2.bucket || e1.bucket.length !== e2.bucket.length) {
+    return false
+  }
+  const b2 = e2.bucket
+  // buckets are kept sorted by key
+  return e1.bucket.every((kv, i) => byteCompare(kv.key, b2[i].key) === 0 && valueEqual(store, kv.value, b2[i].value))
 }
 
 /**
+ * compare two values by content, values freshly loaded from a store won't be the same object even if they're equal
  * @ignore
- * @param {Options} [options]
- * @returns {Config}
+ * @template T
+ * @param {Store<T>} store
+ * @param {any} v1
+ * @param {any} v2
+ * @returns {boolean}
  */
-function buildConfig (options) {
-  /**
-   * @ignore
-   * @type {Config}
-   */
-  const config = {}
+function valueEqual (store, v1, v2) {
+  if (v1 === v2) {
+    return true
+  }
+  if (typeof v1 !== 'object' || typeof v2 !== 'object' || v1 === null || v2 === null) {
+    return false
+  }
+  if (store.isLink(v1) || store.isLink(v2)) {
+    return store.isLink(v1) && store.isLink(v2) && store.isEqual(v1, v2)
+  }
+  if (v1 instanceof Uint8Array || v2 instanceof Uint8Array) {
+    return v1 instanceof Uint8Array && v2 instanceof Uint8Array && byteCompare(v1, v2) === 0
+  }
+  if (Array.isArray(v1) !== Array.isArray(v2)) {
+    return false
+  }
+  const keys = Object.keys(v1)
+  if (keys.length !== Object.keys(v2).length) {
+    return false
+  }
+  return keys.every((k) => Object.prototype.hasOwnProperty.call(v2, k) && valueEqual(store, v1[k], v2[k]))
+}
 
-  if (!options) {
-    throw new TypeError('Invalid `options` object')
+/**
+ * @template T
+ * @param {IAMap<T> | any} node
+ * @returns {boolean}
+ */
+IAMap.isIAMap = function isIAMap (node) {
+  return node instanceof IAMap
+}
+
+/**
+ * internal utility to fetch a map instance's hash function, its own `hasher` or the one registered for its `hashAlg`
+ *
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} map
+ * @returns {Hasher}
+ */
+function hasher (map) {
+  return configHasher(map.config)
+}
+
+/**
+ * @ignore
+ * @param {Config} config
+ * @returns {Hasher}
+ */
+function configHasher (config) {
+  const hashKey = config.hashKey
+  if (hashKey) {
+    return (bytes) => keyedHash(hashKey.secret, bytes)
   }
+  const provided = config.hasher
+  if (provided) {
+    return (bytes) => digestOf(provided, bytes)
+  }
+  return hasherRegistry[config.hashAlg].hasher
+}
 
-  if (!Number.isInteger(options.hashAlg)) {
-    throw new TypeError('Invalid `hashAlg` option')
+/**
+ * a hasher's `digest()` may return the hash itself or, as multiformats hashers do, a multihash digest object
+ * @ignore
+ * @param {MultihashHasher} hasher
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function digestOf (hasher, bytes) {
+  const digest = await hasher.digest(bytes)
+  const hash = digest instanceof Uint8Array ? digest : digest.digest
+  if (hasher.bytes === undefined && !digestLengths.has(hasher)) {
+    digestLengths.set(hasher, hash.length)
   }
-  if (!hasherRegistry[options.hashAlg]) {
-    throw new TypeError(`Unknown hashAlg: '${options.hashAlg}'`)
+  return hash
+}
+
+/**
+ * the number of bytes of hash produced by the `hasher` options that don't say, as multiformats hashers don't, found
+ * from their first digest
+ * @ignore
+ * @type {WeakMap<MultihashHasher, number>}
+ */
+const digestLengths = new WeakMap()
+
+/**
+ * make sure the number of bytes of hash a map's `hasher` produces is known, so that maxDepth() can be answered
+ * before any key has been hashed
+ * @ignore
+ * @param {Config} config
+ * @returns {Promise<void>}
+ */
+async function learnDigestLength (config) {
+  if (config.hasher && config.hasher.bytes === undefined && !digestLengths.has(config.hasher)) {
+    await digestOf(config.hasher, new Uint8Array(0))
   }
-  config.hashAlg = options.hashAlg
+}
 
-  if (options.bitWidth !== undefined) {
-    if (Number.isInteger(options.bitWidth)) {
-      if (options.bitWidth < 3 || options.bitWidth > 16) {
-        throw new TypeError('Invalid `bitWidth` option, must be between 3 and 16')
-      }
-      config.bitWidth = options.bitWidth
-    } else {
-      throw new TypeError('Invalid `bitWidth` option')
-    }
-  } else {
-    config.bitWidth = defaultBitWidth
+/**
+ * @ignore
+ * @type {WeakMap<Uint8Array, Promise<CryptoKey>>}
+ */
+const hmacKeys = new WeakMap()
+
+/**
+ * HMAC-SHA-256 of a key with a `hashKey` secret, the imported key is kept for as long as the secret is
+ * @ignore
+ * @param {Uint8Array} secret
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function keyedHash (secret, bytes) {
+  let key = hmacKeys.get(secret)
+  if (key === undefined) {
+    key = crypto.subtle.importKey('raw', /** @type {BufferSource} */ (secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    hmacKeys.set(secret, key)
   }
+  return new Uint8Array(await crypto.subtle.sign('HMAC', await key, /** @type {BufferSource} */ (bytes)))
+}
 
-  if (options.bucketSize !== undefined) {
-    if (Number.isInteger(options.bucketSize)) {
-      if (options.bucketSize < 2) {
-        throw new TypeError('Invalid `bucketSize` option')
-      }
-      config.bucketSize = options.bucketSize
-    } else {
-      throw new TypeError('Invalid `bucketSize` option')
+/**
+ * check a key/value pair against the `validate` option, if there is one, before it's written
+ * @ignore
+ * @template T
+ * @param {IAMap<T>} node
+ * @param {any} key - as provided
+ * @param {Uint8Array} bytes - the encoded key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+async function validateEntry (node, key, bytes, value) {
+  const validate = node.config.validate
+  if (validate === undefined) {
+    return
+  }
+  let problem = null
+  if (typeof validate === 'function') {
+    const result = await validate(key, value)
+    if (result === false) {
+      problem = 'rejected by `validate`'
+    } else if (typeof result === 'string') {
+      problem = result
     }
   } else {
-    config.bucketSize = defaultBucketSize
+    problem = schemaProblem(node.store, validate, bytes, value)
+  }
+  if (problem !== null) {
+    throw new ValidationError(`Invalid entry for key ${describeKey(key)}: ${problem}`, key)
   }
-
-  return config
 }
 
 /**
- * Determine if a serializable object is an IAMap root type, can be used to assert whether a data block is
- * an IAMap before trying to instantiate it.
- *
- * @name iamap.isRootSerializable
- * @function
- * @param {any} serializable An object that may be a serialisable form of an IAMap root node
- * @returns {boolean} An indication that the serialisable form is or is not an IAMap root node
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {ValidateSchema} schema
+ * @param {Uint8Array} bytes
+ * @param {any} value
+ * @returns {string|null}
  */
-export function isRootSerializable (serializable) {
-  return typeof serializable === 'object' &&
-    Number.isInteger(serializable.hashAlg) &&
-    Number.isInteger(serializable.bucketSize) &&
-    Array.isArray(serializable.hamt) &&
-    isSerializable(serializable.hamt)
+function schemaProblem (store, schema, bytes, value) {
+  if (schema.maxKeyLength !== undefined && bytes.length > schema.maxKeyLength) {
+    return `key is ${bytes.length} bytes, more than the maxKeyLength of ${schema.maxKeyLength}`
+  }
+  const dataProblem = storableProblem(store, value, [])
+  if (dataProblem !== null) {
+    return dataProblem
+  }
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    const type = valueType(store, value)
+    if (!types.includes(type)) {
+      return `value is of type '${type}', expected ${types.map((t) => `'${t}'`).join(' or ')}`
+    }
+  }
+  if (schema.maxValueSize !== undefined) {
+    const size = /** @type {(node:any)=>number} */ (store.sizeOf)(value)
+    if (size > schema.maxValueSize) {
+      return `value is ${size} bytes, more than the maxValueSize of ${schema.maxValueSize}`
+    }
+  }
+  return null
 }
 
 /**
- * Determine if a serializable object is an IAMap node type, can be used to assert whether a data block is
- * an IAMap node before trying to instantiate it.
- * This should pass for both root nodes as well as child nodes
- *
- * @name iamap.isSerializable
- * @function
- * @param {any} serializable An object that may be a serialisable form of an IAMap node
- * @returns {boolean} An indication that the serialisable form is or is not an IAMap node
+ * find anything within a value that a store can't be expected to encode
+ * @ignore
+ * @template T
+ * @param {Store<T>} store
+ * @param {any} value
+ * @param {any[]} ancestors - the objects and arrays containing `value`
+ * @returns {string|null}
  */
-export function isSerializable (serializable) {
-  if (Array.isArray(serializable)) {
-    return serializable.length === 2 && serializable[0] instanceof Uint8Array && Array.isArray(serializable[1])
+function storableProblem (store, value, ancestors) {
+  if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+    return `value contains ${value === undefined ? 'undefined' : `a ${typeof value}`}`
+  }
+  if (typeof value !== 'object' || value === null || value instanceof Uint8Array || store.isLink(value)) {
+    return null
+  }
+  if (ancestors.includes(value)) {
+    return 'value contains a cycle'
+  }
+  ancestors.push(value)
+  for (const v of Object.values(value)) {
+    const problem = storableProblem(store, v, ancestors)
+    if (problem !== null) {
+      return problem
+    }
   }
-  return isRootSerializable(serializable)
+  ancestors.pop()
+  return null
 }
 
 /**
- * Instantiate an IAMap from a valid serialisable form of an IAMap node. The serializable should be the same as
- * produced by {@link IAMap#toSerializable}.
- * Serialised forms of root nodes must satisfy both {@link iamap.isRootSerializable} and {@link iamap.isSerializable}. For
- * root nodes, the `options` parameter will be ignored and the `depth` parameter must be the default value of `0`.
- * Serialised forms of non-root nodes must satisfy {@link iamap.isSerializable} and have a valid `options` parameter and
- * a non-`0` `depth` parameter.
- *
- * @name iamap.fromSerializable
- * @function
+ * @ignore
  * @template T
- * @param {Store<T>} store A backing store for this Map. See {@link iamap.create}.
- * @param {any} id An optional ID for the instantiated IAMap node. Unlike {@link iamap.create},
- * `fromSerializable()` does not `save()` a newly created IAMap node so an ID is not generated for it. If one is
- * required for downstream purposes it should be provided, if the value is `null` or `undefined`, `node.id` will
- * be `null` but will remain writable.
- * @param {any} serializable The serializable form of an IAMap node to be instantiated
- * @param {Options} [options=null] An options object for IAMap child node instantiation. Will be ignored for root
- * node instantiation (where `depth` = `0`) See {@link iamap.create}.
- * @param {number} [depth=0] The depth of the IAMap node. Where `0` is the root node and any `>0` number is a child
- * node.
- * @returns {IAMap<T>}
+ * @param {Store<T>} store
+ * @param {any} value
+ * @returns {string}
  */
-export function fromSerializable (store, id, serializable, options, depth = 0) {
-  /**
-   * @ignore
-   * @type {SerializedNode}
-   */
-  let hamt
-  if (depth === 0) { // even if options were supplied, ignore them and use what's in the serializable
-    if (!isRootSerializable(serializable)) {
-      throw new Error('Loaded object does not appear to be an IAMap root (depth==0)')
+function valueType (store, value) {
+  if (typeof value !== 'object') {
+    return typeof value
+  }
+  if (value === null) {
+    return 'null'
+  }
+  if (value instanceof Uint8Array) {
+    return 'bytes'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  return store.isLink(value) ? 'link' : 'object'
+}
+
+const valueTypes = ['null', 'boolean', 'number', 'bigint', 'string', 'bytes', 'link', 'array', 'object']
+
+/**
+ * @ignore
+ * @param {any} schema
+ */
+function validateSchema (schema) {
+  if (typeof schema !== 'object' || schema === null) {
+    throw new TypeError('Invalid `validate` option, must be a function or a schema object')
+  }
+  for (const property of Object.keys(schema)) {
+    if (!['type', 'maxKeyLength', 'maxValueSize'].includes(property)) {
+      throw new TypeError(`Invalid \`validate\` option, unknown schema property '${property}'`)
     }
-    // don't use passed-in options
-    options = serializableToOptions(serializable)
-    hamt = serializable.hamt
-  } else {
-    if (!isSerializable(serializable)) {
-      throw new Error('Loaded object does not appear to be an IAMap node (depth>0)')
+  }
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.length || !types.every((/** @type {any} */ t) => valueTypes.includes(t))) {
+      throw new TypeError(`Invalid \`validate.type\` option, must be one or more of ${valueTypes.map((t) => `'${t}'`).join(', ')}`)
     }
-    hamt = serializable
   }
-  const data = hamt[1].map(Element.fromSerializable.bind(null, store.isLink))
-  const node = new IAMap(store, options, hamt[0], depth, data)
-  if (id != null) {
-    node.id = id
+  for (const property of ['maxKeyLength', 'maxValueSize']) {
+    if (schema[property] !== undefined && (!Number.isInteger(schema[property]) || schema[property] < 0)) {
+      throw new TypeError(`Invalid \`validate.${property}\` option, must be an integer >= 0`)
+    }
   }
-  return node
 }
 
 /**
+ * a readable form of a key for error messages
  * @ignore
- * @param {any} serializable
- * @returns {Config}
+ * @param {any} key
+ * @returns {string}
  */
-function serializableToOptions (serializable) {
-  return {
-    hashAlg: serializable.hashAlg,
-    bitWidth: Math.log2(serializable.hamt[0].length * 8), // inverse of (2**bitWidth) / 8
-    bucketSize: serializable.bucketSize
+function describeKey (key) {
+  if (key instanceof Uint8Array) {
+    return `0x${Array.from(key, (b) => b.toString(16).padStart(2, '0')).join('')}`
+  }
+  if (typeof key === 'bigint') {
+    return `${key}n`
+  }
+  try {
+    return JSON.stringify(key)
+  } catch (_) {
+    return String(key)
   }
 }
 
 /**
- * @template T
- * @param {IAMap<T> | any} node
- * @returns {boolean}
+ * the bytes of a key as given to set(), get() etc., using the `keyCodec` where there is one
+ * @ignore
+ * @param {string|undefined} keyCodec
+ * @param {any} key
+ * @returns {Uint8Array}
  */
-IAMap.isIAMap = function isIAMap (node) {
-  return node instanceof IAMap
+function encodeKey (keyCodec, key) {
+  if (keyCodec === undefined) {
+    return key instanceof Uint8Array ? key : textEncoder.encode(key)
+  }
+  const bytes = keyCodecFor(keyCodec).encode(key)
+  if (!(bytes instanceof Uint8Array)) {
+    throw new TypeError(`keyCodec '${keyCodec}' did not encode the key to a Uint8Array`)
+  }
+  return bytes
 }
 
 /**
- * internal utility to fetch a map instance's hash function
- *
+ * the key as returned from keys(), entries() etc., using the `keyCodec` where there is one
  * @ignore
- * @template T
- * @param {IAMap<T>} map
- * @returns {Hasher}
+ * @param {string|undefined} keyCodec
+ * @param {Uint8Array} bytes
+ * @returns {any}
  */
-function hasher (map) {
-  return hasherRegistry[map.config.hashAlg].hasher
+function decodeKey (keyCodec, bytes) {
+  return keyCodec === undefined ? bytes : keyCodecFor(keyCodec).decode(bytes)
+}
+
+/**
+ * @ignore
+ * @param {string} keyCodec
+ * @returns {KeyCodec}
+ */
+function keyCodecFor (keyCodec) {
+  if (!Object.prototype.hasOwnProperty.call(keyCodecRegistry, keyCodec)) {
+    throw new TypeError(`Unknown keyCodec: '${keyCodec}'`)
+  }
+  return keyCodecRegistry[keyCodec]
+}
+
+/**
+ * the depth of the deepest node a map can have, our hasher only has `hashBytes` to work with and we take off
+ * `bitWidth` bits with each level, so this is the last depth with any bits left to index by, e.g. a 32-byte hash and
+ * a `bitWidth` of 5 gives us a maximum depth of 51 levels, where the last bit is used, and a `bitWidth` of 8 gives 31
+ * @ignore
+ * @param {Config} config
+ * @returns {number}
+ */
+function maxDepth (config) {
+  let hashBytes
+  if (config.hashKey) {
+    hashBytes = 32
+  } else if (config.hasher) {
+    const hasher = config.hasher
+    hashBytes = hasher.bytes !== undefined ? hasher.bytes : /** @type {number} */ (digestLengths.get(hasher))
+  } else {
+    hashBytes = hasherRegistry[config.hashAlg].hashBytes
+  }
+  return Math.ceil((hashBytes * 8) / config.bitWidth) - 1
 }
 
 /**
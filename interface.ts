@@ -4,23 +4,102 @@ export interface Store<T> {
   load(id: T): Promise<any>,
   isLink(link: T): boolean,
   isEqual(link1: T, link2: T): boolean,
+  sizeOf?(node: any): number,
+  delete?(link: T): Promise<void> | void,
+  loadBlock?(link: T): Promise<Block>,
+  saveBlock?(cid: Uint8Array, bytes: Uint8Array): Promise<T>
 }
 
-export interface Options {
+// a block in its encoded form, as it appears in a CAR archive
+export interface Block {
+  cid: Uint8Array,
+  bytes: Uint8Array,
+  node?: any // the decoded form of the block, where the store has it to hand
+}
+
+export interface Writable {
+  write(bytes: Uint8Array): any
+}
+
+// a cache of decoded nodes, keyed by link
+export interface NodeCache {
+  get(link: any): any | undefined,
+  set(link: any, node: any): void
+}
+
+export interface KeyCodec {
+  encode(key: any): Uint8Array,
+  decode(bytes: Uint8Array): any
+}
+
+export interface ValidateSchema {
+  type?: string | string[],
+  maxKeyLength?: number,
+  maxValueSize?: number
+}
+
+export type Validate = ((key: any, value: any) => boolean | string | void | Promise<boolean | string | void>) | ValidateSchema
+
+export interface CacheStats {
+  hits: number,
+  misses: number
+}
+
+// options that aren't recorded in the root node, they apply to an instance of a map and its children
+export interface RuntimeOptions {
+  cache?: NodeCache,
+  validate?: Validate,
+  hasher?: MultihashHasher,
+  hashKey?: HashKey
+}
+
+// a secret for keyed hashing, only its `id` is recorded in the root node
+export interface HashKey {
+  id: string,
+  secret: Uint8Array
+}
+
+// a hash function for a single map, such as a multiformats hasher
+export interface MultihashHasher {
+  code: number,
+  bytes?: number, // the length of its digests, found from the first one where not given
+  digest(input: Uint8Array): Digest | Promise<Digest>
+}
+
+type Digest = Uint8Array | { digest: Uint8Array }
+
+export interface Options extends RuntimeOptions {
   bitWidth?: number,
   bucketSize?: number,
-  hashAlg: number
+  inlineThreshold?: number,
+  counted?: boolean,
+  keyCodec?: string,
+  format?: Format,
+  hashAlg?: number
 }
 
 export interface Config {
   bitWidth: number,
   bucketSize: number,
-  hashAlg: number
+  inlineThreshold: number,
+  counted: boolean,
+  keyCodec?: string,
+  format: Format,
+  hashAlg: number,
+  cache?: NodeCache,
+  cacheStats?: CacheStats,
+  validate?: Validate,
+  hasher?: MultihashHasher,
+  hashKey?: HashKey,
+  keysOnly?: boolean // the nodes of an IASet, with buckets of keys
 }
 
 export type SerializedKV = [Uint8Array, any]
 
-export type SerializedElement = SerializedKV | any /* link */
+export type SerializedElement = SerializedKV | any /* link, or [link, count] */
+
+// the IPLD HashMap specification's keyed union of a link to a child node or a bucket
+export type KeyedElement = { 0: any } | { 1: SerializedKV[] }
 
 type NodeMap = Uint8Array
 type NodeData = SerializedElement[]
@@ -30,5 +109,66 @@ export type SerializedNode = [NodeMap, NodeData]
 export interface SerializedRoot {
   hashAlg: number,
   bucketSize: number,
+  inlineThreshold?: number,
+  counted?: boolean,
+  keyCodec?: string,
+  hashKey?: string,
   hamt: SerializedNode
 }
+
+// the root of an IASet, marked by `hamtSet` in place of `hamt`, its buckets hold keys without values
+export interface SerializedSetRoot extends Omit<SerializedRoot, 'hamt'> {
+  hamtSet: SerializedNode
+}
+
+// the `ipld` format, the root node has the fields of a child node rather than a `hamt`
+export interface KeyedNode {
+  map: NodeMap,
+  data: KeyedElement[]
+}
+
+export interface KeyedRoot extends KeyedNode {
+  hashAlg: string, // the multicodec name, as the specification has it
+  bucketSize: number
+}
+
+export type Format = 'iamap' | 'ipld'
+
+export interface TraverseOptions {
+  concurrency?: number
+}
+
+export interface StatsOptions extends TraverseOptions {
+  sizeOf?(node: any): number
+}
+
+// the shape of a map, as measured by IAMap#stats()
+export interface MapStats {
+  nodes: number,
+  entries: number,
+  maxDepth: number,
+  depths: number[],
+  buckets: number[],
+  fill: number[],
+  size: { total: number, average: number } | null
+}
+
+// where IAMap#reconfigure() got to, the new map so far and the page cursor of the next entries to copy
+export interface ReconfigureCheckpoint {
+  id: any,
+  cursor: string | null,
+  copied: number
+}
+
+export interface IterateOptions extends TraverseOptions {
+  order?: 'hash' | 'key',
+  windowSize?: number
+}
+
+export type BatchOperation =
+  { type: 'put', key: any, value: any } |
+  { type: 'del', key: any }
+
+export type Entry =
+  [any, any] |
+  { key: any, value: any }
@@ -0,0 +1,300 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/**
+ * @typedef {import('./interface').KeyCodec} KeyCodec
+ */
+
+// Each of the built-in codecs encodes keys such that the bytes sort in the same order as the keys themselves, so
+// iterating with `{ order: 'key' }` gives keys in their natural order.
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder('utf-8', { fatal: true })
+
+const ZERO = BigInt(0)
+const BYTE = BigInt(0xff)
+const EIGHT = BigInt(8)
+
+const tupleTags = {
+  bytes: 0x01,
+  string: 0x02,
+  tuple: 0x03,
+  bigint: 0x04,
+  number: 0x05
+}
+
+/**
+ * Numbers, as 8-byte big-endian IEEE 754 doubles with the sign bit flipped for positive numbers and every bit flipped
+ * for negative numbers. `-0` is stored as `0`.
+ *
+ * @type {KeyCodec}
+ */
+export const number = {
+  encode (key) {
+    if (typeof key !== 'number') {
+      throw new TypeError('Invalid key, must be a number')
+    }
+    return encodeNumber(key)
+  },
+
+  decode (bytes) {
+    if (bytes.length !== 8) {
+      throw new Error('Invalid number key encoding')
+    }
+    return decodeNumber(bytes)
+  }
+}
+
+/**
+ * BigInts, as a sign byte, a length byte and the big-endian bytes of the magnitude, with the length and magnitude
+ * bytes flipped for negative numbers. Magnitudes up to 255 bytes are supported.
+ *
+ * @type {KeyCodec}
+ */
+export const bigint = {
+  encode (key) {
+    if (typeof key !== 'bigint') {
+      throw new TypeError('Invalid key, must be a bigint')
+    }
+    return Uint8Array.from(encodeBigint(key))
+  },
+
+  decode (bytes) {
+    const { value, end } = decodeBigint(bytes, 0)
+    if (end !== bytes.length) {
+      throw new Error('Invalid bigint key encoding')
+    }
+    return value
+  }
+}
+
+/**
+ * Arrays of strings, numbers, bigints, `Uint8Array`s and nested arrays of the same. Each element is a type tag
+ * followed by its encoding; strings and bytes end with a `0x00` byte, with any `0x00` within them escaped as
+ * `0x00 0xff`, and nested arrays end with a `0x00` byte. Arrays are ordered element by element, with elements of
+ * different types ordered by type, and an array sorts before any longer array it is a prefix of.
+ *
+ * @type {KeyCodec}
+ */
+export const tuple = {
+  encode (key) {
+    if (!Array.isArray(key)) {
+      throw new TypeError('Invalid key, must be an array')
+    }
+    /** @type {number[]} */
+    const bytes = []
+    for (const element of key) {
+      encodeTupleElement(element, bytes)
+    }
+    return Uint8Array.from(bytes)
+  },
+
+  decode (bytes) {
+    const elements = []
+    let at = 0
+    while (at < bytes.length) {
+      const { value, end } = decodeTupleElement(bytes, at)
+      elements.push(value)
+      at = end
+    }
+    return elements
+  }
+}
+
+/**
+ * UUID strings, in their canonical hyphenated form, as their 16 bytes. Decoded UUIDs are lower case.
+ *
+ * @type {KeyCodec}
+ */
+export const uuid = {
+  encode (key) {
+    if (typeof key !== 'string' || !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(key)) {
+      throw new TypeError('Invalid key, must be a UUID string')
+    }
+    const hex = key.replace(/-/g, '')
+    const bytes = new Uint8Array(16)
+    for (let i = 0; i < 16; i++) {
+      bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16)
+    }
+    return bytes
+  },
+
+  decode (bytes) {
+    if (bytes.length !== 16) {
+      throw new Error('Invalid UUID key encoding')
+    }
+    const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+  }
+}
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array}
+ */
+function encodeNumber (value) {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setFloat64(0, value === 0 ? 0 : value) // no -0
+  if (bytes[0] & 0x80) {
+    for (let i = 0; i < 8; i++) {
+      bytes[i] ^= 0xff
+    }
+  } else {
+    bytes[0] ^= 0x80
+  }
+  return bytes
+}
+
+/**
+ * @param {Uint8Array} encoded
+ * @returns {number}
+ */
+function decodeNumber (encoded) {
+  const bytes = Uint8Array.from(encoded)
+  if (bytes[0] & 0x80) {
+    bytes[0] ^= 0x80
+  } else {
+    for (let i = 0; i < 8; i++) {
+      bytes[i] ^= 0xff
+    }
+  }
+  return new DataView(bytes.buffer).getFloat64(0)
+}
+
+/**
+ * @param {bigint} value
+ * @returns {number[]}
+ */
+function encodeBigint (value) {
+  const negative = value < ZERO
+  let magnitude = negative ? -value : value
+  const bytes = []
+  while (magnitude > ZERO) {
+    bytes.unshift(Number(magnitude & BYTE))
+    magnitude >>= EIGHT
+  }
+  if (bytes.length > 0xff) {
+    throw new TypeError('Invalid key, bigint is too large')
+  }
+  bytes.unshift(bytes.length)
+  if (negative) {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] ^= 0xff
+    }
+  }
+  bytes.unshift(negative ? 0x00 : 0x01)
+  return bytes
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} at
+ * @returns {{ value: bigint, end: number }}
+ */
+function decodeBigint (bytes, at) {
+  const sign = bytes[at]
+  if ((sign !== 0x00 && sign !== 0x01) || at + 2 > bytes.length) {
+    throw new Error('Invalid bigint key encoding')
+  }
+  const flip = sign === 0x00 ? 0xff : 0x00
+  const length = bytes[at + 1] ^ flip
+  const end = at + 2 + length
+  if (end > bytes.length) {
+    throw new Error('Invalid bigint key encoding')
+  }
+  let magnitude = ZERO
+  for (let i = at + 2; i < end; i++) {
+    magnitude = (magnitude << EIGHT) | BigInt(bytes[i] ^ flip)
+  }
+  return { value: sign === 0x00 ? -magnitude : magnitude, end }
+}
+
+/**
+ * @param {any} element
+ * @param {number[]} bytes
+ */
+function encodeTupleElement (element, bytes) {
+  if (element instanceof Uint8Array) {
+    bytes.push(tupleTags.bytes)
+    encodeEscaped(element, bytes)
+  } else if (typeof element === 'string') {
+    bytes.push(tupleTags.string)
+    encodeEscaped(textEncoder.encode(element), bytes)
+  } else if (Array.isArray(element)) {
+    bytes.push(tupleTags.tuple)
+    for (const e of element) {
+      encodeTupleElement(e, bytes)
+    }
+    bytes.push(0x00)
+  } else if (typeof element === 'bigint') {
+    bytes.push(tupleTags.bigint, ...encodeBigint(element))
+  } else if (typeof element === 'number') {
+    bytes.push(tupleTags.number, ...encodeNumber(element))
+  } else {
+    throw new TypeError('Invalid key, array elements must be strings, numbers, bigints, Uint8Arrays or arrays')
+  }
+}
+
+/**
+ * @param {Uint8Array} element
+ * @param {number[]} bytes
+ */
+function encodeEscaped (element, bytes) {
+  for (const b of element) {
+    bytes.push(b)
+    if (b === 0x00) {
+      bytes.push(0xff)
+    }
+  }
+  bytes.push(0x00)
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} at
+ * @returns {{ value: any, end: number }}
+ */
+function decodeTupleElement (bytes, at) {
+  const tag = bytes[at++]
+  if (tag === tupleTags.bytes || tag === tupleTags.string) {
+    const { value, end } = decodeEscaped(bytes, at)
+    return { value: tag === tupleTags.string ? textDecoder.decode(value) : value, end }
+  } else if (tag === tupleTags.tuple) {
+    const value = []
+    while (bytes[at] !== 0x00) {
+      if (at >= bytes.length) {
+        throw new Error('Invalid tuple key encoding')
+      }
+      const element = decodeTupleElement(bytes, at)
+      value.push(element.value)
+      at = element.end
+    }
+    return { value, end: at + 1 }
+  } else if (tag === tupleTags.bigint) {
+    return decodeBigint(bytes, at)
+  } else if (tag === tupleTags.number && at + 8 <= bytes.length) {
+    return { value: decodeNumber(bytes.subarray(at, at + 8)), end: at + 8 }
+  }
+  throw new Error('Invalid tuple key encoding')
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} at
+ * @returns {{ value: Uint8Array, end: number }}
+ */
+function decodeEscaped (bytes, at) {
+  const value = []
+  while (true) {
+    if (at >= bytes.length) {
+      throw new Error('Invalid tuple key encoding')
+    }
+    const b = bytes[at++]
+    if (b === 0x00) {
+      if (bytes[at] !== 0xff) {
+        return { value: Uint8Array.from(value), end: at }
+      }
+      at++
+    }
+    value.push(b)
+  }
+}
@@ -0,0 +1,50 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/**
+ * @typedef {import('./interface').NodeCache} NodeCache
+ */
+
+/**
+ * ```js
+ * let map = await iamap.load(store, id, { cache: iamap.lruCache(1000) })
+ * ```
+ *
+ * Create a simple size-bounded cache suitable for the `cache` option of {@link iamap.create} and {@link iamap.load}.
+ * When more than `maxSize` nodes are held, the least recently used node is evicted.
+ *
+ * Nodes are keyed by the string form of their link, so links must have a unique string form, as CIDs do. For links
+ * that don't, provide a custom cache with `get(link)` and `set(link, node)` methods.
+ *
+ * @name iamap.lruCache
+ * @function
+ * @param {number} maxSize - The maximum number of nodes to hold.
+ * @returns {NodeCache}
+ */
+export function lruCache (maxSize) {
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    throw new TypeError('Invalid `maxSize`, must be an integer greater than 0')
+  }
+  // a Map iterates in insertion order, so re-inserting on each access keeps the least recently used first
+  const nodes = new Map()
+
+  return {
+    get (link) {
+      const key = String(link)
+      const node = nodes.get(key)
+      if (node !== undefined) {
+        nodes.delete(key)
+        nodes.set(key, node)
+      }
+      return node
+    },
+
+    set (link, node) {
+      const key = String(link)
+      nodes.delete(key)
+      nodes.set(key, node)
+      if (nodes.size > maxSize) {
+        nodes.delete(nodes.keys().next().value)
+      }
+    }
+  }
+}
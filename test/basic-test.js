@@ -174,6 +174,58 @@ describe('Basics', () => {
     assert.strictEqual(await deleteMap.isInvariant(), true)
   })
 
+  it('test delete from a shared bucket', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 3 })
+    const empty = map
+    map = await map.set(Uint8Array.from([1 << 4, 1]), 'a')
+    map = await map.set(Uint8Array.from([1 << 4, 2]), 'b')
+    const shared = map
+
+    // removing one of two in the only bucket leaves the other
+    map = await map.delete(Uint8Array.from([1 << 4, 1]))
+    assert.strictEqual(await map.size(), 1)
+    assert.strictEqual(await map.get(Uint8Array.from([1 << 4, 2])), 'b')
+    assert.strictEqual(map.id, (await empty.set(Uint8Array.from([1 << 4, 2]), 'b')).id)
+
+    // removing the only entry in one of two buckets removes that bucket entirely
+    map = await shared.set(Uint8Array.from([2 << 4, 1]), 'c')
+    map = await map.delete(Uint8Array.from([2 << 4, 1]))
+    assert.strictEqual(map.data.length, 1)
+    assert.strictEqual(map.id, shared.id)
+    assert.strictEqual(await map.isInvariant(), true)
+  })
+
+  it('test delete from the buckets of a child node', async () => {
+    // a bucket is emptied by its own size, not by the number of elements in the node holding it
+    const store = memoryStore()
+    const empty = await iamap.create(store, { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 })
+    const key = (/** @type {number} */ index, /** @type {number} */ n) => Uint8Array.from([(1 << 4) | index, n])
+    const keys = [key(1, 1), key(1, 2), key(2, 1), key(3, 1), key(4, 1)]
+    let full = empty
+    for (const k of keys) {
+      full = await full.set(k, toHex(k))
+    }
+    assert.strictEqual(full.data.length, 1)
+    assert.ok(full.data[0].link) // all in a child node, in 4 buckets
+
+    for (const [i, k] of keys.entries()) {
+      let expected = empty
+      for (const other of keys) {
+        if (other !== k) {
+          expected = await expected.set(other, toHex(other))
+        }
+      }
+      const deleted = await full.delete(k)
+      assert.strictEqual(deleted.id, expected.id, `delete key ${i}`)
+      assert.strictEqual(await deleted.get(k), undefined)
+      assert.strictEqual(await deleted.size(), 4)
+      assert.strictEqual(await deleted.isInvariant(), true)
+      // and the same through batch()
+      assert.strictEqual((await full.batch().del(k).write()).id, expected.id, `batch del key ${i}`)
+    }
+  })
+
   /*
   * NOTE ABOUT IDENTITY HASH TESTS
   * With identity hashes we can control the index at each level but we have to construct the
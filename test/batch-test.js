@@ -0,0 +1,174 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore } from './common.js'
+import * as iamap from '../iamap.js'
+
+/**
+ * @typedef {import('../interface').BatchOperation} BatchOperation
+ */
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+/**
+ * apply operations one at a time, the slow way
+ * @param {iamap.IAMap<number>} map
+ * @param {BatchOperation[]} operations
+ */
+async function applyEach (map, operations) {
+  for (const op of operations) {
+    if (op.type === 'put') {
+      map = await map.set(op.key, op.value)
+    } else {
+      map = await map.delete(op.key)
+    }
+  }
+  return map
+}
+
+describe('Batch', () => {
+  it('put many matches set() one at a time', async () => {
+    const store1 = memoryStore()
+    const store2 = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+    const map1 = await iamap.create(store1, options)
+    const map2 = await iamap.create(store2, options)
+
+    /** @type {BatchOperation[]} */
+    const operations = []
+    for (let i = 0; i < 200; i++) {
+      operations.push({ type: 'put', key: `k${i}`, value: `v${i}` })
+    }
+
+    const expected = await applyEach(map1, operations)
+    const saves = store2.saves
+    const actual = await map2.batch(operations)
+
+    assert.strictEqual(actual.id, expected.id)
+    assert.deepEqual(actual.toSerializable(), expected.toSerializable())
+    assert.strictEqual(await actual.size(), 200)
+    assert.strictEqual(await actual.isInvariant(), true)
+    for (let i = 0; i < 200; i++) {
+      assert.strictEqual(await actual.get(`k${i}`), `v${i}`)
+    }
+
+    // every node in the final map is saved once and nothing else is
+    let nodes = 0
+    for await (const id of actual.ids()) {
+      assert.ok(store2.map.has(id))
+      nodes++
+    }
+    assert.ok(nodes > 1)
+    assert.strictEqual(store2.saves - saves, nodes)
+    assert.strictEqual(store2.map.size, nodes + 1) // plus the original empty root
+    assert.ok(store1.saves > store2.saves)
+  })
+
+  it('mixed put and del matches set() and delete() one at a time', async () => {
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+    let map = await iamap.create(memoryStore(), options)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+
+    /** @type {BatchOperation[]} */
+    const operations = []
+    for (let i = 0; i < 100; i += 3) {
+      operations.push({ type: 'del', key: `k${i}` })
+    }
+    for (let i = 0; i < 150; i += 7) {
+      operations.push({ type: 'put', key: `k${i}`, value: `updated${i}` })
+    }
+    operations.push({ type: 'del', key: 'nope' })
+    operations.push({ type: 'put', key: 'k1', value: 'v1' }) // no change
+
+    const expected = await applyEach(map, operations)
+    const actual = await map.batch(operations)
+    assert.strictEqual(actual.id, expected.id)
+    assert.deepEqual(actual.toSerializable(), expected.toSerializable())
+    assert.strictEqual(await actual.size(), await expected.size())
+    assert.strictEqual(await actual.isInvariant(), true)
+
+    // remove everything in one go and we should be back to an empty root
+    /** @type {BatchOperation[]} */
+    const deletes = []
+    for await (const key of actual.keys()) {
+      deletes.push({ type: 'del', key })
+    }
+    const empty = await actual.batch(deletes)
+    const fresh = await iamap.create(memoryStore(), options)
+    assert.strictEqual(empty.id, fresh.id)
+    assert.strictEqual(await empty.size(), 0)
+  })
+
+  it('collapses deep nodes like delete()', async () => {
+    const options = { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 }
+    let map = await iamap.create(memoryStore(), options)
+    const k = (2 << 4) | 2
+    // see 'test predictable fill vertical and collapse' in basic-test.js
+    map = await map.set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1')
+    map = await map.set(Uint8Array.from([k, k, k, 2 << 4]), 'pos2+2')
+    const base = map
+
+    /** @type {BatchOperation[]} */
+    const operations = [
+      { type: 'put', key: Uint8Array.from([k, k, k, 3 << 4]), value: 'pos2+3' },
+      { type: 'put', key: Uint8Array.from([k, k, 0, 0]), value: 'pos2+0+0' },
+      { type: 'del', key: Uint8Array.from([k, k, k, 3 << 4]) },
+      { type: 'del', key: Uint8Array.from([k, k, 0, 0]) }
+    ]
+    map = await map.batch(operations)
+    assert.strictEqual(map.id, base.id)
+    assert.strictEqual(await map.size(), 2)
+
+    // same key repeatedly, last one wins
+    map = await map.batch([
+      { type: 'put', key: Uint8Array.from([k, k, k, 3 << 4]), value: 'a' },
+      { type: 'del', key: Uint8Array.from([k, k, k, 3 << 4]) },
+      { type: 'put', key: Uint8Array.from([k, k, k, 3 << 4]), value: 'b' }
+    ])
+    assert.strictEqual(await map.get(Uint8Array.from([k, k, k, 3 << 4])), 'b')
+    assert.strictEqual(await map.size(), 3)
+    assert.strictEqual(await map.isInvariant(), true)
+    const expected = await base.set(Uint8Array.from([k, k, k, 3 << 4]), 'b')
+    assert.strictEqual(map.id, expected.id)
+  })
+
+  it('chained form', async () => {
+    const store = memoryStore()
+    const map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */ })
+    const batch = map.batch()
+    assert.strictEqual(batch.length, 0)
+    assert.strictEqual(await batch.write(), map) // nothing to do
+
+    const newMap = await batch.put('foo', 'bar').put('bar', 'baz').del('bar').put('baz', 'boom').write()
+    assert.strictEqual(batch.length, 4)
+    assert.strictEqual(await newMap.get('foo'), 'bar')
+    assert.strictEqual(await newMap.get('baz'), 'boom')
+    assert.strictEqual(await newMap.has('bar'), false)
+    assert.strictEqual(await newMap.size(), 2)
+    assert.strictEqual(await map.size(), 0) // original isn't mutated
+
+    const expected = await (await map.set('foo', 'bar')).set('baz', 'boom')
+    assert.strictEqual(newMap.id, expected.id)
+  })
+
+  it('errors', async () => {
+    const map = await iamap.create(memoryStore(), { hashAlg: 0x23 /* 'murmur3-32' */ })
+    // @ts-ignore
+    await assert.isRejected(map.batch('nope'))
+    // @ts-ignore
+    await assert.isRejected(map.batch([{ type: 'nope', key: 'foo' }]))
+    // @ts-ignore
+    await assert.isRejected(map.batch([null]))
+    await assert.isFulfilled(map.batch([]))
+  })
+})
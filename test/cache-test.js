@@ -0,0 +1,228 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+/**
+ * @param {any} store
+ * @param {number} count
+ * @returns {Promise<iamap.IAMap<number>>}
+ */
+async function fill (store, count) {
+  let map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 })
+  for (let i = 0; i < count; i++) {
+    map = await map.set(`k${i}`, `v${i}`)
+  }
+  return map
+}
+
+describe('Node cache', () => {
+  it('lruCache', () => {
+    const cache = iamap.lruCache(3)
+    cache.set(1, 'one')
+    cache.set(2, 'two')
+    cache.set(3, 'three')
+    assert.strictEqual(cache.get(1), 'one') // 1 is now most recently used
+    cache.set(4, 'four') // evicts 2
+    assert.strictEqual(cache.get(2), undefined)
+    assert.strictEqual(cache.get(3), 'three')
+    assert.strictEqual(cache.get(4), 'four')
+    cache.set(1, 'uno') // replaces, doesn't grow
+    cache.set(5, 'five') // evicts 3
+    assert.strictEqual(cache.get(3), undefined)
+    assert.strictEqual(cache.get(1), 'uno')
+    assert.strictEqual(cache.get(4), 'four')
+    assert.strictEqual(cache.get(5), 'five')
+
+    assert.throws(() => iamap.lruCache(0), TypeError)
+    assert.throws(() => iamap.lruCache(1.5), TypeError)
+    // @ts-ignore
+    assert.throws(() => iamap.lruCache('10'), TypeError)
+  })
+
+  it('repeated reads are served from the cache', async () => {
+    const store = memoryStore()
+    const id = (await fill(store, 200)).id
+
+    const map = await iamap.load(store, id, { cache: iamap.lruCache(1000) })
+    assert.deepEqual(map.cacheStats(), { hits: 0, misses: 0 })
+    const loads = store.loads
+    for (let i = 0; i < 200; i++) {
+      assert.strictEqual(await map.get(`k${i}`), `v${i}`)
+    }
+    const firstLoads = store.loads - loads
+    const stats = map.cacheStats()
+    assert.strictEqual(stats.misses, firstLoads)
+    assert.ok(stats.hits > stats.misses) // the upper levels are visited repeatedly
+
+    // everything is cached now, no more loads from the store
+    for (let i = 0; i < 200; i++) {
+      assert.strictEqual(await map.get(`k${i}`), `v${i}`)
+    }
+    assert.strictEqual(await map.size(), 200)
+    assert.strictEqual(store.loads - loads, firstLoads)
+    assert.strictEqual(map.cacheStats().misses, stats.misses)
+
+    // without a cache, every read goes to the store
+    const uncached = await iamap.load(store, id)
+    const before = store.loads
+    await uncached.get('k1')
+    await uncached.get('k1')
+    assert.ok(store.loads - before >= 2)
+    assert.deepEqual(uncached.cacheStats(), { hits: 0, misses: 0 })
+  })
+
+  it('a small cache evicts', async () => {
+    const store = memoryStore()
+    const id = (await fill(store, 200)).id
+    const map = await iamap.load(store, id, { cache: iamap.lruCache(2) })
+    for (let i = 0; i < 200; i++) {
+      await map.get(`k${i}`)
+    }
+    const loads = store.loads
+    for (let i = 0; i < 200; i++) {
+      await map.get(`k${i}`)
+    }
+    assert.ok(store.loads > loads)
+  })
+
+  it('carried through mutations, which populate the cache', async () => {
+    const store = memoryStore()
+    const cache = iamap.lruCache(1000)
+    let map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2, cache })
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    assert.strictEqual(map.config.cache, cache)
+    // every new child node was cached as it was saved
+    const loads = store.loads
+    for (let i = 0; i < 100; i++) {
+      assert.strictEqual(await map.get(`k${i}`), `v${i}`)
+    }
+    assert.strictEqual(store.loads, loads)
+    assert.strictEqual(map.cacheStats().misses, 0)
+    assert.ok(map.cacheStats().hits > 0)
+
+    // the same counters are shared with derived maps
+    const derived = await map.delete('k1')
+    assert.deepEqual(derived.cacheStats(), map.cacheStats())
+
+    // not recorded in the root
+    const plain = await fill(memoryStore(), 100)
+    assert.strictEqual(map.id, plain.id)
+  })
+
+  it('shared between maps', async () => {
+    const store = memoryStore()
+    const id = (await fill(store, 100)).id
+    const cache = iamap.lruCache(1000)
+    const map1 = await iamap.load(store, id, { cache })
+    const map2 = await iamap.load(store, id, { cache })
+    await collect(map1.entries())
+    const stats1 = map1.cacheStats()
+    assert.strictEqual(stats1.hits, 0)
+    assert.ok(stats1.misses > 0)
+
+    const loads = store.loads
+    await collect(map2.entries())
+    assert.strictEqual(store.loads, loads)
+    // map2's counters are its own
+    assert.deepEqual(map2.cacheStats(), { hits: stats1.misses, misses: 0 })
+    assert.deepEqual(map1.cacheStats(), stats1)
+    // now map2 has adopted those nodes and continues to count its own hits
+    await map2.get('k1')
+    assert.ok(map2.cacheStats().hits > stats1.misses)
+    assert.deepEqual(map1.cacheStats(), stats1)
+  })
+
+  it('shared nodes take their depth from where they are loaded', async () => {
+    const store = memoryStore()
+    const nodes = new Map()
+    const cache = {
+      get: (/** @type {any} */ link) => nodes.get(link),
+      set: (/** @type {any} */ link, /** @type {any} */ node) => { nodes.set(link, node) }
+    }
+    // with the identity hasher, every key is in slot 1 of the root, which links to a node with a child in its slot 1
+    const keys = [[0x11, 0x10], [0x11, 0x20], [0x11, 0x30], [0x12, 0x00]].map((k) => Uint8Array.from(k))
+    const mapA = await iamap.fromEntries(store, { hashAlg: 0x00, bitWidth: 4, bucketSize: 2 }, keys.map((k) => [k, true]))
+    const rootA = store.map.get(mapA.id)
+    const link1 = rootA.hamt[1][0]
+    const link2 = store.map.get(link1)[1][0]
+    // a root that reaches the same node one level deeper, as its slot 1 holds a copy of mapA's root node
+    const idB = await store.save({ ...rootA, hamt: [rootA.hamt[0], [await store.save(rootA.hamt)]] })
+
+    await collect((await iamap.load(store, mapA.id, { cache })).entries())
+    assert.strictEqual(nodes.get(link1).depth, 1)
+    assert.strictEqual(nodes.get(link2).depth, 2)
+    nodes.delete(link2)
+    // the node at link1 comes from the cache, but at depth 2 for this map, so the node below it is at depth 3
+    await collect((await iamap.load(store, idB, { cache })).entries())
+    assert.strictEqual(nodes.get(link2).depth, 3)
+  })
+
+  it('shared nodes bring their inlined children with them', async () => {
+    const store = memoryStore()
+    store.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    // with the identity hasher, slot 1 of the root links to a node holding an inlined child in its slot 1, which
+    // links to a node of its own, too large to inline, in its slot 1
+    const long = 'x'.repeat(200)
+    const entries = /** @type {[number[], string][]} */ ([[[0x11, 0x10], long], [[0x11, 0x11], long], [[0x11, 0x12], long], [[0x11, 0x20], 'v'], [[0x12, 0x00], long]])
+    const options = { hashAlg: 0x00, bitWidth: 4, bucketSize: 2, inlineThreshold: 100 }
+    const idA = (await iamap.fromEntries(store, options, entries.map(([k, v]) => [Uint8Array.from(k), v]))).id
+    const rootA = store.map.get(idA)
+    // a root that reaches the same nodes one level deeper, as its slot 1 holds a copy of mapA's root node
+    const idB = await store.save({ ...rootA, hamt: [rootA.hamt[0], [await store.save(rootA.hamt)]] })
+
+    const cache = iamap.lruCache(1000)
+    const mapA = await iamap.load(store, idA, { cache })
+    assert.strictEqual((await mapA.stats()).maxDepth, 3)
+    const statsA = mapA.cacheStats()
+    assert.deepEqual(statsA, { hits: 0, misses: 2 })
+
+    // the inlined child is adopted along with its parent, at the depth below it and counting its loads for mapB
+    const mapB = await iamap.load(store, idB, { cache })
+    assert.strictEqual((await mapB.stats()).maxDepth, 4)
+    assert.deepEqual(mapB.cacheStats(), { hits: 2, misses: 1 })
+    assert.deepEqual(mapA.cacheStats(), statsA)
+  })
+
+  it('custom cache', async () => {
+    const store = memoryStore()
+    const id = (await fill(store, 100)).id
+    const nodes = new Map()
+    const cache = {
+      get: (/** @type {any} */ link) => nodes.get(link),
+      set: (/** @type {any} */ link, /** @type {any} */ node) => { nodes.set(link, node) }
+    }
+    const map = await iamap.load(store, id, { cache })
+    assert.strictEqual(await map.get('k10'), 'v10')
+    assert.ok(nodes.size > 0)
+    for (const [link, node] of nodes) {
+      assert.ok(iamap.IAMap.isIAMap(node))
+      assert.strictEqual(node.id, link)
+    }
+  })
+
+  it('errors', async () => {
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */ }
+    // @ts-ignore
+    await assert.isRejected(iamap.create(memoryStore(), { ...options, cache: {} }), TypeError)
+    // @ts-ignore
+    await assert.isRejected(iamap.create(memoryStore(), { ...options, cache: null }), TypeError)
+    const store = memoryStore()
+    const map = await iamap.create(store, options)
+    // @ts-ignore
+    await assert.isRejected(iamap.load(store, map.id, { cache: { get () {} } }), TypeError)
+  })
+})
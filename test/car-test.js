@@ -0,0 +1,463 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { murmurHasher, memoryStore, toHex, fromHex, collect } from './common.js'
+import * as iamap from '../iamap.js'
+import { CarReader, encodeHeader, encodeBlock } from '../car.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+
+// links in the block store, identified by the bytes of their CIDs
+class Link {
+  /**
+   * @param {Uint8Array} cid
+   */
+  constructor (cid) {
+    this.cid = cid
+  }
+
+  toString () {
+    return toHex(this.cid)
+  }
+}
+
+/**
+ * @param {number} n
+ * @returns {number[]}
+ */
+function varint (n) {
+  const bytes = []
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80)
+    n >>>= 7
+  }
+  bytes.push(n)
+  return bytes
+}
+
+/**
+ * @param {any} node
+ * @returns {Uint8Array}
+ */
+function encode (node) {
+  return new TextEncoder().encode(JSON.stringify(node, (_, v) => {
+    if (v instanceof Link) {
+      return { '/': toHex(v.cid) }
+    }
+    if (v instanceof Uint8Array) {
+      return { '/': { bytes: toHex(v) } }
+    }
+    return v
+  }))
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {any}
+ */
+function decode (bytes) {
+  return JSON.parse(new TextDecoder().decode(bytes), (_, v) => {
+    if (v !== null && typeof v === 'object' && v['/'] !== undefined) {
+      return typeof v['/'] === 'string' ? new Link(fromHex(v['/'])) : fromHex(v['/'].bytes)
+    }
+    return v
+  })
+}
+
+/**
+ * a store of encoded blocks identified by CIDs, JSON encoded with a sha2-256 hash, as a CIDv1, a CIDv0 or inline
+ * in a CIDv1 with an identity hash
+ * @param {'v1'|'v0'|'identity'} [kind]
+ */
+function blockStore (kind = 'v1') {
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  async function cidOf (bytes) {
+    if (kind === 'identity') {
+      return Uint8Array.from([0x01, ...varint(0x0200), 0x00, ...varint(bytes.length), ...bytes])
+    }
+    const { digest } = await sha256.digest(bytes)
+    return Uint8Array.from(kind === 'v0' ? [0x12, 0x20, ...digest] : [0x01, ...varint(0x0200), 0x12, 0x20, ...digest])
+  }
+
+  return {
+    /** @type {Map<string, Uint8Array>} */
+    blocks: new Map(),
+    /**
+     * @param {any} node
+     * @returns {Promise<Link>}
+     */
+    async save (node) {
+      const bytes = encode(node)
+      const cid = await cidOf(bytes)
+      this.blocks.set(toHex(cid), bytes)
+      return new Link(cid)
+    },
+    /**
+     * @param {Link} link
+     * @returns {Promise<any>}
+     */
+    async load (link) {
+      const bytes = this.blocks.get(String(link))
+      if (!bytes) {
+        throw new Error(`Not found: ${link}`)
+      }
+      return decode(bytes)
+    },
+    /**
+     * @param {Link} link
+     */
+    async loadBlock (link) {
+      return { cid: link.cid, bytes: /** @type {Uint8Array} */ (this.blocks.get(String(link))) }
+    },
+    /**
+     * @param {Uint8Array} cid
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Link>}
+     */
+    async saveBlock (cid, bytes) {
+      if (toHex(await cidOf(bytes)) !== toHex(cid)) {
+        throw new Error('Block does not match its CID')
+      }
+      this.blocks.set(toHex(cid), bytes)
+      return new Link(cid)
+    },
+    /**
+     * @param {Link} link1
+     * @param {Link} link2
+     */
+    isEqual (link1, link2) {
+      return String(link1) === String(link2)
+    },
+    /**
+     * @param {any} obj
+     */
+    isLink (obj) {
+      return obj instanceof Link
+    }
+  }
+}
+
+/**
+ * @param {iamap.IAMap<any>} map
+ * @returns {Promise<Set<string>>}
+ */
+async function collectIds (map) {
+  return new Set((await collect(map.ids())).map(String))
+}
+
+/**
+ * @param {iamap.IAMap<any>} map
+ * @returns {Promise<[string, any][]>}
+ */
+async function collectEntries (map) {
+  const entries = []
+  for await (const { key, value } of map.entries()) {
+    entries.push(/** @type {[string, any]} */ ([toHex(key), value]))
+  }
+  return entries
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+function concat (chunks) {
+  const bytes = new Uint8Array(chunks.reduce((p, c) => p + c.length, 0))
+  let at = 0
+  for (const chunk of chunks) {
+    bytes.set(chunk, at)
+    at += chunk.length
+  }
+  return bytes
+}
+
+/**
+ * @param {iamap.IAMap<any>} map
+ * @param {{ followValues?: boolean }} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+async function exportBytes (map, options) {
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  await iamap.exportCAR(map, { write: (bytes) => { chunks.push(bytes) } }, options)
+  return concat(chunks)
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} size
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function * chunked (bytes, size) {
+  for (let at = 0; at < bytes.length; at += size) {
+    yield bytes.subarray(at, at + size)
+  }
+}
+
+/**
+ * @param {Iterable<Uint8Array>} chunks
+ * @returns {Promise<{ roots: string[], blocks: string[] }>}
+ */
+async function readCar (chunks) {
+  const reader = new CarReader(chunks)
+  const roots = (await reader.readHeader()).map(toHex)
+  const blocks = []
+  let block
+  while ((block = await reader.readBlock()) !== null) {
+    blocks.push(toHex(block.cid))
+  }
+  return { roots, blocks }
+}
+
+describe('CAR', () => {
+  for (const kind of /** @type {('v1'|'v0'|'identity')[]} */ (['v1', 'v0', 'identity'])) {
+    it(`export and import, ${kind} CIDs`, async () => {
+      const store = blockStore(kind)
+      let map = await iamap.create(store, options)
+      for (let i = 0; i < (kind === 'identity' ? 40 : 200); i++) {
+        map = await map.set(`k${i}`, `v${i}`)
+      }
+      const bytes = await exportBytes(map)
+
+      const { roots, blocks } = await readCar([bytes])
+      assert.deepEqual(roots, [String(map.id)])
+      assert.strictEqual(blocks[0], String(map.id))
+      assert.deepEqual(new Set(blocks), await collectIds(map))
+      assert.strictEqual(blocks.length, new Set(blocks).size)
+      assert.ok(blocks.length < store.blocks.size) // only the reachable nodes, not the orphans from each set()
+
+      for (const source of [[bytes], chunked(bytes, 1), chunked(bytes, 1000)]) {
+        const imported = blockStore(kind)
+        const loaded = await iamap.importCAR(imported, source)
+        assert.strictEqual(String(loaded.id), String(map.id))
+        assert.strictEqual(imported.blocks.size, blocks.length)
+        assert.deepEqual(await collectEntries(loaded), await collectEntries(map))
+        assert.strictEqual(await loaded.get('k10'), 'v10')
+      }
+    })
+  }
+
+  it('asynchronous writes are awaited', async () => {
+    const store = blockStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 50; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    /** @type {Uint8Array[]} */
+    const chunks = []
+    let writing = false
+    await iamap.exportCAR(map, {
+      async write (bytes) {
+        assert.ok(!writing)
+        writing = true
+        await new Promise((resolve) => setTimeout(resolve, 1))
+        chunks.push(bytes)
+        writing = false
+      }
+    })
+    assert.deepEqual(concat(chunks), await exportBytes(map))
+  })
+
+  it('each block is read once', async () => {
+    const store = blockStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 200; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const ids = await collectIds(map)
+    const { load, loadBlock } = store
+    /** @type {string[]} */
+    let loads = []
+    /** @type {string[]} */
+    let blockLoads = []
+    store.load = async (link) => {
+      loads.push(String(link))
+      return load.call(store, link)
+    }
+    store.loadBlock = async (link) => {
+      blockLoads.push(String(link))
+      return loadBlock.call(store, link)
+    }
+    const bytes = await exportBytes(map)
+    assert.deepEqual(new Set(blockLoads), ids)
+    assert.strictEqual(blockLoads.length, ids.size)
+    assert.deepEqual(loads, blockLoads) // decoded by the store, as the block has no `node`
+
+    // a block that has its node to hand isn't loaded again
+    loads = []
+    blockLoads = []
+    store.loadBlock = async (link) => {
+      blockLoads.push(String(link))
+      return { ...await loadBlock.call(store, link), node: await load.call(store, link) }
+    }
+    assert.deepEqual(await exportBytes(map), bytes)
+    assert.strictEqual(blockLoads.length, ids.size)
+    assert.deepEqual(loads, [])
+
+    // blocks read from many small chunks, and empty ones, are intact after the reader moves on
+    const chunks = []
+    for await (const chunk of chunked(bytes, 7)) {
+      chunks.push(chunk, new Uint8Array(0))
+    }
+    const imported = blockStore()
+    const loaded = await iamap.importCAR(imported, chunks)
+    assert.deepEqual([...imported.blocks.keys()].sort(), [...ids].sort())
+    for (const [key, block] of imported.blocks) {
+      assert.deepEqual(block, store.blocks.get(key))
+    }
+    assert.deepEqual(await collectEntries(loaded), await collectEntries(map))
+  })
+
+  it('followValues', async () => {
+    const store = blockStore()
+    const block = await store.save({ some: 'block' })
+    const nested = await (await iamap.create(store, options)).set('nested', 'value')
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 20; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    map = await map.set('block', block)
+    map = await map.set('deep', { links: [nested.id] })
+
+    const without = await readCar([await exportBytes(map)])
+    const withValues = await readCar([await exportBytes(map, { followValues: true })])
+    assert.deepEqual(new Set(without.blocks), await collectIds(map))
+    // the nested map's root is included, but it is not traversed
+    assert.deepEqual(new Set(withValues.blocks), new Set([...without.blocks, String(block), String(nested.id)]))
+
+    const imported = blockStore()
+    const loaded = await iamap.importCAR(imported, [await exportBytes(map, { followValues: true })], { cache: iamap.lruCache(10) })
+    assert.deepEqual(await imported.load(await loaded.get('block')), { some: 'block' })
+    assert.ok(loaded.cacheStats())
+  })
+
+  it('errors', async () => {
+    const store = blockStore()
+    const map = await (await iamap.create(store, options)).set('foo', 'bar')
+    const writable = { write () {} }
+    // @ts-ignore
+    await assert.isRejected(iamap.exportCAR({}, writable), /Invalid `map`/)
+    await assert.isRejected(iamap.exportCAR(await iamap.create(memoryStore(), options), writable), /loadBlock/)
+    // @ts-ignore
+    await assert.isRejected(iamap.exportCAR(map, {}), /Invalid `writable`/)
+
+    const bytes = await exportBytes(map)
+    await assert.isRejected(iamap.importCAR(memoryStore(), [bytes]), /saveBlock/)
+    // @ts-ignore
+    await assert.isRejected(iamap.importCAR(blockStore(), null), /Invalid `readable`/)
+    // @ts-ignore
+    await assert.isRejected(iamap.importCAR(blockStore(), 1), /Invalid `readable`/)
+    // bytes rather than chunks of bytes
+    // @ts-ignore
+    await assert.isRejected(iamap.importCAR(blockStore(), bytes), /sequence of Uint8Arrays/)
+    // the store is responsible for checking blocks
+    const corrupt = Uint8Array.from(bytes)
+    corrupt[corrupt.length - 2] ^= 0xff
+    await assert.isRejected(iamap.importCAR(blockStore(), [corrupt]), /does not match its CID/)
+
+    const [root] = (await readCar([bytes])).roots
+    const header = encodeHeader(fromHex(root))
+    await assert.isRejected(iamap.importCAR(blockStore(), [header]), /does not contain its root block/)
+    // the root of something other than an IAMap
+    const other = blockStore()
+    const block = await other.save({ some: 'block' })
+    const car = concat([encodeHeader(block.cid), encodeBlock(block.cid, /** @type {Uint8Array} */ (other.blocks.get(String(block))))])
+    await assert.isRejected(iamap.importCAR(blockStore(), [car]), /IAMap root/)
+    // no roots, two roots
+    const cid = fromHex(root)
+    const cidBytes = [0xd8, 0x2a, 0x58, cid.length + 1, 0x00, ...cid]
+    for (const roots of [[0x80], [0x82, ...cidBytes, ...cidBytes]]) {
+      const header = [0xa2, 0x65, ...new TextEncoder().encode('roots'), ...roots, 0x67, ...new TextEncoder().encode('version'), 0x01]
+      await assert.isRejected(iamap.importCAR(blockStore(), [Uint8Array.from([...varint(header.length), ...header])]), /single root, found [02]/)
+    }
+  })
+
+  describe('CarReader', () => {
+    const text = (/** @type {string} */ s) => [0x60 | s.length, ...new TextEncoder().encode(s)]
+    const cid = [0x01, 0x55, 0x00, 0x03, 0x61, 0x62, 0x63] // an identity CID of 'abc'
+    const root = [0xd8, 0x2a, 0x48, 0x00, ...cid]
+    /**
+     * @param {number[]} header
+     * @param {number[]} [rest]
+     */
+    const withHeader = (header, rest = []) => [Uint8Array.from([...varint(header.length), ...header, ...rest])]
+    /**
+     * @param {number[]} header
+     */
+    const readHeader = (header) => new CarReader(withHeader(header)).readHeader()
+
+    it('headers', async () => {
+      assert.deepEqual(await readHeader([0xa2, ...text('roots'), 0x81, ...root, ...text('version'), 0x01]), [Uint8Array.from(cid)])
+      // the order of keys doesn't matter, nor does the size of the encoding of numbers
+      assert.deepEqual(await readHeader([0xa2, ...text('version'), 0x19, 0x00, 0x01, ...text('roots'), 0x81, ...root]), [Uint8Array.from(cid)])
+      assert.deepEqual(await readHeader([0xa2, ...text('version'), 0x1a, 0x00, 0x00, 0x00, 0x01, ...text('roots'), 0x80]), [])
+      // a CID of 256 bytes
+      const long = [0x01, 0x55, 0x00, 0xfd, 0x01, ...new Array(253).fill(0x61)]
+      assert.strictEqual(long.length, 258)
+      const reader = new CarReader([encodeHeader(Uint8Array.from(long)), encodeBlock(Uint8Array.from(long), new Uint8Array(0))])
+      assert.deepEqual(await reader.readHeader(), [Uint8Array.from(long)])
+      assert.deepEqual(await reader.readBlock(), { cid: Uint8Array.from(long), bytes: new Uint8Array(0) })
+      assert.strictEqual(await reader.readBlock(), null)
+    })
+
+    it('bad headers', async () => {
+      await assert.isRejected(new CarReader([]).readHeader(), /no header/)
+      const bad = [
+        [], // no CBOR at all
+        [0x80], // not a map
+        [0xa0, 0x00], // trailing bytes
+        [0xa2, ...text('version'), 0x01, ...text('roots'), 0x81, 0x01], // roots aren't CIDs
+        [0xa1, ...text('version'), 0x01], // no roots
+        [0xa1, ...text('version'), 0x1b, 0, 0, 0, 0, 0, 0, 0, 1], // 8 byte integers aren't supported
+        [0xa1, ...text('version'), 0x18], // truncated integer
+        [0xa1, ...text('version'), 0x20], // negative integer
+        [0xa1, 0x65, 0x61], // truncated string
+        [0xa1, ...text('roots'), 0x81, 0xd8, 0x2a, 0x01], // CID is not bytes
+        [0xa1, ...text('roots'), 0x81, 0xd8, 0x2a, 0x41, 0x01], // CID without its 0x00 prefix
+        [0xa1, ...text('roots'), 0x81, 0xd8, 0x2b, 0x41, 0x00], // not a CID tag
+        [0xa1, ...text('roots'), 0x81, 0xf6] // null
+      ]
+      for (const header of bad) {
+        await assert.isRejected(readHeader(header), /Invalid CAR header/, toHex(Uint8Array.from(header)))
+      }
+      await assert.isRejected(readHeader([0xa1, ...text('roots'), 0x80]), /Unsupported CAR version: undefined/)
+      // a CARv2 pragma
+      await assert.isRejected(readHeader([0xa1, ...text('version'), 0x02]), /Unsupported CAR version: 2/)
+    })
+
+    it('bad data', async () => {
+      const header = [0xa2, ...text('roots'), 0x81, ...root, ...text('version'), 0x01]
+      /**
+       * @param {number[]} rest
+       */
+      const readAll = async (rest) => {
+        const reader = new CarReader(withHeader(header, rest))
+        await reader.readHeader()
+        while (await reader.readBlock() !== null) {
+          // drain
+        }
+      }
+      await readAll([cid.length, ...cid])
+      await assert.isRejected(readAll([0x80]), /unexpected end of data/) // truncated varint
+      await assert.isRejected(readAll([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01]), /length is too large/)
+      await assert.isRejected(readAll([cid.length + 1, ...cid]), /unexpected end of data/) // truncated block
+      await assert.isRejected(readAll([3, 0x02, 0x55, 0x00]), /unsupported CID version/)
+      await assert.isRejected(readAll([3, 0x01, 0x55, 0x00]), /badly formed CID/) // no digest length
+      await assert.isRejected(readAll([4, 0x01, 0x55, 0x00, 0x03]), /badly formed CID/) // digest is cut short
+      await assert.isRejected(readAll([8, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01]), /badly formed CID/)
+    })
+  })
+})
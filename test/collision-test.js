@@ -0,0 +1,112 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { memoryStore } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+// like identityHasher but only 2 bytes, so keys sharing their first 2 bytes have fully colliding hashes and the
+// maximum depth with a bitWidth of 4 is 3, where the last 4 bits of the hash are used
+iamap.registerHasher(0x300001 /* private use */, 2, (key) => Uint8Array.from([key[0], key[1]]))
+
+const options = { hashAlg: 0x300001, bitWidth: 4, bucketSize: 2 }
+
+/**
+ * @param {number} i
+ * @returns {Uint8Array}
+ */
+function collidingKey (i) {
+  return Uint8Array.from([0x12, 0x34, i])
+}
+
+/**
+ * @param {iamap.IAMap<number>} map
+ * @returns {Promise<number>}
+ */
+async function depthOf (map) {
+  let depth = 0
+  for (const e of map.data) {
+    if (e.link !== null) {
+      const child = await iamap.load(map.store, e.link, map.depth + 1, map.config)
+      depth = Math.max(depth, 1 + await depthOf(child))
+    }
+  }
+  return depth
+}
+
+describe('Full hash collisions', () => {
+  it('unbounded buckets at the maximum depth', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 20; i++) {
+      map = await map.set(collidingKey(i), `v${i}`)
+    }
+    // a neighbour that shares some of the hash, and one that doesn't
+    map = await map.set(Uint8Array.from([0x12, 0x35]), 'near')
+    map = await map.set(Uint8Array.from([0xff, 0xff]), 'far')
+    assert.strictEqual(await map.size(), 22)
+    assert.strictEqual(await depthOf(map), 3)
+    assert.strictEqual(await map.isInvariant(), true)
+    for (let i = 0; i < 20; i++) {
+      assert.strictEqual(await map.get(collidingKey(i)), `v${i}`)
+    }
+    assert.strictEqual(await map.get(collidingKey(20)), undefined)
+    assert.strictEqual(await map.get(Uint8Array.from([0x12, 0x35])), 'near')
+
+    // replacing a value in an overfull bucket
+    map = await map.set(collidingKey(5), 'changed')
+    assert.strictEqual(await map.get(collidingKey(5)), 'changed')
+    assert.strictEqual(await map.size(), 22)
+  })
+
+  it('canonical', async () => {
+    const keys = []
+    for (let i = 0; i < 12; i++) {
+      keys.push(collidingKey(i))
+    }
+    keys.push(Uint8Array.from([0x12, 0x35]), Uint8Array.from([0x10, 0x00]))
+
+    const store = memoryStore()
+    let forward = await iamap.create(store, options)
+    for (const key of keys) {
+      forward = await forward.set(key, 'v')
+    }
+    let backward = await iamap.create(store, options)
+    for (const key of keys.slice().reverse()) {
+      backward = await backward.set(key, 'v')
+    }
+    assert.strictEqual(forward.id, backward.id)
+    const built = await iamap.fromEntries(store, options, keys.map((key) => ({ key, value: 'v' })))
+    assert.strictEqual(built.id, forward.id)
+
+    // deleting back down to a single bucket's worth of collisions collapses the chain of nodes
+    let shrinking = forward
+    for (let i = 0; i < 10; i++) {
+      shrinking = await shrinking.delete(collidingKey(i))
+      let expected = await iamap.create(store, options)
+      for (const key of keys) {
+        if (key.length !== 3 || key[2] > i) {
+          expected = await expected.set(key, 'v')
+        }
+      }
+      assert.strictEqual(shrinking.id, expected.id)
+      assert.strictEqual(await shrinking.isInvariant(), true)
+    }
+    assert.strictEqual(await depthOf(forward), 3)
+    assert.strictEqual(await depthOf(shrinking), 3) // the remaining 2 colliding keys and 0x1235 split at depth 3
+  })
+
+  it('nothing beyond the maximum depth', async () => {
+    const store = memoryStore()
+    const map = await iamap.create(store, options)
+    assert.throws(() => new iamap.IAMap(store, options, undefined, 4), /maximum tree depth/)
+    assert.strictEqual(new iamap.IAMap(store, options, undefined, 3).depth, 3)
+    assert.strictEqual(map.depth, 0)
+  })
+})
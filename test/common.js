@@ -87,6 +87,19 @@ function toBytes (obj) {
   throw new Error('Unknown type, must be binary type')
 }
 
+/**
+ * @template T
+ * @param {AsyncIterable<T>|Iterable<T>} iterable
+ * @returns {Promise<T[]>}
+ */
+export async function collect (iterable) {
+  const result = []
+  for await (const item of iterable) {
+    result.push(item)
+  }
+  return result
+}
+
 /**
  * @param {Uint8Array} d
  * @returns {string}
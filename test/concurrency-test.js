@@ -0,0 +1,137 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, toHex, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+/**
+ * a store with latency on load() that records the maximum number of loads in flight at once
+ */
+function slowStore () {
+  const store = memoryStore()
+  const load = store.load.bind(store)
+  const slow = Object.assign(store, {
+    inFlight: 0,
+    maxInFlight: 0,
+    /** @type {number[]} */
+    fail: [],
+    async load (/** @type {number} */ id) {
+      slow.inFlight++
+      slow.maxInFlight = Math.max(slow.maxInFlight, slow.inFlight)
+      await new Promise((resolve) => setTimeout(resolve, 1))
+      slow.inFlight--
+      if (slow.fail.includes(id)) {
+        throw new Error('load failed')
+      }
+      return load(id)
+    }
+  })
+  return slow
+}
+
+describe('Concurrency', () => {
+  /** @type {ReturnType<slowStore>} */
+  let store
+  /** @type {any} */
+  let id
+  /** @type {string[]} */
+  let expectedEntries
+  /** @type {any[]} */
+  let expectedIds
+
+  before(async () => {
+    store = slowStore()
+    let map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 200; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    id = map.id
+    map = await iamap.load(store, id)
+    expectedEntries = (await collect(map.entries())).map(({ key, value }) => `${toHex(key)}=${value}`)
+    expectedIds = await collect(map.ids())
+    assert.strictEqual(store.maxInFlight, 1)
+  })
+
+  beforeEach(() => {
+    store.maxInFlight = 0
+  })
+
+  for (const concurrency of [1, 2, 4, 16]) {
+    it(`same order, concurrency=${concurrency}`, async () => {
+      const map = await iamap.load(store, id)
+      store.maxInFlight = 0
+      const entries = await collect(map.entries({ concurrency }))
+      assert.deepEqual(entries.map(({ key, value }) => `${toHex(key)}=${value}`), expectedEntries)
+      const keys = await collect(map.keys({ concurrency }))
+      assert.deepEqual(keys.map(toHex), expectedEntries.map((e) => e.split('=')[0]))
+      const values = await collect(map.values({ concurrency }))
+      assert.deepEqual(values, expectedEntries.map((e) => e.split('=')[1]))
+      assert.deepEqual(await collect(map.ids({ concurrency })), expectedIds)
+      assert.strictEqual(await map.size({ concurrency }), 200)
+      const keyOrder = await collect(map.keys({ order: 'key', windowSize: 50, concurrency }))
+      assert.strictEqual(keyOrder.length, 200)
+
+      // one node per level may be awaited by the consumer while up to `concurrency` siblings load at each level
+      assert.ok(store.maxInFlight <= concurrency * 6)
+      if (concurrency === 1) {
+        assert.strictEqual(store.maxInFlight, 1)
+      } else {
+        assert.ok(store.maxInFlight > 1)
+      }
+    })
+  }
+
+  it('a slow consumer holds back loading', async () => {
+    const map = await iamap.load(store, id)
+    const loads = store.loads
+    const iterator = map.entries({ concurrency: 4 })
+    await iterator.next()
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    // only the path to the first entry and its siblings, not the whole map
+    const loaded = store.loads - loads
+    assert.ok(loaded < expectedIds.length / 2)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    assert.strictEqual(store.loads - loads, loaded)
+    await iterator.return(undefined)
+  })
+
+  it('stopping early', async () => {
+    const map = await iamap.load(store, id)
+    const keys = []
+    for await (const key of map.keys({ concurrency: 8 })) {
+      keys.push(key)
+      if (keys.length === 10) {
+        break
+      }
+    }
+    assert.strictEqual(keys.length, 10)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    assert.strictEqual(store.inFlight, 0)
+  })
+
+  it('errors', async () => {
+    const map = await iamap.load(store, id)
+    await assert.isRejected(collect(map.entries({ concurrency: 0 })), TypeError)
+    await assert.isRejected(collect(map.keys({ concurrency: 1.5 })), TypeError)
+    // @ts-ignore
+    await assert.isRejected(map.size({ concurrency: '2' }), TypeError)
+
+    // a failed load surfaces in order, prefetched loads that fail after it don't go unhandled
+    store.fail = expectedIds.slice(1)
+    try {
+      await assert.isRejected(collect(map.entries({ concurrency: 4 })), /load failed/)
+      await new Promise((resolve) => setTimeout(resolve, 20))
+    } finally {
+      store.fail = []
+    }
+  })
+})
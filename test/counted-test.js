@@ -0,0 +1,158 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+
+/**
+ * walk a serialized counted node, checking the count recorded against each link, returns the number of entries
+ * @param {any} store
+ * @param {any} node
+ * @returns {Promise<number>}
+ */
+async function checkCounts (store, node) {
+  let count = 0
+  for (const element of node[1]) {
+    if (Array.isArray(element) && store.isLink(element[0])) {
+      const actual = await checkCounts(store, await store.load(element[0]))
+      assert.strictEqual(element[1], actual)
+      count += actual
+    } else if (Array.isArray(element) && element[0] instanceof Uint8Array) {
+      count += await checkCounts(store, element) // inlined
+    } else {
+      assert.ok(!store.isLink(element), 'uncounted link')
+      count += element.length
+    }
+  }
+  return count
+}
+
+describe('Counted', () => {
+  it('counts maintained through set and delete', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { ...options, counted: true })
+    let plain = await iamap.create(memoryStore(), options)
+    assert.strictEqual(await map.size(), 0)
+    for (let i = 0; i < 300; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+      plain = await plain.set(`k${i}`, `v${i}`)
+    }
+    map = await map.set('k10', 'changed') // no change in count
+    assert.strictEqual(await map.size(), 300)
+    assert.strictEqual(await checkCounts(store, (await store.load(map.id)).hamt), 300)
+
+    // deletes collapse nodes back into their parents
+    for (let i = 0; i < 300; i += 3) {
+      map = await map.delete(`k${i}`)
+      plain = await plain.delete(`k${i}`)
+    }
+    map = await map.delete('nope')
+    assert.strictEqual(await map.size(), 200)
+    assert.strictEqual(await checkCounts(store, (await store.load(map.id)).hamt), 200)
+    assert.strictEqual(await map.isInvariant(), true)
+
+    // same shape as the uncounted map
+    assert.strictEqual((await collect(map.ids())).length, (await collect(plain.ids())).length)
+    assert.notStrictEqual(map.id, plain.id)
+
+    for (let i = 0; i < 300; i++) {
+      map = await map.delete(`k${i}`)
+    }
+    assert.strictEqual(await map.size(), 0)
+  })
+
+  it('size() reads only the root', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { ...options, counted: true })
+    for (let i = 0; i < 200; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const serialized = await store.load(map.id)
+    assert.strictEqual(serialized.counted, true)
+    const loaded = await iamap.load(store, map.id)
+    assert.strictEqual(loaded.config.counted, true)
+    const loads = store.loads
+    assert.strictEqual(await loaded.size(), 200)
+    assert.strictEqual(store.loads, loads)
+
+    // mutations of a loaded map keep counting
+    const derived = await loaded.delete('k1')
+    assert.strictEqual(await derived.size(), 199)
+    assert.strictEqual(await checkCounts(store, (await store.load(derived.id)).hamt), 199)
+  })
+
+  it('the uncounted format is unchanged', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const serialized = await store.load(map.id)
+    assert.strictEqual(serialized.counted, undefined)
+    assert.ok(serialized.hamt[1].some((/** @type {any} */ e) => store.isLink(e)))
+    const loaded = await iamap.load(store, map.id)
+    assert.strictEqual(loaded.config.counted, false)
+    const loads = store.loads
+    assert.strictEqual(await loaded.size(), 100)
+    assert.ok(store.loads > loads)
+  })
+
+  it('batch, fromEntries and inlining', async () => {
+    const entries = []
+    for (let i = 0; i < 200; i++) {
+      entries.push({ key: `k${i}`, value: `v${i}` })
+    }
+    let store = memoryStore()
+    const built = await iamap.fromEntries(store, { ...options, counted: true }, entries)
+    assert.strictEqual(await built.size(), 200)
+    assert.strictEqual(await checkCounts(store, (await store.load(built.id)).hamt), 200)
+    const batched = await built.batch().del('k1').del('k2').put('k1000', 'v').write()
+    assert.strictEqual(await batched.size(), 199)
+    assert.strictEqual(await checkCounts(store, (await store.load(batched.id)).hamt), 199)
+
+    store = memoryStore()
+    store.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    const inlined = await iamap.fromEntries(store, { ...options, counted: true, inlineThreshold: 200 }, entries)
+    assert.strictEqual(await inlined.size(), 200)
+    assert.strictEqual(await checkCounts(store, (await store.load(inlined.id)).hamt), 200)
+    const loaded = await iamap.load(store, inlined.id)
+    assert.strictEqual(await (await loaded.delete('k5')).size(), 199)
+  })
+
+  it('reachable', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { ...options, counted: true })
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const ids = new Set()
+    for await (const id of map.ids()) {
+      ids.add(id)
+    }
+    assert.deepEqual(await iamap.reachable(store, [map.id]), ids)
+  })
+
+  it('errors', async () => {
+    // @ts-ignore
+    await assert.isRejected(iamap.create(memoryStore(), { ...options, counted: 1 }), TypeError)
+    // a counted root with a link that has no count
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 50; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const bad = await store.save({ ...(await store.load(map.id)), counted: true })
+    await assert.isRejected(iamap.load(store, bad), /missing its entry count/)
+  })
+})
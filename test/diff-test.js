@@ -0,0 +1,220 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore, toHex, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+const textDecoder = new TextDecoder()
+
+/**
+ * @param {iamap.IAMap<number>} mapA
+ * @param {iamap.IAMap<number>} mapB
+ * @param {boolean} [reverse]
+ * @returns {Promise<string[]>}
+ */
+async function changesOf (mapA, mapB, reverse) {
+  const changes = []
+  for await (const { key, oldValue, newValue } of iamap.diff(mapA, mapB)) {
+    const [from, to] = reverse ? [newValue, oldValue] : [oldValue, newValue]
+    changes.push(`${textDecoder.decode(key)}:${JSON.stringify(from)}->${JSON.stringify(to)}`)
+  }
+  return changes.sort()
+}
+
+describe('Diff', () => {
+  it('identical maps', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 50; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const loaded = await iamap.load(store, map.id)
+    const loads = store.loads
+    assert.deepEqual(await changesOf(map, loaded), [])
+    assert.strictEqual(store.loads, loads) // every child link is the same, nothing to load
+  })
+
+  it('added, removed and changed', async () => {
+    const store = memoryStore()
+    let mapA = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 200; i++) {
+      mapA = await mapA.set(`k${i}`, { value: `v${i}`, tags: [i, new Uint8Array([i])] })
+    }
+    let mapB = mapA
+    const expected = []
+    for (let i = 0; i < 200; i += 11) {
+      mapB = await mapB.delete(`k${i}`)
+      expected.push(`k${i}:${JSON.stringify({ value: `v${i}`, tags: [i, new Uint8Array([i])] })}->undefined`)
+    }
+    for (let i = 3; i < 200; i += 13) {
+      if (i % 11 === 0) {
+        continue
+      }
+      mapB = await mapB.set(`k${i}`, { value: 'changed' })
+      expected.push(`k${i}:${JSON.stringify({ value: `v${i}`, tags: [i, new Uint8Array([i])] })}->${JSON.stringify({ value: 'changed' })}`)
+    }
+    for (let i = 200; i < 220; i++) {
+      mapB = await mapB.set(`k${i}`, `v${i}`)
+      expected.push(`k${i}:undefined->${JSON.stringify(`v${i}`)}`)
+    }
+    // same content, different objects, not a change
+    mapB = await mapB.set('k1', { value: 'v1', tags: [1, new Uint8Array([1])] })
+
+    assert.deepEqual(await changesOf(mapA, mapB), expected.sort())
+    // and the other way around
+    assert.deepEqual(await changesOf(mapB, mapA, true), expected.sort())
+  })
+
+  it('work is proportional to the change', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 300; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const changed = await map.set('k100', 'changed')
+    const mapA = await iamap.load(store, map.id)
+    const mapB = await iamap.load(store, changed.id)
+    const loads = store.loads
+    assert.deepEqual(await changesOf(mapA, mapB), ['k100:"v100"->"changed"'])
+    const diffLoads = store.loads - loads
+    const nodes = (await collect(mapA.ids())).length
+    // only the path to the changed key, on both sides, is loaded
+    assert.ok(diffLoads > 0)
+    assert.ok(diffLoads < 10)
+    assert.ok(nodes > 20)
+  })
+
+  it('bucket replaced by a child node', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 }
+    const k = (2 << 4) | 2
+    let mapA = await iamap.create(store, options)
+    mapA = await mapA.set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1')
+    mapA = await mapA.set(Uint8Array.from([k, k, k, 2 << 4]), 'pos2+2')
+    assert.ok(mapA.data[0].bucket)
+    let mapB = await mapA.set(Uint8Array.from([k, k, k, 3 << 4]), 'pos2+3')
+    mapB = await mapB.set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1!')
+    assert.ok(mapB.data[0].link)
+
+    /** @type {{ key: string, oldValue: any, newValue: any }[]} */
+    let changes = []
+    for await (const { key, oldValue, newValue } of iamap.diff(mapA, mapB)) {
+      changes.push({ key: toHex(key), oldValue, newValue })
+    }
+    assert.sameDeepMembers(changes, [
+      { key: '22222210', oldValue: 'pos2+1', newValue: 'pos2+1!' },
+      { key: '22222230', oldValue: undefined, newValue: 'pos2+3' }
+    ])
+
+    changes = []
+    for await (const { key, oldValue, newValue } of iamap.diff(mapB, mapA)) {
+      changes.push({ key: toHex(key), oldValue, newValue })
+    }
+    assert.sameDeepMembers(changes, [
+      { key: '22222210', oldValue: 'pos2+1!', newValue: 'pos2+1' },
+      { key: '22222230', oldValue: 'pos2+3', newValue: undefined }
+    ])
+
+    // against an empty map everything is added or removed, including whole subtrees
+    const empty = await iamap.create(store, options)
+    assert.strictEqual((await changesOf(empty, mapB)).length, 3)
+    assert.strictEqual((await changesOf(mapB, empty)).length, 3)
+  })
+
+  it('values that are links', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */ }
+    const link1 = await store.save({ some: 'thing' })
+    const link2 = await store.save({ some: 'other thing' })
+    const base = await (await iamap.create(store, options)).set('foo', link1)
+    let mapB = await base.set('bar', { link: link2, bytes: new Uint8Array([1, 2]) })
+    let mapA = await base.set('bar', { link: link2, bytes: new Uint8Array([1, 2]) })
+    assert.deepEqual(await changesOf(mapA, mapB), [])
+
+    mapB = await mapB.set('foo', link2)
+    assert.deepEqual(await changesOf(mapA, mapB), [`foo:${link1}->${link2}`])
+
+    mapA = await base.set('bar', { link: link2, bytes: new Uint8Array([1, 3]) })
+    mapB = await base.set('bar', { link: link2, bytes: [1, 2] })
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 1)
+    mapA = await base.set('bar', { link: link2, bytes: new Uint8Array([1, 2]) })
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 1)
+    mapA = await base.set('bar', { link: 'nope', bytes: [1, 2] })
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 1)
+    mapA = await base.set('bar', { link: link2, bytes: { 0: 1, 1: 2 } })
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 1)
+    mapA = await base.set('bar', { link: link2, bytes: [1, 2], extra: true })
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 1)
+    mapA = await base.set('bar', { link: link2, other: [1, 2] })
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 1)
+    mapA = await base.set('bar', null)
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 1)
+    mapA = await base.set('bar', { link: link2, bytes: [1, 2] })
+    assert.strictEqual((await changesOf(mapA, mapB)).length, 0)
+  })
+
+  it('values that are object links', async () => {
+    class FakeLink {
+      /** @param {string} id */
+      constructor (id) {
+        this.id = id
+      }
+    }
+    const store = memoryStore()
+    const isLink = store.isLink
+    const isEqual = store.isEqual
+    store.isLink = (/** @type {any} */ obj) => obj instanceof FakeLink || isLink(obj)
+    store.isEqual = (/** @type {any} */ id1, /** @type {any} */ id2) => {
+      if (id1 instanceof FakeLink && id2 instanceof FakeLink) {
+        return id1.id === id2.id
+      }
+      return isEqual(id1, id2)
+    }
+    const base = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */ })
+    const mapA = await base.set('foo', [new FakeLink('a')])
+    assert.deepEqual(await changesOf(mapA, await base.set('foo', [new FakeLink('a')])), [])
+    assert.strictEqual((await changesOf(mapA, await base.set('foo', [new FakeLink('b')]))).length, 1)
+    assert.strictEqual((await changesOf(mapA, await base.set('foo', [{ id: 'a' }]))).length, 1)
+  })
+
+  it('keyCodec', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2, keyCodec: 'number' }
+    const mapA = await iamap.fromEntries(store, options, Array.from({ length: 100 }, (_, i) => [i, i]))
+    const mapB = await (await (await mapA.set(100, 'x')).set(1, 'y')).delete(2)
+    const changes = []
+    for await (const change of iamap.diff(mapA, mapB)) {
+      changes.push(change)
+    }
+    assert.sameDeepMembers(changes, [
+      { key: 100, oldValue: undefined, newValue: 'x' },
+      { key: 1, oldValue: 1, newValue: 'y' },
+      { key: 2, oldValue: 2, newValue: undefined }
+    ])
+  })
+
+  it('errors', async () => {
+    const store = memoryStore()
+    const mapA = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4 })
+    const mapB = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 5 })
+    const mapC = await iamap.create(store, { hashAlg: 0x00 /* 'identity' */, bitWidth: 4 })
+    const mapD = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, keyCodec: 'number' })
+    await assert.isRejected(changesOf(mapA, mapB))
+    await assert.isRejected(changesOf(mapA, mapC))
+    await assert.isRejected(changesOf(mapA, mapD), /different `hashAlg`, `bitWidth` or `keyCodec`/)
+    // @ts-ignore
+    await assert.isRejected(changesOf(mapA, {}))
+    // @ts-ignore
+    await assert.isRejected(changesOf(null, mapA))
+  })
+})
@@ -0,0 +1,115 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+/**
+ * @param {number} count
+ * @returns {AsyncGenerator<[string, string]>}
+ */
+async function * generate (count) {
+  for (let i = 0; i < count; i++) {
+    yield [`k${i}`, `v${i}`]
+  }
+}
+
+describe('fromEntries', () => {
+  for (const [bitWidth, bucketSize] of [[8, 5], [4, 2], [3, 3]]) {
+    it(`matches incremental set() with bitWidth=${bitWidth} bucketSize=${bucketSize}`, async () => {
+      const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth, bucketSize }
+      let expected = await iamap.create(memoryStore(), options)
+      for await (const [key, value] of generate(300)) {
+        expected = await expected.set(key, value)
+      }
+
+      const store = memoryStore()
+      const map = await iamap.fromEntries(store, options, generate(300))
+      assert.strictEqual(map.id, expected.id)
+      assert.deepEqual(map.toSerializable(), expected.toSerializable())
+      assert.strictEqual(await map.size(), 300)
+      assert.strictEqual(await map.isInvariant(), true)
+      assert.strictEqual(await map.get('k123'), 'v123')
+
+      // each node saved exactly once and nothing else saved
+      let nodes = 0
+      for await (const id of map.ids()) {
+        assert.ok(store.map.has(id))
+        nodes++
+      }
+      assert.strictEqual(store.saves, nodes)
+      assert.strictEqual(store.map.size, nodes)
+    })
+  }
+
+  it('predictable deep form', async () => {
+    const options = { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 }
+    const k = (2 << 4) | 2
+    // see 'test keys, values, entries' in basic-test.js, 7 nodes deep
+    const entries = [
+      { key: Uint8Array.from([k, k, k, 3 << 4]), value: 'pos2+3' },
+      { key: Uint8Array.from([k, k, 0, 0]), value: 'pos2+0+0' },
+      { key: Uint8Array.from([k, k, k, 1 << 4]), value: 'pos2+1' },
+      { key: Uint8Array.from([k, k, k, 2 << 4]), value: 'pos2+2' }
+    ]
+    let expected = await iamap.create(memoryStore(), options)
+    for (const { key, value } of entries) {
+      expected = await expected.set(key, value)
+    }
+    const map = await iamap.fromEntries(memoryStore(), options, entries)
+    assert.strictEqual(map.id, expected.id)
+
+    let ids = 0
+    for await (const id of map.ids()) {
+      assert.ok(id)
+      ids++
+    }
+    assert.strictEqual(ids, 7)
+
+    // copy from one map to another
+    const copy = await iamap.fromEntries(memoryStore(), options, map.entries())
+    assert.strictEqual(copy.id, map.id)
+  })
+
+  it('repeated keys, last wins', async () => {
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */ }
+    const map = await iamap.fromEntries(memoryStore(), options, [
+      ['foo', 'bar'],
+      ['bar', 'baz'],
+      ['foo', 'boom'],
+      [new TextEncoder().encode('bar'), 'bang']
+    ])
+    assert.strictEqual(await map.size(), 2)
+    assert.strictEqual(await map.get('foo'), 'boom')
+    assert.strictEqual(await map.get('bar'), 'bang')
+    const expected = await (await (await iamap.create(memoryStore(), options)).set('foo', 'boom')).set('bar', 'bang')
+    assert.strictEqual(map.id, expected.id)
+  })
+
+  it('empty', async () => {
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 5 }
+    const map = await iamap.fromEntries(memoryStore(), options, [])
+    const expected = await iamap.create(memoryStore(), options)
+    assert.strictEqual(map.id, expected.id)
+    assert.strictEqual(await map.size(), 0)
+  })
+
+  it('errors', async () => {
+    // @ts-ignore
+    await assert.isRejected(iamap.fromEntries({}, { hashAlg: 0x23 /* 'murmur3-32' */ }, []))
+    // @ts-ignore
+    await assert.isRejected(iamap.fromEntries(memoryStore(), {}, []))
+    // @ts-ignore
+    await assert.isRejected(iamap.fromEntries(memoryStore(), { hashAlg: 0x23 /* 'murmur3-32' */ }, null))
+  })
+})
@@ -0,0 +1,159 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, toHex, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+// a hash function an attacker can easily craft colliding keys for, only the first byte of the key matters
+iamap.registerHasher(0x300020 /* private use */, 4, (key) => Uint8Array.from([key[0], 0, 0, 0]))
+
+const hashKey = { id: 'k1', secret: Uint8Array.from({ length: 32 }, (_, i) => i) }
+const options = { hashKey, bitWidth: 4, bucketSize: 2 }
+
+/**
+ * @param {Uint8Array} secret
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function hmac (secret, bytes) {
+  const key = await crypto.subtle.importKey('raw', Uint8Array.from(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, Uint8Array.from(bytes)))
+}
+
+/**
+ * @param {iamap.IAMap<any>} map
+ * @returns {Promise<number>}
+ */
+async function countNodes (map) {
+  return (await collect(map.ids())).length
+}
+
+describe('Keyed hashing', () => {
+  it('create, load and use', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    assert.strictEqual(map.config.hashAlg, 0x12)
+    for (let i = 0; i < 200; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    assert.strictEqual(await map.size(), 200)
+    assert.strictEqual(await map.get('k150'), 'v150')
+    assert.strictEqual(await map.isInvariant(), true)
+
+    // the id is recorded, the secret is not
+    const root = store.map.get(map.id)
+    assert.strictEqual(root.hashKey, 'k1')
+    assert.strictEqual(root.hashAlg, 0x12)
+    const secret = toHex(hashKey.secret)
+    for (const node of store.map.values()) {
+      assert.ok(!JSON.stringify(node, (_, v) => v instanceof Uint8Array ? toHex(v) : v).includes(secret))
+    }
+
+    await assert.isRejected(iamap.load(store, map.id), /keyed with hashKey 'k1'/)
+    await assert.isRejected(iamap.load(store, map.id, { hashKey: { ...hashKey, id: 'k2' } }), /does not match the map's hashKey: 'k1'/)
+    const loaded = await iamap.load(store, map.id, { hashKey })
+    assert.strictEqual(await loaded.get('k10'), 'v10')
+    assert.strictEqual(await loaded.size(), 200)
+    const keys = []
+    for await (const key of loaded.keys()) {
+      keys.push(new TextDecoder().decode(key))
+    }
+    assert.sameMembers(keys, Array.from({ length: 200 }, (_, i) => `k${i}`))
+    const changed = await (await loaded.delete('k10')).set('k201', 'v201')
+    assert.strictEqual(await changed.has('k10'), false)
+    assert.strictEqual(await changed.get('k201'), 'v201')
+    assert.strictEqual(changed.config.hashKey, hashKey)
+
+    // an unkeyed map can't be given one
+    const unkeyed = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */ })
+    await assert.isRejected(iamap.load(store, unkeyed.id, { hashKey }), /the map is not keyed/)
+  })
+
+  it('canonical form', async () => {
+    const entries = Array.from({ length: 100 }, (_, i) => /** @type {[string, string]} */ ([`k${i}`, `v${i}`]))
+    let map = await iamap.create(memoryStore(), options)
+    for (const [key, value] of entries.slice().reverse()) {
+      map = await map.set(key, value)
+    }
+    const built = await iamap.fromEntries(memoryStore(), options, entries)
+    assert.strictEqual(built.id, map.id)
+
+    // a different secret lays the same entries out differently
+    const other = await iamap.fromEntries(memoryStore(), { ...options, hashKey: { id: 'k1', secret: new Uint8Array(16) } }, entries)
+    assert.notStrictEqual(other.id, map.id)
+    assert.strictEqual(await other.get('k50'), 'v50')
+  })
+
+  it('crafted keys are spread', async () => {
+    // keys that share their first byte all collide in the weak hash function
+    const keys = Array.from({ length: 32 }, (_, i) => `x${i}`)
+    let weak = await iamap.create(memoryStore(), { hashAlg: 0x300020, bitWidth: 4, bucketSize: 2 })
+    let keyed = await iamap.create(memoryStore(), options)
+    for (const key of keys) {
+      weak = await weak.set(key, key)
+      keyed = await keyed.set(key, key)
+    }
+    // the weak map has a chain of child nodes down to its maximum depth, a node for each of the 8 levels a 4 byte
+    // hash has at a bitWidth of 4, with every key in a single bucket at the bottom
+    assert.strictEqual(await countNodes(weak), 8)
+    assert.strictEqual(weak.data.length, 1)
+    // while the keyed map spreads them across the slots of its root
+    assert.ok(keyed.data.length > 8)
+    for (const key of keys) {
+      assert.strictEqual(await keyed.get(key), key)
+    }
+  })
+
+  it('proofs and traversals', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const idOf = (/** @type {any} */ node) => memoryStore().save(node)
+    const proof = await map.prove('k10')
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, 'k10', { idOf, hashKey }), { found: true, value: 'v10' })
+    const hasher = (/** @type {Uint8Array} */ bytes) => hmac(hashKey.secret, bytes)
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, 'k10', { idOf, hasher }), { found: true, value: 'v10' })
+    await assert.isRejected(iamap.verifyProof(proof, map.id, 'k10', { idOf }), /secret must be provided/)
+    const unkeyed = await (await iamap.create(memoryStore(), { hashAlg: 0x23 /* 'murmur3-32' */ })).set('foo', 'bar')
+    await assert.isRejected(iamap.verifyProof(await unkeyed.prove('foo'), unkeyed.id, 'foo', { idOf, hashKey }), /not keyed/)
+
+    const rootBlock = store.map.get(map.id)
+    assert.throws(() => iamap.traverseGet(rootBlock, 'k10'), /required for a map with a `hashKey`/)
+    const traversal = iamap.traverseGet(rootBlock, 'k10', { hash: await hmac(hashKey.secret, new TextEncoder().encode('k10')) })
+    let link
+    while ((link = traversal.traverse()) !== null) {
+      traversal.next(store.map.get(link))
+    }
+    assert.strictEqual(traversal.value(), 'v10')
+  })
+
+  it('errors', async () => {
+    const store = memoryStore()
+    const invalid = [
+      null,
+      { secret: hashKey.secret },
+      { id: '', secret: hashKey.secret },
+      { id: 'k1', secret: 'secret' },
+      { id: 'k1', secret: new Uint8Array(15) }
+    ]
+    for (const bad of invalid) {
+      // @ts-ignore
+      await assert.isRejected(iamap.create(store, { hashKey: bad }), /Invalid `hashKey` option/)
+    }
+    const hasher = { code: 0x12, bytes: 32, digest: murmurHasher }
+    await assert.isRejected(iamap.create(store, { hashKey, hasher }), /can't be used together/)
+    await assert.isRejected(iamap.create(store, { hashKey, hashAlg: 0x23 }), /must have a hashAlg of '18'/)
+    await iamap.create(store, { hashKey, hashAlg: 0x12 })
+    await assert.isRejected(iamap.create(store, { hashKey, format: 'ipld' }), /not supported by the `ipld` format/)
+  })
+})
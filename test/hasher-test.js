@@ -0,0 +1,152 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { murmurHasher, identityHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+// private use multicodec codes, murmurCode is never registered, sharedCode is registered with a different function
+// to the hashers given to maps using it
+const murmurCode = 0x300010
+const sharedCode = 0x300011
+iamap.registerHasher(sharedCode, 32, identityHasher)
+
+/** @type {import('../interface').MultihashHasher} */
+const murmur = { code: murmurCode, bytes: 4, digest: murmurHasher }
+
+describe('Per-map hasher', () => {
+  it('create, load and children', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { hasher: murmur, bitWidth: 4, bucketSize: 2 })
+    assert.strictEqual(map.config.hashAlg, murmurCode)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    assert.strictEqual(store.map.get(map.id).hashAlg, murmurCode)
+    assert.ok(!('hasher' in store.map.get(map.id)))
+
+    const loaded = await iamap.load(store, map.id, { hasher: murmur })
+    assert.strictEqual(await loaded.size(), 100)
+    assert.strictEqual(await loaded.get('k99'), 'v99')
+    assert.strictEqual(await loaded.isInvariant(), true)
+    // derived maps carry it, as do the children they load
+    const derived = await (await loaded.set('foo', 'bar')).delete('k1')
+    assert.strictEqual(derived.config.hasher, murmur)
+    assert.strictEqual(await derived.get('k50'), 'v50')
+    assert.strictEqual(await derived.has('k1'), false)
+
+    const tx = loaded.transaction()
+    await tx.set('k1', 'changed')
+    const committed = await tx.commit()
+    assert.strictEqual(await committed.get('k1'), 'changed')
+
+    const built = await iamap.fromEntries(memoryStore(), { hasher: murmur, bitWidth: 4, bucketSize: 2 },
+      await collect(map.entries()))
+    assert.strictEqual(built.id, map.id)
+
+    // the code isn't registered, so the map can't be loaded without the hasher
+    await assert.isRejected(iamap.load(store, map.id), /Unknown hashAlg/)
+  })
+
+  it('maps sharing a code do not clobber each other', async () => {
+    const reversed = {
+      code: sharedCode,
+      bytes: 4,
+      digest: (/** @type {Uint8Array} */ bytes) => murmurHasher(bytes).reverse()
+    }
+    const store = memoryStore()
+    let a = await iamap.create(store, { hasher: { code: sharedCode, bytes: 4, digest: murmurHasher }, bitWidth: 4, bucketSize: 2 })
+    let b = await iamap.create(store, { hasher: reversed, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 50; i++) {
+      a = await a.set(`k${i}`, `v${i}`)
+      b = await b.set(`k${i}`, `v${i}`)
+    }
+    assert.notStrictEqual(a.id, b.id)
+    assert.strictEqual(await a.get('k25'), 'v25')
+    assert.strictEqual(await b.get('k25'), 'v25')
+
+    // and the hasher registered for the same code is not used, nor clobbers them
+    assert.strictEqual(await (await iamap.load(store, b.id, { hasher: reversed })).get('k25'), 'v25')
+    // without it, the registered function is used and looks in the wrong place
+    assert.strictEqual(await (await iamap.load(store, b.id)).get('k25'), undefined)
+  })
+
+  it('multiformats style hashers', async () => {
+    // digest() resolving to a multihash digest object
+    const multihash = {
+      name: 'murmur3-32',
+      code: murmurCode,
+      bytes: 4,
+      encode: murmurHasher,
+      async digest (/** @type {Uint8Array} */ bytes) {
+        const digest = murmurHasher(bytes)
+        return { code: murmurCode, size: digest.length, digest, bytes: Uint8Array.from([0x90, 0x80, 0xc0, 0x01, 4, ...digest]) }
+      }
+    }
+    const store = memoryStore()
+    let map = await iamap.create(store, { hasher: multihash, hashAlg: murmurCode, bitWidth: 4, bucketSize: 2 })
+    let plain = await iamap.create(store, { hasher: murmur, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 50; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+      plain = await plain.set(`k${i}`, `v${i}`)
+    }
+    assert.strictEqual(map.id, plain.id)
+
+    // proofs
+    const proof = await map.prove('k10')
+    const idOf = (/** @type {any} */ node) => memoryStore().save(node)
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, 'k10', { idOf, hasher: multihash }), { found: true, value: 'v10' })
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, 'k10', { idOf, hasher: murmurHasher }), { found: true, value: 'v10' })
+    await assert.isRejected(iamap.verifyProof(proof, map.id, 'k10', { idOf }), /unknown hashAlg/)
+    await assert.isRejected(iamap.verifyProof(proof, map.id, 'k10', { idOf, hasher: { ...murmur, code: sharedCode } }), /does not match hashAlg/)
+  })
+
+  it('multiformats hashers as they are', async () => {
+    // no `bytes`, the digest length is found from the first digest
+    assert.strictEqual(/** @type {any} */ (sha256).bytes, undefined)
+    const store = memoryStore()
+    const entries = Array.from({ length: 100 }, (_, i) => /** @type {[string, string]} */ ([`k${i}`, `v${i}`]))
+    let map = await iamap.create(store, { hasher: sha256, bitWidth: 4, bucketSize: 2 })
+    assert.strictEqual(map.config.hashAlg, sha256.code)
+    for (const [key, value] of entries) {
+      map = await map.set(key, value)
+    }
+    const wrapped = { code: sha256.code, bytes: 32, digest: (/** @type {Uint8Array} */ b) => sha256.digest(b) }
+    assert.strictEqual((await iamap.fromEntries(memoryStore(), { hasher: wrapped, bitWidth: 4, bucketSize: 2 }, entries)).id, map.id)
+    const loaded = await iamap.load(store, map.id, { hasher: sha256 })
+    assert.strictEqual(await loaded.get('k50'), 'v50')
+    assert.deepEqual(await iamap.verify(store, map.id, { hasher: sha256 }), { valid: true, problems: [] })
+
+    // the maximum depth follows from the digest length: 2 bytes at a bitWidth of 4 is a depth of 3, where keys whose
+    // hashes fully collide are kept in a single bucket
+    const short = { code: murmurCode, digest: (/** @type {Uint8Array} */ key) => Uint8Array.from([key[0], key[1]]) }
+    let colliding = await iamap.create(memoryStore(), { hasher: short, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 5; i++) {
+      colliding = await colliding.set(Uint8Array.from([0x12, 0x34, i]), i)
+    }
+    let depth = 0
+    for (let node = colliding; node.data[0].link; node = await iamap.load(node.store, node.data[0].link, node.depth + 1, node.config)) {
+      depth = node.depth + 1
+    }
+    assert.strictEqual(depth, 3)
+    assert.strictEqual(await colliding.size(), 5)
+  })
+
+  it('errors', async () => {
+    const store = memoryStore()
+    for (const hasher of [null, {}, { ...murmur, code: 'murmur' }, { ...murmur, bytes: 0 }, { ...murmur, bytes: 1.5 }, { code: murmurCode, bytes: 4 }]) {
+      // @ts-ignore
+      await assert.isRejected(iamap.create(store, { hasher }), /Invalid `hasher` option/)
+    }
+    await assert.isRejected(iamap.create(store, { hasher: murmur, hashAlg: 0x23 }), /does not match hashAlg: '35'/)
+    const map = await iamap.create(store, { hasher: murmur })
+    await assert.isRejected(iamap.load(store, map.id, { hasher: { ...murmur, code: sharedCode } }), /does not match hashAlg/)
+  })
+})
@@ -0,0 +1,177 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+const textEncoder = new TextEncoder()
+
+// a memory store that can measure the nodes it saves
+function sizingStore () {
+  const store = memoryStore()
+  store.sizeOf = (/** @type {any} */ node) => textEncoder.encode(JSON.stringify(node)).length
+  return store
+}
+
+describe('Inline child nodes', () => {
+  it('predictable deep form, all inlined', async () => {
+    const store = sizingStore()
+    const options = { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2, inlineThreshold: 1024 }
+    const k = (2 << 4) | 2
+    // see 'test keys, values, entries' in basic-test.js, 7 nodes deep
+    let map = await iamap.create(store, options)
+    map = await map.set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1')
+    map = await map.set(Uint8Array.from([k, k, k, 2 << 4]), 'pos2+2')
+    map = await map.set(Uint8Array.from([k, k, k, 3 << 4]), 'pos2+3')
+    map = await map.set(Uint8Array.from([k, k, 0, 0]), 'pos2+0+0')
+
+    const serialized = store.map.get(map.id)
+    assert.strictEqual(serialized.inlineThreshold, 1024)
+    // six levels of child nodes, each embedded in its parent
+    /** @param {any} node */
+    const countInline = (node) => {
+      let count = 0
+      for (const e of node[1]) {
+        if (iamap.isSerializable(e)) {
+          count += 1 + countInline(e)
+        }
+      }
+      return count
+    }
+    assert.strictEqual(countInline(serialized.hamt), 6)
+    assert.strictEqual(store.saves, 5) // just the roots
+    assert.deepEqual(await collect(map.ids()), [map.id])
+
+    const loaded = await iamap.load(store, map.id)
+    const loads = store.loads
+    assert.strictEqual(await loaded.get(Uint8Array.from([k, k, k, 3 << 4])), 'pos2+3')
+    assert.strictEqual(await loaded.get(Uint8Array.from([k, k, 0, 0])), 'pos2+0+0')
+    assert.strictEqual(await loaded.size(), 4)
+    assert.strictEqual(await loaded.isInvariant(), true)
+    assert.strictEqual(store.loads, loads) // everything came with the root
+    assert.strictEqual(loaded.config.inlineThreshold, 1024)
+
+    // mutating a loaded map continues to inline, and collapses back to a single root node
+    let collapsed = await loaded.delete(Uint8Array.from([k, k, 0, 0]))
+    collapsed = await collapsed.delete(Uint8Array.from([k, k, k, 3 << 4]))
+    const expected = await (await (await iamap.create(store, options))
+      .set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1'))
+      .set(Uint8Array.from([k, k, k, 2 << 4]), 'pos2+2')
+    assert.strictEqual(collapsed.id, expected.id)
+  })
+
+  for (const inlineThreshold of [200, 500]) {
+    it(`same form regardless of how it was built, inlineThreshold=${inlineThreshold}`, async () => {
+      const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2, inlineThreshold }
+      const store = sizingStore()
+      let map = await iamap.create(store, options)
+      for (let i = 0; i < 200; i++) {
+        map = await map.set(`k${i}`, `v${i}`)
+      }
+      assert.strictEqual(await map.isInvariant(), true)
+
+      /** @type {[string, string][]} */
+      const entries = []
+      for (let i = 199; i >= 0; i--) {
+        entries.push([`k${i}`, `v${i}`])
+      }
+      const built = await iamap.fromEntries(sizingStore(), options, entries)
+      assert.strictEqual(built.id, map.id)
+      const batched = await (await iamap.create(sizingStore(), options)).batch(entries.map(([key, value]) => ({ type: 'put', key, value })))
+      assert.strictEqual(batched.id, map.id)
+
+      // the same map without inlining has more nodes, the inlined map stores all of its entries in fewer
+      const linked = await iamap.fromEntries(sizingStore(), { ...options, inlineThreshold: 0 }, entries)
+      const ids = await collect(map.ids())
+      const linkedIds = await collect(linked.ids())
+      assert.ok(ids.length < linkedIds.length)
+      for (const id of ids) {
+        assert.ok(store.map.has(id))
+        assert.ok(id === map.id || (store.sizeOf && store.sizeOf(store.map.get(id)) > inlineThreshold))
+      }
+
+      const loaded = await iamap.load(store, map.id)
+      for (let i = 0; i < 200; i++) {
+        assert.strictEqual(await loaded.get(`k${i}`), `v${i}`)
+      }
+      assert.strictEqual(await loaded.size(), 200)
+
+      // delete everything and we're back to an empty root
+      for (let i = 0; i < 200; i++) {
+        map = await map.delete(`k${i}`)
+        if (i % 50 === 0) {
+          assert.strictEqual(await map.isInvariant(), true)
+          const expected = await iamap.fromEntries(sizingStore(), options, entries.slice(0, 199 - i))
+          assert.strictEqual(map.id, expected.id)
+        }
+      }
+      assert.strictEqual(map.id, (await iamap.create(sizingStore(), options)).id)
+    })
+  }
+
+  it('diff and merge', async () => {
+    const store = sizingStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2, inlineThreshold: 200 }
+    let base = await iamap.create(store, options)
+    for (let i = 0; i < 100; i++) {
+      base = await base.set(`k${i}`, `v${i}`)
+    }
+    base = await iamap.load(store, base.id)
+
+    const changes = []
+    for await (const change of iamap.diff(base, await iamap.load(store, base.id))) {
+      changes.push(change)
+    }
+    assert.strictEqual(changes.length, 0)
+
+    let ours = base
+    let theirs = base
+    let expected = base
+    for (let i = 0; i < 100; i += 7) {
+      ours = await ours.set(`k${i}`, `ours${i}`)
+      expected = await expected.set(`k${i}`, `ours${i}`)
+    }
+    for (let i = 100; i < 150; i++) { // enough to push some inlined nodes over the threshold
+      theirs = await theirs.set(`k${i}`, `theirs${i}`)
+      expected = await expected.set(`k${i}`, `theirs${i}`)
+    }
+    for (let i = 3; i < 100; i += 7) {
+      theirs = await theirs.delete(`k${i}`)
+      expected = await expected.delete(`k${i}`)
+    }
+    const merged = await iamap.merge(base, ours, theirs, {
+      resolve () {
+        throw new Error('unexpected conflict')
+      }
+    })
+    assert.strictEqual(merged.id, expected.id)
+
+    let count = 0
+    for await (const { oldValue, newValue } of iamap.diff(ours, merged)) {
+      assert.ok(oldValue === undefined || newValue === undefined)
+      count++
+    }
+    assert.strictEqual(count, 50 + 14)
+  })
+
+  it('errors', async () => {
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, inlineThreshold: 100 }
+    await assert.isRejected(iamap.create(memoryStore(), options), TypeError)
+    await assert.isFulfilled(iamap.create(sizingStore(), options))
+    await assert.isFulfilled(iamap.create(memoryStore(), { ...options, inlineThreshold: 0 }))
+    await assert.isRejected(iamap.create(sizingStore(), { ...options, inlineThreshold: -1 }), TypeError)
+    await assert.isRejected(iamap.create(sizingStore(), { ...options, inlineThreshold: 1.5 }), TypeError)
+    // @ts-ignore
+    await assert.isRejected(iamap.create(sizingStore(), { ...options, inlineThreshold: '100' }), TypeError)
+  })
+})
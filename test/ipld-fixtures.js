@@ -0,0 +1,117 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+import { fromHex } from './common.js'
+
+// blocks laid out as the IPLD HashMap specification describes them, with links named rather than
+// being the IDs of any particular store, keys are UTF-8 strings
+//
+// The blocks are written out by hand from the rules of the specification rather than captured from this
+// implementation, so the tests can't pass merely by agreeing with themselves. For each key, the comments give its
+// digest and the index it takes at each level: `bitWidth` bits at a time, most significant first. A node's `map` has
+// bit `index % 8` of byte `floor(index / 8)` set for each occupied index, `data` holds one element per set bit in
+// index order, a bucket holds up to `bucketSize` entries sorted by the bytes of their keys and a slot with more keys
+// than that is a child node holding them one level down. The murmur3-32 digests are the 32-bit x86 hash, as
+// little-endian bytes, from murmurhash3js-revisited; the identity digests are the keys' own bytes.
+
+/**
+ * @param {string} s
+ * @returns {Uint8Array}
+ */
+function bytes (s) {
+  return new TextEncoder().encode(s)
+}
+
+/**
+ * @typedef {{
+ *   description: string,
+ *   options: import('../interface').Options,
+ *   entries: [string, string][],
+ *   root: string,
+ *   blocks: Record<string, any>
+ * }} Fixture
+ */
+
+/** @type {Fixture[]} */
+export const fixtures = [
+  {
+    description: 'single node, default bitWidth and bucketSize',
+    options: { hashAlg: 0x23 /* 'murmur3-32' */, format: 'ipld' },
+    // foo 20c4a5f6 [32], bar 8d990e45 [141], baz ea6c68f1 [234]
+    entries: [['foo', 'FOO'], ['bar', 'BAR'], ['baz', 'BAZ']],
+    root: 'root',
+    blocks: {
+      root: {
+        hashAlg: 'murmur3-32',
+        bucketSize: 5,
+        map: fromHex('0000000001000000000000000000000000200000000000000000000000040000'),
+        data: [
+          { 1: [[bytes('foo'), 'FOO']] },
+          { 1: [[bytes('bar'), 'BAR']] },
+          { 1: [[bytes('baz'), 'BAZ']] }
+        ]
+      }
+    }
+  },
+  {
+    description: 'child node, bitWidth=3, bucketSize=2',
+    options: { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 3, bucketSize: 2, format: 'ipld' },
+    // k0 d66c610b [6], k1 2a60c6fd [1, 2], k2 c87f36d8 [6], k3 7db81e75 [3], k4 9d558a14 [4],
+    // k5 40be7855 [2], k6 b55a7a32 [5], k7 7ebf391b [3], k8 305e845a [1, 4], k9 35d8b720 [1, 5]
+    entries: [
+      ['k0', 'v0'], ['k1', 'v1'], ['k2', 'v2'], ['k3', 'v3'], ['k4', 'v4'],
+      ['k5', 'v5'], ['k6', 'v6'], ['k7', 'v7'], ['k8', 'v8'], ['k9', 'v9']
+    ],
+    root: 'root',
+    blocks: {
+      root: {
+        hashAlg: 'murmur3-32',
+        bucketSize: 2,
+        map: fromHex('7e'),
+        data: [
+          { 0: 'child' },
+          { 1: [[bytes('k5'), 'v5']] },
+          { 1: [[bytes('k3'), 'v3'], [bytes('k7'), 'v7']] },
+          { 1: [[bytes('k4'), 'v4']] },
+          { 1: [[bytes('k6'), 'v6']] },
+          { 1: [[bytes('k0'), 'v0'], [bytes('k2'), 'v2']] }
+        ]
+      },
+      child: {
+        map: fromHex('34'),
+        data: [
+          { 1: [[bytes('k1'), 'v1']] },
+          { 1: [[bytes('k8'), 'v8']] },
+          { 1: [[bytes('k9'), 'v9']] }
+        ]
+      }
+    }
+  },
+  {
+    description: 'identity hash, bitWidth=4, bucketSize=2',
+    options: { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2, format: 'ipld' },
+    // a key's digest is its single byte, so its indexes are the two halves of it: A 41 [4, 1], B 42 [4, 2],
+    // C 43 [4, 3], a 61 [6], q 71 [7], r 72 [7]
+    entries: [['A', 'upper a'], ['B', 'upper b'], ['C', 'upper c'], ['a', 'lower a'], ['q', 'lower q'], ['r', 'lower r']],
+    root: 'root',
+    blocks: {
+      root: {
+        hashAlg: 'identity',
+        bucketSize: 2,
+        map: fromHex('d000'), // 4, 6 and 7
+        data: [
+          { 0: 'child4' },
+          { 1: [[bytes('a'), 'lower a']] },
+          { 1: [[bytes('q'), 'lower q'], [bytes('r'), 'lower r']] }
+        ]
+      },
+      child4: {
+        map: fromHex('0e00'), // 1, 2 and 3
+        data: [
+          { 1: [[bytes('A'), 'upper a']] },
+          { 1: [[bytes('B'), 'upper b']] },
+          { 1: [[bytes('C'), 'upper c']] }
+        ]
+      }
+    }
+  }
+]
@@ -0,0 +1,223 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore, toHex, collect } from './common.js'
+import { fixtures } from './ipld-fixtures.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+/**
+ * @param {any} obj
+ * @returns {string}
+ */
+function canonical (obj) {
+  return JSON.stringify(obj, (_, v) => v instanceof Uint8Array ? `bytes:${toHex(v)}` : v)
+}
+
+/**
+ * a store holding a fixture's blocks under their names, blocks that match a fixture block are saved under its name
+ * so a map built from scratch can be compared with the fixture by its root ID
+ * @param {Record<string, any>} blocks
+ * @returns {import('../interface').Store<string> & { blocks: Map<string, any>, idOf(node: any): string }}
+ */
+function fixtureStore (blocks) {
+  const names = new Map(Object.entries(blocks).map(([name, block]) => [canonical(block), name]))
+  return {
+    blocks: new Map(Object.entries(blocks)),
+    idOf (node) {
+      return names.get(canonical(node)) || `unknown:${canonical(node)}`
+    },
+    async save (node) {
+      const id = this.idOf(node)
+      this.blocks.set(id, node)
+      return id
+    },
+    async load (id) {
+      return this.blocks.get(id)
+    },
+    isEqual (id1, id2) {
+      return id1 === id2
+    },
+    isLink (obj) {
+      return typeof obj === 'string'
+    }
+  }
+}
+
+const decoder = new TextDecoder()
+
+/**
+ * @param {AsyncIterable<{ key: Uint8Array, value: any }>|Iterable<{ key: Uint8Array, value: any }>} iterable
+ * @returns {Promise<[string, any][]>}
+ */
+async function entriesOf (iterable) {
+  return (await collect(iterable)).map(({ key, value }) => /** @type {[string, any]} */ ([decoder.decode(key), value]))
+}
+
+describe('IPLD format', () => {
+  for (const fixture of fixtures) {
+    describe(fixture.description, () => {
+      it('loads and reserializes', async () => {
+        const store = fixtureStore(fixture.blocks)
+        const map = await iamap.load(store, fixture.root)
+        assert.strictEqual(await map.size(), fixture.entries.length)
+        assert.sameDeepMembers(await entriesOf(map.entries()), fixture.entries)
+        for (const [key, value] of fixture.entries) {
+          assert.strictEqual(await map.get(key), value)
+        }
+        assert.deepEqual(map.toSerializable(), fixture.blocks[fixture.root])
+        const ids = []
+        for await (const id of map.ids()) {
+          ids.push(id)
+          const node = id === fixture.root ? map : await iamap.load(store, id, 1, map.config)
+          assert.deepEqual(node.toSerializable(), fixture.blocks[id])
+        }
+        assert.sameMembers(ids, Object.keys(fixture.blocks))
+        assert.strictEqual(await map.isInvariant(), true)
+      })
+
+      it('builds the same blocks', async () => {
+        let store = fixtureStore(fixture.blocks)
+        let map = await iamap.create(store, fixture.options)
+        for (const [key, value] of fixture.entries) {
+          map = await map.set(key, value)
+        }
+        assert.strictEqual(map.id, fixture.root)
+
+        store = fixtureStore(fixture.blocks)
+        map = await iamap.fromEntries(store, fixture.options, fixture.entries)
+        assert.strictEqual(map.id, fixture.root)
+      })
+
+      it('traversals, proofs and reachable', async () => {
+        const store = fixtureStore(fixture.blocks)
+        for (const [key, value] of fixture.entries) {
+          const traversal = iamap.traverseGet(fixture.blocks[fixture.root], key)
+          let link
+          while ((link = traversal.traverse()) !== null) {
+            traversal.next(fixture.blocks[link])
+          }
+          assert.strictEqual(traversal.value(), value)
+        }
+
+        const traversal = iamap.traverseEntries(fixture.blocks[fixture.root])
+        let link
+        while ((link = traversal.traverse()) !== null) {
+          traversal.next(fixture.blocks[link])
+        }
+        assert.sameDeepMembers(await entriesOf(traversal.entries()), fixture.entries)
+
+        const map = await iamap.load(store, fixture.root)
+        for (const key of [fixture.entries[0][0], 'nope']) {
+          const proof = await map.prove(key)
+          const { found } = await iamap.verifyProof(proof, fixture.root, key, { idOf: (node) => store.idOf(node) })
+          assert.strictEqual(found, key !== 'nope')
+        }
+
+        const live = await iamap.reachable(store, [fixture.root])
+        assert.deepEqual(live, new Set(Object.keys(fixture.blocks)))
+      })
+    })
+  }
+
+  it('mutations keep the format', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 3, bucketSize: 2 }
+    let map = await iamap.create(store, { ...options, format: 'ipld' })
+    let positional = await iamap.create(memoryStore(), options)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+      positional = await positional.set(`k${i}`, `v${i}`)
+    }
+    for (let i = 0; i < 100; i += 3) {
+      map = await map.delete(`k${i}`)
+      positional = await positional.delete(`k${i}`)
+    }
+    map = await iamap.load(store, map.id)
+    assert.strictEqual(map.config.format, 'ipld')
+    assert.deepEqual(await entriesOf(map.entries()), await entriesOf(positional.entries()))
+    assert.strictEqual(await map.isInvariant(), true)
+
+    const root = store.map.get(map.id)
+    assert.deepEqual(Object.keys(root).sort(), ['bucketSize', 'data', 'hashAlg', 'map'])
+    assert.strictEqual(root.hashAlg, 'murmur3-32') // by name, as the specification has it
+    assert.strictEqual(map.config.hashAlg, 0x23)
+    assert.ok(iamap.isRootSerializable(root))
+    assert.ok(iamap.isSerializable(root))
+    for await (const id of map.ids()) {
+      const node = store.map.get(id)
+      assert.ok(iamap.isSerializable(node))
+      if (id !== map.id) {
+        assert.deepEqual(Object.keys(node).sort(), ['data', 'map'])
+        assert.ok(!iamap.isRootSerializable(node))
+      }
+      for (const element of node.data) {
+        assert.ok(Object.keys(element).length === 1 && (store.isLink(element[0]) || Array.isArray(element[1])))
+      }
+    }
+
+    // the default is unchanged
+    assert.strictEqual(positional.config.format, 'iamap')
+    assert.ok('hamt' in positional.toSerializable())
+  })
+
+  it('errors', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, format: /** @type {'ipld'} */ ('ipld') }
+    // @ts-ignore
+    await assert.isRejected(iamap.create(store, { ...options, format: 'nope' }), /Invalid `format` option/)
+    store.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    await assert.isRejected(iamap.create(store, { ...options, inlineThreshold: 100 }), /not supported by the `ipld`/)
+    await assert.isRejected(iamap.create(store, { ...options, counted: true }), /not supported by the `ipld`/)
+    await assert.isRejected(iamap.create(store, { ...options, keyCodec: 'number' }), /not supported by the `ipld`/)
+    await iamap.create(store, { ...options, inlineThreshold: 0, counted: false })
+    const unnamed = { code: 0x300001, digest: murmurHasher } // not in the multicodec table
+    await assert.isRejected(iamap.create(store, { format: 'ipld', hasher: unnamed }), /'3145729' has no known multicodec name/)
+
+    const [fixture] = fixtures.filter((f) => Object.keys(f.blocks).length > 1)
+    const { root, child } = fixture.blocks
+    const withData = (/** @type {any} */ block, /** @type {any[]} */ data) => ({ ...block, data })
+
+    // elements must be one of the keyed union's kinds
+    for (const element of [{ 2: [] }, { 0: 'child', 1: [] }, { 1: 'nope' }, [], null, 'child']) {
+      const bad = withData(root, [element, ...root.data.slice(1)])
+      await assert.isRejected(iamap.load(fixtureStore({ ...fixture.blocks, root: bad }), 'root'), /badly formed data element/)
+      assert.throws(() => {
+        const traversal = iamap.traverseEntries(bad)
+        while (traversal.traverse() !== null) {
+          traversal.next(child)
+        }
+      }, /badly formed IAMap node/)
+      await assert.isRejected(iamap.reachable(fixtureStore({ ...fixture.blocks, root: bad }), ['root']), /IAMap node/)
+    }
+
+    // a child must be in the same format, and not a root
+    for (const badChild of [[child.map, child.data], root]) {
+      const blocks = { ...fixture.blocks, child: badChild }
+      const map = await iamap.load(fixtureStore(blocks), 'root')
+      await assert.isRejected(map.size(), /IAMap node \(depth>0\)/)
+      await assert.isRejected(iamap.reachable(fixtureStore(blocks), ['root']), /IAMap node/)
+      const traversal = iamap.traverseEntries(root)
+      assert.strictEqual(traversal.traverse(), 'child')
+      assert.throws(() => traversal.next(badChild), /badly formed IAMap node/)
+    }
+
+    // hashAlg is a name, one that is known
+    assert.ok(!iamap.isRootSerializable({ ...root, hashAlg: 0x23 }))
+    const unknown = { ...root, hashAlg: 'nope' }
+    await assert.isRejected(iamap.load(fixtureStore({ ...fixture.blocks, root: unknown }), 'root'), /Unknown hashAlg: 'nope'/)
+    assert.throws(() => iamap.traverseGet(unknown, 'k1'), /Unknown hashAlg: 'nope'/)
+
+    // the `ipld` format has no place for options it doesn't support
+    await assert.isRejected(iamap.load(fixtureStore({ ...fixture.blocks, root: { ...root, counted: true } }), 'root'), /not supported by the `ipld`/)
+  })
+})
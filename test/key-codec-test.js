@@ -0,0 +1,218 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, toHex, collect } from './common.js'
+import * as iamap from '../iamap.js'
+import * as keyCodecs from '../key-codecs.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+
+/**
+ * keys in ascending order should encode to ascending bytes and round-trip
+ * @param {import('../interface').KeyCodec} codec
+ * @param {any[]} sorted
+ */
+function assertOrdered (codec, sorted) {
+  const encoded = sorted.map((key) => codec.encode(key))
+  for (let i = 0; i < sorted.length; i++) {
+    assert.deepEqual(codec.decode(encoded[i]), sorted[i])
+    if (i > 0) {
+      assert.ok(toHex(encoded[i - 1]) < toHex(encoded[i]), `${sorted[i - 1]} < ${sorted[i]}`)
+    }
+  }
+}
+
+describe('Key codecs', () => {
+  it('number', () => {
+    assertOrdered(keyCodecs.number, [-Infinity, -1e300, -256, -1.5, -1, -Number.MIN_VALUE, 0, Number.MIN_VALUE, 1, 1.5, 2, 256, 1e300, Infinity])
+    assert.deepEqual(keyCodecs.number.encode(-0), keyCodecs.number.encode(0))
+    assert.ok(Number.isNaN(keyCodecs.number.decode(keyCodecs.number.encode(NaN))))
+    assert.throws(() => keyCodecs.number.encode('1'), TypeError)
+    assert.throws(() => keyCodecs.number.decode(new Uint8Array(7)), /Invalid number/)
+  })
+
+  it('bigint', () => {
+    const big = BigInt(2) ** BigInt(100)
+    assertOrdered(keyCodecs.bigint, [-big * big, -big, -BigInt(256), -BigInt(255), -BigInt(1), BigInt(0), BigInt(1), BigInt(255), BigInt(256), big, big * big])
+    assert.throws(() => keyCodecs.bigint.encode(1), TypeError)
+    assert.throws(() => keyCodecs.bigint.encode(BigInt(2) ** BigInt(8 * 256)), /too large/)
+    keyCodecs.bigint.encode(BigInt(2) ** BigInt(8 * 255) - BigInt(1))
+    assert.throws(() => keyCodecs.bigint.decode(new Uint8Array(0)), /Invalid bigint/)
+    assert.throws(() => keyCodecs.bigint.decode(Uint8Array.from([2, 0])), /Invalid bigint/)
+    assert.throws(() => keyCodecs.bigint.decode(Uint8Array.from([1, 2, 1])), /Invalid bigint/)
+    assert.throws(() => keyCodecs.bigint.decode(Uint8Array.from([1, 1, 1, 1])), /Invalid bigint/)
+  })
+
+  it('tuple', () => {
+    assertOrdered(keyCodecs.tuple, [
+      [],
+      [Uint8Array.from([])],
+      [Uint8Array.from([0])],
+      [Uint8Array.from([0]), 'a'],
+      [Uint8Array.from([0, 0])],
+      [Uint8Array.from([0, 1])],
+      [Uint8Array.from([1])],
+      [''],
+      ['a'],
+      ['a', 'b'],
+      ['a\u0000'],
+      ['a\u0000b'],
+      ['ab'],
+      [[]],
+      [['a'], 'b'],
+      [['a', 1]],
+      [['b']],
+      [BigInt(-1)],
+      [BigInt(10)],
+      [-1],
+      [1],
+      [1, 'a'],
+      [1, BigInt(2)],
+      [2]
+    ])
+    assert.throws(() => keyCodecs.tuple.encode('a'), TypeError)
+    assert.throws(() => keyCodecs.tuple.encode([null]), TypeError)
+    assert.throws(() => keyCodecs.tuple.encode([{}]), TypeError)
+    for (const bad of [[0x09], [0x01, 0x61], [0x02, 0x00, 0xff], [0x03, 0x01, 0x00], [0x05, 0x00], [0x04, 0x07]]) {
+      assert.throws(() => keyCodecs.tuple.decode(Uint8Array.from(bad)), /Invalid/)
+    }
+  })
+
+  it('uuid', () => {
+    assertOrdered(keyCodecs.uuid, [
+      '00000000-0000-0000-0000-000000000000',
+      '0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0',
+      'ffffffff-ffff-ffff-ffff-ffffffffffff'
+    ])
+    assert.strictEqual(keyCodecs.uuid.decode(keyCodecs.uuid.encode('0F1E2D3C-4B5A-6978-8796-A5B4C3D2E1F0')), '0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0')
+    assert.throws(() => keyCodecs.uuid.encode('0f1e2d3c4b5a69788796a5b4c3d2e1f0'), TypeError)
+    assert.throws(() => keyCodecs.uuid.encode(1), TypeError)
+    assert.throws(() => keyCodecs.uuid.decode(new Uint8Array(15)), /Invalid UUID/)
+  })
+
+  it('a map with number keys', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, { ...options, keyCodec: 'number' })
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(i - 50, `v${i - 50}`)
+    }
+    assert.strictEqual(await map.size(), 100)
+    assert.strictEqual(await map.get(1), 'v1')
+    assert.strictEqual(await map.has(-50), true)
+    assert.strictEqual(await map.has(50), false)
+    await assert.isRejected(map.get('1'), TypeError)
+    map = await map.delete(0)
+    assert.strictEqual(await map.has(0), false)
+
+    const keys = await collect(map.keys())
+    assert.sameMembers(keys, [...Array(100).keys()].map((i) => i - 50).filter((k) => k !== 0))
+    const ordered = await collect(map.keys({ order: 'key' }))
+    assert.deepEqual(ordered, keys.slice().sort((a, b) => a - b))
+    const entries = await collect(map.entries({ order: 'key', windowSize: 7 }))
+    assert.deepEqual(entries.slice(0, 2), [{ key: -50, value: 'v-50' }, { key: -49, value: 'v-49' }])
+    assert.deepEqual((await collect(map.entries())).map(({ key }) => key), keys)
+    const { entries: page } = await map.page({ limit: 3 })
+    assert.deepEqual(page.map(({ key }) => key), keys.slice(0, 3))
+
+    // recorded in the root and picked up by load()
+    assert.strictEqual((await store.load(map.id)).keyCodec, 'number')
+    const loaded = await iamap.load(store, map.id)
+    assert.strictEqual(loaded.config.keyCodec, 'number')
+    assert.strictEqual(await loaded.get(-50), 'v-50')
+
+    // not in the root of maps without one
+    const plain = await iamap.create(store, options)
+    assert.strictEqual((await store.load(plain.id)).keyCodec, undefined)
+    assert.strictEqual(plain.config.keyCodec, undefined)
+  })
+
+  it('number and string keys are distinct with a codec', async () => {
+    const plain = await (await iamap.create(memoryStore(), options)).set(1, 'number')
+    assert.strictEqual(await plain.get('1'), 'number') // without a codec they collide
+
+    let map = await iamap.create(memoryStore(), { ...options, keyCodec: 'tuple' })
+    map = await map.set([1], 'number')
+    map = await map.set(['1'], 'string')
+    map = await map.set([1, 'a'], 'pair')
+    assert.strictEqual(await map.get([1]), 'number')
+    assert.strictEqual(await map.get(['1']), 'string')
+    assert.deepEqual(await collect(map.keys({ order: 'key' })), [['1'], [1], [1, 'a']])
+  })
+
+  it('batch, fromEntries, transaction, proofs and traversal', async () => {
+    const store = memoryStore()
+    const opts = { ...options, keyCodec: 'uuid' }
+    const uuids = []
+    for (let i = 0; i < 50; i++) {
+      uuids.push(`${i.toString(16).padStart(8, '0')}-0000-4000-8000-000000000000`)
+    }
+    const built = await iamap.fromEntries(store, opts, uuids.map((key, i) => [key, i]))
+    let map = await iamap.create(store, opts)
+    for (let i = 0; i < 50; i++) {
+      map = await map.set(uuids[i], i)
+    }
+    assert.strictEqual(built.id, map.id)
+    assert.deepEqual(await collect(map.keys({ order: 'key' })), uuids)
+
+    const batched = await map.batch([{ type: 'del', key: uuids[0] }, { type: 'put', key: uuids[1], value: 'one' }])
+    assert.strictEqual(await batched.get(uuids[1]), 'one')
+    assert.strictEqual(await batched.has(uuids[0]), false)
+
+    const tx = map.transaction()
+    await tx.delete(uuids[0])
+    await tx.set(uuids[1], 'one')
+    assert.strictEqual(await tx.get(uuids[1]), 'one')
+    assert.strictEqual((await tx.commit()).id, batched.id)
+
+    const idOf = (/** @type {any} */ node) => memoryStore().save(node)
+    const proof = await map.prove(uuids[5])
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, uuids[5], { idOf }), { found: true, value: 5 })
+
+    const traversal = iamap.traverseGet(store.map.get(map.id), uuids[7])
+    let link
+    while ((link = traversal.traverse()) !== null) {
+      traversal.next(store.map.get(link))
+    }
+    assert.strictEqual(traversal.value(), 7)
+  })
+
+  it('registerKeyCodec', async () => {
+    // case insensitive string keys
+    iamap.registerKeyCodec('lowercase', {
+      encode: (key) => new TextEncoder().encode(String(key).toLowerCase()),
+      decode: (bytes) => new TextDecoder().decode(bytes)
+    })
+    const map = await (await iamap.create(memoryStore(), { ...options, keyCodec: 'lowercase' })).set('FOO', 'bar')
+    assert.strictEqual(await map.get('foo'), 'bar')
+    assert.deepEqual(await collect(map.keys()), ['foo'])
+
+    iamap.registerKeyCodec('broken', { encode: (key) => key, decode: (bytes) => bytes })
+    const broken = await iamap.create(memoryStore(), { ...options, keyCodec: 'broken' })
+    await assert.isRejected(broken.set('foo', 'bar'), /did not encode/)
+
+    // @ts-ignore
+    assert.throws(() => iamap.registerKeyCodec('', keyCodecs.number), TypeError)
+    // @ts-ignore
+    assert.throws(() => iamap.registerKeyCodec('nope', { encode () {} }), TypeError)
+  })
+
+  it('errors', async () => {
+    await assert.isRejected(iamap.create(memoryStore(), { ...options, keyCodec: 'nope' }), /Unknown keyCodec/)
+    await assert.isRejected(iamap.create(memoryStore(), { ...options, keyCodec: 'toString' }), /Unknown keyCodec/)
+    // @ts-ignore
+    await assert.isRejected(iamap.create(memoryStore(), { ...options, keyCodec: 1 }), TypeError)
+    const store = memoryStore()
+    const map = await iamap.create(store, options)
+    const unknown = await store.save({ ...(await store.load(map.id)), keyCodec: 'nope' })
+    await assert.isRejected(iamap.load(store, unknown), /Unknown keyCodec/)
+  })
+})
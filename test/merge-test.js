@@ -0,0 +1,281 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore, toHex } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+const textDecoder = new TextDecoder()
+
+const noConflicts = {
+  resolve () {
+    throw new Error('unexpected conflict')
+  }
+}
+
+/**
+ * @param {iamap.IAMap<number>} map
+ * @returns {Promise<Record<string, any>>}
+ */
+async function contents (map) {
+  /** @type {Record<string, any>} */
+  const obj = {}
+  for await (const { key, value } of map.entries()) {
+    obj[textDecoder.decode(key)] = value
+  }
+  return obj
+}
+
+describe('Merge', () => {
+  it('non-conflicting changes on both sides', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+    let base = await iamap.create(store, options)
+    for (let i = 0; i < 200; i++) {
+      base = await base.set(`k${i}`, `v${i}`)
+    }
+    let ours = base
+    let theirs = base
+    let expected = base
+    for (let i = 0; i < 200; i += 10) {
+      ours = await ours.set(`k${i}`, `ours${i}`)
+      expected = await expected.set(`k${i}`, `ours${i}`)
+    }
+    for (let i = 5; i < 200; i += 10) {
+      theirs = await theirs.set(`k${i}`, `theirs${i}`)
+      expected = await expected.set(`k${i}`, `theirs${i}`)
+    }
+    for (let i = 1; i < 200; i += 20) {
+      ours = await ours.delete(`k${i}`)
+      expected = await expected.delete(`k${i}`)
+    }
+    for (let i = 3; i < 200; i += 20) {
+      theirs = await theirs.delete(`k${i}`)
+      expected = await expected.delete(`k${i}`)
+    }
+    for (let i = 200; i < 230; i++) {
+      if (i % 2) {
+        ours = await ours.set(`k${i}`, `ours${i}`)
+        expected = await expected.set(`k${i}`, `ours${i}`)
+      } else {
+        theirs = await theirs.set(`k${i}`, `theirs${i}`)
+        expected = await expected.set(`k${i}`, `theirs${i}`)
+      }
+    }
+
+    const merged = await iamap.merge(base, ours, theirs, noConflicts)
+    assert.strictEqual(merged.id, expected.id)
+    assert.strictEqual(await merged.isInvariant(), true)
+    // and the other way around
+    assert.strictEqual((await iamap.merge(base, theirs, ours, noConflicts)).id, expected.id)
+
+    // trivial merges
+    assert.strictEqual((await iamap.merge(base, ours, base, noConflicts)).id, ours.id)
+    assert.strictEqual((await iamap.merge(base, base, theirs, noConflicts)).id, theirs.id)
+    assert.strictEqual((await iamap.merge(base, ours, ours, noConflicts)).id, ours.id)
+  })
+
+  it('unchanged subtrees are not loaded', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+    let base = await iamap.create(store, options)
+    for (let i = 0; i < 300; i++) {
+      base = await base.set(`k${i}`, `v${i}`)
+    }
+    const ours = await base.set('k10', 'ours')
+    const theirs = await base.set('k200', 'theirs')
+    const loaded = await Promise.all([base, ours, theirs].map((map) => iamap.load(store, map.id)))
+    const loads = store.loads
+    const merged = await iamap.merge(loaded[0], loaded[1], loaded[2], noConflicts)
+    assert.ok(store.loads - loads < 20)
+    assert.strictEqual(await merged.get('k10'), 'ours')
+    assert.strictEqual(await merged.get('k200'), 'theirs')
+    assert.strictEqual(merged.id, (await ours.set('k200', 'theirs')).id)
+  })
+
+  it('child nodes changed only by theirs are taken as they are', async () => {
+    // with the identity hasher, slots 1 and 2 of the root each hold a child node with 16 child nodes of 4 entries
+    const keys = []
+    for (const prefix of [0x10, 0x20]) {
+      for (let i = 0; i < 16; i++) {
+        for (let j = 0; j < 4; j++) {
+          keys.push(Uint8Array.from([prefix | i, j << 4]))
+        }
+      }
+    }
+    const options = { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 }
+    const store = memoryStore()
+    const base = await iamap.fromEntries(store, options, keys.map((key) => [key, 'v']))
+    const ours = await base.set(Uint8Array.from([0x10, 0x00]), 'ours')
+    let theirs = base
+    for (let i = 0; i < 16; i++) {
+      theirs = await theirs.set(Uint8Array.from([0x20 | i, 0x00]), 'theirs')
+    }
+    // and a new child node in slot 3
+    for (let i = 0; i < 3; i++) {
+      theirs = await theirs.set(Uint8Array.from([0x30 | i, 0x00]), 'theirs')
+    }
+    const { saves, loads } = store
+    const merged = await iamap.merge(base, ours, theirs, noConflicts)
+    assert.strictEqual(store.saves - saves, 1) // the new root alone
+    assert.strictEqual(store.loads - loads, 0)
+    const [mergedRoot, ourRoot, theirRoot] = [merged, ours, theirs].map((map) => store.map.get(map.id).hamt[1])
+    assert.deepEqual(mergedRoot, [ourRoot[0], theirRoot[1], theirRoot[2]])
+    assert.strictEqual(merged.id, (await theirs.set(Uint8Array.from([0x10, 0x00]), 'ours')).id)
+
+    // an inlined child node, taken from within a child node both sides have changed
+    const inlineStore = memoryStore()
+    inlineStore.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    const inlineOptions = { ...options, inlineThreshold: 500 }
+    const inlineBase = await iamap.fromEntries(inlineStore, inlineOptions, keys.map((key) => [key, 'v']))
+    const inlineOurs = await inlineBase.set(Uint8Array.from([0x23, 0x00]), 'ours')
+    const inlineTheirs = await inlineBase.set(Uint8Array.from([0x25, 0x00]), 'theirs')
+    const inlineMerged = await iamap.merge(inlineBase, inlineOurs, inlineTheirs, noConflicts)
+    assert.strictEqual(inlineMerged.id, (await inlineOurs.set(Uint8Array.from([0x25, 0x00]), 'theirs')).id)
+    assert.strictEqual(await inlineMerged.get(Uint8Array.from([0x25, 0x00])), 'theirs')
+    assert.strictEqual(await inlineMerged.isInvariant(), true)
+  })
+
+  it('conflicts', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+    let base = await iamap.create(store, options)
+    for (let i = 0; i < 100; i++) {
+      base = await base.set(`k${i}`, { value: i })
+    }
+    const ours = await (await (await (await (await base
+      .set('k1', 'ours'))
+      .set('k2', 'same'))
+      .delete('k3'))
+      .set('k4', 'ours'))
+      .set('new', 'ours')
+    const theirs = await (await (await (await (await base
+      .set('k1', 'theirs'))
+      .set('k2', 'same'))
+      .set('k3', 'theirs'))
+      .delete('k4'))
+      .set('new', 'theirs')
+
+    /** @type {string[]} */
+    const conflicts = []
+    const merged = await iamap.merge(base, ours, theirs, {
+      async resolve (key, baseValue, ourValue, theirValue) {
+        const k = textDecoder.decode(key)
+        conflicts.push(`${k}:${JSON.stringify(baseValue)}:${JSON.stringify(ourValue)}:${JSON.stringify(theirValue)}`)
+        if (k === 'k1') {
+          return `${ourValue}+${theirValue}`
+        } else if (k === 'k3' || k === 'k4') {
+          return undefined // delete
+        }
+        return ourValue
+      }
+    })
+    assert.sameMembers(conflicts, [
+      'k1:{"value":1}:"ours":"theirs"',
+      'k3:{"value":3}:undefined:"theirs"',
+      'k4:{"value":4}:"ours":undefined',
+      'new:undefined:"ours":"theirs"'
+    ])
+
+    const expected = await contents(base)
+    expected.k1 = 'ours+theirs'
+    expected.k2 = 'same'
+    delete expected.k3
+    delete expected.k4
+    expected.new = 'ours'
+    assert.deepEqual(await contents(merged), expected)
+    assert.strictEqual(await merged.isInvariant(), true)
+
+    // keep theirs for everything
+    const theirsWin = await iamap.merge(base, ours, theirs, {
+      resolve: (_key, _baseValue, _ourValue, theirValue) => theirValue
+    })
+    const expectedTheirs = await (await (await ours.set('k1', 'theirs')).set('k3', 'theirs')).set('new', 'theirs')
+    assert.strictEqual(theirsWin.id, (await expectedTheirs.delete('k4')).id)
+  })
+
+  it('bucket on one side, child node on the other', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 }
+    const k = (2 << 4) | 2
+    const key1 = Uint8Array.from([k, k, k, 1 << 4])
+    const key2 = Uint8Array.from([k, k, k, 2 << 4])
+    const key3 = Uint8Array.from([k, k, k, 3 << 4])
+    const key4 = Uint8Array.from([k, k, 0, 0])
+    const base = await (await (await iamap.create(store, options)).set(key1, 'a')).set(key2, 'b')
+    assert.ok(base.data[0].bucket)
+    const ours = await (await base.set(key3, 'c')).set(key2, 'ours')
+    assert.ok(ours.data[0].link)
+    const theirs = await (await base.set(key4, 'd')).set(key1, 'theirs')
+    assert.ok(theirs.data[0].link)
+
+    const merged = await iamap.merge(base, ours, theirs, noConflicts)
+    let expected = await iamap.create(store, options)
+    for (const [key, value] of [[key1, 'theirs'], [key2, 'ours'], [key3, 'c'], [key4, 'd']]) {
+      expected = await expected.set(key, value)
+    }
+    assert.strictEqual(merged.id, expected.id)
+
+    // conflict in the same slot
+    const theirs2 = await (await base.set(key3, 'e')).delete(key1)
+    /** @type {string[]} */
+    const conflicts = []
+    const merged2 = await iamap.merge(base, ours, theirs2, {
+      resolve (key, _baseValue, _ourValue, theirValue) {
+        conflicts.push(toHex(key))
+        return theirValue
+      }
+    })
+    assert.deepEqual(conflicts, ['22222230'])
+    assert.strictEqual(merged2.id, (await (await ours.set(key3, 'e')).delete(key1)).id)
+    assert.strictEqual(await merged2.size(), 2)
+  })
+
+  it('keyCodec', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2, keyCodec: 'number' }
+    const base = await iamap.fromEntries(store, options, Array.from({ length: 100 }, (_, i) => [i, i]))
+    const ours = await (await base.set(1, 'ours')).set(100, 'ours')
+    const theirs = await (await (await base.set(2, 'theirs')).delete(3)).set(100, 'theirs')
+    /** @type {any[]} */
+    const conflicts = []
+    const merged = await iamap.merge(base, ours, theirs, {
+      resolve (key, _baseValue, ourValue, theirValue) {
+        conflicts.push(key) // decoded, as keys() yields them
+        return `${ourValue}+${theirValue}`
+      }
+    })
+    assert.deepEqual(conflicts, [100])
+    const expected = await (await (await ours.set(2, 'theirs')).delete(3)).set(100, 'ours+theirs')
+    assert.strictEqual(merged.id, expected.id)
+    assert.strictEqual(await merged.get(100), 'ours+theirs')
+    assert.strictEqual(await merged.size(), 100)
+  })
+
+  it('errors', async () => {
+    const store = memoryStore()
+    const mapA = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4 })
+    const mapB = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 5 })
+    const mapC = await iamap.create(store, { hashAlg: 0x00 /* 'identity' */, bitWidth: 4 })
+    const mapD = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, keyCodec: 'number' })
+    await assert.isRejected(iamap.merge(mapA, mapA, mapB, noConflicts))
+    await assert.isRejected(iamap.merge(mapA, mapC, mapA, noConflicts))
+    await assert.isRejected(iamap.merge(mapA, mapD, mapA, noConflicts), /different `hashAlg`, `bitWidth` or `keyCodec`/)
+    // @ts-ignore
+    await assert.isRejected(iamap.merge(mapA, mapA, {}, noConflicts))
+    // @ts-ignore
+    await assert.isRejected(iamap.merge(mapA, mapA, mapA))
+    // @ts-ignore
+    await assert.isRejected(iamap.merge(mapA, mapA, mapA, { resolve: 'nope' }))
+    assert.strictEqual(await iamap.merge(mapA, mapA, mapA, noConflicts), mapA)
+  })
+})
@@ -0,0 +1,91 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, toHex, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+describe('Ordered iteration', () => {
+  /** @type {iamap.IAMap<number>} */
+  let map
+  /** @type {{ key: string, value: string }[]} */
+  const expected = []
+
+  before(async () => {
+    const store = memoryStore()
+    map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 })
+    /** @type {{ key: Uint8Array, value: string }[]} */
+    const entries = []
+    for (let i = 0; i < 150; i++) {
+      // variable length keys, including some that are prefixes of others
+      const key = new TextEncoder().encode(`k${i}`)
+      entries.push({ key, value: `v${i}` })
+      map = await map.set(key, `v${i}`)
+    }
+    map = await map.set(new Uint8Array(0), 'empty')
+    entries.push({ key: new Uint8Array(0), value: 'empty' })
+    entries.sort((a, b) => toHex(a.key) < toHex(b.key) ? -1 : 1) // hex sorts the same as the bytes
+    expected.push(...entries.map(({ key, value }) => ({ key: toHex(key), value })))
+  })
+
+  it('default is hash order', async () => {
+    const hashOrder = (await collect(map.entries())).map(({ key, value }) => ({ key: toHex(key), value }))
+    assert.notDeepEqual(hashOrder, expected)
+    assert.sameDeepMembers(hashOrder, expected)
+    assert.deepEqual(
+      (await collect(map.entries({ order: 'hash' }))).map(({ key, value }) => ({ key: toHex(key), value })),
+      hashOrder)
+  })
+
+  for (const windowSize of [undefined, 1, 7, 50, 151, 152, 1000]) {
+    it(`key order, windowSize=${windowSize}`, async () => {
+      const options = { order: /** @type {'key'} */ ('key'), windowSize }
+      const entries = await collect(map.entries(options))
+      assert.deepEqual(entries.map(({ key, value }) => ({ key: toHex(key), value })), expected)
+      const keys = await collect(map.keys(options))
+      assert.deepEqual(keys.map(toHex), expected.map(({ key }) => key))
+      const values = await collect(map.values(options))
+      assert.deepEqual(values, expected.map(({ value }) => value))
+    })
+  }
+
+  it('traversals per window', async () => {
+    const store = memoryStore()
+    let small = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 })
+    for (let i = 0; i < 40; i++) {
+      small = await small.set(`k${i}`, `v${i}`)
+    }
+    small = await iamap.load(store, small.id)
+    let loads = store.loads
+    await collect(small.entries())
+    const traversal = store.loads - loads
+    assert.ok(traversal > 0)
+
+    loads = store.loads
+    await collect(small.keys({ order: 'key', windowSize: 10 }))
+    assert.strictEqual(store.loads - loads, traversal * 5) // 4 full windows and a final empty one
+
+    loads = store.loads
+    await collect(small.keys({ order: 'key', windowSize: 15 }))
+    assert.strictEqual(store.loads - loads, traversal * 3)
+
+    // empty map
+    const empty = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */ })
+    assert.deepEqual(await collect(empty.entries({ order: 'key', windowSize: 1 })), [])
+  })
+
+  it('errors', async () => {
+    // @ts-ignore
+    await assert.isRejected(collect(map.entries({ order: 'nope' })), TypeError)
+    await assert.isRejected(collect(map.keys({ order: 'key', windowSize: 0 })), TypeError)
+    await assert.isRejected(collect(map.values({ order: 'key', windowSize: 1.5 })), TypeError)
+  })
+})
@@ -0,0 +1,127 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore, toHex } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+/**
+ * @param {iamap.IAMap<number>} map
+ * @returns {Promise<string[]>}
+ */
+async function allEntries (map) {
+  const entries = []
+  for await (const { key, value } of map.entries()) {
+    entries.push(`${toHex(key)}=${value}`)
+  }
+  return entries
+}
+
+describe('Page', () => {
+  /** @type {ReturnType<memoryStore>} */
+  let store
+  /** @type {iamap.IAMap<number>} */
+  let map
+
+  before(async () => {
+    store = memoryStore()
+    map = await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 3 })
+    for (let i = 0; i < 300; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+  })
+
+  for (const limit of [1, 7, 100, 150, 299, 300, 1000]) {
+    it(`pages through everything, limit=${limit}`, async () => {
+      const expected = await allEntries(map)
+      const actual = []
+      let cursor = null
+      let pages = 0
+      do {
+        // a fresh instance each time, as if handling a new request
+        const loaded = await iamap.load(store, map.id)
+        const { entries, next } = await loaded.page({ limit, cursor })
+        assert.ok(entries.length <= limit)
+        if (next !== null) {
+          assert.strictEqual(entries.length, limit)
+          assert.strictEqual(typeof next, 'string')
+          assert.strictEqual(JSON.parse(JSON.stringify({ next })).next, next)
+        }
+        actual.push(...entries.map(({ key, value }) => `${toHex(key)}=${value}`))
+        cursor = next
+        pages++
+      } while (cursor !== null)
+      assert.deepEqual(actual, expected)
+      assert.strictEqual(pages, Math.ceil(300 / limit))
+    })
+  }
+
+  it('resuming does not re-walk earlier subtrees', async () => {
+    let loaded = await iamap.load(store, map.id)
+    let loads = store.loads
+    const { next } = await loaded.page({ limit: 290 })
+    const firstLoads = store.loads - loads
+
+    loaded = await iamap.load(store, map.id)
+    loads = store.loads
+    const { entries, next: last } = await loaded.page({ limit: 10, cursor: next })
+    assert.strictEqual(entries.length, 10)
+    assert.strictEqual(last, null)
+    assert.ok(store.loads - loads < firstLoads / 4)
+  })
+
+  it('deep form', async () => {
+    const options = { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 }
+    const k = (2 << 4) | 2
+    let deep = await iamap.create(memoryStore(), options)
+    deep = await deep.set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1')
+    deep = await deep.set(Uint8Array.from([k, k, k, 2 << 4]), 'pos2+2')
+    deep = await deep.set(Uint8Array.from([k, k, k, 3 << 4]), 'pos2+3')
+    deep = await deep.set(Uint8Array.from([k, k, 0, 0]), 'pos2+0+0')
+    const values = []
+    /** @type {string|null} */
+    let cursor = null
+    const cursors = []
+    do {
+      const { entries, next } = await deep.page({ limit: 1, cursor })
+      values.push(...entries.map(({ value }) => value))
+      cursors.push(next)
+      cursor = next
+    } while (cursor !== null)
+    assert.deepEqual(values, ['pos2+0+0', 'pos2+1', 'pos2+2', 'pos2+3'])
+    // each cursor is the slot at each depth down to the next entry, then its index in the bucket, the last three
+    // entries are in separate buckets at depth 6
+    assert.deepEqual(cursors, ['2.2.2.2.2.2.1.0', '2.2.2.2.2.2.2.0', '2.2.2.2.2.2.3.0', null])
+    // cursors that don't match the shape of the map, ending at a child node or continuing past a bucket
+    for (const cursor of ['2.0', '2.2.2.2.2.2.0', '2.2.2.2.2.2.1.0.0', '2.2.2.2.0.0.0', '2.2.2.2.2']) {
+      await assert.isRejected(deep.page({ limit: 1, cursor }), /`cursor` option, it does not match the structure/)
+    }
+
+    const empty = await iamap.create(memoryStore(), options)
+    assert.deepEqual(await empty.page({ limit: 10 }), { entries: [], next: null })
+  })
+
+  it('errors', async () => {
+    // @ts-ignore
+    await assert.isRejected(map.page(), TypeError)
+    // @ts-ignore
+    await assert.isRejected(map.page({}), TypeError)
+    await assert.isRejected(map.page({ limit: 0 }), TypeError)
+    await assert.isRejected(map.page({ limit: 1.5 }), TypeError)
+    await assert.isRejected(map.page({ limit: 10, cursor: 'nope' }), TypeError)
+    await assert.isRejected(map.page({ limit: 10, cursor: '1' }), TypeError)
+    // @ts-ignore
+    await assert.isRejected(map.page({ limit: 10, cursor: 1 }), TypeError)
+    // a cursor beyond the end is just the end
+    assert.deepEqual(await map.page({ limit: 10, cursor: '99.0' }), { entries: [], next: null })
+  })
+})
@@ -0,0 +1,154 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+
+// the IDs a memoryStore() would generate, without needing the store holding the nodes
+const idOf = (/** @type {any} */ node) => memoryStore().save(node)
+
+/**
+ * @param {Partial<iamap.Options>} [extra]
+ * @param {any} [store]
+ * @returns {Promise<iamap.IAMap<number>>}
+ */
+async function fill (extra = {}, store = memoryStore()) {
+  let map = await iamap.create(store, { ...options, ...extra })
+  for (let i = 0; i < 200; i++) {
+    map = await map.set(`k${i}`, `v${i}`)
+  }
+  return map
+}
+
+describe('Proofs', () => {
+  it('inclusion', async () => {
+    const map = await fill()
+    let maxLength = 0
+    for (let i = 0; i < 200; i++) {
+      const proof = await map.prove(`k${i}`)
+      maxLength = Math.max(maxLength, proof.length)
+      // a copy, as a third party would receive it
+      const copy = structuredClone(proof)
+      assert.deepEqual(await iamap.verifyProof(copy, map.id, `k${i}`, { idOf }), { found: true, value: `v${i}` })
+    }
+    assert.ok(maxLength > 1)
+  })
+
+  it('exclusion', async () => {
+    const map = await fill()
+    for (let i = 200; i < 300; i++) {
+      const proof = await map.prove(`k${i}`)
+      assert.deepEqual(await iamap.verifyProof(proof, map.id, `k${i}`, { idOf }), { found: false })
+    }
+
+    const empty = await iamap.create(memoryStore(), options)
+    const proof = await empty.prove('foo')
+    assert.strictEqual(proof.length, 1)
+    assert.deepEqual(await iamap.verifyProof(proof, empty.id, 'foo', { idOf }), { found: false })
+  })
+
+  it('bucket exclusion', async () => {
+    const map = await (await iamap.create(memoryStore(), { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 3 }))
+      .set(Uint8Array.from([0x11, 1]), 'a')
+    const key = Uint8Array.from([0x11, 2]) // same slot, same bucket
+    const proof = await map.prove(key)
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, key, { idOf }), { found: false })
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, Uint8Array.from([0x11, 1]), { idOf }), { found: true, value: 'a' })
+  })
+
+  it('counted and inlined maps', async () => {
+    const counted = await fill({ counted: true })
+    for (const key of ['k1', 'k100', 'nope']) {
+      const proof = await counted.prove(key)
+      assert.strictEqual((await iamap.verifyProof(proof, counted.id, key, { idOf })).found, key !== 'nope')
+    }
+
+    const store = memoryStore()
+    store.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    const inlined = await fill({ inlineThreshold: 500 }, store)
+    const plain = await fill()
+    let shorter = 0
+    for (let i = 0; i < 200; i++) {
+      const proof = await inlined.prove(`k${i}`)
+      const plainProof = await plain.prove(`k${i}`)
+      if (proof.length < plainProof.length) {
+        shorter++
+      }
+      assert.deepEqual(await iamap.verifyProof(proof, inlined.id, `k${i}`, { idOf }), { found: true, value: `v${i}` })
+    }
+    assert.ok(shorter > 0)
+  })
+
+  it('explicit and async hasher and idOf', async () => {
+    const map = await fill()
+    const proof = await map.prove('k5')
+    const hasher = async (/** @type {Uint8Array} */ key) => murmurHasher(key)
+    const asyncIdOf = async (/** @type {any} */ node) => idOf(node)
+    assert.deepEqual(await iamap.verifyProof(proof, map.id, 'k5', { idOf: asyncIdOf, hasher }), { found: true, value: 'v5' })
+    const wrongHasher = () => new Uint8Array(4)
+    await assert.isRejected(iamap.verifyProof(proof, map.id, 'k5', { idOf, hasher: wrongHasher }))
+  })
+
+  it('tampered proofs', async () => {
+    const map = await fill()
+    const proof = await map.prove('k7')
+    assert.ok(proof.length > 1)
+    const clone = () => /** @type {any[]} */ (structuredClone(proof))
+
+    await assert.isRejected(iamap.verifyProof(proof, 12345, 'k7', { idOf }), /does not match/)
+
+    // a changed value
+    const tampered = clone()
+    const last = tampered[tampered.length - 1]
+    for (const e of last[1]) {
+      if (Array.isArray(e) && Array.isArray(e[0])) {
+        e[0][1] = 'evil'
+      }
+    }
+    await assert.isRejected(iamap.verifyProof(tampered, map.id, 'k7', { idOf }), /does not match/)
+    await assert.isRejected(iamap.verifyProof(proof.slice(0, -1), map.id, 'k7', { idOf }), /incomplete/)
+    await assert.isRejected(iamap.verifyProof([...proof, proof[1]], map.id, 'k7', { idOf }), /not on the path/)
+    // a proof for another key doesn't prove this one unless the paths coincide
+    await assert.isRejected(iamap.verifyProof([proof[0]], map.id, 'k7', { idOf }), /incomplete/)
+
+    const badChild = clone()
+    badChild[1] = { not: 'a node' }
+    await assert.isRejected(iamap.verifyProof(badChild, map.id, 'k7', { idOf }), /badly formed/)
+
+    // a map that claims an element that isn't there
+    const root = clone()[0]
+    root.hamt[1] = []
+    await assert.isRejected(iamap.verifyProof([root], await idOf(root), 'k7', { idOf }), /badly formed/)
+  })
+
+  it('errors', async () => {
+    const map = await fill()
+    const proof = await map.prove('k1')
+    // @ts-ignore
+    await assert.isRejected(iamap.verifyProof([], map.id, 'k1', { idOf }), TypeError)
+    // @ts-ignore
+    await assert.isRejected(iamap.verifyProof(proof[0], map.id, 'k1', { idOf }), TypeError)
+    // @ts-ignore
+    await assert.isRejected(iamap.verifyProof(proof, map.id, 'k1'), TypeError)
+    // @ts-ignore
+    await assert.isRejected(iamap.verifyProof(proof, map.id, 'k1', {}), TypeError)
+    await assert.isRejected(iamap.verifyProof(proof.slice(1), map.id, 'k1', { idOf }), /IAMap root/)
+    const unknown = { ...proof[0], hashAlg: 0x1234 }
+    await assert.isRejected(iamap.verifyProof([unknown], await idOf(unknown), 'k1', { idOf }), /hashAlg/)
+
+    const unsaved = iamap.fromSerializable(map.store, null, map.toSerializable())
+    await assert.isRejected(unsaved.prove('k1'), /not been saved/)
+  })
+})
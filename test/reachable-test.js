@@ -0,0 +1,143 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+
+/**
+ * @param {iamap.IAMap<number>} map
+ * @returns {Promise<Set<any>>}
+ */
+async function collectIds (map) {
+  return new Set(await collect(map.ids()))
+}
+
+describe('Reachable', () => {
+  it('single root matches ids()', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const live = await iamap.reachable(store, [map.id])
+    assert.deepEqual(live, await collectIds(map))
+    assert.ok(live.size < store.map.size) // the orphans from each set()
+  })
+
+  it('shared subtrees across roots are visited once', async () => {
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 200; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const v1 = map
+    const v2 = await v1.set('k1', 'changed')
+    const v3 = await v2.delete('k2')
+
+    const expected = new Set([...await collectIds(v1), ...await collectIds(v2), ...await collectIds(v3)])
+    const loads = store.loads
+    const live = await iamap.reachable(store, [v1.id, v2.id, v3.id, v1.id])
+    assert.deepEqual(live, expected)
+    assert.strictEqual(store.loads - loads, expected.size) // each node loaded exactly once
+
+    assert.deepEqual(await iamap.reachable(store, []), new Set())
+  })
+
+  it('inlined children', async () => {
+    const store = memoryStore()
+    store.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    let map = await iamap.create(store, { ...options, inlineThreshold: 200 })
+    for (let i = 0; i < 200; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    assert.deepEqual(await iamap.reachable(store, [map.id]), await collectIds(map))
+  })
+
+  it('followValues', async () => {
+    const store = memoryStore()
+    // values in a map that are links to other blocks, or other maps
+    const block = await store.save({ some: 'block' })
+    const nested = await (await iamap.create(store, options)).set('nested', 'value')
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 50; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    map = await map.set('block', block)
+    map = await map.set('deep', { links: [{ to: nested.id }], bytes: new Uint8Array([1, 2, 3]), nope: null })
+
+    const live = await iamap.reachable(store, [map.id])
+    assert.deepEqual(live, await collectIds(map))
+    const withValues = await iamap.reachable(store, [map.id], { followValues: true })
+    assert.deepEqual(withValues, new Set([...live, block, nested.id]))
+    // values are not traversed, a nested map's root must be included to find its children
+    const both = await iamap.reachable(store, [map.id, nested.id], { followValues: true })
+    assert.deepEqual(both, withValues)
+  })
+
+  it('sweep', async () => {
+    const store = memoryStore()
+    /** @type {any[]} */
+    const deleted = []
+    store.delete = async (/** @type {number} */ id) => {
+      deleted.push(id)
+      store.map.delete(id)
+    }
+    let map = await iamap.create(store, options)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const v1 = map
+    for (let i = 0; i < 100; i += 2) {
+      map = await map.delete(`k${i}`)
+    }
+    const v2 = map
+    const all = [...store.map.keys()]
+    const live = await iamap.reachable(store, [v1.id, v2.id], { sweep: all })
+    assert.strictEqual(deleted.length, all.length - live.size)
+    assert.strictEqual(store.map.size, live.size)
+    for (const id of deleted) {
+      assert.ok(!live.has(id))
+    }
+
+    // everything left is still intact
+    const loaded1 = await iamap.load(store, v1.id)
+    const loaded2 = await iamap.load(store, v2.id)
+    assert.strictEqual(await loaded1.size(), 100)
+    assert.strictEqual(await loaded2.size(), 50)
+    assert.strictEqual(await loaded2.get('k99'), 'v99')
+
+    // async iterable sweep, only v2 retained
+    async function * ids () {
+      yield * store.map.keys()
+    }
+    const live2 = await iamap.reachable(store, [v2.id], { sweep: ids() })
+    assert.strictEqual(store.map.size, live2.size)
+    assert.strictEqual(await (await iamap.load(store, v2.id)).size(), 50)
+  })
+
+  it('errors', async () => {
+    const store = memoryStore()
+    const map = await (await iamap.create(store, options)).set('foo', 'bar')
+    const child = await store.save([new Uint8Array(2), []])
+    // @ts-ignore
+    await assert.isRejected(iamap.reachable({}, [map.id]), TypeError)
+    // @ts-ignore
+    await assert.isRejected(iamap.reachable(store, map.id), TypeError)
+    await assert.isRejected(iamap.reachable(store, [map.id], { sweep: [] }), TypeError)
+    await assert.isRejected(iamap.reachable(store, [child]), /IAMap root/)
+    await assert.isRejected(iamap.reachable(store, [12345]), /IAMap root/)
+    const bad = await store.save({ hashAlg: 0x23, bucketSize: 2, hamt: [new Uint8Array(2), [map.id]] })
+    await assert.isRejected(iamap.reachable(store, [bad]), /IAMap node/)
+  })
+})
@@ -0,0 +1,164 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x300030 /* private use */, 4, (key) => murmurHasher(key).reverse())
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+const entries = Array.from({ length: 300 }, (_, i) => /** @type {[string, string]} */ ([`k${i}`, `v${i}`]))
+const decoder = new TextDecoder()
+
+/**
+ * @param {iamap.IAMap<any>} map
+ * @returns {Promise<[string, any][]>}
+ */
+async function entriesOf (map) {
+  return (await collect(map.entries())).map(({ key, value }) => /** @type {[string, any]} */ ([decoder.decode(key), value]))
+}
+
+describe('Reconfigure', () => {
+  it('new bitWidth and bucketSize', async () => {
+    const store = memoryStore()
+    const map = await iamap.fromEntries(store, options, entries)
+    const reconfigured = await map.reconfigure({ bitWidth: 3, bucketSize: 3 })
+    assert.strictEqual(reconfigured.config.bitWidth, 3)
+    assert.strictEqual(reconfigured.config.bucketSize, 3)
+    assert.strictEqual(reconfigured.config.hashAlg, 0x23)
+    assert.sameDeepMembers(await entriesOf(reconfigured), entries)
+    assert.strictEqual(await reconfigured.isInvariant(), true)
+    // the same as a map built with those options from scratch
+    const built = await iamap.fromEntries(memoryStore(), { ...options, bitWidth: 3, bucketSize: 3 }, entries)
+    assert.strictEqual(reconfigured.id, built.id)
+    // and it's stored
+    assert.strictEqual(await (await iamap.load(store, reconfigured.id)).get('k10'), 'v10')
+    // the original is untouched
+    assert.strictEqual(map.config.bitWidth, 4)
+    assert.sameDeepMembers(await entriesOf(map), entries)
+  })
+
+  it('new hash function', async () => {
+    const store = memoryStore()
+    const map = await iamap.fromEntries(store, { ...options, counted: true }, entries)
+
+    const rehashed = await map.reconfigure({ hashAlg: 0x300030 })
+    assert.strictEqual(rehashed.config.hashAlg, 0x300030)
+    assert.strictEqual(rehashed.config.counted, true)
+    assert.strictEqual(await rehashed.size(), 300)
+    assert.strictEqual(rehashed.id, (await iamap.fromEntries(memoryStore(), { ...options, counted: true, hashAlg: 0x300030 }, entries)).id)
+
+    const hashKey = { id: 'k', secret: new Uint8Array(16) }
+    const keyed = await map.reconfigure({ hashKey })
+    assert.strictEqual(keyed.config.hashKey, hashKey)
+    assert.strictEqual(await keyed.get('k200'), 'v200')
+    // carried over where no hash function is given
+    const keyedWider = await keyed.reconfigure({ bitWidth: 5 })
+    assert.strictEqual(keyedWider.config.hashKey, hashKey)
+    assert.strictEqual(await keyedWider.get('k200'), 'v200')
+    const hasher = { code: 0x300031, bytes: 4, digest: murmurHasher }
+    const own = await map.reconfigure({ hasher })
+    assert.strictEqual((await own.reconfigure({ bucketSize: 4 })).config.hasher, hasher)
+
+    // keys are carried through the keyCodec
+    const numbers = await iamap.fromEntries(store, { ...options, keyCodec: 'number' }, [[1, 'one'], [2, 'two']])
+    const renumbered = await numbers.reconfigure({ bitWidth: 5 })
+    assert.strictEqual(renumbered.config.keyCodec, 'number')
+    assert.strictEqual(await renumbered.get(2), 'two')
+    assert.strictEqual((await numbers.reconfigure({ keyCodec: 'number' })).id, numbers.id)
+    // the keyCodec can't be changed, or dropped
+    await assert.isRejected(numbers.reconfigure({ keyCodec: 'bigint' }), /`keyCodec` of a map can't be changed/)
+    await assert.isRejected(numbers.reconfigure({ keyCodec: undefined }), /`keyCodec` of a map can't be changed/)
+    await assert.isRejected(map.reconfigure({ keyCodec: 'number' }), /`keyCodec` of a map can't be changed/)
+  })
+
+  it('progress and resuming', async () => {
+    const store = memoryStore()
+    const map = await iamap.fromEntries(store, options, entries)
+    const expected = await map.reconfigure({ bitWidth: 5 })
+
+    /** @type {{ copied: number, checkpoint: import('../interface').ReconfigureCheckpoint }[]} */
+    const progress = []
+    const complete = await map.reconfigure({ bitWidth: 5 }, {
+      batchSize: 7,
+      async onProgress (update) {
+        progress.push(update)
+      }
+    })
+    assert.strictEqual(complete.id, expected.id)
+    assert.strictEqual(progress.length, Math.ceil(300 / 7))
+    assert.deepEqual(progress.map(({ copied }) => copied), progress.map((_, i) => Math.min(300, (i + 1) * 7)))
+    assert.ok(progress.slice(0, -1).every(({ checkpoint }) => typeof checkpoint.cursor === 'string'))
+    assert.deepEqual(progress[progress.length - 1].checkpoint, { id: expected.id, cursor: null, copied: 300 })
+
+    // interrupted after a few batches
+    /** @type {import('../interface').ReconfigureCheckpoint|undefined} */
+    let saved
+    await assert.isRejected(map.reconfigure({ bitWidth: 5 }, {
+      batchSize: 50,
+      onProgress ({ copied, checkpoint }) {
+        if (copied > 100) {
+          throw new Error('interrupted')
+        }
+        saved = checkpoint
+      }
+    }), /interrupted/)
+    const checkpoint = /** @type {import('../interface').ReconfigureCheckpoint} */ (saved)
+    assert.strictEqual(checkpoint.copied, 100)
+    /** @type {number[]} */
+    const copiedAfter = []
+    const resumed = await map.reconfigure({ bitWidth: 5 }, {
+      batchSize: 50,
+      checkpoint,
+      onProgress ({ copied }) {
+        copiedAfter.push(copied)
+      }
+    })
+    assert.strictEqual(resumed.id, expected.id)
+    assert.deepEqual(copiedAfter, [150, 200, 250, 300])
+
+    // a complete checkpoint has nothing left to copy
+    const loads = store.loads
+    const done = await map.reconfigure({ bitWidth: 5 }, { checkpoint: progress[progress.length - 1].checkpoint })
+    assert.strictEqual(done.id, expected.id)
+    assert.strictEqual(store.loads - loads, 1)
+
+    // the checkpoint must be for the same options
+    await assert.isRejected(map.reconfigure({ bitWidth: 6 }, { checkpoint }), /checkpoint` is for a map with a different `bitWidth`/)
+  })
+
+  it('empty map', async () => {
+    const map = await iamap.create(memoryStore(), options)
+    /** @type {any[]} */
+    const progress = []
+    const reconfigured = await map.reconfigure({ bucketSize: 4 }, { onProgress: (update) => progress.push(update) })
+    assert.strictEqual(await reconfigured.size(), 0)
+    assert.strictEqual(reconfigured.config.bucketSize, 4)
+    assert.deepEqual(progress, [{ copied: 0, checkpoint: { id: reconfigured.id, cursor: null, copied: 0 } }])
+  })
+
+  it('errors', async () => {
+    const map = await iamap.fromEntries(memoryStore(), options, entries.slice(0, 10))
+    // @ts-ignore
+    await assert.isRejected(map.reconfigure(null), /Invalid `newOptions` object/)
+    await assert.isRejected(map.reconfigure({ bitWidth: 2 }), /Invalid `bitWidth` option/)
+    for (const batchSize of [0, 1.5, '10']) {
+      // @ts-ignore
+      await assert.isRejected(map.reconfigure({}, { batchSize }), /Invalid `batchSize` option/)
+    }
+    // @ts-ignore
+    await assert.isRejected(map.reconfigure({}, { onProgress: 'nope' }), /Invalid `onProgress` option/)
+    for (const checkpoint of [null, {}, { id: 1, cursor: 1, copied: 0 }, { id: 1, cursor: null, copied: -1 }, { id: 1, cursor: '1.1' }]) {
+      // @ts-ignore
+      await assert.isRejected(map.reconfigure({}, { checkpoint }), /Invalid `checkpoint` option/)
+    }
+  })
+})
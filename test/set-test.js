@@ -0,0 +1,171 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+const keys = Array.from({ length: 200 }, (_, i) => `k${i}`)
+const decoder = new TextDecoder()
+
+/**
+ * @param {AsyncIterable<any>} iterable
+ * @returns {Promise<any[]>} the keys, those returned as bytes decoded to strings
+ */
+async function keysOf (iterable) {
+  return (await collect(iterable)).map((key) => key instanceof Uint8Array ? decoder.decode(key) : key)
+}
+
+/**
+ * @param {iamap.IASet<any>} set
+ * @param {string[]} keys
+ * @returns {Promise<iamap.IASet<any>>}
+ */
+async function addAll (set, keys) {
+  for (const key of keys) {
+    set = await set.add(key)
+  }
+  return set
+}
+
+describe('Set', () => {
+  it('add, has, delete, size and iterate', async () => {
+    const store = memoryStore()
+    const empty = await iamap.createSet(store, options)
+    assert.strictEqual(await empty.size(), 0)
+    assert.deepEqual(await keysOf(empty), [])
+
+    const set = await addAll(empty, keys)
+    assert.strictEqual(await set.size(), 200)
+    assert.strictEqual(await set.has('k10'), true)
+    assert.strictEqual(await set.has('nope'), false)
+    assert.sameMembers(await keysOf(set), keys)
+    assert.deepEqual(await keysOf(set.keys({ order: 'key', concurrency: 4 })), keys.slice().sort())
+    assert.strictEqual(set.config.bitWidth, 4)
+    assert.strictEqual(await empty.size(), 0) // unchanged
+
+    // no-op mutations return the same set
+    assert.strictEqual(await set.add('k10'), set)
+    assert.strictEqual(await set.delete('nope'), set)
+
+    const smaller = await set.delete('k10')
+    assert.notStrictEqual(smaller, set)
+    assert.strictEqual(await smaller.has('k10'), false)
+    assert.strictEqual(await smaller.size(), 199)
+    assert.strictEqual(await set.has('k10'), true)
+
+    // a set is canonical, as a map is
+    const reversed = await addAll(await iamap.createSet(memoryStore(), options), keys.slice().reverse())
+    assert.strictEqual(reversed.id, set.id)
+
+    // and loadable
+    const loaded = await iamap.loadSet(store, set.id)
+    assert.strictEqual(loaded.id, set.id)
+    assert.strictEqual(loaded.config.bucketSize, 2)
+    assert.sameMembers(await keysOf(loaded), keys)
+    assert.strictEqual((await (await loaded.add('k200')).delete('k0')).id,
+      (await addAll(await iamap.createSet(memoryStore(), options), [...keys.slice(1), 'k200'])).id)
+  })
+
+  it('serialized form', async () => {
+    const store = memoryStore()
+    const set = await addAll(await iamap.createSet(store, options), keys)
+    const root = set.toSerializable()
+    assert.deepEqual(Object.keys(root).sort(), ['bucketSize', 'hamtSet', 'hashAlg'])
+    assert.deepEqual(store.map.get(set.id), root)
+    assert.ok(iamap.isSetRootSerializable(root))
+    assert.ok(!iamap.isRootSerializable(root))
+
+    // every bucket, in the root and its children, holds keys alone
+    let buckets = 0
+    const ids = await collect(set.ids())
+    assert.ok(ids.length > 1)
+    for (const id of ids) {
+      const node = store.map.get(id)
+      const [, data] = 'hamtSet' in node ? node.hamtSet : node
+      for (const element of data) {
+        if (Array.isArray(element)) {
+          buckets++
+          for (const key of element) {
+            assert.instanceOf(key, Uint8Array)
+          }
+        }
+      }
+    }
+    assert.ok(buckets > 0)
+
+    // the same keys in a map differ only in the values
+    const map = await iamap.fromEntries(memoryStore(), options, keys.map((k) => [k, true]))
+    assert.strictEqual(ids.length, (await collect(map.ids())).length)
+
+    assert.ok(!iamap.isSetRootSerializable(map.toSerializable()))
+    for (const bad of [null, 'nope', { ...root, hashAlg: 'nope' }, { ...root, bucketSize: 1.5 }, { ...root, hamtSet: [] }]) {
+      assert.ok(!iamap.isSetRootSerializable(bad))
+    }
+  })
+
+  it('sets and maps are not confused', async () => {
+    const store = memoryStore()
+    const set = await (await iamap.createSet(store, options)).add('foo')
+    const map = await (await iamap.create(store, options)).set('foo', 'bar')
+    await assert.isRejected(iamap.load(store, set.id), /does not appear to be an IAMap root/)
+    await assert.isRejected(iamap.loadSet(store, map.id), /does not appear to be an IASet root/)
+  })
+
+  it('options', async () => {
+    const store = memoryStore()
+    store.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+
+    const counted = await addAll(await iamap.createSet(store, { ...options, counted: true }), keys)
+    assert.strictEqual(counted.toSerializable().counted, true)
+    const loadedCounted = await iamap.loadSet(store, counted.id)
+    assert.strictEqual(loadedCounted.config.counted, true)
+    assert.strictEqual(await loadedCounted.size(), 200)
+
+    const inlined = await addAll(await iamap.createSet(store, { ...options, inlineThreshold: 1000 }), keys)
+    assert.sameMembers(await keysOf(await iamap.loadSet(store, inlined.id)), keys)
+    assert.ok(iamap.isSerializable(inlined.toSerializable().hamtSet[1].find((e) => iamap.isSerializable(e))))
+
+    let numbers = await iamap.createSet(store, { ...options, keyCodec: 'number' })
+    for (let i = 0; i < 50; i++) {
+      numbers = await numbers.add(i)
+    }
+    const loadedNumbers = await iamap.loadSet(store, numbers.id)
+    assert.strictEqual(await loadedNumbers.has(20), true)
+    assert.sameMembers(await keysOf(loadedNumbers), Array.from({ length: 50 }, (_, i) => i))
+
+    const hashKey = { id: 'k1', secret: new Uint8Array(16) }
+    const keyed = await addAll(await iamap.createSet(store, { bitWidth: 4, bucketSize: 2, hashKey }), keys)
+    assert.strictEqual(keyed.toSerializable().hashKey, 'k1')
+    await assert.isRejected(iamap.loadSet(store, keyed.id), /keyed with hashKey 'k1'/)
+    assert.strictEqual(await (await iamap.loadSet(store, keyed.id, { hashKey })).has('k50'), true)
+  })
+
+  it('reachable', async () => {
+    const store = memoryStore()
+    const set = await addAll(await iamap.createSet(store, options), keys)
+    const ids = new Set(await collect(set.ids()))
+    assert.deepEqual(await iamap.reachable(store, [set.id]), ids)
+    // keys are not mistaken for values holding links
+    assert.deepEqual(await iamap.reachable(store, [set.id], { followValues: true }), ids)
+
+    const map = await iamap.fromEntries(store, options, [['files', set.id]])
+    assert.deepEqual(await iamap.reachable(store, [map.id, set.id], { followValues: true }), new Set([map.id, ...ids]))
+  })
+
+  it('errors', async () => {
+    const store = memoryStore()
+    await assert.isRejected(iamap.createSet(store, { ...options, format: 'ipld' }), /not supported by sets/)
+    await assert.isRejected(iamap.createSet(store, { ...options, validate: () => true }), /not supported by sets/)
+    await assert.isRejected(iamap.createSet(store, { bitWidth: 4 }), /Invalid `hashAlg` option/)
+  })
+})
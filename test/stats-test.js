@@ -0,0 +1,130 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+const keys = Array.from({ length: 500 }, (_, i) => `k${i}`)
+const sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+function sum (values) {
+  return values.reduce((p, c) => p + c, 0)
+}
+
+describe('Stats', () => {
+  it('empty and single entry maps', async () => {
+    const store = memoryStore()
+    const empty = await iamap.create(store, options)
+    assert.deepEqual(await empty.stats(), { nodes: 1, entries: 0, maxDepth: 0, depths: [1], buckets: [], fill: [0], size: null })
+    const single = await empty.set('foo', 'bar')
+    assert.deepEqual(await single.stats({ sizeOf }), {
+      nodes: 1,
+      entries: 1,
+      maxDepth: 0,
+      depths: [1],
+      buckets: [0, 1],
+      fill: [1 / 16],
+      size: { total: sizeOf(single.toSerializable()), average: sizeOf(single.toSerializable()) }
+    })
+  })
+
+  it('shape of a larger map', async () => {
+    const store = memoryStore()
+    const map = await iamap.fromEntries(store, options, keys.map((k) => [k, k]))
+    const stats = await map.stats({ sizeOf, concurrency: 4 })
+    const ids = await collect(map.ids())
+
+    assert.strictEqual(stats.entries, 500)
+    assert.strictEqual(stats.nodes, ids.length)
+    assert.strictEqual(sum(stats.depths), stats.nodes)
+    assert.strictEqual(stats.depths[0], 1)
+    assert.strictEqual(stats.depths.length, stats.maxDepth + 1)
+    assert.ok(stats.maxDepth > 1)
+    assert.strictEqual(sum(stats.buckets.map((count, entries) => count * entries)), 500)
+    assert.ok(stats.buckets.length <= options.bucketSize + 1)
+    assert.strictEqual(stats.fill[0], map.data.length / 16)
+    for (const fill of stats.fill) {
+      assert.ok(fill > 0 && fill <= 1)
+    }
+    const total = sum(ids.map((id) => sizeOf(store.map.get(id))))
+    assert.deepEqual(stats.size, { total, average: total / ids.length })
+
+    // the store's sizeOf() is used where one isn't provided
+    store.sizeOf = () => 1
+    assert.deepEqual((await map.stats()).size, { total: ids.length, average: 1 })
+
+    // depths are counted from the node that is asked
+    const child = await iamap.load(store, ids[1], 1, map.config)
+    const childStats = await child.stats()
+    assert.strictEqual(childStats.depths[0], 1)
+    assert.strictEqual(childStats.entries, await child.size())
+  })
+
+  it('inlined children', async () => {
+    const store = memoryStore()
+    store.sizeOf = sizeOf
+    const map = await iamap.fromEntries(store, { ...options, inlineThreshold: 1000 }, keys.map((k) => [k, k]))
+    const stats = await map.stats()
+    const ids = await collect(map.ids())
+    assert.ok(stats.nodes > ids.length)
+    const total = sum(ids.map((id) => sizeOf(store.map.get(id))))
+    assert.deepEqual(stats.size, { total, average: total / ids.length })
+  })
+
+  it('errors', async () => {
+    const map = await iamap.create(memoryStore(), options)
+    // @ts-ignore
+    await assert.isRejected(map.stats({ sizeOf: 'nope' }), /Invalid `sizeOf` option/)
+  })
+})
+
+describe('Simulate', () => {
+  it('compares candidate options', async () => {
+    const candidates = [
+      { ...options, bitWidth: 3, bucketSize: 2 },
+      { ...options, bitWidth: 8, bucketSize: 5 }
+    ]
+    // repeated keys only count once
+    const results = await iamap.simulate([...keys, 'k1', 'k2'], candidates, { sizeOf })
+    assert.strictEqual(results.length, 2)
+    for (let i = 0; i < candidates.length; i++) {
+      assert.strictEqual(results[i].options, candidates[i])
+      const { size, ...shape } = results[i].stats
+      const map = await iamap.fromEntries(memoryStore(), candidates[i], keys.map((k) => [k, true]))
+      const { size: _, ...expected } = await map.stats()
+      assert.deepEqual(shape, expected)
+      assert.ok(size !== null && size.total > 0)
+    }
+    assert.ok(results[0].stats.maxDepth > results[1].stats.maxDepth)
+
+    // async iterables of keys, and no sizeOf
+    const fromAsync = await iamap.simulate((async function * () { yield * keys })(), candidates.slice(0, 1))
+    assert.deepEqual(fromAsync[0].stats, { ...results[0].stats, size: null })
+
+    // inlining needs a sizeOf
+    const inlined = await iamap.simulate(keys, [{ ...options, inlineThreshold: 1000 }], { sizeOf })
+    assert.strictEqual(inlined[0].stats.entries, 500)
+  })
+
+  it('errors', async () => {
+    // @ts-ignore
+    await assert.isRejected(iamap.simulate(keys, options), /Invalid `candidateOptions`/)
+    // @ts-ignore
+    await assert.isRejected(iamap.simulate(keys, [options], { sizeOf: 'nope' }), /Invalid `sizeOf` option/)
+    await assert.isRejected(iamap.simulate(keys, [{ bitWidth: 4 }]), /Invalid `hashAlg` option/)
+  })
+})
@@ -0,0 +1,121 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, identityHasher, memoryStore } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+iamap.registerHasher(0x00 /* 'identity' */, 32, identityHasher) // not recommended
+
+describe('Transaction', () => {
+  it('commit saves only the final nodes', async () => {
+    const store = memoryStore()
+    const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+    let map = await iamap.create(store, options)
+    // the same changes, one at a time, in a separate store so they don't count toward our saves
+    let expected = await iamap.create(memoryStore(), options)
+    for (let i = 0; i < 100; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+      expected = await expected.set(`k${i}`, `v${i}`)
+    }
+
+    const tx = map.transaction()
+    const saves = store.saves
+    for (let i = 0; i < 50; i++) {
+      await tx.set(`k${i * 3}`, `tx${i}`)
+      expected = await expected.set(`k${i * 3}`, `tx${i}`)
+      // reads see the uncommitted writes
+      assert.strictEqual(await tx.get(`k${i * 3}`), `tx${i}`)
+    }
+    for (let i = 0; i < 100; i += 5) {
+      await tx.delete(`k${i}`)
+      expected = await expected.delete(`k${i}`)
+      assert.strictEqual(await tx.has(`k${i}`), false)
+    }
+    await tx.delete('nope')
+    assert.strictEqual(await tx.get('k1'), 'v1')
+    assert.strictEqual(await tx.has('k1'), true)
+    assert.strictEqual(store.saves, saves) // nothing saved yet
+
+    const committed = await tx.commit()
+    assert.strictEqual(committed.id, expected.id)
+    assert.strictEqual(await committed.isInvariant(), true)
+    let nodes = 0
+    for await (const id of committed.ids()) {
+      assert.ok(store.map.has(id))
+      nodes++
+    }
+    // every new node saved once, and some nodes were untouched so weren't saved again
+    assert.ok(store.saves - saves <= nodes)
+    assert.ok(store.saves - saves > 0)
+
+    // the original is untouched
+    assert.strictEqual(await map.get('k0'), 'v0')
+    assert.strictEqual(await map.size(), 100)
+  })
+
+  it('operations are applied in order without awaiting', async () => {
+    const store = memoryStore()
+    const map = await iamap.create(store, { hashAlg: 0x00 /* 'identity' */, bitWidth: 4, bucketSize: 2 })
+    const k = (2 << 4) | 2
+    const tx = map.transaction()
+    tx.set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1')
+    tx.set(Uint8Array.from([k, k, k, 2 << 4]), 'pos2+2')
+    tx.set(Uint8Array.from([k, k, k, 3 << 4]), 'pos2+3')
+    const got = tx.get(Uint8Array.from([k, k, k, 3 << 4]))
+    tx.delete(Uint8Array.from([k, k, k, 3 << 4]))
+    const deleted = tx.has(Uint8Array.from([k, k, k, 3 << 4]))
+    const committed = await tx.commit()
+    assert.strictEqual(await got, 'pos2+3')
+    assert.strictEqual(await deleted, false)
+
+    const expected = await (await map.set(Uint8Array.from([k, k, k, 1 << 4]), 'pos2+1')).set(Uint8Array.from([k, k, k, 2 << 4]), 'pos2+2')
+    assert.strictEqual(committed.id, expected.id)
+  })
+
+  it('no changes', async () => {
+    const map = await iamap.create(memoryStore(), { hashAlg: 0x23 /* 'murmur3-32' */ })
+    const tx = map.transaction()
+    await tx.delete('foo')
+    assert.strictEqual(await tx.commit(), map)
+  })
+
+  it('abort', async () => {
+    const store = memoryStore()
+    const map = await (await iamap.create(store, { hashAlg: 0x23 /* 'murmur3-32' */ })).set('foo', 'bar')
+    const tx = map.transaction()
+    const saves = store.saves
+    await tx.set('foo', 'baz')
+    await tx.set('bar', 'baz')
+    await tx.abort()
+    assert.strictEqual(store.saves, saves)
+    assert.strictEqual(await map.get('foo'), 'bar')
+    assert.strictEqual(await map.has('bar'), false)
+  })
+
+  it('errors', async () => {
+    const map = await iamap.create(memoryStore(), { hashAlg: 0x23 /* 'murmur3-32' */ })
+    const tx = map.transaction()
+    // @ts-ignore
+    await assert.isRejected(tx.set(Symbol('nope'), 'bar'))
+    // a failed operation doesn't break the transaction
+    await tx.set('foo', 'bar')
+    assert.strictEqual(await tx.get('foo'), 'bar')
+    await tx.commit()
+    await assert.isRejected(tx.set('foo', 'baz'), /committed or aborted/)
+    await assert.isRejected(tx.get('foo'), /committed or aborted/)
+    await assert.isRejected(tx.commit(), /committed or aborted/)
+
+    const tx2 = map.transaction()
+    await tx2.abort()
+    await assert.isRejected(tx2.delete('foo'), /committed or aborted/)
+    await assert.isRejected(tx2.abort(), /committed or aborted/)
+  })
+})
@@ -0,0 +1,182 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore, toHex, collect } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+// an asynchronous hasher, which traverseGet() can't call itself
+iamap.registerHasher(0x22 /* 'murmur3-128', pretend */, 32, async (key) => murmurHasher(key))
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+
+/**
+ * @param {ReturnType<memoryStore>} store
+ * @param {Partial<iamap.Options>} [extra]
+ * @returns {Promise<iamap.IAMap<number>>}
+ */
+async function fill (store, extra = {}) {
+  let map = await iamap.create(store, { ...options, ...extra })
+  for (let i = 0; i < 200; i++) {
+    map = await map.set(`k${i}`, `v${i}`)
+  }
+  return map
+}
+
+/**
+ * drive a traversal to completion using a plain Map of blocks, no Store involved
+ * @param {{ traverse(): any, next(block: any): void }} traversal
+ * @param {Map<any, any>} blocks
+ * @returns {number} the number of blocks fetched
+ */
+function drive (traversal, blocks) {
+  let fetched = 0
+  let link
+  while ((link = traversal.traverse()) !== null) {
+    fetched++
+    traversal.next(blocks.get(link))
+  }
+  return fetched
+}
+
+describe('Traversal', () => {
+  /** @type {ReturnType<memoryStore>} */
+  let store
+  /** @type {iamap.IAMap<number>} */
+  let map
+
+  before(async () => {
+    store = memoryStore()
+    map = await fill(store)
+  })
+
+  it('get and has', async () => {
+    const root = store.map.get(map.id)
+    for (let i = 0; i < 250; i++) {
+      const key = `k${i}`
+      const traversal = iamap.traverseGet(root, key)
+      const loaded = await iamap.load(store, map.id)
+      const loads = store.loads
+      const expected = await loaded.get(key)
+      const fetched = drive(traversal, store.map)
+      assert.strictEqual(traversal.value(), expected)
+      assert.strictEqual(traversal.value(), i < 200 ? `v${i}` : undefined)
+      assert.strictEqual(traversal.found(), i < 200)
+      assert.strictEqual(fetched, store.loads - loads) // the same nodes as get() loads
+    }
+  })
+
+  it('provided hash', async () => {
+    const store = memoryStore()
+    const asyncMap = await fill(store, { hashAlg: 0x22 })
+    const root = store.map.get(asyncMap.id)
+    assert.throws(() => iamap.traverseGet(root, 'k1'), TypeError)
+    const key = new TextEncoder().encode('k1')
+    const traversal = iamap.traverseGet(root, key, { hash: murmurHasher(key) })
+    drive(traversal, store.map)
+    assert.strictEqual(traversal.value(), 'v1')
+  })
+
+  it('inlined and counted', async () => {
+    const store = memoryStore()
+    store.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    for (const extra of [{ inlineThreshold: 500 }, { counted: true }]) {
+      const map = await fill(store, extra)
+      const root = store.map.get(map.id)
+      for (let i = 0; i < 200; i += 7) {
+        const traversal = iamap.traverseGet(root, `k${i}`)
+        drive(traversal, store.map)
+        assert.strictEqual(traversal.value(), `v${i}`)
+      }
+      const entries = iamap.traverseEntries(root)
+      drive(entries, store.map)
+      assert.strictEqual([...entries.keys()].length, 200)
+    }
+  })
+
+  it('entries', async () => {
+    const expected = []
+    for await (const { key, value } of map.entries()) {
+      expected.push(`${toHex(key)}=${value}`)
+    }
+    const root = store.map.get(map.id)
+
+    // drained as we go
+    let traversal = iamap.traverseEntries(root)
+    const actual = []
+    let link
+    let fetched = 0
+    do {
+      for (const { key, value } of traversal.entries()) {
+        actual.push(`${toHex(key)}=${value}`)
+      }
+      link = traversal.traverse()
+      if (link !== null) {
+        fetched++
+        traversal.next(store.map.get(link))
+      }
+    } while (link !== null)
+    for (const { key, value } of traversal.entries()) {
+      actual.push(`${toHex(key)}=${value}`)
+    }
+    assert.deepEqual(actual, expected)
+    const nodes = (await collect(map.ids())).length
+    assert.strictEqual(fetched, nodes - 1)
+
+    // drained at the end
+    traversal = iamap.traverseEntries(root)
+    drive(traversal, store.map)
+    assert.deepEqual([...traversal.keys()].map(toHex), expected.map((e) => e.split('=')[0]))
+    assert.deepEqual([...traversal.values()], []) // already drained
+    traversal = iamap.traverseEntries(root)
+    drive(traversal, store.map)
+    assert.deepEqual([...traversal.values()], expected.map((e) => e.split('=')[1]))
+
+    const empty = iamap.traverseEntries(store.map.get((await iamap.create(store, options)).id))
+    assert.strictEqual(empty.traverse(), null)
+    assert.deepEqual([...empty.entries()], [])
+
+    // keys are decoded with the keyCodec, as entries() yields them
+    const numbers = await iamap.fromEntries(store, { ...options, keyCodec: 'number' }, Array.from({ length: 50 }, (_, i) => [i, `v${i}`]))
+    traversal = iamap.traverseEntries(store.map.get(numbers.id))
+    drive(traversal, store.map)
+    const expectedNumbers = []
+    for await (const entry of numbers.entries()) {
+      expectedNumbers.push(entry)
+    }
+    assert.deepEqual([...traversal.entries()], expectedNumbers)
+    assert.typeOf(expectedNumbers[0].key, 'number')
+  })
+
+  it('errors', async () => {
+    const root = store.map.get(map.id)
+    assert.throws(() => iamap.traverseGet(root.hamt, 'k1'), /IAMap root/)
+    assert.throws(() => iamap.traverseEntries(root.hamt), /IAMap root/)
+    assert.throws(() => iamap.traverseGet({ ...root, hashAlg: 0x1234 }, 'k1'), /unknown hashAlg/)
+    // @ts-ignore
+    assert.throws(() => iamap.traverseGet(root, 'k1', { hash: 'nope' }), TypeError)
+
+    for (const traversal of [iamap.traverseGet(root, 'k1'), iamap.traverseEntries(root)]) {
+      assert.throws(() => traversal.next(root.hamt), /not waiting/)
+      const link = traversal.traverse()
+      assert.notStrictEqual(link, null)
+      assert.throws(() => traversal.traverse(), /waiting for a block/)
+      assert.throws(() => traversal.next({ not: 'a node' }), /badly formed/)
+      assert.throws(() => traversal.next(root), /badly formed/) // a root is not a child
+    }
+
+    const incomplete = iamap.traverseGet(root, 'k1')
+    assert.throws(() => incomplete.value(), /not complete/)
+    assert.throws(() => incomplete.found(), /not complete/)
+
+    const bad = { ...root, hamt: [root.hamt[0], []] }
+    assert.throws(() => iamap.traverseGet(bad, 'k1').traverse(), /badly formed/)
+  })
+})
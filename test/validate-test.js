@@ -0,0 +1,164 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+
+function sizingStore () {
+  const store = memoryStore()
+  store.sizeOf = (/** @type {any} */ value) => JSON.stringify(value).length
+  return store
+}
+
+describe('Validate', () => {
+  it('schema', async () => {
+    const store = sizingStore()
+    let map = await iamap.create(store, { ...options, validate: { type: ['string', 'object'], maxKeyLength: 8, maxValueSize: 60 } })
+    map = await map.set('foo', 'bar')
+    map = await map.set('obj', { a: [1, 2, { b: 'c' }], d: null, e: new Uint8Array(1) })
+    const saves = store.saves
+
+    /** @type {[string, any, RegExp][]} */
+    const cases = [
+      ['toolongkey', 'bar', /key "toolongkey".*more than the maxKeyLength of 8/],
+      ['num', 1, /key "num".*type 'number', expected 'string' or 'object'/],
+      ['arr', ['a'], /type 'array'/],
+      ['big', 'x'.repeat(80), /82 bytes, more than the maxValueSize of 60/],
+      ['undef', undefined, /contains undefined/],
+      ['deep', { a: { b: undefined } }, /contains undefined/],
+      ['fn', { f () {} }, /contains a function/],
+      ['sym', [Symbol('s')], /contains a symbol/]
+    ]
+    for (const [key, value, message] of cases) {
+      const err = /** @type {any} */ (await assert.isRejected(map.set(key, value), iamap.ValidationError))
+      assert.match(err.message, message)
+      assert.strictEqual(err.name, 'ValidationError')
+      assert.strictEqual(err.key, key)
+    }
+    /** @type {any} */
+    const cyclic = { a: 1 }
+    cyclic.self = { cyclic }
+    await assert.isRejected(map.set('cyclic', cyclic), /contains a cycle/)
+    // the same object twice isn't a cycle
+    const shared = { a: 1 }
+    map = await (await iamap.create(store, { ...options, validate: {} })).set('shared', [shared, shared])
+    assert.strictEqual(store.saves, saves + 2) // only the successful create() and set()
+  })
+
+  it('types', async () => {
+    const store = memoryStore()
+    const link = await store.save({ some: 'block' })
+    const values = {
+      null: null,
+      boolean: true,
+      number: 1.5,
+      bigint: BigInt(1),
+      string: 's',
+      bytes: new Uint8Array(1),
+      array: [],
+      object: {}
+    }
+    for (const [type, value] of Object.entries(values)) {
+      const map = await iamap.create(store, { ...options, validate: { type } })
+      if (type !== 'bigint') { // passes validation but this store can't encode it
+        await map.set('ok', value)
+      }
+      const other = await iamap.create(store, { ...options, validate: { type: type === 'string' ? 'number' : 'string' } })
+      await assert.isRejected(other.set('nope', value), new RegExp(`type '${type}'`))
+    }
+    // links are identified by the store, this store's links are numbers so a link-like object store is needed
+    const linkStore = memoryStore()
+    linkStore.isLink = (/** @type {any} */ obj) => typeof obj === 'object' && obj !== null && obj.link === true
+    const linkMap = await iamap.create(linkStore, { ...options, validate: { type: 'link' } })
+    await linkMap.set('link', { link: true, to: link })
+    await assert.isRejected(linkMap.set('object', { to: link }), /type 'object', expected 'link'/)
+  })
+
+  it('function', async () => {
+    /** @type {any[]} */
+    const seen = []
+    const validate = async (/** @type {any} */ key, /** @type {any} */ value) => {
+      seen.push([key, value])
+      if (value === 'bad') {
+        return false
+      }
+      if (value === 'worse') {
+        return 'no worse values please'
+      }
+      return key !== 'ignored' // anything other than false or a string passes
+    }
+    const store = memoryStore()
+    let map = await iamap.create(store, { ...options, keyCodec: 'number', validate })
+    map = await map.set(1, 'good')
+    await assert.isRejected(map.set(2, 'bad'), /key 2: rejected by `validate`/)
+    await assert.isRejected(map.set(3, 'worse'), /key 3: no worse values please/)
+    assert.deepEqual(seen, [[1, 'good'], [2, 'bad'], [3, 'worse']]) // keys as provided
+
+    const bytesMap = await iamap.create(store, { ...options, validate: () => 'nope' })
+    await assert.isRejected(bytesMap.set(Uint8Array.from([1, 0xab]), 'v'), /key 0x01ab: nope/)
+    const tupleMap = await iamap.create(store, { ...options, keyCodec: 'tuple', validate: () => 'nope' })
+    await assert.isRejected(tupleMap.set(['a', BigInt(1)], 'v'), /key a,1: nope/)
+    const bigintMap = await iamap.create(store, { ...options, keyCodec: 'bigint', validate: () => 'nope' })
+    await assert.isRejected(bigintMap.set(BigInt(10), 'v'), /key 10n: nope/)
+
+    // carried through load() as a runtime option, not recorded in the root
+    assert.strictEqual((await store.load(map.id)).validate, undefined)
+    const loaded = await iamap.load(store, map.id, { validate })
+    await assert.isRejected(loaded.set(4, 'bad'), iamap.ValidationError)
+    const unchecked = await iamap.load(store, map.id)
+    assert.strictEqual(await (await unchecked.set(4, 'bad')).get(4), 'bad')
+  })
+
+  it('batch, transaction and fromEntries', async () => {
+    const store = memoryStore()
+    const validate = { type: 'string' }
+    let map = await iamap.create(store, { ...options, validate })
+    for (let i = 0; i < 20; i++) {
+      map = await map.set(`k${i}`, `v${i}`)
+    }
+    const saves = store.saves
+    const err = /** @type {any} */ (await assert.isRejected(map.batch([
+      { type: 'put', key: 'a', value: 'ok' },
+      { type: 'del', key: 'k1' },
+      { type: 'put', key: 'b', value: 2 }
+    ]), iamap.ValidationError))
+    assert.strictEqual(err.key, 'b')
+    await assert.isRejected(map.batch().put('c', 'ok').put('d', null).write(), /key "d"/)
+    assert.strictEqual(store.saves, saves) // nothing applied
+
+    const tx = map.transaction()
+    await tx.set('e', 'ok')
+    await assert.isRejected(tx.set('f', 3), /key "f"/)
+    const committed = await tx.commit()
+    assert.strictEqual(await committed.get('e'), 'ok')
+    assert.strictEqual(await committed.has('f'), false)
+
+    await assert.isRejected(iamap.fromEntries(store, { ...options, validate }, [['a', 'ok'], ['b', 1]]), /key "b"/)
+    await assert.isRejected(iamap.merge(map, await map.set('x', 'ours'), await map.set('x', 'theirs'), { resolve: () => 1 }),
+      iamap.ValidationError)
+  })
+
+  it('errors', async () => {
+    const create = (/** @type {any} */ validate, store = sizingStore()) => iamap.create(store, { ...options, validate })
+    await assert.isRejected(create(null), TypeError)
+    await assert.isRejected(create('string'), TypeError)
+    await assert.isRejected(create({ nope: 1 }), /unknown schema property 'nope'/)
+    await assert.isRejected(create({ type: 'nope' }), /validate.type/)
+    await assert.isRejected(create({ type: [] }), /validate.type/)
+    await assert.isRejected(create({ maxKeyLength: -1 }), /validate.maxKeyLength/)
+    await assert.isRejected(create({ maxValueSize: 1.5 }), /validate.maxValueSize/)
+    await assert.isRejected(create({ maxValueSize: 10 }, memoryStore()), /sizeOf/)
+    await create({ maxKeyLength: 10 }, memoryStore())
+  })
+})
@@ -0,0 +1,344 @@
+// Copyright Rod Vagg; Licensed under the Apache License, Version 2.0, see README.md for more information
+
+/* eslint-env mocha */
+
+import * as chai from 'chai'
+import chaiAsPromised from '@rvagg/chai-as-promised'
+import { murmurHasher, memoryStore } from './common.js'
+import * as iamap from '../iamap.js'
+
+chai.use(chaiAsPromised)
+/** @type {Chai.AssertStatic} */
+const assert = chai.assert
+
+iamap.registerHasher(0x23 /* 'murmur3-32' */, 32, murmurHasher)
+// only the first byte of a key matters, keys sharing it chain down to the maximum depth
+iamap.registerHasher(0x300021 /* private use */, 4, (key) => Uint8Array.from([key[0], 0, 0, 0]))
+
+const options = { hashAlg: 0x23 /* 'murmur3-32' */, bitWidth: 4, bucketSize: 2 }
+const entries = Array.from({ length: 100 }, (_, i) => /** @type {[string, string]} */ ([`k${i}`, `v${i}`]))
+
+/**
+ * @param {any} [opts]
+ * @param {[string, string][]} [from]
+ */
+async function build (opts = options, from = entries) {
+  const store = memoryStore()
+  const map = await iamap.fromEntries(store, opts, from)
+  return { store, map }
+}
+
+/**
+ * @param {any} block
+ * @returns {[Uint8Array, any[]]}
+ */
+function parts (block) {
+  return /** @type {[Uint8Array, any[]]} */ (Array.isArray(block) ? block : block.hamt || block.hamtSet)
+}
+
+/**
+ * @param {Uint8Array} map
+ * @returns {number[]}
+ */
+function slotsOf (map) {
+  const slots = []
+  for (let bitpos = 0; bitpos < map.length * 8; bitpos++) {
+    if ((map[bitpos >> 3] >> (bitpos & 7)) & 1) {
+      slots.push(bitpos)
+    }
+  }
+  return slots
+}
+
+/**
+ * the stored nodes of a map with their paths, depth first
+ * @param {import('./interface').TestStore} store
+ * @param {any} id
+ * @param {number[]} [path]
+ * @returns {Generator<{ id: any, node: [Uint8Array, any[]], path: number[] }>}
+ */
+function * nodes (store, id, path = []) {
+  const node = parts(store.map.get(id))
+  yield { id, node, path }
+  const slots = slotsOf(node[0])
+  for (let i = 0; i < node[1].length; i++) {
+    const element = node[1][i]
+    const link = Array.isArray(element) && store.isLink(element[0]) ? element[0] : element
+    if (store.isLink(link)) {
+      yield * nodes(store, link, [...path, slots[i]])
+    }
+  }
+}
+
+/**
+ * replace the stored form of a node, in place, keeping its ID
+ * @param {import('./interface').TestStore} store
+ * @param {any} id
+ * @param {(node: [Uint8Array, any[]]) => void} fn
+ */
+function edit (store, id, fn) {
+  const block = structuredClone(store.map.get(id))
+  fn(parts(block))
+  store.map.set(id, block)
+}
+
+/**
+ * @param {Uint8Array} key
+ * @returns {string}
+ */
+function keyHex (key) {
+  return `0x${Array.from(key, (b) => b.toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * @param {{ problems: { path: number[], message: string }[] }} result
+ * @returns {string[]}
+ */
+function messages (result) {
+  return result.problems.map(({ path, message }) => `${path.join('.')}: ${message}`)
+}
+
+describe('Verify', () => {
+  it('valid maps', async () => {
+    const many = Array.from({ length: 300 }, (_, i) => /** @type {[string, string]} */ ([`k${i}`, `v${i}`]))
+    for (const opts of /** @type {any[]} */ ([
+      options,
+      { ...options, counted: true },
+      { ...options, format: 'ipld' },
+      { ...options, keyCodec: 'number' },
+      { hashKey: { id: 'k', secret: new Uint8Array(16) }, bitWidth: 3, bucketSize: 3 }
+    ])) {
+      const from = opts.keyCodec ? many.map(([, v], i) => /** @type {any} */ ([i, v])) : many
+      const { store, map } = await build(opts, from)
+      assert.deepEqual(await iamap.verify(store, map.id, opts), { valid: true, problems: [] })
+    }
+
+    // mutated rather than built
+    const store = memoryStore()
+    let map = await iamap.create(store, options)
+    for (const [key, value] of many) {
+      map = await map.set(key, value)
+    }
+    for (let i = 0; i < 300; i += 2) {
+      map = await map.delete(`k${i}`)
+    }
+    assert.deepEqual(await iamap.verify(store, map.id), { valid: true, problems: [] })
+
+    // inlined children
+    const inlineStore = memoryStore()
+    inlineStore.sizeOf = (/** @type {any} */ node) => JSON.stringify(node).length
+    const inlined = await iamap.fromEntries(inlineStore, { ...options, inlineThreshold: 1000 }, many)
+    assert.deepEqual(await iamap.verify(inlineStore, inlined.id), { valid: true, problems: [] })
+
+    // oversized buckets are expected at the maximum depth, as is a long chain of nodes
+    const weak = await build({ hashAlg: 0x300021, bitWidth: 4, bucketSize: 2 }, entries.slice(0, 20))
+    assert.deepEqual(await iamap.verify(weak.store, weak.map.id), { valid: true, problems: [] })
+    assert.strictEqual([...nodes(weak.store, weak.map.id)].length, 8)
+
+    // an empty map
+    const empty = await iamap.create(store, options)
+    assert.deepEqual(await iamap.verify(store, empty.id), { valid: true, problems: [] })
+  })
+
+  it('bitmaps', async () => {
+    const { store, map } = await build()
+    const [, { id, node, path }] = nodes(store, map.id)
+    // a bit set without an element
+    const free = [...Array(16).keys()].find((b) => !slotsOf(node[0]).includes(b))
+    assert.ok(free !== undefined)
+    edit(store, id, ([bitmap]) => {
+      bitmap[Number(free) >> 3] |= 1 << (Number(free) & 7)
+    })
+    let result = await iamap.verify(store, map.id)
+    assert.strictEqual(result.valid, false)
+    assert.include(messages(result), `${path.join('.')}: bitmap has ${node[1].length + 1} bits set but there are ${node[1].length} data elements`)
+
+    // an element without a bit, its slot is unknown
+    const fresh = await build()
+    edit(fresh.store, fresh.map.id, ([, data]) => {
+      data.push([[new TextEncoder().encode('k0'), 'v0']])
+    })
+    result = await iamap.verify(fresh.store, fresh.map.id)
+    assert.deepEqual(messages(result), [': bitmap has 16 bits set but there are 17 data elements'])
+
+    // the wrong size for the bitWidth
+    const short = await build()
+    const [, child] = nodes(short.store, short.map.id)
+    edit(short.store, child.id, (node) => {
+      node[0] = node[0].subarray(1)
+    })
+    result = await iamap.verify(short.store, short.map.id)
+    assert.include(messages(result), `${child.path.join('.')}: bitmap is 1 bytes, expected 2`)
+  })
+
+  it('buckets', async () => {
+    const { store, map } = await build()
+    const found = [...nodes(store, map.id)].find(({ node }) => node[1].some((e) => Array.isArray(e) && e.length === 2 && Array.isArray(e[0])))
+    assert.ok(found)
+    const { id, node, path } = /** @type {NonNullable<typeof found>} */ (found)
+    const at = node[1].findIndex((e) => Array.isArray(e) && e.length === 2 && Array.isArray(e[0]))
+    const bucketPath = [...path, slotsOf(node[0])[at]].join('.')
+    const [first, second] = node[1][at]
+
+    edit(store, id, ([, data]) => {
+      data[at] = [data[at][1], data[at][0]]
+    })
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${bucketPath}: key ${keyHex(first[0])} is out of order in its bucket`])
+
+    edit(store, id, ([, data]) => {
+      data[at] = [first, first]
+    })
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${bucketPath}: key ${keyHex(first[0])} is duplicated in its bucket`])
+
+    const stray = new TextEncoder().encode('zzzzzz')
+    edit(store, id, ([, data]) => {
+      data[at] = [first, second, [stray, 'v']]
+    })
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [
+      `${bucketPath}: bucket has 3 entries, more than the bucketSize of 2`,
+      `${bucketPath}: key ${keyHex(stray)} does not hash to the slot it is stored in`
+    ])
+
+    edit(store, id, ([, data]) => {
+      data[at] = [first, 'nope']
+    })
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${bucketPath}: badly formed bucket entry`])
+
+    edit(store, id, ([, data]) => {
+      data[at] = []
+    })
+    const result = await iamap.verify(store, map.id)
+    assert.include(messages(result), `${bucketPath}: bucket is empty`)
+  })
+
+  it('collapsible children', async () => {
+    const { store, map } = await build()
+    const found = [...nodes(store, map.id)].find(({ node, path }) => path.length && node[1].every((e) => Array.isArray(e) && Array.isArray(e[0])))
+    assert.ok(found)
+    const { id, path } = /** @type {NonNullable<typeof found>} */ (found)
+    // keep only the first bucket
+    edit(store, id, ([bitmap, data]) => {
+      const [slot] = slotsOf(bitmap)
+      bitmap.fill(0)
+      bitmap[slot >> 3] |= 1 << (slot & 7)
+      data.splice(1)
+    })
+    const [, data] = parts(store.map.get(id))
+    assert.deepEqual(messages(await iamap.verify(store, map.id)),
+      [`${path.join('.')}: node has ${data[0].length} entries and no child nodes, it should have been collapsed into its parent`])
+  })
+
+  it('counts', async () => {
+    const { store, map } = await build({ ...options, counted: true })
+    const root = parts(store.map.get(map.id))
+    const at = root[1].findIndex((e) => Array.isArray(e) && store.isLink(e[0]))
+    const slot = slotsOf(root[0])[at]
+    const [link, count] = root[1][at]
+    edit(store, map.id, ([, data]) => {
+      data[at] = [link, count + 1]
+    })
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${slot}: link has a count of ${count + 1} but there are ${count} entries below it`])
+    edit(store, map.id, ([, data]) => {
+      data[at] = link
+    })
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${slot}: link has no count in a counted map`])
+  })
+
+  it('missing and bad blocks', async () => {
+    const { store, map } = await build()
+    const [, child] = nodes(store, map.id)
+    const slot = child.path.join('.')
+    const original = store.map.get(child.id)
+
+    store.map.delete(child.id)
+    assert.deepEqual(await iamap.verify(store, map.id), { valid: false, problems: [{ path: child.path, message: `block ${child.id} is missing` }] })
+
+    store.map.set(child.id, { nope: true })
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${slot}: block ${child.id} does not appear to be an IAMap node`])
+
+    store.map.set(child.id, original)
+    const load = store.load
+    store.load = (id) => {
+      if (id === child.id) {
+        throw new Error('unavailable')
+      }
+      return load.call(store, id)
+    }
+    assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${slot}: block ${child.id} could not be loaded: unavailable`])
+    store.load = load
+
+    const root = parts(store.map.get(map.id))
+    const rootSlot = slotsOf(root[0])[0]
+    edit(store, map.id, ([, data]) => {
+      data[0] = 'nope'
+    })
+    assert.include(messages(await iamap.verify(store, map.id)), `${rootSlot}: badly formed data element`)
+  })
+
+  it('depth', async () => {
+    const { store, map } = await build({ hashAlg: 0x300021, bitWidth: 4, bucketSize: 2 }, entries.slice(0, 20))
+    const all = [...nodes(store, map.id)]
+    const deepest = all[all.length - 1]
+    assert.strictEqual(deepest.path.length, 7)
+    // link the deepest node to itself
+    edit(store, deepest.id, ([, data]) => {
+      data.push(deepest.id)
+    })
+    assert.include(messages(await iamap.verify(store, map.id)), `${deepest.path.join('.')}: child node is deeper than the maximum depth of 7`)
+  })
+
+  it('ipld format', async () => {
+    const { store, map } = await build({ ...options, format: 'ipld' })
+    const root = store.map.get(map.id)
+    const slot = slotsOf(root.map)[0]
+    for (const element of [{ 2: [] }, { 0: 'nope' }, null]) {
+      const block = structuredClone(root)
+      block.data[0] = element
+      store.map.set(map.id, block)
+      assert.deepEqual(messages(await iamap.verify(store, map.id)), [`${slot}: badly formed data element`])
+    }
+  })
+
+  it('sets', async () => {
+    const store = memoryStore()
+    let set = await iamap.createSet(store, options)
+    let counted = await iamap.createSet(store, { ...options, counted: true })
+    for (const [key] of entries) {
+      set = await set.add(key)
+      counted = await counted.add(key)
+    }
+    assert.deepEqual(await iamap.verify(store, set.id), { valid: true, problems: [] })
+    assert.deepEqual(await iamap.verify(store, counted.id), { valid: true, problems: [] })
+
+    const found = [...nodes(store, set.id)].find(({ node }) => node[1].some((e) => Array.isArray(e) && e.length === 2))
+    assert.ok(found)
+    const { id, node, path } = /** @type {NonNullable<typeof found>} */ (found)
+    const at = node[1].findIndex((e) => Array.isArray(e) && e.length === 2)
+    const bucketPath = [...path, slotsOf(node[0])[at]].join('.')
+    const [first, second] = node[1][at]
+    assert.instanceOf(first, Uint8Array) // keys alone
+
+    edit(store, id, ([, data]) => {
+      data[at] = [second, first]
+    })
+    assert.deepEqual(messages(await iamap.verify(store, set.id)), [`${bucketPath}: key ${keyHex(first)} is out of order in its bucket`])
+
+    // a map's [key, value] entries don't belong in a set
+    edit(store, id, ([, data]) => {
+      data[at] = [[first, true], second]
+    })
+    assert.deepEqual(messages(await iamap.verify(store, set.id)), [`${bucketPath}: badly formed bucket entry`])
+  })
+
+  it('errors', async () => {
+    const { store, map } = await build()
+    // @ts-ignore
+    await assert.isRejected(iamap.verify({}, map.id), /Invalid `store`/)
+    await assert.isRejected(iamap.verify(store, 'nope'), /does not appear to be an IAMap root/)
+    const keyed = await build({ hashKey: { id: 'k', secret: new Uint8Array(16) } })
+    await assert.isRejected(iamap.verify(keyed.store, keyed.map.id), /secret must be provided/)
+    const unknown = memoryStore()
+    const id = await unknown.save({ hashAlg: 0x300099, bucketSize: 2, hamt: [new Uint8Array(2), []] })
+    await assert.isRejected(iamap.verify(unknown, id), /Unknown hashAlg/)
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * @param {Uint8Array} rootCid
+ * @returns {Uint8Array}
+ */
+export function encodeHeader(rootCid: Uint8Array): Uint8Array;
+/**
+ * @param {Uint8Array} cid
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function encodeBlock(cid: Uint8Array, bytes: Uint8Array): Uint8Array;
+/**
+ * Reads a CARv1 archive from a sequence of chunks of bytes, of any size.
+ */
+export class CarReader {
+    /**
+     * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} source
+     */
+    constructor(source: AsyncIterable<Uint8Array> | Iterable<Uint8Array>);
+    iterator: AsyncGenerator<Uint8Array<ArrayBufferLike>, void, any>;
+    /** @type {Uint8Array[]} */
+    chunks: Uint8Array[];
+    head: number;
+    available: number;
+    /**
+     * @returns {Promise<Uint8Array[]>} The CIDs of the roots of the archive.
+     */
+    readHeader(): Promise<Uint8Array[]>;
+    /**
+     * @returns {Promise<{ cid: Uint8Array, bytes: Uint8Array }|null>} The next block, or `null` at the end of the
+     * archive.
+     */
+    readBlock(): Promise<{
+        cid: Uint8Array;
+        bytes: Uint8Array;
+    } | null>;
+    /**
+     * @ignore
+     * @returns {Promise<number|null>} `null` where there are no more bytes
+     */
+    readVarint(): Promise<number | null>;
+    /**
+     * @ignore
+     * @param {number} length
+     * @returns {Promise<Uint8Array>}
+     */
+    read(length: number): Promise<Uint8Array>;
+    /**
+     * bytes that were returned are never written over, so they may be kept; a read within a single chunk is a view of
+     * it, a read across chunks is copied once
+     * @ignore
+     * @param {number} length - no more than `this.available`
+     * @returns {Uint8Array}
+     */
+    take(length: number): Uint8Array;
+    /**
+     * @ignore
+     * @param {Uint8Array} chunk - the chunk at `this.head`
+     * @param {number} size
+     */
+    consume(chunk: Uint8Array, size: number): void;
+    /**
+     * @ignore
+     * @param {number} length
+     * @returns {Promise<boolean>} whether `length` bytes are available
+     */
+    fill(length: number): Promise<boolean>;
+}
+//# sourceMappingURL=car.d.ts.map
\ No newline at end of file
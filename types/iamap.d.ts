@@ -18,36 +18,104 @@
  * `store.isEqual(id1, id2)` is required to check the equality of the two content addresses / IDs
  * (which may be custom for that data type). `store.isLink(obj)` is used to determine if an object is a link type
  * that can be used for `load()` operations on the store. It is important that link types be different to standard
- * JavaScript arrays and don't share properties used by the serialized form of an IAMap (e.g. such that a
- * `typeof obj === 'object' && Array.isArray(obj.data)`) .This is because a node data element may either be a link to
- * a child node, or an inlined child node, so `isLink()` should be able to determine if an object is a link, and if not,
- * `Array.isArray(obj)` will determine if that data element is a bucket of elements, or the above object check be able
- * to determine that an inline child node exists at the data element.
+ * JavaScript arrays. This is because a node data element may either be a link to a child node, a bucket of entries,
+ * or an inlined child node, so `isLink()` should be able to determine if an object is a link, and if not,
+ * `Array.isArray(obj)` will determine that the data element is either a bucket (an array of `[key, value]` arrays)
+ * or an inlined child node (a `[map, data]` array whose first element is a `Uint8Array`).
  * The `store` object should take the following form:
  * `{ async save(node):id, async load(id):node, isEqual(id,id):boolean, isLink(obj):boolean }`
+ * A `store` may also provide a `sizeOf(node):number` method returning the size, in bytes, of the serialized form of
+ * a node as it would be saved. This is required to use the `inlineThreshold` option.
  * A `store` should throw an appropriately informative error when a node that is requested does not exist in the backing
  * store.
  *
  * Options:
  *   - hashAlg (number) - A [multicodec](https://github.com/multiformats/multicodec/blob/master/table.csv)
- *     hash function identifier, e.g. `0x23` for `murmur3-32`. Hash functions must be registered with {@link iamap.registerHasher}.
+ *     hash function identifier, e.g. `0x23` for `murmur3-32`. Hash functions must be registered with {@link iamap.registerHasher},
+ *     unless a `hasher` is provided.
+ *   - hasher (object, optional) - The hash function for this map, in place of the one registered for `hashAlg`, so
+ *     that maps in the same process may use different functions without any global registration. An object of the
+ *     form `{ code, bytes, digest(bytes) }`: `code` is the multicodec identifier that is recorded as the `hashAlg` of
+ *     the map (where `hashAlg` is also provided it must be the same), `bytes` is the number of bytes of hash that
+ *     `digest()` produces (see {@link iamap.registerHasher}) and `digest()` returns, or resolves to, the hash as a
+ *     `Uint8Array` or an object with a `digest` property holding it. `bytes` is optional, without it the number of
+ *     bytes is taken from the first hash `digest()` produces, so a
+ *     [multiformats](https://github.com/multiformats/js-multiformats) hasher, such as `sha256` from
+ *     `multiformats/hashes/sha2`, may be used as it is. The `hasher` is used by the child nodes of
+ *     the map and the maps derived from it by mutation, but is not recorded in the root node and must be provided
+ *     again when loading with {@link iamap.load}.
+ *   - hashKey (object, optional) - A secret for keyed hashing, `{ id, secret }`, for maps whose keys are chosen by
+ *     untrusted parties. Without one, anyone who knows the hash function can craft keys whose hashes share long
+ *     prefixes, forcing long chains of child nodes and large buckets at the maximum depth. With one, the hash of each
+ *     key is its HMAC-SHA-256 with `secret` (a `Uint8Array` of at least 16 bytes, which should be random), so hashes
+ *     can't be predicted without it. The `hashAlg` of a keyed map is `0x12` (`sha2-256`) and no `hasher` may be
+ *     given, nor need one be registered. `id` is a string identifying the secret; it is recorded in the root node,
+ *     the secret is not, so {@link iamap.load} requires the `hashKey` to be provided again, with the same `id`.
+ *     Keyed hashing uses the global Web Crypto API, `crypto.subtle`, found in browsers and Node.js 20 and later.
  *   - bitWidth (number, default 8) - The number of bits to extract from the hash to form a data element index at
  *     each level of the Map, e.g. a bitWidth of 5 will extract 5 bits to be used as the data element index, since 2^5=32,
  *     each node will store up to 32 data elements (child nodes and/or entry buckets). The maximum depth of the Map is
- *     determined by `floor((hashBytes * 8) / bitWidth)` where `hashBytes` is the number of bytes the hash function
+ *     determined by `ceil((hashBytes * 8) / bitWidth) - 1` where `hashBytes` is the number of bytes the hash function
  *     produces, e.g. `hashBytes=32` and `bitWidth=5` yields a maximum depth of 51 nodes. The maximum `bitWidth`
  *     currently allowed is `8` which will store 256 data elements in each node.
  *   - bucketSize (number, default  5) - The maximum number of collisions acceptable at each level of the Map. A
  *     collision in the `bitWidth` index at a given depth will result in entries stored in a bucket (array). Once the
  *     bucket exceeds `bucketSize`, a new child node is created for that index and all entries in the bucket are
- *     pushed
+ *     pushed. At the maximum depth of the Map (see `bitWidth`) the hash has no more bits to distinguish entries by,
+ *     so keys whose hashes fully collide are kept in buckets that may grow beyond `bucketSize` rather than being
+ *     pushed to a new child node.
+ *   - inlineThreshold (number, default 0) - The maximum size, in bytes as measured by `store.sizeOf()`, of a child
+ *     node that will be embedded in the data array of its parent rather than saved to the store as a separate node
+ *     and linked to. Inlined child nodes reduce the number of nodes saved and loaded where small, sparse subtrees
+ *     exist. A child node's size includes any of its own children that are inlined within it. `0` disables inlining.
+ *     The root node is always saved, and the `inlineThreshold` is recorded in it so that maps loaded from the store
+ *     continue to inline with the same threshold.
+ *   - cache (object, optional) - A cache of decoded child nodes, keyed by link, so that nodes visited repeatedly,
+ *     such as the upper levels of a large map, aren't loaded from the store and decoded for each operation. Use
+ *     {@link iamap.lruCache} for a size-bounded cache, or provide any object with `get(link)` and `set(link, node)`
+ *     methods. The cache is not recorded in the root node; it is used by this map, its child nodes and the maps
+ *     derived from it by mutation, but must be provided again when loading with {@link iamap.load}. A cache may be
+ *     shared between maps using the same backing store. See {@link IAMap#cacheStats} for hit and miss counts.
+ *   - counted (boolean, default false) - Record the number of entries within each linked child node alongside the
+ *     link, so that {@link IAMap#size} can be answered from the root node alone rather than loading every node in the
+ *     map. Links are serialized as `[link, count]` rather than as a bare link. The counts are maintained by each
+ *     mutation, at the cost of a slightly larger serialized form. `counted` is recorded in the root node.
+ *   - keyCodec (string, optional) - The name of a codec for keys that are neither strings nor `Uint8Array`s. Every
+ *     key given to the map is encoded to bytes with the codec, and {@link IAMap#keys}, {@link IAMap#entries} and
+ *     {@link IAMap#page} return keys decoded with it. Without a `keyCodec`, `Uint8Array` keys are used as they are and
+ *     any other key is encoded as a UTF-8 string, so the number `1` and the string `'1'` are the same key, and keys
+ *     are always returned as `Uint8Array`s. The built-in codecs are `'number'`, `'bigint'`, `'tuple'` (arrays of
+ *     strings, numbers, bigints, `Uint8Array`s and nested arrays) and `'uuid'` (UUID strings); each encodes keys
+ *     such that `{ order: 'key' }` iteration returns keys in their natural order. Others may be added with
+ *     {@link iamap.registerKeyCodec}. The `keyCodec` is recorded in the root node.
+ *   - format (string, default `'iamap'`) - The layout of serialized nodes, see {@link IAMap#toSerializable}.
+ *     `'ipld'` uses the block layout of the
+ *     [IPLD HashMap specification](https://github.com/ipld/specs/blob/master/data-structures/hashmap.md) so that a
+ *     map's blocks can be read by other implementations of it; with it, elements are differentiated by the block
+ *     itself, so `store.isLink()` is not used to read them. The specification has no place for the
+ *     `inlineThreshold`, `counted` or `keyCodec` options so they can't be used with `'ipld'`, and it records the
+ *     `hashAlg` by its multicodec name, e.g. `'murmur3-32'`, so the code must be one of the hash functions in the
+ *     multicodec table. The `format` is apparent from the root node so maps loaded from the store continue to use it.
+ *   - validate (function or object, optional) - Check each key/value pair before it is written by `set()`, a
+ *     batch, a transaction or {@link iamap.fromEntries}; a pair that fails is rejected with a {@link ValidationError}
+ *     before any node is created, and where a batch contains one, none of the batch is applied. Either a function,
+ *     `validate(key, value)`, which returns `false`, or a string describing the problem, to reject a pair, and may
+ *     return a `Promise`; or a schema object with any of the properties:
+ *     - `type` (string or array of strings) - The allowed types of values: `'null'`, `'boolean'`, `'number'`,
+ *       `'bigint'`, `'string'`, `'bytes'` (a `Uint8Array`), `'link'` (as identified by `store.isLink()`),
+ *       `'array'` and `'object'`.
+ *     - `maxKeyLength` (number) - The maximum length of a key in bytes, after encoding.
+ *     - `maxValueSize` (number) - The maximum size of a value in bytes, as measured by `store.sizeOf()`.
+ *     A schema also rejects values that can't be stored: `undefined`, functions and symbols, at any depth within the
+ *     value, and values containing cycles. `validate` is not recorded in the root node and must be provided again
+ *     when loading with {@link iamap.load}.
  *
  * @param {Options} options - Options for this IAMap
  * @param {Uint8Array} [map] - for internal use
  * @param {number} [depth] - for internal use
  * @param {Element[]} [data] - for internal use
  */
-export function create<T>(store: import("./interface").Store<T>, options: Options, map?: Uint8Array | undefined, depth?: number | undefined, data?: Element[] | undefined): Promise<IAMap<T>>;
+export function create<T>(store: Store<T>, options: Options, map?: Uint8Array, depth?: number, data?: Element[]): Promise<IAMap<T>>;
 /**
  * ```js
  * let map = await iamap.load(store, id)
@@ -55,23 +123,94 @@ export function create<T>(store: import("./interface").Store<T>, options: Option
  *
  * Create a IAMap instance loaded from a serialised form in a backing store. See {@link iamap.create}.
  *
+ * Options that are recorded in the root node, `hashAlg`, `bitWidth`, `bucketSize`, `inlineThreshold`, `counted`,
+ * `keyCodec` and `format`, are taken
+ * from the loaded root. Options that only apply at runtime, `cache`, `validate`, `hasher` and `hashKey`, may be
+ * supplied; a `hashKey` is required to load a keyed map:
+ *
+ * ```js
+ * let map = await iamap.load(store, id, { cache: iamap.lruCache(1000) })
+ * ```
+ *
  * @name iamap.load
  * @function
  * @async
  * @template T
  * @param {Store<T>} store - A backing store for this Map. See {@link iamap.create}.
  * @param {any} id - An content address / ID understood by the backing `store`.
- * @param {number} [depth=0]
- * @param {Options} [options]
+ * @param {number|RuntimeOptions} [depth=0] - Runtime options for this map, `depth` is for internal use
+ * @param {Options} [options] - for internal use
+ */
+export function load<T>(store: Store<T>, id: any, depth?: number | RuntimeOptions, options?: Options): Promise<IAMap<T>>;
+/**
+ * ```js
+ * let map = await iamap.fromEntries(store, options, entries)
+ * ```
+ *
+ * Create a new IAMap instance containing all of the key/value pairs provided by `entries`. This is the same as
+ * calling {@link iamap.create} and then `set()` for each entry, and results in an identical root, but rather than
+ * inserting entries one at a time, the structure is built from the leaves up and each node is saved only once.
+ * All entries are collected and hashed before building so memory use is proportional to the number of entries.
+ * Where a key appears more than once, the last value provided for it is used.
+ *
+ * @name iamap.fromEntries
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store for this Map. See {@link iamap.create}.
+ * @param {Options} options - Options for this IAMap. See {@link iamap.create}.
+ * @param {Iterable<Entry>|AsyncIterable<Entry>} entries - An iterable or async iterable yielding either
+ * `[key, value]` arrays or `{ key, value }` objects such as those yielded by {@link IAMap#entries}. See
+ * {@link IAMap#set} for details about acceptable `key` types.
+ * @returns {Promise<IAMap<T>>}
+ */
+export function fromEntries<T>(store: Store<T>, options: Options, entries: Iterable<Entry> | AsyncIterable<Entry>): Promise<IAMap<T>>;
+/**
+ * ```js
+ * let set = await iamap.createSet(store, options)
+ * ```
+ *
+ * Create a new, empty, {@link IASet} instance with a backing store. The backing store and the `options` are the same
+ * as those of {@link iamap.create}, other than the `format` and `validate` options, which aren't supported by sets.
+ *
+ * @name iamap.createSet
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store for this Set. See {@link iamap.create}.
+ * @param {Options} options - Options for this Set. See {@link iamap.create}.
+ * @returns {Promise<IASet<T>>}
+ */
+export function createSet<T>(store: Store<T>, options: Options): Promise<IASet<T>>;
+/**
+ * ```js
+ * let set = await iamap.loadSet(store, id)
+ * ```
+ *
+ * Create an {@link IASet} instance loaded from a serialised form in a backing store. Options are taken from the
+ * loaded root, other than those that only apply at runtime, as for {@link iamap.load}. The root of an `IAMap` is not
+ * an `IASet` and can't be loaded as one.
+ *
+ * @name iamap.loadSet
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store for this Set. See {@link iamap.create}.
+ * @param {any} id - An content address / ID understood by the backing `store`.
+ * @param {RuntimeOptions} [options] - Runtime options for this set, see {@link iamap.load}.
+ * @returns {Promise<IASet<T>>}
  */
-export function load<T>(store: import("./interface").Store<T>, id: any, depth?: number | undefined, options?: import("./interface").Options | undefined): Promise<IAMap<T>>;
+export function loadSet<T>(store: Store<T>, id: any, options?: RuntimeOptions): Promise<IASet<T>>;
 /**
  * ```js
  * iamap.registerHasher(hashAlg, hashBytes, hasher)
  * ```
  *
  * Register a new hash function. IAMap has no hash functions by default, at least one is required to create a new
- * IAMap.
+ * IAMap, unless a `hasher` is provided for it (see {@link iamap.create}).
+ *
+ * The registry is global, a function registered for a `hashAlg` replaces any that was registered for it before,
+ * including by other users of IAMap in the same process. Maps that are given their own `hasher` don't use it.
  *
  * @name iamap.registerHasher
  * @function
@@ -83,6 +222,22 @@ export function load<T>(store: import("./interface").Store<T>, id: any, depth?:
  * may or may not be asynchronous but will be called with an `await`.
  */
 export function registerHasher(hashAlg: number, hashBytes: number, hasher: Hasher): void;
+/**
+ * ```js
+ * iamap.registerKeyCodec(name, { encode, decode })
+ * ```
+ *
+ * Register a new key codec for use with the `keyCodec` option (see {@link iamap.create}). The `name` is recorded in
+ * the root node of maps using the codec, so it must be registered, with the same encoding, wherever those maps are
+ * loaded. The built-in codecs, `'number'`, `'bigint'`, `'tuple'` and `'uuid'`, are always registered.
+ *
+ * @name iamap.registerKeyCodec
+ * @function
+ * @param {string} name - A name for the codec.
+ * @param {KeyCodec} codec - An object with an `encode(key):Uint8Array` method, that must throw for keys it can't
+ * encode, and a `decode(bytes):key` method that is the inverse of `encode()`.
+ */
+export function registerKeyCodec(name: string, codec: KeyCodec): void;
 /**
  * Determine if a serializable object is an IAMap root type, can be used to assert whether a data block is
  * an IAMap before trying to instantiate it.
@@ -93,6 +248,17 @@ export function registerHasher(hashAlg: number, hashBytes: number, hasher: Hashe
  * @returns {boolean} An indication that the serialisable form is or is not an IAMap root node
  */
 export function isRootSerializable(serializable: any): boolean;
+/**
+ * Determine if a serializable object is an IASet root type, can be used to assert whether a data block is an IASet
+ * before trying to load it with {@link iamap.loadSet}. The child nodes of an IASet satisfy
+ * {@link iamap.isSerializable}.
+ *
+ * @name iamap.isSetRootSerializable
+ * @function
+ * @param {any} serializable An object that may be a serialisable form of an IASet root node
+ * @returns {boolean} An indication that the serialisable form is or is not an IASet root node
+ */
+export function isSetRootSerializable(serializable: any): boolean;
 /**
  * Determine if a serializable object is an IAMap node type, can be used to assert whether a data block is
  * an IAMap node before trying to instantiate it.
@@ -121,13 +287,398 @@ export function isSerializable(serializable: any): boolean;
  * required for downstream purposes it should be provided, if the value is `null` or `undefined`, `node.id` will
  * be `null` but will remain writable.
  * @param {any} serializable The serializable form of an IAMap node to be instantiated
- * @param {Options} [options=null] An options object for IAMap child node instantiation. Will be ignored for root
- * node instantiation (where `depth` = `0`) See {@link iamap.create}.
+ * @param {Options} [options=null] An options object for IAMap child node instantiation. For root node instantiation
+ * (where `depth` = `0`) only runtime options, such as `cache`, are used. See {@link iamap.create}.
  * @param {number} [depth=0] The depth of the IAMap node. Where `0` is the root node and any `>0` number is a child
  * node.
  * @returns {IAMap<T>}
  */
-export function fromSerializable<T>(store: import("./interface").Store<T>, id: any, serializable: any, options?: import("./interface").Options | undefined, depth?: number | undefined): IAMap<T>;
+export function fromSerializable<T>(store: Store<T>, id: any, serializable: any, options?: Options, depth?: number): IAMap<T>;
+/**
+ * ```js
+ * const proof = await map.prove('foo')
+ * // elsewhere, with only `proof` and the root ID
+ * const { found, value } = await iamap.verifyProof(proof, rootId, 'foo', { idOf })
+ * ```
+ *
+ * Check a proof created by {@link IAMap#prove} against the ID of the root node of an `IAMap`, without access to the
+ * backing store. The ID of each node in the proof is recomputed with `idOf()` and must match the link to it from its
+ * parent, the first node must match `rootId`. The path through the nodes to `key` is found the same way as
+ * {@link IAMap#get} finds it, so a valid proof either contains the `key` and its value or shows where the `key` would
+ * be and that it is not there.
+ *
+ * IDs are compared by their string form, as {@link iamap.reachable} does, so IDs must have a unique string form, as
+ * CIDs do.
+ *
+ * An `Error` is thrown if the proof is not valid for `rootId` and `key`.
+ *
+ * @name iamap.verifyProof
+ * @function
+ * @async
+ * @param {(SerializedNode|SerializedRoot|KeyedNode|KeyedRoot)[]} proof - The nodes returned by {@link IAMap#prove}.
+ * @param {any} rootId - The ID of the root node that the proof is for.
+ * @param {any} key - The key that the proof is for.
+ * @param {Object} options
+ * @param {function(any):any} options.idOf - Calculate the ID of a serialized node, as the backing store would when
+ * saving it. May return a `Promise`.
+ * @param {Hasher|MultihashHasher} [options.hasher] - The hash function of the `IAMap`, either a function or a hasher
+ * object as given to {@link iamap.create}. If not provided, the hash function registered with
+ * {@link iamap.registerHasher} for the `hashAlg` recorded in the root node is used.
+ * @param {HashKey} [options.hashKey] - The secret of a keyed `IAMap`, required where the root node records a
+ * `hashKey` and no `hasher` is provided. See {@link iamap.create}.
+ * @returns {Promise<{ found: boolean, value?: any }>} A `Promise` resolving to an object with a `found` property
+ * indicating whether `key` is present in the `IAMap` and, if it is, its `value`.
+ */
+export function verifyProof(proof: (SerializedNode | SerializedRoot | KeyedNode | KeyedRoot)[], rootId: any, key: any, options: {
+    idOf: (arg0: any) => any;
+    hasher?: import("./interface").MultihashHasher | Hasher | undefined;
+    hashKey?: import("./interface").HashKey | undefined;
+}): Promise<{
+    found: boolean;
+    value?: any;
+}>;
+/**
+ * ```js
+ * const traversal = iamap.traverseGet(rootBlock, 'foo')
+ * let link
+ * while ((link = traversal.traverse()) !== null) {
+ *   traversal.next(await fetchBlock(link))
+ * }
+ * const value = traversal.value()
+ * ```
+ *
+ * Look up a `key` by walking the serialized forms of the nodes of an `IAMap` as a synchronous state machine, rather
+ * than through a backing `store`. This allows lookups to be driven by any means of fetching nodes, such as a batching
+ * scheduler or a synchronous cache, without implementing the `Store` interface.
+ *
+ * Call `traverse()` to advance; it returns the link to the next node that is needed, or `null` when the traversal is
+ * complete. Provide each needed node, in its serialized form as it was saved, with `next(block)` before calling
+ * `traverse()` again. Once complete, `value()` returns the value for `key`, or `undefined` where it is not present,
+ * as {@link IAMap#get} does, and `found()` returns whether `key` is present, as {@link IAMap#has} does.
+ *
+ * Links are not interpreted, they are returned as they appear in the nodes, so no `isLink()` is needed. Inlined child
+ * nodes and `counted` links are handled.
+ *
+ * @name iamap.traverseGet
+ * @function
+ * @param {SerializedRoot} rootBlock - The serialized root node of the `IAMap`.
+ * @param {any} key - The key to look up. See {@link IAMap#set} for details about acceptable `key` types.
+ * @param {Object} [options]
+ * @param {Uint8Array} [options.hash] - The hash of `key`. If not provided, the hash function registered with
+ * {@link iamap.registerHasher} for the `hashAlg` recorded in the root node is used, it must return synchronously.
+ * It must be provided for keyed maps, those with a `hashKey`, as the HMAC-SHA-256 of the encoded `key`.
+ * @returns {GetTraversal}
+ */
+export function traverseGet(rootBlock: SerializedRoot, key: any, options?: {
+    hash?: Uint8Array<ArrayBufferLike> | undefined;
+}): GetTraversal;
+/**
+ * ```js
+ * const traversal = iamap.traverseEntries(rootBlock)
+ * let link
+ * do {
+ *   for (const { key, value } of traversal.entries()) {
+ *     console.log(key, value)
+ *   }
+ *   link = traversal.traverse()
+ *   if (link !== null) {
+ *     traversal.next(await fetchBlock(link))
+ *   }
+ * } while (link !== null)
+ * ```
+ *
+ * Walk the entries of an `IAMap` through the serialized forms of its nodes as a synchronous state machine. See
+ * {@link iamap.traverseGet}.
+ *
+ * Call `traverse()` to advance; it collects the entries it passes and returns the link to the next node that is
+ * needed, or `null` when the traversal is complete. Provide each needed node with `next(block)` before calling
+ * `traverse()` again. `entries()`, `keys()` and `values()` yield the entries collected since the last call to any of
+ * them, so they may be drained as the traversal proceeds, or once it is complete. Entries are in the same order as
+ * {@link IAMap#entries} yields them by default.
+ *
+ * @name iamap.traverseEntries
+ * @function
+ * @param {SerializedRoot} rootBlock - The serialized root node of the `IAMap`.
+ * @returns {EntriesTraversal}
+ */
+export function traverseEntries(rootBlock: SerializedRoot): EntriesTraversal;
+/**
+ * ```js
+ * const live = await iamap.reachable(store, [root1, root2], { followValues: true })
+ * ```
+ *
+ * Find the IDs of all of the nodes that are reachable from a set of root IDs. Each mutation of an `IAMap` creates new
+ * nodes and leaves the nodes it replaced in the backing store; when only some roots are to be retained, the nodes
+ * reachable from those roots are the ones that must be kept and anything else may be removed.
+ *
+ * The roots are traversed together and each node is visited only once, so roots that share subtrees, such as
+ * successive versions of the same map, cost little more to traverse than a single root. Nodes are walked in their
+ * serialized form, so hash functions need not be registered. The roots of an {@link IASet} may be included.
+ *
+ * Nodes are identified by the string form of their IDs, so IDs must have a unique string form, as CIDs do. The
+ * returned `Set` contains one instance of each distinct ID.
+ *
+ * @name iamap.reachable
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store holding the roots. See {@link iamap.create}.
+ * @param {Iterable<any>} rootIds - The IDs of the root nodes of the maps to be retained.
+ * @param {Object} [options]
+ * @param {boolean} [options.followValues=false] - Also treat values stored in the maps that satisfy
+ * `store.isLink()`, including those nested within object and array values, as reachable. These are included in the
+ * result but are not loaded or traversed, include their IDs in `rootIds` where they are the roots of other maps.
+ * @param {Iterable<any>|AsyncIterable<any>} [options.sweep] - The IDs of blocks that are candidates for removal,
+ * such as every ID in the backing store. Once the reachable set is known, `store.delete(id)` is called for each
+ * candidate that isn't reachable. The `store` must have a `delete()` method to use this option.
+ * @returns {Promise<Set<any>>} A `Promise` resolving to the set of reachable IDs.
+ */
+export function reachable<T>(store: Store<T>, rootIds: Iterable<any>, options?: {
+    followValues?: boolean | undefined;
+    sweep?: Iterable<any> | AsyncIterable<any> | undefined;
+}): Promise<Set<any>>;
+/**
+ * ```js
+ * const { valid, problems } = await iamap.verify(store, rootId)
+ * for (const { path, message } of problems) {
+ *   console.log(`${path.join('.') || 'root'}: ${message}`)
+ * }
+ * ```
+ *
+ * Check every node of a stored `IAMap`, or {@link IASet}, for structural problems, such as after restoring it from a
+ * backup or migrating it to a new backing store. Where {@link IAMap#isInvariant} checks the arity of a single node, `verify()` loads every
+ * node reachable from the root and reports each problem it finds, rather than stopping at the first:
+ *
+ * * the number of bits set in a node's bitmap must match the number of elements in its data
+ * * buckets must not be empty, must be sorted by key without duplicates and must not hold more than `bucketSize`
+ *   entries, other than at the maximum depth where there are no hash bits left to split them by
+ * * each key must hash to the slot it is stored in, at every level from the root
+ * * a child node with no children of its own and no more than `bucketSize` entries should have been collapsed into
+ *   its parent, as `delete()` does
+ * * the counts of a `counted` map must match the number of entries below them
+ * * linked nodes must be present in the backing store and be nodes of the map's format
+ * * no node may be deeper than the hash function allows
+ *
+ * Nodes are walked in their serialized form. The map's hash function is needed to check where keys are stored, so it
+ * must be registered or provided as a `hasher`, and the secret of a keyed map must be provided, as for
+ * {@link iamap.load}. An `Error` is thrown where the root node can't be loaded as an `IAMap`, as `load()` would.
+ *
+ * @name iamap.verify
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store holding the map. See {@link iamap.create}.
+ * @param {any} rootId - The ID of the root node of the map, or of the set.
+ * @param {RuntimeOptions} [options] - The `hasher` or `hashKey` of the map, where it has one. See
+ * {@link iamap.create}.
+ * @returns {Promise<{ valid: boolean, problems: { path: number[], message: string }[] }>} A `Promise` resolving to
+ * an object with a `valid` property that is `true` where no problems were found, and the `problems` found. The
+ * `path` of a problem lists the slots, the bit positions in each node's bitmap, leading from the root to the node or
+ * bucket with the problem, the root node's path is empty.
+ */
+export function verify<T>(store: Store<T>, rootId: any, options?: RuntimeOptions): Promise<{
+    valid: boolean;
+    problems: {
+        path: number[];
+        message: string;
+    }[];
+}>;
+/**
+ * ```js
+ * const results = await iamap.simulate(keys, [
+ *   { hashAlg: 0x23, bitWidth: 4, bucketSize: 3 },
+ *   { hashAlg: 0x23, bitWidth: 8, bucketSize: 5 }
+ * ], { sizeOf: (node) => dagCbor.encode(node).length })
+ * for (const { options, stats } of results) {
+ *   console.log(options.bitWidth, options.bucketSize, stats.maxDepth, stats.size.average)
+ * }
+ * ```
+ *
+ * Compare the shapes of the maps that different options would give a set of keys, to choose parameters such as
+ * `bitWidth` and `bucketSize` from real keys rather than by guesswork. A throwaway map is built in memory for each
+ * of the candidate options and measured with {@link IAMap#stats}; nothing is written to a backing store.
+ *
+ * Each key is given the value `true`, so node sizes reflect the keys and the structure of the map but not the
+ * values that it will hold.
+ *
+ * @name iamap.simulate
+ * @function
+ * @async
+ * @param {Iterable<any>|AsyncIterable<any>} keys - The keys, of any type accepted by {@link IAMap#set}, or by the
+ * `keyCodec` of the candidates. Repeated keys are only counted once.
+ * @param {Options[]} candidateOptions - The options to compare, each as given to {@link iamap.create}.
+ * @param {Object} [options]
+ * @param {function(any):number} [options.sizeOf] - Measure the size of a serialized node, as the `sizeOf()` of a
+ * backing store does. Required for candidates with an `inlineThreshold`, and for the `size` of each map's stats.
+ * @returns {Promise<{ options: Options, stats: MapStats }[]>} A `Promise` resolving to the stats of each candidate, in
+ * the order they were given.
+ */
+export function simulate(keys: Iterable<any> | AsyncIterable<any>, candidateOptions: Options[], options?: {
+    sizeOf?: ((arg0: any) => number) | undefined;
+}): Promise<{
+    options: Options;
+    stats: MapStats;
+}[]>;
+/**
+ * ```js
+ * const file = await fs.promises.open('map.car', 'w')
+ * await iamap.exportCAR(map, file)
+ * await file.close()
+ * ```
+ *
+ * Write an `IAMap` as a [CARv1](https://ipld.io/specs/transport/car/carv1/) archive: a header naming the root node of
+ * the map as the root of the archive, followed by each node that is reachable from it, as found by
+ * {@link iamap.reachable}, starting with the root. A map can then be moved between backing stores, or machines, as a
+ * single stream of bytes and restored with {@link iamap.importCAR}.
+ *
+ * CAR archives hold blocks in their encoded form, identified by CID, so the map's backing store must be able to
+ * provide them: `store.loadBlock(id)` must return, or resolve to, `{ cid, bytes }`, the bytes of the CID of the node
+ * with the given ID and the bytes of its encoded form. Nodes are written as they are found, in a single walk of the
+ * map; where the block also has a `node` property, the decoded form of the node, it is used to find the node's
+ * children, otherwise the node is loaded with `store.load(id)`.
+ *
+ * The archive is written with `writable.write(bytes)`, once for the header and once for each block; where `write()`
+ * returns a `Promise` it is awaited before the next write. This suits a `FileHandle` from `fs.promises` or the writer
+ * of a `WritableStream`.
+ *
+ * @name iamap.exportCAR
+ * @function
+ * @async
+ * @template T
+ * @param {IAMap<T>} map - The map to export.
+ * @param {Writable} writable - Where the bytes of the archive are written, an object with a `write(bytes)` method.
+ * @param {Object} [options]
+ * @param {boolean} [options.followValues=false] - Also include the blocks linked to by values stored in the map, see
+ * {@link iamap.reachable}. These blocks are included but are not traversed.
+ * @returns {Promise<void>}
+ */
+export function exportCAR<T>(map: IAMap<T>, writable: Writable, options?: {
+    followValues?: boolean | undefined;
+}): Promise<void>;
+/**
+ * ```js
+ * const map = await iamap.importCAR(store, fs.createReadStream('map.car'))
+ * ```
+ *
+ * Read a [CARv1](https://ipld.io/specs/transport/car/carv1/) archive written by {@link iamap.exportCAR}, or any
+ * archive whose single root is the root node of an `IAMap`, saving each of its blocks to a backing store, then load
+ * the map from it, as {@link iamap.load} does.
+ *
+ * The backing store must be able to save blocks in their encoded form: `store.saveBlock(cid, bytes)` is given the
+ * bytes of the CID and encoded form of each block and must return, or resolve to, the ID that the store will use for
+ * it. The store is responsible for checking that the bytes of each block match its CID where the archive is not
+ * trusted.
+ *
+ * @name iamap.importCAR
+ * @function
+ * @async
+ * @template T
+ * @param {Store<T>} store - A backing store to save the blocks to. See {@link iamap.create}.
+ * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} readable - The bytes of the archive, in chunks of any size,
+ * such as a Node.js `Readable` stream, a `ReadableStream` or an array holding a single `Uint8Array`.
+ * @param {RuntimeOptions} [options] - Runtime options for the loaded map, see {@link iamap.load}.
+ * @returns {Promise<IAMap<T>>}
+ */
+export function importCAR<T>(store: Store<T>, readable: AsyncIterable<Uint8Array> | Iterable<Uint8Array>, options?: RuntimeOptions): Promise<IAMap<T>>;
+/**
+ * ```js
+ * for await (const { key, oldValue, newValue } of iamap.diff(mapA, mapB)) {
+ *   // ...
+ * }
+ * ```
+ *
+ * Asynchronously emit the differences between two `IAMap`s, such as two versions of the same map, as
+ * `{ key, oldValue, newValue }` objects. A key that only exists in `mapB` has been added and will have an
+ * `oldValue` of `undefined`; a key that only exists in `mapA` has been removed and will have a `newValue` of
+ * `undefined`; a key that exists in both but with different values has been changed. Keys are decoded with the
+ * `keyCodec`, where there is one, as {@link IAMap#keys} yields them.
+ *
+ * The two maps are walked together and any pair of child nodes whose links are equal according to
+ * `store.isEqual()` are skipped entirely, so the number of nodes loaded is proportional to the extent of the
+ * changes rather than the size of the maps. Values are compared by content: links are compared with
+ * `store.isEqual()`, `Uint8Array`s by their bytes, and arrays and plain objects by their properties.
+ *
+ * Both maps must use the same `hashAlg`, `bitWidth` and `keyCodec` (`bucketSize` may differ) and are expected to
+ * share a backing store, or at least link types that `mapA`'s store understands.
+ *
+ * @name iamap.diff
+ * @function
+ * @async
+ * @template T
+ * @param {IAMap<T>} mapA - The "old" map
+ * @param {IAMap<T>} mapB - The "new" map
+ * @returns {AsyncGenerator<{ key: any, oldValue: any, newValue: any }>} An async iterator that yields an
+ * object for each key that is different between the two maps, in no particular order.
+ */
+export function diff<T>(mapA: IAMap<T>, mapB: IAMap<T>): AsyncGenerator<{
+    key: any;
+    oldValue: any;
+    newValue: any;
+}>;
+/**
+ * ```js
+ * let merged = await iamap.merge(base, ours, theirs, { resolve (key, baseValue, ourValue, theirValue) { ... } })
+ * ```
+ *
+ * Perform a three-way merge of two maps, `ours` and `theirs`, that have both diverged from a common ancestor,
+ * `base`, and return a new `IAMap` containing the changes made on both sides.
+ *
+ * The three maps are walked together. Wherever `theirs` still holds the same subtree or bucket as `base`, or the same
+ * as `ours`, there is nothing to merge and the slot is skipped without loading anything further. Wherever only `theirs`
+ * has changed, its changes are taken as they are, and where `theirs` holds a child node there, the node itself is
+ * taken, link and all, so the subtree is neither loaded nor saved again. Only where both sides have changed the same
+ * part of the map are the entries compared key by key. A key changed on only one side takes that side's value, a key
+ * changed identically on both sides is left as it is, and a key changed differently on both sides is a conflict that is
+ * passed to `options.resolve()`.
+ *
+ * The result is built from `ours` as a single batch so only the new nodes are saved, and it will be the same,
+ * canonical, map that would be produced by applying the merged changes to `base` one at a time.
+ *
+ * All three maps must use the same `hashAlg`, `bitWidth` and `keyCodec` and are expected to share a backing store.
+ *
+ * @name iamap.merge
+ * @function
+ * @async
+ * @template T
+ * @param {IAMap<T>} base - The common ancestor of `ours` and `theirs`
+ * @param {IAMap<T>} ours - One side of the divergence, the returned map is built from this one
+ * @param {IAMap<T>} theirs - The other side of the divergence
+ * @param {Object} options - Options for the merge
+ * @param {function(any, any, any, any):any} options.resolve - Called with the `key`, decoded with the `keyCodec`
+ * where there is one, and the base, our and their values (any of which may be `undefined` if the key doesn't exist in that map) for each key that was changed
+ * differently on both sides. Return the value the merged map should hold for the key, or `undefined` to remove it.
+ * May return a `Promise`.
+ * @returns {Promise<IAMap<T>>} A `Promise` containing a new `IAMap` holding the merged contents.
+ */
+export function merge<T>(base: IAMap<T>, ours: IAMap<T>, theirs: IAMap<T>, options: {
+    resolve: (arg0: any, arg1: any, arg2: any, arg3: any) => any;
+}): Promise<IAMap<T>>;
+export { lruCache } from "./lru-cache.js";
+/**
+ * ```js
+ * try {
+ *   map = await map.set(key, value)
+ * } catch (err) {
+ *   if (err instanceof iamap.ValidationError) {
+ *     console.log(`rejected ${err.key}: ${err.message}`)
+ *   }
+ * }
+ * ```
+ *
+ * The error thrown when a key/value pair is rejected by the `validate` option (see {@link iamap.create}).
+ *
+ * @class
+ * @property {any} key - The key of the rejected pair, as it was provided.
+ */
+export class ValidationError extends Error {
+    /**
+     * @ignore
+     * @param {string} message
+     * @param {any} key
+     */
+    constructor(message: string, key: any);
+    key: any;
+}
 /**
  * Immutable Asynchronous Map
  *
@@ -160,7 +711,7 @@ export class IAMap<T> {
      * @param {number} [depth]
      * @param {Element[]} [data]
      */
-    constructor(store: Store<T>, options?: import("./interface").Options | undefined, map?: Uint8Array | undefined, depth?: number | undefined, data?: Element[] | undefined);
+    constructor(store: Store<T>, options?: Options, map?: Uint8Array, depth?: number, data?: Element[]);
     store: import("./interface").Store<T>;
     /**
      * @ignore
@@ -168,101 +719,278 @@ export class IAMap<T> {
      */
     id: any | null;
     config: import("./interface").Config;
-    map: Uint8Array;
+    map: Uint8Array<ArrayBufferLike>;
     depth: number;
     /**
      * @ignore
      * @type {ReadonlyElement}
      */
     data: ReadonlyElement;
+    /**
+     * @ignore
+     * @type {number|null}
+     */
+    count: number | null;
     /**
      * Asynchronously create a new `IAMap` instance identical to this one but with `key` set to `value`.
      *
-     * @param {(string|Uint8Array)} key - A key for the `value` being set whereby that same `value` may
+     * @param {any} key - A key for the `value` being set whereby that same `value` may
      * be retrieved with a `get()` operation with the same `key`. The type of the `key` object should either be a
-     * `Uint8Array` or be convertable to a `Uint8Array` via `TextEncoder.
+     * `Uint8Array` or be convertable to a `Uint8Array` via `TextEncoder`, or, where the map has a `keyCodec` (see
+     * {@link iamap.create}), any key that the codec can encode.
      * @param {any} value - Any value that can be stored in the backing store. A value could be a serialisable object
      * or an address or content address or other kind of link to the actual value.
-     * @param {Uint8Array} [_cachedHash] - for internal use
      * @returns {Promise<IAMap<T>>} A `Promise` containing a new `IAMap` that contains the new key/value pair.
+     * Rejects with a {@link ValidationError} where the map has a `validate` option (see {@link iamap.create}) that
+     * rejects the key/value pair.
      * @async
      */
-    set(key: (string | Uint8Array), value: any, _cachedHash?: Uint8Array | undefined): Promise<IAMap<T>>;
+    set(key: any, value: any): Promise<IAMap<T>>;
     /**
      * Asynchronously find and return a value for the given `key` if it exists within this `IAMap`.
      *
-     * @param {string|Uint8Array} key - A key for the value being sought. See {@link IAMap#set} for
+     * @param {any} key - A key for the value being sought. See {@link IAMap#set} for
      * details about acceptable `key` types.
      * @param {Uint8Array} [_cachedHash] - for internal use
      * @returns {Promise<any>} A `Promise` that resolves to the value being sought if that value exists within this `IAMap`. If the
      * key is not found in this `IAMap`, the `Promise` will resolve to `undefined`.
      * @async
      */
-    get(key: string | Uint8Array, _cachedHash?: Uint8Array | undefined): Promise<any>;
+    get(key: any, _cachedHash?: Uint8Array): Promise<any>;
     /**
      * Asynchronously find and return a boolean indicating whether the given `key` exists within this `IAMap`
      *
-     * @param {string|Uint8Array} key - A key to check for existence within this `IAMap`. See
+     * @param {any} key - A key to check for existence within this `IAMap`. See
      * {@link IAMap#set} for details about acceptable `key` types.
      * @returns {Promise<boolean>} A `Promise` that resolves to either `true` or `false` depending on whether the `key` exists
      * within this `IAMap`.
      * @async
      */
-    has(key: string | Uint8Array): Promise<boolean>;
+    has(key: any): Promise<boolean>;
+    /**
+     * Asynchronously collect the nodes needed to prove that `key` is, or is not, present within this `IAMap`, so that
+     * it can be checked against the ID of this `IAMap` by a party that does not have access to the backing store. See
+     * {@link iamap.verifyProof}.
+     *
+     * The proof is an array of the serialized forms of the nodes on the path from this node to the bucket that holds
+     * the `key`, or to the empty slot or bucket that shows it is absent. The first node is this node and each node
+     * after it is the child linked from the node before. Inlined child nodes are part of their parents so are not
+     * listed separately.
+     *
+     * @param {any} key - A key to prove the presence or absence of. See {@link IAMap#set} for details
+     * about acceptable `key` types.
+     * @returns {Promise<(SerializedNode|SerializedRoot|KeyedNode|KeyedRoot)[]>} A `Promise` that resolves to an array of serialized nodes.
+     * @async
+     */
+    prove(key: any): Promise<(SerializedNode | SerializedRoot | KeyedNode | KeyedRoot)[]>;
     /**
      * Asynchronously create a new `IAMap` instance identical to this one but with `key` and its associated
      * value removed. If the `key` does not exist within this `IAMap`, this instance of `IAMap` is returned.
      *
-     * @param {string|Uint8Array} key - A key to remove. See {@link IAMap#set} for details about
+     * @param {any} key - A key to remove. See {@link IAMap#set} for details about
      * acceptable `key` types.
-     * @param {Uint8Array} [_cachedHash] - for internal use
      * @returns {Promise<IAMap<T>>} A `Promise` that resolves to a new `IAMap` instance without the given `key` or the same `IAMap`
      * instance if `key` does not exist within it.
      * @async
      */
-    delete(key: string | Uint8Array, _cachedHash?: Uint8Array | undefined): Promise<IAMap<T>>;
+    delete(key: any): Promise<IAMap<T>>;
+    /**
+     * @ignore
+     * @overload
+     * @param {BatchOperation[]} operations
+     * @returns {Promise<IAMap<T>>}
+     */
+    batch(operations: BatchOperation[]): Promise<IAMap<T>>;
+    /**
+     * @ignore
+     * @overload
+     * @returns {Batch<T>}
+     */
+    batch(): Batch<T>;
+    /**
+     * Begin a transaction: a mutable working copy of this `IAMap` for making many changes where only the final result
+     * matters.
+     *
+     * ```js
+     * const tx = map.transaction()
+     * await tx.set('foo', 'bar')
+     * await tx.delete('baz')
+     * await tx.get('foo') // 'bar'
+     * map = await tx.commit()
+     * ```
+     *
+     * The transaction has asynchronous `set(key, value)`, `delete(key)`, `get(key)` and `has(key)` methods that
+     * behave as they do on an `IAMap` except that changes are made to nodes held in memory and are not saved to the
+     * backing store. Reads within the transaction see the changes made so far. Only nodes that have been changed are
+     * held in memory, the rest are loaded from the store as needed. Operations are applied in the order they are
+     * called, even if they are not awaited.
+     *
+     * `commit()` saves the changed nodes, from the bottom up, each one exactly once, and resolves to a new `IAMap`
+     * (or this `IAMap` if nothing changed). `abort()` discards the changes. Once committed or aborted, the
+     * transaction can no longer be used.
+     *
+     * This `IAMap` is not modified by the transaction.
+     *
+     * @returns {Transaction<T>} A new transaction
+     */
+    transaction(): Transaction<T>;
+    /**
+     * ```js
+     * const wider = await map.reconfigure({ bitWidth: 8 }, {
+     *   async onProgress ({ copied, checkpoint }) {
+     *     await saveCheckpoint(checkpoint) // to pass back as `checkpoint` if interrupted
+     *   }
+     * })
+     * ```
+     *
+     * Asynchronously copy the entries of this `IAMap` into a new map, in the same backing store, with different
+     * options, such as a new `bitWidth`, `bucketSize`, `hashAlg` or `hasher`. The options of a map are recorded in its
+     * nodes and can't be changed in place. Options that aren't given are carried over from this map; its hash function
+     * (`hashAlg`, `hasher` or `hashKey`) is carried over only where none of them are given. The `keyCodec` can't be
+     * changed: keys are copied as they are stored, encoded by this map's `keyCodec`.
+     *
+     * Entries are copied in batches of `batchSize`, read with {@link IAMap#page} and written with {@link IAMap#batch},
+     * so only a batch of entries is held in memory at a time. After each batch `onProgress()` is called with the number
+     * of entries copied so far and a `checkpoint`; where it returns a `Promise` it is awaited before the next batch.
+     * A copy that is interrupted can be resumed by passing the last `checkpoint` received, along with the same
+     * `newOptions`, to `reconfigure()` on this map. A checkpoint with a `null` `cursor` is complete.
+     *
+     * Nodes of the new map from earlier batches are left in the backing store, see {@link iamap.reachable} for finding
+     * the nodes that are no longer needed.
+     *
+     * @param {Options} newOptions - Options for the new map, as given to {@link iamap.create}.
+     * @param {Object} [options]
+     * @param {number} [options.batchSize=1000] - The number of entries to copy at a time.
+     * @param {function({ copied: number, checkpoint: ReconfigureCheckpoint }):any} [options.onProgress] - Called after
+     * each batch is copied.
+     * @param {ReconfigureCheckpoint} [options.checkpoint] - A checkpoint given to `onProgress()`, to resume a copy from.
+     * @returns {Promise<IAMap<T>>} A `Promise` resolving to the new `IAMap`.
+     * @async
+     */
+    reconfigure(newOptions: Options, options?: {
+        batchSize?: number | undefined;
+        onProgress?: ((arg0: {
+            copied: number;
+            checkpoint: ReconfigureCheckpoint;
+        }) => any) | undefined;
+        checkpoint?: import("./interface").ReconfigureCheckpoint | undefined;
+    }): Promise<IAMap<T>>;
     /**
      * Asynchronously count the number of key/value pairs contained within this `IAMap`, including its children.
+     * Where the map is `counted` (see {@link iamap.create}) this is read from this node and no child nodes are loaded.
      *
+     * @param {TraverseOptions} [options] - `{ concurrency }`, the number of sibling child nodes to load in parallel
+     * (default `1`). See {@link IAMap#entries}.
      * @returns {Promise<number>} A `Promise` with a `number` indicating the number of key/value pairs within this `IAMap` instance.
      * @async
      */
-    size(): Promise<number>;
+    size(options?: TraverseOptions): Promise<number>;
     /**
      * Asynchronously emit all keys that exist within this `IAMap`, including its children. This will cause a full
      * traversal of all nodes.
      *
-     * @returns {AsyncGenerator<Uint8Array>} An async iterator that yields keys. All keys will be in `Uint8Array` format regardless of which
-     * format they were inserted via `set()`.
+     * @param {IterateOptions} [options] - See {@link IAMap#entries} for ordering and concurrency options.
+     * @returns {AsyncGenerator<any>} An async iterator that yields keys. All keys will be in `Uint8Array` format regardless of which
+     * format they were inserted via `set()`, unless the map has a `keyCodec` (see {@link iamap.create}), in which case they
+     * are decoded with it.
      * @async
      */
-    keys(): AsyncGenerator<Uint8Array>;
+    keys(options?: IterateOptions): AsyncGenerator<any>;
     /**
      * Asynchronously emit all values that exist within this `IAMap`, including its children. This will cause a full
      * traversal of all nodes.
      *
+     * @param {IterateOptions} [options] - See {@link IAMap#entries} for ordering and concurrency options.
      * @returns {AsyncGenerator<any>} An async iterator that yields values.
      * @async
      */
-    values(): AsyncGenerator<any>;
+    values(options?: IterateOptions): AsyncGenerator<any>;
     /**
      * Asynchronously emit all { key, value } pairs that exist within this `IAMap`, including its children. This will
      * cause a full traversal of all nodes.
      *
-     * @returns {AsyncGenerator<{ key: Uint8Array, value: any}>} An async iterator that yields objects with the properties `key` and `value`.
+     * By default, entries are emitted in the order they are stored, which is determined by the hashes of their keys.
+     * This order is stable for a given set of keys but is otherwise meaningless. With `{ order: 'key' }`, entries are
+     * emitted sorted by the bytes of their keys instead:
+     *
+     * ```js
+     * for await (const { key, value } of map.entries({ order: 'key' })) {
+     *   // ...
+     * }
+     * ```
+     *
+     * Because keys sorted by their bytes are scattered throughout the map, key order is more costly. Up to
+     * `windowSize` entries are held in memory at a time: a full traversal of the map finds the smallest `windowSize`
+     * keys, which are then emitted, and then another full traversal finds the next `windowSize` keys after the last one
+     * emitted, and so on. A map of `n` entries therefore takes `ceil(n / windowSize)` full traversals, and nothing is
+     * emitted until the first traversal is complete. A `windowSize` at least as large as the map will sort it in a
+     * single traversal, holding every entry in memory, which is the same cost as collecting all entries and sorting
+     * them; a smaller `windowSize` bounds memory use at the cost of loading every node once per window. Using a `cache`
+     * (see {@link iamap.create}) can reduce the cost of repeated traversals.
+     *
+     * Child nodes are loaded one at a time by default. Where the backing store has latency, such as a disk or network,
+     * a `concurrency` greater than `1` will load up to that many sibling child nodes in parallel, ahead of the
+     * traversal. Entries are emitted in the same order regardless. Loading ahead only continues as entries are consumed,
+     * so memory use remains bounded when the consumer is slow: at most `concurrency` nodes are held, loaded but not yet
+     * visited, at each level of the map.
+     *
+     * @param {IterateOptions} [options] - `{ order, windowSize, concurrency }` where `order` is `'hash'` (the default)
+     * for storage order or `'key'` for key byte order, `windowSize` (default `1000`) is the maximum number of entries
+     * held in memory for `'key'` order and `concurrency` (default `1`) is the number of sibling child nodes to load in
+     * parallel.
+     * @returns {AsyncGenerator<{ key: any, value: any}>} An async iterator that yields objects with the properties `key` and `value`.
      * @async
      */
-    entries(): AsyncGenerator<{
-        key: Uint8Array;
+    entries(options?: IterateOptions): AsyncGenerator<{
+        key: any;
         value: any;
     }>;
     /**
-     * Asynchronously emit the IDs of this `IAMap` and all of its children.
+     * Asynchronously fetch a page of entries from this `IAMap`, in the same order as {@link IAMap#entries}, along with a
+     * cursor that can be used to fetch the next page.
+     *
+     * ```js
+     * let { entries, next } = await map.page({ limit: 100 })
+     * // ... later, perhaps in another process with a map loaded from the same root ID
+     * ({ entries, next } = await map.page({ limit: 100, cursor: next }))
+     * ```
+     *
+     * The cursor is an opaque string recording the position in the map of the first entry that wasn't returned, by
+     * the slot it occupies at each level of the map and its index within its bucket. Fetching the next page loads only
+     * the nodes on the path to that position and those that follow it, earlier parts of the map are not walked again.
+     *
+     * A cursor is only meaningful for the map it was created from (i.e. the same root ID). Using it with another
+     * version of the map, after entries have been added or removed, may skip or repeat entries, and is rejected where
+     * the cursor's position doesn't match the structure of the map, such as where a bucket has become a child node.
+     *
+     * @param {Object} options
+     * @param {number} options.limit - The maximum number of entries to return.
+     * @param {string|null} [options.cursor] - The `next` cursor from a previous page, or `null` or absent for the first
+     * page.
+     * @returns {Promise<{ entries: { key: any, value: any }[], next: string|null }>} A `Promise` resolving to up to
+     * `limit` entries and the cursor for the next page, which is `null` when there are no more entries.
+     * @async
+     */
+    page(options: {
+        limit: number;
+        cursor?: string | null | undefined;
+    }): Promise<{
+        entries: {
+            key: any;
+            value: any;
+        }[];
+        next: string | null;
+    }>;
+    /**
+     * Asynchronously emit the IDs of this `IAMap` and all of its children. Child nodes that are inlined within their
+     * parent (see the `inlineThreshold` option of {@link iamap.create}) don't have IDs of their own so are not included.
      *
+     * @param {TraverseOptions} [options] - `{ concurrency }`, the number of sibling child nodes to load in parallel
+     * (default `1`). See {@link IAMap#entries}.
      * @returns {AsyncGenerator<any>} An async iterator that yields the ID of this `IAMap` and all of its children. The type of ID is
      * determined by the backing store which is responsible for generating IDs upon `save()` operations.
      */
-    ids(): AsyncGenerator<any>;
+    ids(options?: TraverseOptions): AsyncGenerator<any>;
     /**
      * Returns a serialisable form of this `IAMap` node. The internal representation of this local node is copied into a plain
      * JavaScript `Object` including a representation of its data array that the key/value pairs it contains as well as
@@ -282,6 +1010,10 @@ export class IAMap<T> {
      * {
      *   hashAlg: number
      *   bucketSize: number
+     *   inlineThreshold: number // only present where inlining is enabled
+     *   counted: true // only present where link counts are enabled
+     *   keyCodec: string // only present where a key codec is used
+     *   hashKey: string // only present for keyed maps, the id of their secret
      *   hamt: [Uint8Array, Array]
      * }
      * ```
@@ -293,20 +1025,41 @@ export class IAMap<T> {
      *
      * The `Uint8Array` in both forms is the 'map' used to identify the presence of an element in this node.
      *
-     * The second element in the tuple in both forms, `Array`, is an elements array a mix of either buckets or links:
+     * The second element in the tuple in both forms, `Array`, is an elements array a mix of buckets, links and inlined
+     * child nodes:
      *
-     * * A bucket is an array of two elements, the first being a `key` of type `Uint8Array` and the second a `value`
-     *   or whatever type has been provided in `set()` operations for this `IAMap`.
+     * * A bucket is an array of entries, each of which is an array of two elements, the first being a `key` of type
+     *   `Uint8Array` and the second a `value` or whatever type has been provided in `set()` operations for this `IAMap`.
      * * A link is an object of the type that the backing store provides upon `save()` operations and can be identified
-     *   with `isLink()` calls.
+     *   with `isLink()` calls. In a `counted` map (see {@link iamap.create}) a link is an array of two elements, the
+     *   link and the number of entries within the child node it links to.
+     * * An inlined child node is the intermediate node form, `[Uint8Array, Array]`, of a child node small enough to fit
+     *   within the `inlineThreshold` (see {@link iamap.create}).
      *
      * Buckets and links are differentiated by their "kind": a bucket is an array while a link is a "link" kind as dictated
-     * by the backing store. We use `Array.isArray()` and `store.isLink()` to perform this differentiation.
+     * by the backing store. We use `Array.isArray()` and `store.isLink()` to perform this differentiation. An inlined
+     * child node is an array whose first element is a `Uint8Array`, where a bucket's first element is an array.
      *
-     * @returns {SerializedNode|SerializedRoot} An object representing the internal state of this local `IAMap` node, including its links to child nodes
+     * Maps created with the `ipld` format (see {@link iamap.create}) instead use the block layout of the
+     * [IPLD HashMap specification](https://github.com/ipld/specs/blob/master/data-structures/hashmap.md), with named
+     * fields in place of the tuple and a keyed union for elements so they can be differentiated without `isLink()`:
+     *
+     * ```
+     * {
+     *   hashAlg: string // the multicodec name of the hash function, e.g. 'murmur3-32'
+     *   bucketSize: number
+     *   map: Uint8Array
+     *   data: Array
+     * }
+     * ```
+     *
+     * Intermediate and leaf nodes are `{ map: Uint8Array, data: Array }` and each element of `data` is either
+     * `{ "0": link }` or `{ "1": bucket }`.
+     *
+     * @returns {SerializedNode|SerializedRoot|SerializedSetRoot|KeyedNode|KeyedRoot} An object representing the internal state of this local `IAMap` node, including its links to child nodes
      * if any.
      */
-    toSerializable(): import("./interface").SerializedNode | SerializedRoot;
+    toSerializable(): SerializedNode | SerializedRoot | SerializedSetRoot | KeyedNode | KeyedRoot;
     /**
      * Calculate the number of entries locally stored by this node. Performs a scan of local buckets and adds up
      * their size.
@@ -331,6 +1084,41 @@ export class IAMap<T> {
      * @returns {Promise<boolean>} A Promise with a boolean value indicating whether this IAMap is correctly formatted.
      */
     isInvariant(): Promise<boolean>;
+    /**
+     * Get the number of child node loads made by this `IAMap`, its children and the maps derived from it that were
+     * served by the `cache` (see {@link iamap.create}), and the number that had to be loaded from the backing store.
+     * Both are `0` where no `cache` is in use.
+     *
+     * @returns {CacheStats} An object of the form `{ hits, misses }`.
+     */
+    cacheStats(): CacheStats;
+    /**
+     * ```js
+     * const { nodes, depths, buckets, fill, size } = await map.stats({ sizeOf: (node) => dagCbor.encode(node).length })
+     * ```
+     *
+     * Asynchronously measure the shape of this `IAMap` and its children, to help choose a `bitWidth` and `bucketSize`
+     * (see {@link iamap.create}) that suit its keys. This performs a full traversal of the map. Depths are counted from
+     * this node, which is usually the root. See {@link iamap.simulate} to compare the shapes that different options
+     * would give the same keys.
+     *
+     * @param {StatsOptions} [options] - `{ sizeOf, concurrency }`, where `sizeOf(node)` returns the size of the
+     * serialized form of a node (see {@link IAMap#toSerializable}), such as the length of its encoded bytes, the
+     * backing store's `sizeOf()` is used where it isn't provided. `concurrency` is the number of sibling child nodes to
+     * load in parallel (default `1`), see {@link IAMap#entries}.
+     * @returns {Promise<MapStats>} A `Promise` resolving to an object with the properties:
+     * * `nodes`: the number of nodes, including inlined children
+     * * `entries`: the number of key/value pairs
+     * * `maxDepth`: the depth of the deepest node, `0` where there are no child nodes
+     * * `depths`: the number of nodes at each depth, `depths[0]` is `1`
+     * * `buckets`: the number of buckets holding each number of entries, `buckets[2]` is the number holding 2 entries
+     * * `fill`: for each depth, the average proportion of the slots in the bitmaps of the nodes at that depth that are
+     *   in use, between `0` and `1`
+     * * `size`: `{ total, average }`, the total and average size of the nodes that are stored, inlined children are
+     *   included in the size of their parent; `null` where there is no `sizeOf()`
+     * @async
+     */
+    stats(options?: StatsOptions): Promise<MapStats>;
     /**
      * A convenience shortcut to {@link iamap.fromSerializable} that uses this IAMap node instance's backing `store` and
      * configuration `options`. Intended to be used to instantiate child IAMap nodes from a root IAMap node.
@@ -339,7 +1127,7 @@ export class IAMap<T> {
      * @param {any} serializable The serializable form of an IAMap node to be instantiated.
      * @param {number} [depth=0] The depth of the IAMap node. See {@link iamap.fromSerializable}.
     */
-    fromChildSerializable(id: any, serializable: any, depth?: number | undefined): IAMap<T>;
+    fromChildSerializable(id: any, serializable: any, depth?: number): IAMap<T>;
 }
 export namespace IAMap {
     /**
@@ -347,18 +1135,168 @@ export namespace IAMap {
      * @param {IAMap<T> | any} node
      * @returns {boolean}
      */
-    function isIAMap<T_1>(node: any): boolean;
+    function isIAMap<T_1>(node: IAMap<T_1> | any): boolean;
+}
+/**
+ * ```js
+ * let set = await iamap.createSet(store, { hashAlg: 0x23 })
+ * set = await set.add('foo')
+ * await set.has('foo') // true
+ * for await (const key of set) {
+ *   // ...
+ * }
+ * ```
+ *
+ * An immutable, asynchronous set of keys. An `IASet` is the trie of an {@link IAMap} without the values: its buckets
+ * hold keys alone, and its root node is marked by a `hamtSet` property in place of `hamt` so that it can't be loaded
+ * as an `IAMap`, nor an `IAMap` as an `IASet`. Its child nodes have the same form as those of an `IAMap`, see
+ * {@link IAMap#toSerializable}.
+ *
+ * Create a new `IASet` with {@link iamap.createSet} or load an existing one with {@link iamap.loadSet}. Each
+ * mutation returns a new `IASet`, leaving this one unchanged.
+ *
+ * @class
+ * @template T
+ * @property {any} id - The ID of the root node of this `IASet`, as provided by the backing store.
+ * @property {Config} config - The configuration of this `IASet`, see {@link iamap.createSet}.
+ */
+export class IASet<T> {
+    /**
+     * @ignore
+     * @param {IAMap<T>} trie - the nodes holding the keys, the value of each is `true`
+     */
+    constructor(trie: IAMap<T>);
+    /**
+     * @ignore
+     * @type {IAMap<T>}
+     */
+    trie: IAMap<T>;
+    id: any;
+    config: import("./interface").Config;
+    /**
+     * Asynchronously create a new `IASet` instance identical to this one but with `key` added.
+     *
+     * @param {any} key - A key to add, see {@link IAMap#set} for details about acceptable `key` types.
+     * @returns {Promise<IASet<T>>} A `Promise` containing a new `IASet` that contains `key`, or this `IASet` if it
+     * already did.
+     * @async
+     */
+    add(key: any): Promise<IASet<T>>;
+    /**
+     * Asynchronously create a new `IASet` instance identical to this one but with `key` removed.
+     *
+     * @param {any} key - A key to remove, see {@link IAMap#set} for details about acceptable `key` types.
+     * @returns {Promise<IASet<T>>} A `Promise` containing a new `IASet` that doesn't contain `key`, or this `IASet` if
+     * it didn't.
+     * @async
+     */
+    delete(key: any): Promise<IASet<T>>;
+    /**
+     * Asynchronously find whether `key` is a member of this `IASet`.
+     *
+     * @param {any} key - A key to check for, see {@link IAMap#set} for details about acceptable `key` types.
+     * @returns {Promise<boolean>} A `Promise` that resolves to `true` where `key` is in this `IASet`.
+     * @async
+     */
+    has(key: any): Promise<boolean>;
+    /**
+     * Asynchronously count the number of keys in this `IASet`. See {@link IAMap#size}.
+     *
+     * @param {TraverseOptions} [options] - `{ concurrency }`, see {@link IAMap#entries}.
+     * @returns {Promise<number>} A `Promise` with the number of keys.
+     * @async
+     */
+    size(options?: TraverseOptions): Promise<number>;
+    /**
+     * Asynchronously emit all keys in this `IASet`. An `IASet` is also an async iterable of its keys.
+     *
+     * @param {IterateOptions} [options] - See {@link IAMap#entries} for ordering and concurrency options.
+     * @returns {AsyncGenerator<any>} An async iterator that yields keys, as `Uint8Array`s unless the set has a
+     * `keyCodec`, as {@link IAMap#keys} does.
+     * @async
+     */
+    keys(options?: IterateOptions): AsyncGenerator<any>;
+    /**
+     * Asynchronously emit the IDs of the root node of this `IASet` and all of its children. See {@link IAMap#ids}.
+     *
+     * @param {TraverseOptions} [options] - `{ concurrency }`, see {@link IAMap#entries}.
+     * @returns {AsyncGenerator<any>} An async iterator that yields IDs.
+     */
+    ids(options?: TraverseOptions): AsyncGenerator<any>;
+    /**
+     * Returns the serializable form of the root node of this `IASet`:
+     *
+     * ```
+     * {
+     *   hashAlg: number
+     *   bucketSize: number
+     *   inlineThreshold: number // only present where inlining is enabled
+     *   counted: true // only present where link counts are enabled
+     *   keyCodec: string // only present where a key codec is used
+     *   hashKey: string // only present for keyed sets, the id of their secret
+     *   hamtSet: [Uint8Array, Array]
+     * }
+     * ```
+     *
+     * Child nodes are of the form `[Uint8Array, Array]`, as described for {@link IAMap#toSerializable}, other than
+     * their buckets, which are arrays of keys rather than of `[key, value]` pairs.
+     *
+     * @returns {SerializedSetRoot}
+     */
+    toSerializable(): SerializedSetRoot;
+    /**
+     * @ignore
+     * @param {IAMap<T>} trie
+     * @returns {IASet<T>}
+     */
+    derive(trie: IAMap<T>): IASet<T>;
+    /**
+     * @returns {AsyncGenerator<any>}
+     */
+    [Symbol.asyncIterator](): AsyncGenerator<any>;
 }
 /**
  * <T>
  */
-export type Store<T> = import('./interface').Store<T>;
-export type Config = import('./interface').Config;
-export type Options = import('./interface').Options;
-export type SerializedKV = import('./interface').SerializedKV;
-export type SerializedElement = import('./interface').SerializedElement;
-export type SerializedNode = import('./interface').SerializedNode;
-export type SerializedRoot = import('./interface').SerializedRoot;
+export type Store<T> = import("./interface").Store<T>;
+export type Config = import("./interface").Config;
+export type Options = import("./interface").Options;
+export type RuntimeOptions = import("./interface").RuntimeOptions;
+export type CacheStats = import("./interface").CacheStats;
+export type KeyCodec = import("./interface").KeyCodec;
+export type ValidateSchema = import("./interface").ValidateSchema;
+export type IterateOptions = import("./interface").IterateOptions;
+export type TraverseOptions = import("./interface").TraverseOptions;
+export type StatsOptions = import("./interface").StatsOptions;
+export type MapStats = import("./interface").MapStats;
+export type ReconfigureCheckpoint = import("./interface").ReconfigureCheckpoint;
+export type SerializedKV = import("./interface").SerializedKV;
+export type SerializedElement = import("./interface").SerializedElement;
+export type SerializedNode = import("./interface").SerializedNode;
+export type SerializedRoot = import("./interface").SerializedRoot;
+export type SerializedSetRoot = import("./interface").SerializedSetRoot;
+export type KeyedElement = import("./interface").KeyedElement;
+export type KeyedNode = import("./interface").KeyedNode;
+export type KeyedRoot = import("./interface").KeyedRoot;
+export type Format = import("./interface").Format;
+export type Writable = import("./interface").Writable;
+export type MultihashHasher = import("./interface").MultihashHasher;
+export type HashKey = import("./interface").HashKey;
+export type BatchOperation = import("./interface").BatchOperation;
+export type Entry = import("./interface").Entry;
+export type HashedEntry = {
+    key: Uint8Array;
+    value: any;
+    hash: Uint8Array;
+};
+export type MergeChange = {
+    key: Uint8Array;
+    value: any;
+    element?: undefined;
+} | {
+    path: number[];
+    element: Element;
+};
 export type Hasher = (inp: Uint8Array) => (Uint8Array | Promise<Uint8Array>);
 export type Registry = {
     hasher: Hasher;
@@ -384,34 +1322,253 @@ declare class Element {
      * @ignore
      * @param {KV[]} [bucket]
      * @param {any} [link]
+     * @param {boolean} [inline] - `link` is a child IAMap that is serialized as part of its parent
+     * @param {number|null} [count] - the number of entries within the linked child, for `counted` maps, taken from
+     * `link` where it is an IAMap
      */
-    constructor(bucket?: KV[] | undefined, link?: any);
+    constructor(bucket?: KV[], link?: any, inline?: boolean, count?: number | null);
     bucket: KV[] | null;
     link: any;
+    inline: boolean;
+    /** @type {number|null} */
+    count: number | null;
     /**
      * @ignore
-     * @returns {SerializedElement}
+     * @param {Format} format
+     * @param {boolean} [keysOnly] - a bucket of an IASet, holding keys without values
+     * @returns {SerializedElement|KeyedElement}
      */
-    toSerializable(): SerializedElement;
+    toSerializable(format: Format, keysOnly?: boolean): SerializedElement | KeyedElement;
 }
 declare namespace Element {
     /**
      * @ignore
      * @param {IsLink} isLink
      * @param {any} obj
+     * @param {(serializable:SerializedNode)=>IAMap<any>} inlineChild - instantiate an inlined child node
+     * @param {Format} format
+     * @param {boolean} [keysOnly] - a node of an IASet, its buckets hold keys without values
      * @returns {Element}
      */
-    function fromSerializable(isLink: IsLink, obj: any): Element;
+    function fromSerializable(isLink: IsLink, obj: any, inlineChild: (serializable: SerializedNode) => IAMap<any>, format: Format, keysOnly?: boolean): Element;
+}
+/**
+ * The state of a lookup created by {@link iamap.traverseGet}.
+ *
+ * @class
+ */
+declare class GetTraversal {
+    /**
+     * @ignore
+     * @param {SerializedRoot|KeyedRoot} root
+     * @param {Uint8Array} key
+     * @param {Uint8Array} hash
+     */
+    constructor(root: SerializedRoot | KeyedRoot, key: Uint8Array, hash: Uint8Array);
+    format: import("./interface").Format;
+    node: [Uint8Array<ArrayBufferLike>, any[]];
+    key: Uint8Array<ArrayBufferLike>;
+    hash: Uint8Array<ArrayBufferLike>;
+    bitWidth: number;
+    depth: number;
+    /** @type {{ found: boolean, value?: any }|null} */
+    result: {
+        found: boolean;
+        value?: any;
+    } | null;
+    waiting: boolean;
+    /**
+     * Advance the lookup.
+     *
+     * @returns {any} The link to the node that must be provided to `next()`, or `null` when the lookup is complete.
+     */
+    traverse(): any;
+    /**
+     * Provide the node whose link was last returned by `traverse()`.
+     *
+     * @param {any} block - The serialized form of the node.
+     */
+    next(block: any): void;
+    /**
+     * @returns {boolean} Whether the key is present, once `traverse()` has returned `null`.
+     */
+    found(): boolean;
+    /**
+     * @returns {any} The value of the key, or `undefined` where it is not present, once `traverse()` has returned
+     * `null`.
+     */
+    value(): any;
+    /**
+     * @ignore
+     * @returns {{ found: boolean, value?: any }}
+     */
+    completed(): {
+        found: boolean;
+        value?: any;
+    };
+}
+/**
+ * The state of a walk of entries created by {@link iamap.traverseEntries}.
+ *
+ * @class
+ */
+declare class EntriesTraversal {
+    /**
+     * @ignore
+     * @param {SerializedRoot|KeyedRoot} root
+     */
+    constructor(root: SerializedRoot | KeyedRoot);
+    format: import("./interface").Format;
+    /** @type {{ data: SerializedElement[], at: number }[]} */
+    stack: {
+        data: SerializedElement[];
+        at: number;
+    }[];
+    keyCodec: string | undefined;
+    /** @type {{ key: any, value: any }[]} */
+    collected: {
+        key: any;
+        value: any;
+    }[];
+    waiting: boolean;
+    /**
+     * Advance the walk, collecting entries until a node is needed.
+     *
+     * @returns {any} The link to the node that must be provided to `next()`, or `null` when the walk is complete.
+     */
+    traverse(): any;
+    /**
+     * Provide the node whose link was last returned by `traverse()`.
+     *
+     * @param {any} block - The serialized form of the node.
+     */
+    next(block: any): void;
+    /**
+     * @returns {Generator<{ key: any, value: any }>} The entries collected since the last call to `entries()`,
+     * `keys()` or `values()`. Keys are decoded with the `keyCodec`, where there is one.
+     */
+    entries(): Generator<{
+        key: any;
+        value: any;
+    }>;
+    /**
+     * @returns {Generator<any>} The keys of the entries collected since the last call to `entries()`, `keys()`
+     * or `values()`.
+     */
+    keys(): Generator<any>;
+    /**
+     * @returns {Generator<any>} The values of the entries collected since the last call to `entries()`, `keys()` or
+     * `values()`.
+     */
+    values(): Generator<any>;
 }
 /**
- * internal utility to fetch a map instance's hash function
+ * A chained batch, as returned by {@link IAMap#batch} when called without arguments.
  *
  * @ignore
  * @template T
- * @param {IAMap<T>} map
- * @returns {Hasher}
  */
-declare function hasher<T>(map: IAMap<T>): Hasher;
+declare class Batch<T> {
+    /**
+     * @ignore
+     * @param {IAMap<T>} map
+     */
+    constructor(map: IAMap<T>);
+    map: IAMap<T>;
+    /**
+     * @ignore
+     * @type {BatchOperation[]}
+     */
+    operations: BatchOperation[];
+    /**
+     * @ignore
+     * @param {any} key
+     * @param {any} value
+     * @returns {Batch<T>}
+     */
+    put(key: any, value: any): Batch<T>;
+    /**
+     * @ignore
+     * @param {any} key
+     * @returns {Batch<T>}
+     */
+    del(key: any): Batch<T>;
+    /**
+     * @ignore
+     * @returns {number}
+     */
+    get length(): number;
+    /**
+     * @ignore
+     * @returns {Promise<IAMap<T>>}
+     */
+    write(): Promise<IAMap<T>>;
+}
+/**
+ * A mutable working copy of an `IAMap`, as returned by {@link IAMap#transaction}.
+ *
+ * @ignore
+ * @template T
+ */
+declare class Transaction<T> {
+    /**
+     * @ignore
+     * @param {IAMap<T>} map
+     */
+    constructor(map: IAMap<T>);
+    /**
+     * @ignore
+     * @type {IAMap<T>|null}
+     */
+    node: IAMap<T> | null;
+    /**
+     * @ignore
+     * @type {Promise<any>}
+     */
+    queue: Promise<any>;
+    /**
+     * @ignore
+     * @template R
+     * @param {(node:IAMap<T>)=>Promise<R>} fn
+     * @returns {Promise<R>}
+     */
+    run<R>(fn: (node: IAMap<T>) => Promise<R>): Promise<R>;
+    /**
+     * @ignore
+     * @param {any} key
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    set(key: any, value: any): Promise<void>;
+    /**
+     * @ignore
+     * @param {any} key
+     * @returns {Promise<void>}
+     */
+    delete(key: any): Promise<void>;
+    /**
+     * @ignore
+     * @param {any} key
+     * @returns {Promise<any>}
+     */
+    get(key: any): Promise<any>;
+    /**
+     * @ignore
+     * @param {any} key
+     * @returns {Promise<boolean>}
+     */
+    has(key: any): Promise<boolean>;
+    /**
+     * @ignore
+     * @returns {Promise<IAMap<T>>}
+     */
+    commit(): Promise<IAMap<T>>;
+    /**
+     * @ignore
+     * @returns {Promise<void>}
+     */
+    abort(): Promise<void>;
+}
 /**
  * @ignore
  */
@@ -422,13 +1579,13 @@ declare class KV {
      * @param {any} value
      */
     constructor(key: Uint8Array, value: any);
-    key: Uint8Array;
+    key: Uint8Array<ArrayBufferLike>;
     value: any;
     /**
      * @ignore
      * @returns {SerializedKV}
      */
-    toSerializable(): import("./interface").SerializedKV;
+    toSerializable(): SerializedKV;
 }
 declare namespace KV {
     /**
@@ -436,7 +1593,13 @@ declare namespace KV {
      * @param {SerializedKV} obj
      * @returns {KV}
      */
-    function fromSerializable(obj: import("./interface").SerializedKV): KV;
+    function fromSerializable(obj: SerializedKV): KV;
+    /**
+     * an entry of an IASet, which is serialized as its key alone
+     * @ignore
+     * @param {Uint8Array} key
+     * @returns {KV}
+     */
+    function fromKey(key: Uint8Array): KV;
 }
-export {};
 //# sourceMappingURL=iamap.d.ts.map
\ No newline at end of file
@@ -3,26 +3,151 @@ export interface Store<T> {
     load(id: T): Promise<any>;
     isLink(link: T): boolean;
     isEqual(link1: T, link2: T): boolean;
+    sizeOf?(node: any): number;
+    delete?(link: T): Promise<void> | void;
+    loadBlock?(link: T): Promise<Block>;
+    saveBlock?(cid: Uint8Array, bytes: Uint8Array): Promise<T>;
 }
-export interface Options {
+export interface Block {
+    cid: Uint8Array;
+    bytes: Uint8Array;
+    node?: any;
+}
+export interface Writable {
+    write(bytes: Uint8Array): any;
+}
+export interface NodeCache {
+    get(link: any): any | undefined;
+    set(link: any, node: any): void;
+}
+export interface KeyCodec {
+    encode(key: any): Uint8Array;
+    decode(bytes: Uint8Array): any;
+}
+export interface ValidateSchema {
+    type?: string | string[];
+    maxKeyLength?: number;
+    maxValueSize?: number;
+}
+export type Validate = ((key: any, value: any) => boolean | string | void | Promise<boolean | string | void>) | ValidateSchema;
+export interface CacheStats {
+    hits: number;
+    misses: number;
+}
+export interface RuntimeOptions {
+    cache?: NodeCache;
+    validate?: Validate;
+    hasher?: MultihashHasher;
+    hashKey?: HashKey;
+}
+export interface HashKey {
+    id: string;
+    secret: Uint8Array;
+}
+export interface MultihashHasher {
+    code: number;
+    bytes?: number;
+    digest(input: Uint8Array): Digest | Promise<Digest>;
+}
+type Digest = Uint8Array | {
+    digest: Uint8Array;
+};
+export interface Options extends RuntimeOptions {
     bitWidth?: number;
     bucketSize?: number;
-    hashAlg: number;
+    inlineThreshold?: number;
+    counted?: boolean;
+    keyCodec?: string;
+    format?: Format;
+    hashAlg?: number;
 }
 export interface Config {
     bitWidth: number;
     bucketSize: number;
+    inlineThreshold: number;
+    counted: boolean;
+    keyCodec?: string;
+    format: Format;
     hashAlg: number;
+    cache?: NodeCache;
+    cacheStats?: CacheStats;
+    validate?: Validate;
+    hasher?: MultihashHasher;
+    hashKey?: HashKey;
+    keysOnly?: boolean;
 }
 export type SerializedKV = [Uint8Array, any];
 export type SerializedElement = SerializedKV | any;
+export type KeyedElement = {
+    0: any;
+} | {
+    1: SerializedKV[];
+};
 type NodeMap = Uint8Array;
 type NodeData = SerializedElement[];
 export type SerializedNode = [NodeMap, NodeData];
 export interface SerializedRoot {
     hashAlg: number;
     bucketSize: number;
+    inlineThreshold?: number;
+    counted?: boolean;
+    keyCodec?: string;
+    hashKey?: string;
     hamt: SerializedNode;
 }
+export interface SerializedSetRoot extends Omit<SerializedRoot, 'hamt'> {
+    hamtSet: SerializedNode;
+}
+export interface KeyedNode {
+    map: NodeMap;
+    data: KeyedElement[];
+}
+export interface KeyedRoot extends KeyedNode {
+    hashAlg: string;
+    bucketSize: number;
+}
+export type Format = 'iamap' | 'ipld';
+export interface TraverseOptions {
+    concurrency?: number;
+}
+export interface StatsOptions extends TraverseOptions {
+    sizeOf?(node: any): number;
+}
+export interface MapStats {
+    nodes: number;
+    entries: number;
+    maxDepth: number;
+    depths: number[];
+    buckets: number[];
+    fill: number[];
+    size: {
+        total: number;
+        average: number;
+    } | null;
+}
+export interface ReconfigureCheckpoint {
+    id: any;
+    cursor: string | null;
+    copied: number;
+}
+export interface IterateOptions extends TraverseOptions {
+    order?: 'hash' | 'key';
+    windowSize?: number;
+}
+export type BatchOperation = {
+    type: 'put';
+    key: any;
+    value: any;
+} | {
+    type: 'del';
+    key: any;
+};
+export type Entry = [
+    any,
+    any
+] | {
+    key: any;
+    value: any;
+};
 export {};
 //# sourceMappingURL=interface.d.ts.map
\ No newline at end of file
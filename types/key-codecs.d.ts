@@ -0,0 +1,31 @@
+/**
+ * Numbers, as 8-byte big-endian IEEE 754 doubles with the sign bit flipped for positive numbers and every bit flipped
+ * for negative numbers. `-0` is stored as `0`.
+ *
+ * @type {KeyCodec}
+ */
+export const number: KeyCodec;
+/**
+ * BigInts, as a sign byte, a length byte and the big-endian bytes of the magnitude, with the length and magnitude
+ * bytes flipped for negative numbers. Magnitudes up to 255 bytes are supported.
+ *
+ * @type {KeyCodec}
+ */
+export const bigint: KeyCodec;
+/**
+ * Arrays of strings, numbers, bigints, `Uint8Array`s and nested arrays of the same. Each element is a type tag
+ * followed by its encoding; strings and bytes end with a `0x00` byte, with any `0x00` within them escaped as
+ * `0x00 0xff`, and nested arrays end with a `0x00` byte. Arrays are ordered element by element, with elements of
+ * different types ordered by type, and an array sorts before any longer array it is a prefix of.
+ *
+ * @type {KeyCodec}
+ */
+export const tuple: KeyCodec;
+/**
+ * UUID strings, in their canonical hyphenated form, as their 16 bytes. Decoded UUIDs are lower case.
+ *
+ * @type {KeyCodec}
+ */
+export const uuid: KeyCodec;
+export type KeyCodec = import("./interface").KeyCodec;
+//# sourceMappingURL=key-codecs.d.ts.map
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * @typedef {import('./interface').NodeCache} NodeCache
+ */
+/**
+ * ```js
+ * let map = await iamap.load(store, id, { cache: iamap.lruCache(1000) })
+ * ```
+ *
+ * Create a simple size-bounded cache suitable for the `cache` option of {@link iamap.create} and {@link iamap.load}.
+ * When more than `maxSize` nodes are held, the least recently used node is evicted.
+ *
+ * Nodes are keyed by the string form of their link, so links must have a unique string form, as CIDs do. For links
+ * that don't, provide a custom cache with `get(link)` and `set(link, node)` methods.
+ *
+ * @name iamap.lruCache
+ * @function
+ * @param {number} maxSize - The maximum number of nodes to hold.
+ * @returns {NodeCache}
+ */
+export function lruCache(maxSize: number): NodeCache;
+export type NodeCache = import("./interface").NodeCache;
+//# sourceMappingURL=lru-cache.d.ts.map
\ No newline at end of file
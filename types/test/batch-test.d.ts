@@ -0,0 +1,2 @@
+export type BatchOperation = import("../interface").BatchOperation;
+//# sourceMappingURL=batch-test.d.ts.map
\ No newline at end of file
@@ -15,6 +15,12 @@ export function identityHasher(key: Uint8Array): Uint8Array;
  * @returns {TestStore}
  */
 export function memoryStore(): TestStore;
+/**
+ * @template T
+ * @param {AsyncIterable<T>|Iterable<T>} iterable
+ * @returns {Promise<T[]>}
+ */
+export function collect<T>(iterable: AsyncIterable<T> | Iterable<T>): Promise<T[]>;
 /**
  * @param {Uint8Array} d
  * @returns {string}
@@ -25,5 +31,5 @@ export function toHex(d: Uint8Array): string;
  * @returns {Uint8Array}
  */
 export function fromHex(hex: string | Uint8Array): Uint8Array;
-export type TestStore = import('./interface').TestStore;
+export type TestStore = import("./interface").TestStore;
 //# sourceMappingURL=common.d.ts.map
\ No newline at end of file
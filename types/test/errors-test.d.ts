@@ -1,2 +1,2 @@
-export type Store = import('../interface').Store<number>;
+export type Store = import("../interface").Store<number>;
 //# sourceMappingURL=errors-test.d.ts.map
\ No newline at end of file
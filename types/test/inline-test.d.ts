@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=inline-test.d.ts.map
\ No newline at end of file
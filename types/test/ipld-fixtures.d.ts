@@ -0,0 +1,19 @@
+/**
+ * @typedef {{
+ *   description: string,
+ *   options: import('../interface').Options,
+ *   entries: [string, string][],
+ *   root: string,
+ *   blocks: Record<string, any>
+ * }} Fixture
+ */
+/** @type {Fixture[]} */
+export const fixtures: Fixture[];
+export type Fixture = {
+    description: string;
+    options: import("../interface").Options;
+    entries: [string, string][];
+    root: string;
+    blocks: Record<string, any>;
+};
+//# sourceMappingURL=ipld-fixtures.d.ts.map
\ No newline at end of file
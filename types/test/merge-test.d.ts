@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=merge-test.d.ts.map
\ No newline at end of file
@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=ordered-iteration-test.d.ts.map
\ No newline at end of file
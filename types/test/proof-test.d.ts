@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=proof-test.d.ts.map
\ No newline at end of file
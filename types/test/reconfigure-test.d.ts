@@ -0,0 +1,2 @@
+export {};
+//# sourceMappingURL=reconfigure-test.d.ts.map
\ No newline at end of file
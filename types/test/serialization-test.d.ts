@@ -1,3 +1,3 @@
-export type SerializedRoot = import('../iamap.js').SerializedRoot;
-export type SerializedNode = import('../iamap.js').SerializedNode;
+export type SerializedRoot = import("../iamap.js").SerializedRoot;
+export type SerializedNode = import("../iamap.js").SerializedNode;
 //# sourceMappingURL=serialization-test.d.ts.map
\ No newline at end of file